@@ -0,0 +1,75 @@
+// accountTypes.js
+// ./backend/config/accountTypes.js
+//
+// Settings for each kind of bank account a user can open. The keys are the account
+// types accepted by POST /account/createbank.
+
+const { parseAmount } = require('../money');
+
+/**
+ * Reads an annual interest rate given in percent (e.g. "2.5") from the environment
+ * and returns it in basis points (250), so interest can be worked out in whole numbers.
+ * @param {string} name Name of the environment variable.
+ * @param {number} defaultPercent Rate to use when the variable is not set.
+ * @returns {number} The rate in basis points.
+ */
+function ratePercentToBasisPoints(name, defaultPercent) {
+    const percent = process.env[name] === undefined ? defaultPercent : Number(process.env[name]);
+    if (!Number.isFinite(percent) || percent < 0) {
+        throw new Error(`${name} must be a non-negative number of percent.`);
+    }
+    return Math.round(percent * 100);
+}
+
+/**
+ * Reads a whole number (e.g. a count) from the environment.
+ * @param {string} name Name of the environment variable.
+ * @param {number} defaultValue Value to use when the variable is not set.
+ * @returns {number} The number.
+ */
+function wholeNumber(name, defaultValue) {
+    const value = process.env[name] === undefined ? defaultValue : Number(process.env[name]);
+    if (!Number.isSafeInteger(value) || value < 0) {
+        throw new Error(`${name} must be a whole number.`);
+    }
+    return value;
+}
+
+/**
+ * Reads an amount in dollars (e.g. "500" or "250.50") from the environment and returns it in cents.
+ * @param {string} name Name of the environment variable.
+ * @param {string} defaultAmount Amount to use when the variable is not set.
+ * @returns {number} The amount in cents.
+ */
+function amountToCents(name, defaultAmount) {
+    return parseAmount(process.env[name] === undefined ? defaultAmount : process.env[name]);
+}
+
+const ACCOUNT_TYPE_SETTINGS = {
+    checking: {
+        // Annual interest rate in basis points (1/100 of a percent), INTEREST_RATE_CHECKING in percent
+        annualInterestRateBps: ratePercentToBasisPoints('INTEREST_RATE_CHECKING', 0),
+        // Largest overdraft line a customer can turn on, in cents; 0 means none is offered
+        maxOverdraftLineCents: amountToCents('OVERDRAFT_LINE_MAX_CHECKING', '500'),
+        // Caps on withdrawals: largest single withdrawal and total in any 24 hours, in cents,
+        // and how many withdrawals may be made in any 24 hours
+        withdrawalLimits: {
+            perTransactionCents: amountToCents('WITHDRAWAL_MAX_PER_TRANSACTION_CHECKING', '1000'),
+            dailyAmountCents: amountToCents('WITHDRAWAL_MAX_PER_DAY_CHECKING', '2500'),
+            dailyCount: wholeNumber('WITHDRAWAL_MAX_COUNT_PER_DAY_CHECKING', 10),
+        },
+    },
+    savings: {
+        annualInterestRateBps: ratePercentToBasisPoints('INTEREST_RATE_SAVINGS', 2),
+        maxOverdraftLineCents: amountToCents('OVERDRAFT_LINE_MAX_SAVINGS', '0'),
+        withdrawalLimits: {
+            perTransactionCents: amountToCents('WITHDRAWAL_MAX_PER_TRANSACTION_SAVINGS', '1000'),
+            dailyAmountCents: amountToCents('WITHDRAWAL_MAX_PER_DAY_SAVINGS', '1000'),
+            dailyCount: wholeNumber('WITHDRAWAL_MAX_COUNT_PER_DAY_SAVINGS', 6),
+        },
+    },
+};
+
+const ACCOUNT_TYPES = Object.keys(ACCOUNT_TYPE_SETTINGS); // Kinds of bank account a user can open.
+
+module.exports = { ACCOUNT_TYPE_SETTINGS, ACCOUNT_TYPES };
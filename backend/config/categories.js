@@ -0,0 +1,58 @@
+// categories.js
+// ./backend/config/categories.js
+//
+// Spending categories for ledger entries. Every entry is given one when it is written:
+// that of the newest of its owner's rules whose text its description contains (rules are
+// kept in the 'categoryRules' collection and managed through /categories), or else the
+// default for its type. Customers can also set an entry's category by hand, which rules
+// then leave alone.
+
+// Categories every customer has; rules may name others too
+const DEFAULT_CATEGORIES = [
+    'Income',
+    'Interest',
+    'Transfers',
+    'Cash',
+    'Dining',
+    'Groceries',
+    'Shopping',
+    'Transport',
+    'Housing',
+    'Bills & Utilities',
+    'Entertainment',
+    'Health',
+    'Travel',
+    'Fees',
+    'Other'
+];
+
+// Category of each kind of ledger entry when no rule matches it
+const TYPE_CATEGORIES = {
+    deposit: 'Income',
+    interest: 'Interest',
+    'transfer-in': 'Transfers',
+    'transfer-out': 'Transfers',
+    withdrawal: 'Cash',
+    capture: 'Shopping',
+    'bill-payment': 'Bills & Utilities',
+    'bill-payment-return': 'Bills & Utilities'
+};
+
+const MAX_CATEGORY_LENGTH = 40; // Longest category name a customer can make up.
+
+/**
+ * Works out the category of a ledger entry from its owner's rules.
+ * @param {Object} entry The ledger entry; only its type and description are looked at.
+ * @param {Array<Object>} rules The owner's rules, { contains, category }, newest first.
+ * @returns {Object} { category, categorySource }, the source being 'rule' or 'type'.
+ */
+function categorize(entry, rules) {
+    const description = String(entry.description || '').toLowerCase();
+    const rule = description && rules.find(candidate => description.includes(candidate.contains.toLowerCase()));
+    if (rule) {
+        return { category: rule.category, categorySource: 'rule' };
+    }
+    return { category: TYPE_CATEGORIES[entry.type] || 'Other', categorySource: 'type' };
+}
+
+module.exports = { DEFAULT_CATEGORIES, TYPE_CATEGORIES, MAX_CATEGORY_LENGTH, categorize };
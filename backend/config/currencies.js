@@ -0,0 +1,46 @@
+// currencies.js
+// ./backend/config/currencies.js
+//
+// Currencies accounts can be held in, and the spread charged when a transfer converts
+// between them. Exchange rates themselves are kept in the 'exchangeRates' collection and
+// maintained by admins (PUT /admin/exchange-rates/:currency).
+
+// Every exchange rate is quoted against this currency, and accounts opened before
+// currencies existed are held in it.
+const BASE_CURRENCY = 'USD';
+
+/**
+ * Reads the ISO 4217 codes accounts can be opened in from SUPPORTED_CURRENCIES, a comma
+ * separated list. Amounts are kept in cents, so only currencies with two decimal places fit.
+ * @returns {Array<string>} The codes, always including the base currency.
+ */
+function supportedCurrencies() {
+    const codes = (process.env.SUPPORTED_CURRENCIES || 'USD,EUR,GBP,CAD,AUD,CHF')
+        .split(',')
+        .map(code => code.trim().toUpperCase())
+        .filter(Boolean);
+    codes.forEach(code => {
+        if (!/^[A-Z]{3}$/.test(code)) {
+            throw new Error(`SUPPORTED_CURRENCIES contains ${code}, which is not a three-letter currency code.`);
+        }
+    });
+    return [...new Set([BASE_CURRENCY, ...codes])];
+}
+
+/**
+ * Reads the spread charged on currency conversions, given in percent (e.g. "0.5") in
+ * FX_SPREAD_PERCENT, and returns it in basis points (50).
+ * @returns {number} The spread in basis points.
+ */
+function spreadBasisPoints() {
+    const percent = process.env.FX_SPREAD_PERCENT === undefined ? 0.5 : Number(process.env.FX_SPREAD_PERCENT);
+    if (!Number.isFinite(percent) || percent < 0 || percent >= 100) {
+        throw new Error('FX_SPREAD_PERCENT must be a number of percent from 0 up to 100.');
+    }
+    return Math.round(percent * 100);
+}
+
+const CURRENCIES = supportedCurrencies(); // Currencies an account can be opened in.
+const FX_SPREAD_BPS = spreadBasisPoints(); // Taken off the converted amount of a cross-currency transfer.
+
+module.exports = { BASE_CURRENCY, CURRENCIES, FX_SPREAD_BPS };
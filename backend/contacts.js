@@ -0,0 +1,48 @@
+// contacts.js
+// ./backend/contacts.js
+//
+// How customers are found by the email address or phone number someone pays them at (see
+// services/p2pService.js). Users keep both as they typed them, along with a normalized copy
+// of each that is indexed and matched by equality: emailKey, the email in lower case, and
+// phoneDigits, the phone number's digits without the leading 1 of the US country code.
+
+/**
+ * Normalizes an email address for matching, e.g. " Jane@Example.com" to "jane@example.com".
+ * @param {string} email The email address.
+ * @returns {string|null} The lower case address, or null if there is none.
+ */
+function emailKey(email) {
+    return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+}
+
+/**
+ * Normalizes a phone number for matching, e.g. "+1 (555) 010-2030" to "5550102030".
+ * @param {string} phoneNumber The phone number, with any punctuation.
+ * @returns {string|null} Its digits, or null if it has none.
+ */
+function phoneDigits(phoneNumber) {
+    let digits = String(phoneNumber === undefined || phoneNumber === null ? '' : phoneNumber).replace(/\D/g, '');
+    if (digits.length === 11 && digits.startsWith('1')) {
+        digits = digits.slice(1);
+    }
+    return digits || null;
+}
+
+/**
+ * Returns the normalized copies to store alongside a change to a user: emailKey if the
+ * change sets the email, and phoneDigits if it sets the phone number.
+ * @param {Object} data The fields being set on the user.
+ * @returns {Object} The normalized fields to set with them.
+ */
+function contactKeys(data) {
+    const keys = {};
+    if ('email' in data) {
+        keys.emailKey = emailKey(data.email);
+    }
+    if ('phoneNumber' in data) {
+        keys.phoneDigits = phoneDigits(data.phoneNumber);
+    }
+    return keys;
+}
+
+module.exports = { emailKey, phoneDigits, contactKeys };
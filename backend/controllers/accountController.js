@@ -4,6 +4,10 @@
  * 
  * This controller handles routing for user account operations including creation,
  * authentication, retrieval, updating, and transaction operations like deposits and withdrawals.
+ *
+ * Apart from /create and /login, every route requires an Auth0 access token. The caller's
+ * email always comes from that token, and account routes only act on accounts the caller owns,
+ * unless the caller's role grants wider permissions (see middlewares/permissionMiddleware.js).
  */
 
 const express = require('express');
@@ -11,12 +15,23 @@ const router = express.Router();
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const dal = require('../dal.js'); // Data Access Layer for database operations
+const logger = require('../logger.js'); // Application log, which keeps a record of account closures
+const { idempotent } = require('../middlewares/idempotencyMiddleware.js'); // Replays responses for repeated Idempotency-Keys
+const { verifyAuth0Token } = require('../middlewares/authMiddleware.js'); // Verifies Auth0 access tokens
+const { requireAccountOwner } = require('../middlewares/ownershipMiddleware.js'); // Restricts routes to the account's owner
+const { requirePermission, loadRole, permissionsFor, hasPermission } = require('../middlewares/permissionMiddleware.js'); // Role-based permissions
+const { sendError } = require('../middlewares/errorMiddleware.js'); // Error responses
+const { parseAmount, formatAmount } = require('../money.js'); // Conversion between decimal strings and cents
+const { serializeUser, serializeAccount, serializeOverdraft, serializeInterestSummary, serializeWithdrawalAllowance, serializeBalance, serializeConversion, serializeExchangeRate, serializeStatement } = require('../serializers.js'); // Response shapes for users and accounts
+const { interestYearToDate, accrueInterestFor } = require('../services/interestService.js'); // Interest accrual and crediting
+const statementService = require('../services/statementService.js'); // Monthly statements
+const { BASE_CURRENCY, CURRENCIES, FX_SPREAD_BPS } = require('../config/currencies.js'); // Currencies accounts can be held in
 const saltRounds = 10; // Configuration for bcrypt password hashing
 
 /**
  * POST /create
  * Route to create a new user account. It checks if the user already exists, hashes the password,
- * and then creates the user in the database.
+ * and then creates the user in the database along with their first checking account.
  */
 router.post('/create', async (req, res) => {
     const { name, email, password } = req.body;
@@ -27,15 +42,19 @@ router.post('/create', async (req, res) => {
             return res.status(409).json({ message: 'User already exists' });
         }
 
-        const accountNumber = Math.floor(1000000000 + Math.random() * 9000000000);
         const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-        const user = await dal.create({ name, email, password: hashedPassword, accountNumber });
+        // Every new user starts with a checking account
+        const user = await dal.createUser({ name, email, password: hashedPassword });
 
-        res.status(201).json({ message: 'Account successfully created', user }); // No need to separately add accountNumber here
+        // The new user is not logged in yet, so they view their own accounts as the owner
+        const viewer = { email: user.email };
+        res.status(201).json({
+            message: 'Account successfully created',
+            user: { ...serializeUser(user), accounts: user.accounts.map(account => serializeAccount(account, viewer)) }
+        });
     } catch (error) {
-        console.error('Error creating user:', error);
-        res.status(500).json({ message: 'Internal server error' });
+        sendError(res, error, 'creating user');
     }
 });
 
@@ -65,185 +84,377 @@ router.post('/login', async (req, res) => {
             res.json({ message: 'Login successful', user: { email: user.email, name: user.name } });
         });
     } catch (error) {
-        console.error('Error logging in:', error);
-        res.status(500).json({ message: 'Internal server error' });
+        sendError(res, error, 'logging in');
     }
 });
 
 /**
  * POST /find
- * Finds user accounts by email. Returns an array of matching user accounts.
+ * Finds the caller's user accounts. Returns an array of matching user accounts.
  */
-router.post('/find', async (req, res) => {
-    const { email } = req.body;
+router.post('/find', verifyAuth0Token, async (req, res) => {
+    const { email } = req.user;
     try {
         const users = await dal.find(email);
         if (users.length === 0) {
             return res.status(404).json({ message: 'User not found' });
         }
-        res.json(users);
+        res.json(users.map(serializeUser));
     } catch (error) {
-        console.error('Error finding user:', error);
-        res.status(500).json({ message: 'Internal server error' });
+        sendError(res, error, 'finding user');
     }
 });
 
 /**
  * POST /findOne
- * Finds a single user account by email. Returns the user account details if found.
+ * Finds the caller's user account. Returns the user account details if found.
  */
-router.post('/findOne', async (req, res) => {
-    const { email } = req.body;
+router.post('/findOne', verifyAuth0Token, async (req, res) => {
+    const { email } = req.user;
     try {
         const user = await dal.findOne(email);
         if (!user) {
             return res.status(404).json({ message: 'User not found' });
         }
-        res.json(user);
+        res.json(serializeUser(user));
     } catch (error) {
-        console.error('Error finding one user:', error);
-        res.status(500).json({ message: 'Internal server error' });
+        sendError(res, error, 'finding one user');
     }
 });
 
 /**
  * POST /update
- * Updates user information for the specified email. Can update name and password.
+ * Updates the caller's user information. Can update name and password.
  */
-router.post('/update', async (req, res) => {
-    const { email, name, password } = req.body;
+router.post('/update', verifyAuth0Token, async (req, res) => {
+    const { email } = req.user;
+    const { name, password } = req.body;
     try {
         const updatedUser = await dal.update(email, { name, password });
         if (!updatedUser) {
             return res.status(404).json({ message: 'User not found' });
         }
-        res.status(200).json({ message: 'User information updated successfully', user: updatedUser });
+        res.status(200).json({ message: 'User information updated successfully', user: serializeUser(updatedUser) });
     } catch (error) {
-        console.error('Error updating user information:', error);
-        res.status(500).json({ message: 'Internal server error' });
+        sendError(res, error, 'updating user information');
     }
 });
 
 /**
  * POST /deposit
- * Deposits a specified amount into the user's account identified by email.
+ * Deposits a specified amount into the bank account identified by account number.
+ * Send an Idempotency-Key header to make retries safe.
  */
-router.post('/deposit', async (req, res) => {
-    const { email, amount } = req.body;
+router.post('/deposit', verifyAuth0Token, requireAccountOwner(req => req.body.accountNumber), idempotent, async (req, res) => {
+    const { accountNumber, amount } = req.body;
     try {
-        const result = await dal.deposit(email, parseFloat(amount));
-        if (!result) {
-            return res.status(404).json({ message: 'User not found or deposit failed' });
-        }
-        res.json({ message: 'Deposit successful', balance: result.balance });
+        const result = await dal.deposit(accountNumber, parseAmount(amount), req.user.email);
+        res.json({ message: 'Deposit successful', accountNumber: result.accountNumber, balance: formatAmount(result.balanceCents), currency: result.currency || BASE_CURRENCY });
     } catch (error) {
-        console.error('Error during deposit:', error);
-        res.status(500).json({ message: 'Internal server error' });
+        sendError(res, error, 'depositing');
     }
 });
 
 /**
  * POST /withdraw
- * Withdraws a specified amount from the user's account identified by email.
+ * Withdraws a specified amount from the bank account identified by account number.
+ * Send an Idempotency-Key header to make retries safe.
  */
-router.post('/withdraw', async (req, res) => {
-    const { email, amount } = req.body;
+router.post('/withdraw', verifyAuth0Token, requireAccountOwner(req => req.body.accountNumber), idempotent, async (req, res) => {
+    const { accountNumber, amount } = req.body;
     try {
-        const result = await dal.withdraw(email, parseFloat(amount));
-        if (!result) {
-            return res.status(404).json({ message: 'User not found or insufficient funds' });
-        }
-        res.json({ message: 'Withdrawal successful', balance: result.balance });
+        const result = await dal.withdraw(accountNumber, parseAmount(amount), req.user.email);
+        res.json({ message: 'Withdrawal successful', accountNumber: result.accountNumber, balance: formatAmount(result.balanceCents), currency: result.currency || BASE_CURRENCY });
+    } catch (error) {
+        sendError(res, error, 'withdrawing');
+    }
+});
+
+/**
+ * POST /transfer
+ * Moves a specified amount from one bank account to another as a single atomic operation.
+ * Either both balances change and both ledgers record the transfer, or nothing changes.
+ * The caller must own the sending account; the receiving account can belong to anyone.
+ * The amount is in the sending account's currency; an account in another currency receives
+ * it converted at the stored exchange rate, less the spread.
+ * Send an Idempotency-Key header to make retries safe.
+ */
+router.post('/transfer', verifyAuth0Token, requireAccountOwner(req => req.body.fromAccountNumber), idempotent, async (req, res) => {
+    const { fromAccountNumber, toAccountNumber, amount } = req.body;
+    try {
+        const result = await dal.transfer(fromAccountNumber, toAccountNumber, parseAmount(amount), req.user.email);
+        res.json({
+            message: 'Transfer successful',
+            balance: formatAmount(result.from.balanceCents),
+            currency: result.from.currency || BASE_CURRENCY,
+            transferId: result.transferId,
+            fx: result.fx && serializeConversion(result.fx)
+        });
     } catch (error) {
-        console.error('Error during withdrawal:', error);
-        res.status(500).json({ message: 'Internal server error' });
+        sendError(res, error, 'transferring');
     }
 });
 
 /**
  * GET /all
- * Retrieves all user accounts from the database.
+ * Retrieves all bank accounts from the database. Only bank employees and admins may list them.
  */
-router.get('/all', async (req, res) => {
+router.get('/all', verifyAuth0Token, requirePermission('accounts:list-all'), async (req, res) => {
     try {
-        const docs = await dal.all();
-        res.json(docs);
+        const docs = await dal.allAccounts();
+        res.json(docs.map(account => serializeAccount(account, req.user)));
     } catch (error) {
-        console.error('Error retrieving all users:', error);
-        res.status(500).json({ message: 'Internal server error' });
+        sendError(res, error, 'retrieving all accounts');
     }
 });
 
 /**
- * GET /balance/:email
- * Retrieves the balance for a user's account identified by email.
- * Utilizes the findOne method to first locate the user.
+ * GET /balance/:accountNumber
+ * Retrieves the balances for the bank account identified by account number: the ledger
+ * balance and the available balance, which leaves out money on hold. `balance` is the
+ * ledger balance, kept for older clients.
  */
-router.get('/balance/:email', async (req, res) => {
-    const { email } = req.params;
-    console.log(`Balance request received for email: ${email}`); // Log the email for which balance is requested
+router.get('/balance/:accountNumber', verifyAuth0Token, requireAccountOwner(req => req.params.accountNumber), async (req, res) => {
+    const { accountNumber } = req.params;
+    console.log(`Balance request received for account: ${accountNumber}`); // Log the account for which balance is requested
 
     try {
-        // Use the findOne method to search for the user by email
-        const user = await dal.findOne(email);
-        console.log('User found:', user); // Log the user object found
+        // The ownership check has already loaded the account
+        const account = req.account;
 
-        // If no user is found, respond with a 404 error
-        if (!user) {
-            return res.status(404).json({ message: 'User not found' });
-        }
+        // Respond with the balance
+        res.json({
+            message: 'Balance retrieval successful',
+            ...serializeBalance(account),
+            balance: formatAmount(account.balanceCents),
+            overdraft: serializeOverdraft(account),
+            overdrawn: Boolean(account.overdrawn)
+        });
+    } catch (error) {
+        sendError(res, error, 'retrieving balance');
+    }
+});
+
+/**
+ * GET /me
+ * Returns the caller's role and the permissions it grants, so the frontend can decide what to show.
+ */
+router.get('/me', verifyAuth0Token, async (req, res) => {
+    try {
+        const role = await loadRole(req);
+        res.json({ email: req.user.email, role, permissions: permissionsFor(role) });
+    } catch (error) {
+        sendError(res, error, 'retrieving caller role');
+    }
+});
+
+/**
+ * PUT /overdraft/:accountNumber
+ * Sets the account's overdraft protection. The body is one of
+ * { mode: 'linked-savings', sourceAccountNumber }, { mode: 'line', limit } (limit optional,
+ * defaults to the most allowed for the account type) or { mode: 'none' }.
+ */
+router.put('/overdraft/:accountNumber', verifyAuth0Token, requireAccountOwner(req => req.params.accountNumber), async (req, res) => {
+    const { mode, sourceAccountNumber, limit } = req.body;
+    try {
+        const limitCents = limit === undefined || limit === '' ? undefined : parseAmount(limit);
+        const account = await dal.setOverdraftProtection(req.account.accountNumber, { mode, sourceAccountNumber, limitCents });
+        res.json({ message: 'Overdraft protection updated', account: serializeAccount(account, req.user) });
+    } catch (error) {
+        sendError(res, error, 'updating overdraft protection');
+    }
+});
+
+/**
+ * POST /close/:accountNumber
+ * Closes the account. Any balance left is first moved to { disburseToAccountNumber }, which
+ * can belong to anyone and is converted if it is in another currency; an empty account
+ * needs nowhere to send it. The account's history stays available, and an admin can reopen
+ * it within the grace period. Send an Idempotency-Key header to make retries safe.
+ */
+router.post('/close/:accountNumber', verifyAuth0Token, requireAccountOwner(req => req.params.accountNumber), idempotent, async (req, res) => {
+    try {
+        // Accrue the days the interest job has not reached yet, so closing pays them too
+        await accrueInterestFor(req.account);
+        const { account, disbursement } = await dal.closeAccount(req.account.accountNumber, { disburseToAccountNumber: req.body.disburseToAccountNumber }, req.user.email);
+        logger.info(`Account ${account.accountNumber} closed by ${req.user.email}`);
+        res.json({
+            message: 'Account closed',
+            account: serializeAccount(account, req.user),
+            disbursement: disbursement ? {
+                toAccountNumber: disbursement.toAccountNumber,
+                amount: formatAmount(disbursement.amountCents),
+                currency: account.currency || BASE_CURRENCY,
+                transferId: disbursement.transferId,
+                fx: disbursement.fx && serializeConversion(disbursement.fx)
+            } : undefined
+        });
+    } catch (error) {
+        sendError(res, error, 'closing account');
+    }
+});
+
+/**
+ * GET /withdrawal-allowance/:accountNumber
+ * Retrieves the account's withdrawal limits and how much of the daily allowance remains.
+ */
+router.get('/withdrawal-allowance/:accountNumber', verifyAuth0Token, requireAccountOwner(req => req.params.accountNumber), async (req, res) => {
+    try {
+        const allowance = await dal.getWithdrawalAllowance(req.account.accountNumber);
+        res.json(serializeWithdrawalAllowance(allowance));
+    } catch (error) {
+        sendError(res, error, 'retrieving withdrawal allowance');
+    }
+});
+
+/**
+ * GET /exchange-rates
+ * Lists the currencies accounts can be opened in, the stored exchange rates against the base
+ * currency and the spread taken on conversions.
+ */
+router.get('/exchange-rates', verifyAuth0Token, async (req, res) => {
+    try {
+        const rates = await dal.getExchangeRates();
+        res.json({
+            baseCurrency: BASE_CURRENCY,
+            currencies: CURRENCIES,
+            spreadPercent: (FX_SPREAD_BPS / 100).toFixed(2),
+            rates: rates.map(serializeExchangeRate)
+        });
+    } catch (error) {
+        sendError(res, error, 'retrieving exchange rates');
+    }
+});
+
+/**
+ * GET /accounts
+ * Lists every bank account owned by the caller.
+ */
+router.get('/accounts', verifyAuth0Token, async (req, res) => {
+    const userEmail = req.user.email;
+    try {
+        const accounts = await dal.findAccountsByEmail(userEmail);
+        res.json(accounts.map(account => serializeAccount(account, req.user)));
+    } catch (error) {
+        sendError(res, error, 'retrieving accounts');
+    }
+});
+
+/**
+ * GET /interest
+ * Retrieves the interest the caller's accounts have earned this year, both credited
+ * and accrued but not yet credited, along with each account's annual rate.
+ */
+router.get('/interest', verifyAuth0Token, async (req, res) => {
+    try {
+        const summary = await interestYearToDate(req.user.email);
+        res.json(serializeInterestSummary(summary, req.user));
+    } catch (error) {
+        sendError(res, error, 'retrieving interest');
+    }
+});
+
+/**
+ * GET /statements
+ * Lists the statements of the caller's accounts, newest month first; ?accountNumber= narrows
+ * the list to one account.
+ */
+router.get('/statements', verifyAuth0Token, async (req, res) => {
+    try {
+        const statements = await statementService.listStatements(req.user.email, req.query.accountNumber);
+        res.json(statements.map(serializeStatement));
+    } catch (error) {
+        sendError(res, error, 'listing statements');
+    }
+});
 
-        // If the user is found, respond with the balance
-        res.json({ message: 'Balance retrieval successful', balance: user.balance });
+/**
+ * POST /statements
+ * Makes the statement for { accountNumber, month } (YYYY-MM) straight away rather than
+ * waiting for the monthly run. A statement for the current month covers it so far.
+ */
+router.post('/statements', verifyAuth0Token, requireAccountOwner(req => req.body.accountNumber), async (req, res) => {
+    try {
+        const statement = await statementService.generateStatement(req.account, req.body.month, req.user.email);
+        res.status(201).json({ message: 'Statement generated', statement: serializeStatement(statement) });
     } catch (error) {
-        console.error('Error retrieving balance:', error);
-        res.status(500).json({ message: 'Internal server error' });
+        sendError(res, error, 'generating statement');
+    }
+});
+
+/**
+ * GET /statements/:id/download
+ * Downloads a statement as a PDF, or as CSV with ?format=csv.
+ */
+router.get('/statements/:id/download', verifyAuth0Token, async (req, res) => {
+    const format = req.query.format || 'pdf';
+    if (!['pdf', 'csv'].includes(format)) {
+        return res.status(400).json({ message: 'Format must be pdf or csv.' });
+    }
+    try {
+        const statement = await statementService.findStatement(req.params.id);
+        if (statement.ownerEmail !== req.user.email && !hasPermission(await loadRole(req), 'accounts:act-on-any')) {
+            // Don't reveal that someone else's statement exists
+            return res.status(404).json({ message: 'Statement not found.' });
+        }
+        const filename = `statement-${statement.accountNumber}-${statement.period}.${format}`;
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        if (format === 'csv') {
+            return res.type('text/csv').send(statement.csv);
+        }
+        // Stored as BSON binary data
+        res.type('application/pdf').send(Buffer.from(statement.pdf.buffer));
+    } catch (error) {
+        sendError(res, error, 'downloading statement');
     }
 });
 
 /**
  * GET /data
- * Retrieves user data based on the provided email.
+ * Retrieves the caller's user data.
  */
-router.get('/data', async (req, res) => {
-    const userEmail = req.query.email;
+router.get('/data', verifyAuth0Token, async (req, res) => {
+    const userEmail = req.user.email;
     try {
         const user = await dal.findUserByEmail(userEmail); // Use dal.findUserByEmail to retrieve user by email
         if (!user) {
             return res.status(404).json({ message: 'User not found' });
         }
-        res.json(user);
+        res.json({
+            name: user.name,
+            phoneNumber: user.phoneNumber,
+            accounts: user.accounts.map(account => serializeAccount(account, req.user))
+        });
     } catch (error) {
-        console.error('Error retrieving user data:', error);
-        res.status(500).json({ message: 'Internal server error' });
+        sendError(res, error, 'retrieving user data');
     }
 });
 
 // Endpoint to fetch user account information
-router.get('/profile', async (req, res) => {
-    const userEmail = req.query.email;
+router.get('/profile', verifyAuth0Token, async (req, res) => {
+    const userEmail = req.user.email;
     console.log(`Profile request received for email: ${userEmail}`); // Log the email for which profile is requested
 
     try {
         // Use the findOne method to search for the user by email
         const userData = await dal.findOne(userEmail);
-        console.log('User data found:', userData); // Log the user data found
 
         // If no user data is found, respond with a 404 error
         if (!userData) {
             return res.status(404).json({ message: 'User account information not found' });
         }
 
-        // If user data is found, respond with the user data
-        res.json(userData);
+        // If user data is found, respond with the user data and every account they own
+        const accounts = await dal.findAccountsByEmail(userEmail);
+        res.json({ ...serializeUser(userData), accounts: accounts.map(account => serializeAccount(account, req.user)) });
     } catch (error) {
-        console.error('Error fetching user account information:', error);
-        res.status(500).json({ message: 'Internal server error' });
+        sendError(res, error, 'fetching user account information');
     }
 });
 
-router.put('/update-profile', async (req, res) => {
-    const { email, name, phoneNumber } = req.body;
+router.put('/update-profile', verifyAuth0Token, async (req, res) => {
+    const { email } = req.user;
+    const { name, phoneNumber } = req.body;
   
     try {
       // Call the DAL function to update the user profile
@@ -252,26 +463,25 @@ router.put('/update-profile', async (req, res) => {
       // Respond with success message
       res.json({ message: 'Profile updated successfully' });
     } catch (error) {
-      // Handle any errors that occurred during the update process
-      console.error('Error updating user profile:', error);
-      res.status(500).json({ message: 'Internal server error' });
+      sendError(res, error, 'updating user profile');
     }
   });
 
   /**
  * POST /createbank
- * Route to create a new bank account. It uses the user email to send new bank accout number and account type
- * then stores it under the user:email.
+ * Route to open an additional bank account. The new account gets its own account number and
+ * balance and is owned by the caller; existing accounts are left untouched. The body may name
+ * the currency to hold the account in, one of those listed by GET /exchange-rates.
  */
-router.post('/createbank', async (req, res) => {
-    const { email, accountType } = req.body;
+router.post('/createbank', verifyAuth0Token, async (req, res) => {
+    const { email } = req.user;
+    const { accountType, currency } = req.body;
 
     try {
-        const user = await dal.createBankAccount(email, accountType);
-        res.status(200).json({ message: 'Bank account created successfully', user });
+        const account = await dal.createBankAccount(email, accountType, currency);
+        res.status(201).json({ message: 'Bank account created successfully', account: serializeAccount(account, req.user) });
     } catch (error) {
-        console.error('Error creating bank account:', error);
-        res.status(500).json({ message: 'Internal server error' });
+        sendError(res, error, 'creating bank account');
     }
 });
 
@@ -0,0 +1,214 @@
+/**
+ * adminController.js
+ * ./backend/controllers/adminController.js
+ *
+ * This controller handles routing for administrative operations. Every route requires an
+ * Auth0 access token and a role that holds the permission named on the route.
+ */
+
+const express = require('express');
+const router = express.Router();
+const dal = require('../dal.js'); // Data Access Layer for database operations
+const logger = require('../logger.js'); // Application log, which keeps a record of what staff change
+const { verifyAuth0Token } = require('../middlewares/authMiddleware.js'); // Verifies Auth0 access tokens
+const { requirePermission } = require('../middlewares/permissionMiddleware.js'); // Role-based permissions
+const { sendError } = require('../middlewares/errorMiddleware.js'); // Error responses
+const { parseAmount, parseRate } = require('../money.js'); // Conversion between decimal strings and cents or rates
+const { serializeAccount, serializeWithdrawalAllowance, serializeExchangeRate, serializeImportReport, serializeRestriction } = require('../serializers.js'); // Response shapes for accounts, rates, imports and restrictions
+const { importTransactions } = require('../services/importService.js'); // Bulk import of historical ledger entries
+
+// Takes an import file as the raw request body, whatever its content type besides JSON
+const importBody = express.text({ type: req => !req.is('application/json'), limit: process.env.IMPORT_MAX_SIZE || '10mb' });
+
+/**
+ * Changes a user's role on behalf of an admin and sends the result.
+ * Admins cannot change their own role, so the last admin cannot lock everyone out by accident.
+ */
+async function changeRole(req, res, role) {
+    const { email } = req.params;
+    if (email === req.user.email) {
+        return res.status(400).json({ message: 'You cannot change your own role.' });
+    }
+
+    try {
+        const user = await dal.setUserRole(email, role);
+        logger.info(`Role of ${email} set to ${role} by ${req.user.email}`);
+        res.json({ message: 'Role updated successfully', email: user.email, role: user.role });
+    } catch (error) {
+        sendError(res, error, 'updating role');
+    }
+}
+
+/**
+ * PUT /users/:email/role
+ * Grants a role ('user', 'bank employee' or 'admin') to the user with the given email.
+ */
+router.put('/users/:email/role', verifyAuth0Token, requirePermission('roles:manage'), (req, res) => {
+    changeRole(req, res, req.body.role);
+});
+
+/**
+ * DELETE /users/:email/role
+ * Revokes the user's role, returning them to a plain 'user'.
+ */
+router.delete('/users/:email/role', verifyAuth0Token, requirePermission('roles:manage'), (req, res) => {
+    changeRole(req, res, 'user');
+});
+
+/**
+ * Converts an amount limit from the request body: a decimal string sets it, null clears the
+ * override and anything left out stays as it is.
+ */
+function parseLimit(value) {
+    return value === null || value === undefined ? value : parseAmount(value);
+}
+
+/**
+ * PUT /accounts/:accountNumber/withdrawal-limits
+ * Overrides an account's withdrawal limits. The body may contain perTransaction and daily
+ * (decimal amounts) and dailyCount (a whole number); null returns that limit to the
+ * account type's default.
+ */
+router.put('/accounts/:accountNumber/withdrawal-limits', verifyAuth0Token, requirePermission('limits:override'), async (req, res) => {
+    const { perTransaction, daily, dailyCount } = req.body;
+    try {
+        const account = await dal.setWithdrawalLimitOverrides(req.params.accountNumber, {
+            perTransactionCents: parseLimit(perTransaction),
+            dailyAmountCents: parseLimit(daily),
+            dailyCount
+        });
+        logger.info(`Withdrawal limits of ${account.accountNumber} changed by ${req.user.email}`);
+        const allowance = await dal.getWithdrawalAllowance(account.accountNumber);
+        res.json({
+            message: 'Withdrawal limits updated successfully',
+            account: serializeAccount(account, req.user),
+            withdrawalLimits: serializeWithdrawalAllowance(allowance)
+        });
+    } catch (error) {
+        sendError(res, error, 'updating withdrawal limits');
+    }
+});
+
+/**
+ * POST /accounts/:accountNumber/reopen
+ * Reopens an account closed less than ACCOUNT_REOPEN_GRACE_DAYS ago. It reopens empty:
+ * whatever was disbursed when it closed is not moved back.
+ */
+router.post('/accounts/:accountNumber/reopen', verifyAuth0Token, requirePermission('accounts:reopen'), async (req, res) => {
+    try {
+        const account = await dal.reopenAccount(req.params.accountNumber, req.user.email);
+        logger.info(`Account ${account.accountNumber} reopened by ${req.user.email}`);
+        res.json({ message: 'Account reopened successfully', account: serializeAccount(account, req.user) });
+    } catch (error) {
+        sendError(res, error, 'reopening account');
+    }
+});
+
+/**
+ * GET /accounts/:accountNumber/restrictions
+ * Lists every restriction placed on an account, active or not, newest first.
+ */
+router.get('/accounts/:accountNumber/restrictions', verifyAuth0Token, requirePermission('accounts:restrict'), async (req, res) => {
+    try {
+        const account = await dal.findAccount(req.params.accountNumber);
+        if (!account) {
+            return res.status(404).json({ message: 'Account not found' });
+        }
+        const restrictions = await dal.getRestrictionsByAccount(account.accountNumber);
+        res.json({ account: serializeAccount(account, req.user), restrictions: restrictions.map(serializeRestriction) });
+    } catch (error) {
+        sendError(res, error, 'retrieving restrictions');
+    }
+});
+
+/**
+ * POST /accounts/:accountNumber/restrictions
+ * Restricts an account. The body is { type, reason, expiresAt, amount }: type is 'freeze'
+ * (no money out), 'lock' (no money in or out) or 'legal-hold' (amount, a decimal string,
+ * cannot be used); expiresAt is optional and the restriction lasts until lifted without it.
+ */
+router.post('/accounts/:accountNumber/restrictions', verifyAuth0Token, requirePermission('accounts:restrict'), async (req, res) => {
+    const { type, reason, expiresAt, amount } = req.body;
+    try {
+        const { restriction, account } = await dal.placeRestriction(req.params.accountNumber, {
+            type,
+            amountCents: amount === undefined || amount === null || amount === '' ? undefined : parseAmount(amount),
+            reason,
+            expiresAt
+        }, req.user.email);
+        logger.info(`Restriction ${restriction._id} (${restriction.type}) placed on ${account.accountNumber} by ${req.user.email}`);
+        res.status(201).json({
+            message: 'Restriction placed successfully',
+            restriction: serializeRestriction(restriction),
+            account: serializeAccount(account, req.user)
+        });
+    } catch (error) {
+        sendError(res, error, 'placing restriction');
+    }
+});
+
+/**
+ * POST /restrictions/:id/lift
+ * Lifts an active restriction before it expires.
+ */
+router.post('/restrictions/:id/lift', verifyAuth0Token, requirePermission('accounts:restrict'), async (req, res) => {
+    try {
+        const { restriction, account } = await dal.liftRestriction(req.params.id, req.user.email);
+        logger.info(`Restriction ${restriction._id} on ${restriction.accountNumber} lifted by ${req.user.email}`);
+        res.json({
+            message: 'Restriction lifted successfully',
+            restriction: serializeRestriction(restriction),
+            account: account ? serializeAccount(account, req.user) : undefined
+        });
+    } catch (error) {
+        sendError(res, error, 'lifting restriction');
+    }
+});
+
+/**
+ * PUT /exchange-rates/:currency
+ * Sets a currency's exchange rate, { rate }, as units of the currency per unit of the base
+ * currency, e.g. { rate: "0.92" } for EUR against USD.
+ */
+router.put('/exchange-rates/:currency', verifyAuth0Token, requirePermission('rates:manage'), async (req, res) => {
+    try {
+        const rate = await dal.setExchangeRate(req.params.currency, parseRate(req.body.rate), req.user.email);
+        logger.info(`Exchange rate of ${rate.currency} set to ${req.body.rate} by ${req.user.email}`);
+        res.json({ message: 'Exchange rate updated successfully', rate: serializeExchangeRate(rate) });
+    } catch (error) {
+        sendError(res, error, 'updating exchange rate');
+    }
+});
+
+/**
+ * POST /imports?format=csv|ofx[&commit=true]
+ * Imports historical ledger entries from the CSV or OFX file sent as the request body (see
+ * services/importService.js for the columns a CSV file needs). Without commit=true this is
+ * a dry run that reports the problems with each row and how each account's balance would
+ * change; with it, the entries are loaded and the balances recomputed, but only if every
+ * row is good.
+ */
+router.post('/imports', verifyAuth0Token, requirePermission('transactions:import'), importBody, async (req, res) => {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+        return res.status(400).json({ message: 'Send the CSV or OFX file as the request body.' });
+    }
+    try {
+        const commit = req.query.commit === 'true';
+        const report = await importTransactions(req.body, req.query.format, req.user.email, { commit });
+        if (commit && !report.committed) {
+            return res.status(422).json({ message: 'Some rows cannot be imported, so nothing was imported.', report: serializeImportReport(report) });
+        }
+        if (report.committed) {
+            logger.info(`Import ${report.importId} of ${report.rowCount} row(s) committed by ${req.user.email}`);
+        }
+        res.status(report.committed ? 201 : 200).json({
+            message: report.committed ? 'Import committed' : 'Dry run: nothing was imported',
+            report: serializeImportReport(report)
+        });
+    } catch (error) {
+        sendError(res, error, 'importing transactions');
+    }
+});
+
+// Export the router for use in the main server file
+module.exports = router;
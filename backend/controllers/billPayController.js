@@ -0,0 +1,158 @@
+/**
+ * billPayController.js
+ * ./backend/controllers/billPayController.js
+ *
+ * This controller handles routing for bill pay: the caller's payees, paying them now or on
+ * a later day, and cancelling payments that are still scheduled. Payments are debited and
+ * sent on by the bill pay settlement job (jobs/billPaySettlement.js); staff can see the
+ * outgoing payments queue and record payments that the payee's bank sent back.
+ *
+ * Every route requires an Auth0 access token. Payees and payments can only be managed by
+ * their owner, or by staff allowed to act on any account.
+ */
+
+const express = require('express');
+const router = express.Router();
+const billPayService = require('../services/billPayService.js'); // Payees, payments and settlement
+const dal = require('../dal.js'); // Data Access Layer for database operations
+const { idempotent } = require('../middlewares/idempotencyMiddleware.js'); // Replays responses for repeated Idempotency-Keys
+const { verifyAuth0Token } = require('../middlewares/authMiddleware.js'); // Verifies Auth0 access tokens
+const { sendError } = require('../middlewares/errorMiddleware.js'); // Error responses
+const { requireAccountOwner } = require('../middlewares/ownershipMiddleware.js'); // Restricts routes to the account's owner
+const { hasPermission, loadRole, requirePermission } = require('../middlewares/permissionMiddleware.js'); // Role-based permissions
+const { parseAmount } = require('../money.js'); // Conversion between decimal strings and cents
+const { serializePayee, serializeBillPayment, serializeBalance } = require('../serializers.js'); // Response shapes
+
+/**
+ * Middleware that loads the payment named in the URL into req.payment, provided the caller
+ * made it or is staff allowed to act on any account.
+ */
+async function loadOwnPayment(req, res, next) {
+    try {
+        const payment = await billPayService.findBillPayment(req.params.id);
+        if (payment.ownerEmail !== req.user.email && !hasPermission(await loadRole(req), 'accounts:act-on-any')) {
+            // Don't reveal that someone else's payment exists
+            return res.status(404).json({ message: 'Payment not found.' });
+        }
+        req.payment = payment;
+        next();
+    } catch (error) {
+        sendError(res, error, 'loading bill payment');
+    }
+}
+
+/**
+ * GET /payees
+ * Lists the caller's payees by name.
+ */
+router.get('/payees', verifyAuth0Token, async (req, res) => {
+    try {
+        const payees = await billPayService.listPayees(req.user.email);
+        res.json(payees.map(serializePayee));
+    } catch (error) {
+        sendError(res, error, 'listing payees');
+    }
+});
+
+/**
+ * POST /payees
+ * Adds a payee, { name, address: { line1, line2, city, state, postalCode }, accountNumber,
+ * routingNumber }. The routing number must pass the ABA checksum.
+ */
+router.post('/payees', verifyAuth0Token, async (req, res) => {
+    try {
+        const payee = await billPayService.createPayee(req.user.email, req.body);
+        res.status(201).json({ message: 'Payee added', payee: serializePayee(payee) });
+    } catch (error) {
+        sendError(res, error, 'adding payee');
+    }
+});
+
+/**
+ * DELETE /payees/:id
+ * Removes one of the caller's payees. Payments already made to it are kept.
+ */
+router.delete('/payees/:id', verifyAuth0Token, async (req, res) => {
+    try {
+        await billPayService.removePayee(req.user.email, req.params.id);
+        res.json({ message: 'Payee removed' });
+    } catch (error) {
+        sendError(res, error, 'removing payee');
+    }
+});
+
+/**
+ * GET /payments[?status=]
+ * Lists the caller's bill payments, newest first, optionally only those with one status.
+ */
+router.get('/payments', verifyAuth0Token, async (req, res) => {
+    try {
+        const payments = await billPayService.listBillPayments(req.user.email, req.query.status);
+        res.json(payments.map(serializeBillPayment));
+    } catch (error) {
+        sendError(res, error, 'listing bill payments');
+    }
+});
+
+/**
+ * GET /payments/outgoing[?status=pending|sent]
+ * Lists the outgoing payments queue, oldest first. Staff only.
+ */
+router.get('/payments/outgoing', verifyAuth0Token, requirePermission('payments:manage'), async (req, res) => {
+    try {
+        const payments = await billPayService.listOutgoingPayments(req.query.status);
+        res.json(payments.map(serializeBillPayment));
+    } catch (error) {
+        sendError(res, error, 'listing outgoing payments');
+    }
+});
+
+/**
+ * POST /payments
+ * Pays { amount } to { payeeId } from { fromAccountNumber }, with an optional { memo }.
+ * Without a { sendOn } date, or with one that has passed, the account is debited straight
+ * away; otherwise the payment is scheduled for that day. Send an Idempotency-Key header to
+ * make retries safe.
+ */
+router.post('/payments', verifyAuth0Token, requireAccountOwner(req => req.body.fromAccountNumber), idempotent, async (req, res) => {
+    const { payeeId, amount, sendOn, memo } = req.body;
+    try {
+        const payment = await billPayService.createBillPayment(
+            req.account, { payeeId, amountCents: parseAmount(amount), sendOn, memo }, req.user.email
+        );
+        const message = payment.status === 'scheduled' ? 'Payment scheduled' : 'Payment sent to the outgoing queue';
+        res.status(201).json({ message, payment: serializeBillPayment(payment) });
+    } catch (error) {
+        sendError(res, error, 'making bill payment');
+    }
+});
+
+/**
+ * POST /payments/:id/cancel
+ * Cancels a payment that has not been debited yet.
+ */
+router.post('/payments/:id/cancel', verifyAuth0Token, loadOwnPayment, async (req, res) => {
+    try {
+        const payment = await billPayService.cancelBillPayment(req.payment);
+        res.json({ message: 'Payment cancelled', payment: serializeBillPayment(payment) });
+    } catch (error) {
+        sendError(res, error, 'cancelling bill payment');
+    }
+});
+
+/**
+ * POST /payments/:id/return
+ * Records that the payee's bank sent a payment back, with { reason }, and credits the
+ * amount back to the account it was paid from. Staff only.
+ */
+router.post('/payments/:id/return', verifyAuth0Token, requirePermission('payments:manage'), async (req, res) => {
+    try {
+        const { payment, account } = await dal.returnBillPayment(req.params.id, req.body.reason, req.user.email);
+        res.json({ message: 'Payment returned', payment: serializeBillPayment(payment), account: serializeBalance(account) });
+    } catch (error) {
+        sendError(res, error, 'returning bill payment');
+    }
+});
+
+// Export the router for use in the main server file
+module.exports = router;
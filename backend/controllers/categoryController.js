@@ -0,0 +1,108 @@
+/**
+ * categoryController.js
+ * ./backend/controllers/categoryController.js
+ *
+ * This controller handles routing for spending categories: the categories a customer can
+ * use, their rules for categorizing ledger entries by description, setting the category
+ * of an entry by hand, and totals of money in and out per category per month.
+ *
+ * Every route requires an Auth0 access token and works on the caller's own entries and
+ * rules; staff allowed to act on any account may also set the category of any entry.
+ */
+
+const express = require('express');
+const router = express.Router();
+const categoryService = require('../services/categoryService.js'); // Categories, rules and totals
+const { verifyAuth0Token } = require('../middlewares/authMiddleware.js'); // Verifies Auth0 access tokens
+const { sendError } = require('../middlewares/errorMiddleware.js'); // Error responses
+const { hasPermission, loadRole } = require('../middlewares/permissionMiddleware.js'); // Role-based permissions
+const { serializeCategoryRule, serializeCategoryTotal, serializeTransaction } = require('../serializers.js'); // Response shapes
+
+/**
+ * GET /
+ * Lists the categories the caller can choose from: the default set and any of their own.
+ */
+router.get('/', verifyAuth0Token, async (req, res) => {
+    try {
+        res.json(await categoryService.listCategories(req.user.email));
+    } catch (error) {
+        sendError(res, error, 'listing categories');
+    }
+});
+
+/**
+ * GET /rules
+ * Lists the caller's category rules, newest first, which is the order they are tried in.
+ */
+router.get('/rules', verifyAuth0Token, async (req, res) => {
+    try {
+        const rules = await categoryService.listRules(req.user.email);
+        res.json(rules.map(serializeCategoryRule));
+    } catch (error) {
+        sendError(res, error, 'listing category rules');
+    }
+});
+
+/**
+ * POST /rules
+ * Adds a rule, { contains, category }, giving entries whose description contains the text
+ * (in any case) that category, and applies it to the caller's existing entries.
+ */
+router.post('/rules', verifyAuth0Token, async (req, res) => {
+    try {
+        const { rule, recategorized } = await categoryService.createRule(req.user.email, req.body);
+        res.status(201).json({ message: 'Rule added', rule: serializeCategoryRule(rule), recategorized });
+    } catch (error) {
+        sendError(res, error, 'adding category rule');
+    }
+});
+
+/**
+ * DELETE /rules/:id
+ * Removes one of the caller's rules and categorizes their entries again without it.
+ */
+router.delete('/rules/:id', verifyAuth0Token, async (req, res) => {
+    try {
+        const { recategorized } = await categoryService.deleteRule(req.user.email, req.params.id);
+        res.json({ message: 'Rule removed', recategorized });
+    } catch (error) {
+        sendError(res, error, 'removing category rule');
+    }
+});
+
+/**
+ * PUT /entries/:id
+ * Sets the category of one of the caller's ledger entries to { category }; rules leave it
+ * alone from then on. { category: null } hands it back to the rules.
+ */
+router.put('/entries/:id', verifyAuth0Token, async (req, res) => {
+    try {
+        const entry = await categoryService.findEntry(req.params.id);
+        if (entry.email !== req.user.email && !hasPermission(await loadRole(req), 'accounts:act-on-any')) {
+            // Don't reveal that someone else's entry exists
+            return res.status(404).json({ message: 'Transaction not found.' });
+        }
+        const updated = await categoryService.setEntryCategory(entry, req.body.category);
+        res.json({ message: 'Category updated', transaction: serializeTransaction(updated, req.user) });
+    } catch (error) {
+        sendError(res, error, 'setting category');
+    }
+});
+
+/**
+ * GET /totals?from=YYYY-MM&to=YYYY-MM[&accountNumber=]
+ * Adds up the caller's money in and out per category per month, newest month first. By
+ * default covers the last six months; accountNumber narrows it to one of their accounts.
+ */
+router.get('/totals', verifyAuth0Token, async (req, res) => {
+    try {
+        const { from, to, accountNumber } = req.query;
+        const totals = await categoryService.categoryTotals(req.user.email, { from, to, accountNumber });
+        res.json(totals.map(serializeCategoryTotal));
+    } catch (error) {
+        sendError(res, error, 'adding up category totals');
+    }
+});
+
+// Export the router for use in the main server file
+module.exports = router;
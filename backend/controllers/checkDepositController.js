@@ -0,0 +1,142 @@
+/**
+ * checkDepositController.js
+ * ./backend/controllers/checkDepositController.js
+ *
+ * This controller handles routing for mobile check deposits: submitting photos of a check
+ * for deposit, listing the caller's deposits, and the review queue where bank employees look
+ * at the photos and approve or reject each deposit.
+ *
+ * Every route requires an Auth0 access token. Photos are sent as base64 in the JSON body,
+ * which is why server.js accepts larger bodies on this router (CHECK_UPLOAD_MAX_SIZE).
+ */
+
+const express = require('express');
+const router = express.Router();
+const checkDepositService = require('../services/checkDepositService.js'); // Check deposit storage and review
+const { idempotent } = require('../middlewares/idempotencyMiddleware.js'); // Replays responses for repeated Idempotency-Keys
+const { verifyAuth0Token } = require('../middlewares/authMiddleware.js'); // Verifies Auth0 access tokens
+const { sendError } = require('../middlewares/errorMiddleware.js'); // Error responses
+const { requireAccountOwner } = require('../middlewares/ownershipMiddleware.js'); // Restricts routes to the account's owner
+const { requirePermission, hasPermission, loadRole } = require('../middlewares/permissionMiddleware.js'); // Role-based permissions
+const { parseAmount, formatAmount } = require('../money.js'); // Conversion between decimal strings and cents
+const { serializeCheckDeposit, serializeTransaction, serializeHold } = require('../serializers.js'); // Response shapes
+
+/**
+ * Loads the deposit named in the URL into req.deposit, provided the caller owns it or may
+ * review deposits.
+ */
+async function loadDeposit(req, res, next) {
+    try {
+        const deposit = await checkDepositService.findDeposit(req.params.id);
+        if (deposit.ownerEmail !== req.user.email && !hasPermission(await loadRole(req), 'checks:review')) {
+            // Don't reveal that someone else's deposit exists
+            return res.status(404).json({ message: 'Deposit not found.' });
+        }
+        req.deposit = deposit;
+        next();
+    } catch (error) {
+        sendError(res, error, 'loading check deposit');
+    }
+}
+
+/**
+ * POST /
+ * Submits a check for deposit into { accountNumber }: its { amount }, { checkNumber }, and
+ * photos of the front and back as { frontImage, backImage }, each a base64 encoded JPEG or
+ * PNG (a data URL is fine). The deposit waits for review; nothing is credited until it is
+ * approved. Send an Idempotency-Key header to make retries safe.
+ */
+router.post('/', verifyAuth0Token, requireAccountOwner(req => req.body.accountNumber), idempotent, async (req, res) => {
+    const { amount, checkNumber, frontImage, backImage } = req.body;
+    try {
+        const deposit = await checkDepositService.submitDeposit(req.account, {
+            amountCents: parseAmount(amount),
+            checkNumber,
+            frontImage,
+            backImage
+        }, req.user.email);
+        res.status(201).json({ message: 'Check submitted for review', deposit: serializeCheckDeposit(deposit) });
+    } catch (error) {
+        sendError(res, error, 'submitting check deposit');
+    }
+});
+
+/**
+ * GET /
+ * Lists the caller's check deposits, newest first.
+ */
+router.get('/', verifyAuth0Token, async (req, res) => {
+    try {
+        const deposits = await checkDepositService.listDeposits(req.user.email);
+        res.json(deposits.map(deposit => serializeCheckDeposit(deposit)));
+    } catch (error) {
+        sendError(res, error, 'listing check deposits');
+    }
+});
+
+/**
+ * GET /queue
+ * Lists the deposits waiting for review, oldest first. Staff only.
+ */
+router.get('/queue', verifyAuth0Token, requirePermission('checks:review'), async (req, res) => {
+    try {
+        const deposits = await checkDepositService.listReviewQueue();
+        res.json(deposits.map(deposit => serializeCheckDeposit(deposit, req.user)));
+    } catch (error) {
+        sendError(res, error, 'listing check review queue');
+    }
+});
+
+/**
+ * GET /:id/images/:side
+ * Sends the photo of the front or back of a deposited check.
+ */
+router.get('/:id/images/:side', verifyAuth0Token, loadDeposit, async (req, res) => {
+    try {
+        const { filePath, contentType } = checkDepositService.imageOf(req.deposit, req.params.side);
+        res.type(contentType).sendFile(filePath, error => {
+            if (error && !res.headersSent) {
+                sendError(res, error, 'sending check image');
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'sending check image');
+    }
+});
+
+/**
+ * POST /:id/approve
+ * Approves a pending deposit: the amount is posted to the account and held until the check
+ * clears. Staff only, and never for their own deposits.
+ */
+router.post('/:id/approve', verifyAuth0Token, requirePermission('checks:review'), loadDeposit, async (req, res) => {
+    try {
+        const { deposit, account, entry, hold } = await checkDepositService.approveDeposit(req.deposit, req.user.email);
+        res.json({
+            message: 'Deposit approved',
+            deposit: serializeCheckDeposit(deposit, req.user),
+            transaction: serializeTransaction(entry, req.user),
+            hold: hold && serializeHold(hold),
+            balance: formatAmount(account.balanceCents)
+        });
+    } catch (error) {
+        sendError(res, error, 'approving check deposit');
+    }
+});
+
+/**
+ * POST /:id/reject
+ * Rejects a pending deposit with a { reason } the customer is told. Staff only, and never
+ * for their own deposits.
+ */
+router.post('/:id/reject', verifyAuth0Token, requirePermission('checks:review'), loadDeposit, async (req, res) => {
+    try {
+        const deposit = await checkDepositService.rejectDeposit(req.deposit, req.body.reason, req.user.email);
+        res.json({ message: 'Deposit rejected', deposit: serializeCheckDeposit(deposit, req.user) });
+    } catch (error) {
+        sendError(res, error, 'rejecting check deposit');
+    }
+});
+
+// Export the router for use in the main server file
+module.exports = router;
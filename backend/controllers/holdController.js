@@ -0,0 +1,117 @@
+/**
+ * holdController.js
+ * ./backend/controllers/holdController.js
+ *
+ * This controller handles routing for holds, as used by card-style payments: an
+ * authorization places a hold that reduces the account's available balance without
+ * touching its ledger balance, and the hold is later captured, in full or in part, or
+ * released. Holds that are neither expire on their own (see jobs/holdExpiry.js).
+ *
+ * Every route requires an Auth0 access token. Holds can only be placed and settled by the
+ * owner of the account, or by staff allowed to act on any account.
+ */
+
+const express = require('express');
+const router = express.Router();
+const dal = require('../dal.js'); // Data Access Layer for database operations
+const { idempotent } = require('../middlewares/idempotencyMiddleware.js'); // Replays responses for repeated Idempotency-Keys
+const { verifyAuth0Token } = require('../middlewares/authMiddleware.js'); // Verifies Auth0 access tokens
+const { sendError } = require('../middlewares/errorMiddleware.js'); // Error responses
+const { requireAccountOwner } = require('../middlewares/ownershipMiddleware.js'); // Restricts routes to the account's owner
+const { hasPermission, loadRole } = require('../middlewares/permissionMiddleware.js'); // Role-based permissions
+const { parseAmount } = require('../money.js'); // Conversion between decimal strings and cents
+const { serializeHold, serializeBalance, serializeTransaction } = require('../serializers.js'); // Response shapes for holds
+
+/**
+ * Middleware that loads the hold named in the URL into req.hold, provided the caller owns
+ * the account it is on or is staff allowed to act on any account.
+ */
+async function loadOwnHold(req, res, next) {
+    try {
+        const hold = await dal.findHold(req.params.id);
+        if (hold.ownerEmail !== req.user.email && !hasPermission(await loadRole(req), 'accounts:act-on-any')) {
+            // Don't reveal that someone else's hold exists
+            return res.status(404).json({ message: 'Hold not found.' });
+        }
+        req.hold = hold;
+        next();
+    } catch (error) {
+        sendError(res, error, 'loading hold');
+    }
+}
+
+/**
+ * POST /
+ * Authorizes a payment from one of the caller's accounts by placing a hold of
+ * { accountNumber, amount, description } on it.
+ * Send an Idempotency-Key header to make retries safe.
+ */
+router.post('/', verifyAuth0Token, requireAccountOwner(req => req.body.accountNumber), idempotent, async (req, res) => {
+    const { amount, description } = req.body;
+    try {
+        const hold = await dal.authorizeHold(req.account.accountNumber, parseAmount(amount), req.user.email, description);
+        const account = await dal.findAccount(hold.accountNumber);
+        res.status(201).json({ message: 'Hold placed', hold: serializeHold(hold), ...serializeBalance(account) });
+    } catch (error) {
+        sendError(res, error, 'placing hold');
+    }
+});
+
+/**
+ * GET /account/:accountNumber
+ * Lists the holds on one of the caller's accounts, newest first.
+ */
+router.get('/account/:accountNumber', verifyAuth0Token, requireAccountOwner(req => req.params.accountNumber), async (req, res) => {
+    try {
+        const holds = await dal.getHoldsByAccount(req.account.accountNumber);
+        res.json(holds.map(serializeHold));
+    } catch (error) {
+        sendError(res, error, 'listing holds');
+    }
+});
+
+/**
+ * GET /:id
+ * Retrieves a hold.
+ */
+router.get('/:id', verifyAuth0Token, loadOwnHold, (req, res) => {
+    res.json(serializeHold(req.hold));
+});
+
+/**
+ * POST /:id/capture
+ * Captures a hold, taking { amount } off the balance; without an amount the whole held
+ * amount is captured. Whatever is not captured is released.
+ * Send an Idempotency-Key header to make retries safe.
+ */
+router.post('/:id/capture', verifyAuth0Token, loadOwnHold, idempotent, async (req, res) => {
+    const { amount } = req.body;
+    try {
+        const amountCents = amount === undefined || amount === '' ? undefined : parseAmount(amount);
+        const result = await dal.captureHold(req.hold._id.toString(), amountCents, req.user.email);
+        res.json({
+            message: 'Hold captured',
+            hold: serializeHold(result.hold),
+            transaction: serializeTransaction(result.entry, req.user),
+            ...serializeBalance(result.account)
+        });
+    } catch (error) {
+        sendError(res, error, 'capturing hold');
+    }
+});
+
+/**
+ * POST /:id/release
+ * Releases a hold without taking anything.
+ */
+router.post('/:id/release', verifyAuth0Token, loadOwnHold, async (req, res) => {
+    try {
+        const result = await dal.releaseHold(req.hold._id.toString());
+        res.json({ message: 'Hold released', hold: serializeHold(result.hold), ...serializeBalance(result.account) });
+    } catch (error) {
+        sendError(res, error, 'releasing hold');
+    }
+});
+
+// Export the router for use in the main server file
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * notificationController.js
+ * ./backend/controllers/notificationController.js
+ *
+ * This controller handles routing for the caller's notifications: listing them and marking
+ * them read.
+ *
+ * Every route requires an Auth0 access token and works on the caller's own notifications.
+ */
+
+const express = require('express');
+const router = express.Router();
+const notificationService = require('../services/notificationService.js'); // Notification storage
+const { verifyAuth0Token } = require('../middlewares/authMiddleware.js'); // Verifies Auth0 access tokens
+const { sendError } = require('../middlewares/errorMiddleware.js'); // Error responses
+const { serializeNotification } = require('../serializers.js'); // Response shapes
+
+/**
+ * GET /[?unread=true]
+ * Lists the caller's notifications, newest first, or only those not read yet.
+ */
+router.get('/', verifyAuth0Token, async (req, res) => {
+    try {
+        const notifications = await notificationService.listNotifications(req.user.email, { unreadOnly: req.query.unread === 'true' });
+        res.json(notifications.map(serializeNotification));
+    } catch (error) {
+        sendError(res, error, 'listing notifications');
+    }
+});
+
+/**
+ * POST /read
+ * Marks all of the caller's notifications read.
+ */
+router.post('/read', verifyAuth0Token, async (req, res) => {
+    try {
+        const marked = await notificationService.markAllRead(req.user.email);
+        res.json({ message: 'Notifications marked read', marked });
+    } catch (error) {
+        sendError(res, error, 'marking notifications read');
+    }
+});
+
+/**
+ * POST /:id/read
+ * Marks one of the caller's notifications read.
+ */
+router.post('/:id/read', verifyAuth0Token, async (req, res) => {
+    try {
+        const notification = await notificationService.markRead(req.user.email, req.params.id);
+        res.json({ message: 'Notification marked read', notification: serializeNotification(notification) });
+    } catch (error) {
+        sendError(res, error, 'marking notification read');
+    }
+});
+
+// Export the router for use in the main server file
+module.exports = router;
@@ -0,0 +1,81 @@
+/**
+ * p2pController.js
+ * ./backend/controllers/p2pController.js
+ *
+ * This controller handles routing for payments between customers: looking up the person
+ * to pay by their email address or phone number, paying them, and listing the payments the
+ * caller sent and received.
+ *
+ * Every route requires an Auth0 access token. Payments can only be sent from accounts the
+ * caller owns, or by staff allowed to act on any account.
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const p2pService = require('../services/p2pService.js'); // Recipient lookup and payments between customers
+const { idempotent } = require('../middlewares/idempotencyMiddleware.js'); // Replays responses for repeated Idempotency-Keys
+const { verifyAuth0Token } = require('../middlewares/authMiddleware.js'); // Verifies Auth0 access tokens
+const { sendError } = require('../middlewares/errorMiddleware.js'); // Error responses
+const { requireAccountOwner } = require('../middlewares/ownershipMiddleware.js'); // Restricts routes to the account's owner
+const { parseAmount, formatAmount } = require('../money.js'); // Conversion between decimal strings and cents
+const { maskName, serializePeerPayment } = require('../serializers.js'); // Response shapes
+
+// Looking people up tells the caller who banks here, so each caller gets a few dozen a window
+const recipientLookupLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 30,
+    keyGenerator: req => req.user.email,
+    message: { message: 'Too many recipient look-ups. Please try again later.' }
+});
+
+/**
+ * GET /recipient?to=
+ * Looks up the customer with the email address or phone number in `to` and returns their
+ * name masked, e.g. "J*** S****", so the caller can check who they are about to pay. Limited
+ * to 30 look-ups per caller every 15 minutes.
+ */
+router.get('/recipient', verifyAuth0Token, recipientLookupLimiter, async (req, res) => {
+    try {
+        const { user } = await p2pService.findRecipient(req.query.to);
+        res.json({ name: maskName(user.name) });
+    } catch (error) {
+        sendError(res, error, 'looking up recipient');
+    }
+});
+
+/**
+ * GET /
+ * Lists the payments the caller sent or received, newest first.
+ */
+router.get('/', verifyAuth0Token, async (req, res) => {
+    try {
+        const payments = await p2pService.listPayments(req.user.email);
+        res.json(payments.map(payment => serializePeerPayment(payment, req.user)));
+    } catch (error) {
+        sendError(res, error, 'listing payments');
+    }
+});
+
+/**
+ * POST /
+ * Pays { amount } from { fromAccountNumber } to the customer with the email address or
+ * phone number in { to }, with an optional { memo }, and notifies them.
+ * Send an Idempotency-Key header to make retries safe.
+ */
+router.post('/', verifyAuth0Token, requireAccountOwner(req => req.body.fromAccountNumber), idempotent, async (req, res) => {
+    const { to, amount, memo } = req.body;
+    try {
+        const { payment, account } = await p2pService.sendPayment(req.account, { to, amountCents: parseAmount(amount), memo }, req.user.email);
+        res.status(201).json({
+            message: 'Payment sent',
+            payment: serializePeerPayment(payment, { email: account.ownerEmail }),
+            balance: formatAmount(account.balanceCents)
+        });
+    } catch (error) {
+        sendError(res, error, 'sending payment');
+    }
+});
+
+// Export the router for use in the main server file
+module.exports = router;
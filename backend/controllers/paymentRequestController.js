@@ -0,0 +1,144 @@
+/**
+ * paymentRequestController.js
+ * ./backend/controllers/paymentRequestController.js
+ *
+ * This controller handles routing for payment requests: asking other customers for money,
+ * e.g. to split a bill, listing the requests the caller made or was sent, and paying,
+ * declining, cancelling or sending a reminder about one. Expiry and automatic reminders are
+ * handled by the payment requests job (jobs/paymentRequests.js).
+ *
+ * Every route requires an Auth0 access token. A request can be paid or declined by the
+ * person it was sent to, and cancelled or followed up by the person who made it; staff
+ * allowed to act on any account can do either.
+ */
+
+const express = require('express');
+const router = express.Router();
+const paymentRequestService = require('../services/paymentRequestService.js'); // Payment request storage and actions
+const { idempotent } = require('../middlewares/idempotencyMiddleware.js'); // Replays responses for repeated Idempotency-Keys
+const { verifyAuth0Token } = require('../middlewares/authMiddleware.js'); // Verifies Auth0 access tokens
+const { sendError } = require('../middlewares/errorMiddleware.js'); // Error responses
+const { requireAccountOwner } = require('../middlewares/ownershipMiddleware.js'); // Restricts routes to the account's owner
+const { hasPermission, loadRole } = require('../middlewares/permissionMiddleware.js'); // Role-based permissions
+const { parseAmount, formatAmount } = require('../money.js'); // Conversion between decimal strings and cents
+const { serializePaymentRequest, serializePeerPayment } = require('../serializers.js'); // Response shapes
+
+/**
+ * Builds middleware that loads the request named in the URL into req.paymentRequest,
+ * provided the caller is on the given side of it ('requesterEmail' or 'payerEmail') or is
+ * staff allowed to act on any account.
+ */
+function loadRequest(side) {
+    return async (req, res, next) => {
+        try {
+            const request = await paymentRequestService.findRequest(req.params.id);
+            if (request[side] !== req.user.email && !hasPermission(await loadRole(req), 'accounts:act-on-any')) {
+                // Don't reveal that someone else's request exists
+                return res.status(404).json({ message: 'Request not found.' });
+            }
+            req.paymentRequest = request;
+            next();
+        } catch (error) {
+            sendError(res, error, 'loading payment request');
+        }
+    };
+}
+
+/**
+ * GET /[?status=]
+ * Lists the requests the caller made or was sent, newest first. By default lists those
+ * still pending; status may also be paid, declined, cancelled or expired.
+ */
+router.get('/', verifyAuth0Token, async (req, res) => {
+    try {
+        const requests = await paymentRequestService.listRequests(req.user.email, req.query.status || undefined);
+        res.json(requests.map(request => serializePaymentRequest(request, req.user)));
+    } catch (error) {
+        sendError(res, error, 'listing payment requests');
+    }
+});
+
+/**
+ * POST /
+ * Asks the customers with the email addresses or phone numbers in { from } for { amount },
+ * to be paid into { toAccountNumber }, with an optional { memo }. With { split: true },
+ * amount is a bill split evenly between them and the caller, so a $90 dinner shared with
+ * two others asks each for $30. Send an Idempotency-Key header to make retries safe.
+ */
+router.post('/', verifyAuth0Token, requireAccountOwner(req => req.body.toAccountNumber), idempotent, async (req, res) => {
+    const { from, amount, split, memo } = req.body;
+    try {
+        const requests = await paymentRequestService.createRequests(req.account, {
+            from,
+            amountCents: parseAmount(amount),
+            split: split === true || split === 'true',
+            memo
+        });
+        const viewer = { email: req.account.ownerEmail };
+        res.status(201).json({ message: 'Money requested', requests: requests.map(request => serializePaymentRequest(request, viewer)) });
+    } catch (error) {
+        sendError(res, error, 'requesting money');
+    }
+});
+
+/**
+ * POST /:id/pay
+ * Pays a request sent to the caller from { fromAccountNumber }, which must be in the
+ * request's currency. Send an Idempotency-Key header to make retries safe.
+ */
+router.post('/:id/pay', verifyAuth0Token, loadRequest('payerEmail'), requireAccountOwner(req => req.body.fromAccountNumber), idempotent, async (req, res) => {
+    try {
+        const { request, payment, account } = await paymentRequestService.payRequest(req.paymentRequest, req.account, req.user.email);
+        const viewer = { email: account.ownerEmail };
+        res.json({
+            message: 'Request paid',
+            request: serializePaymentRequest(request, viewer),
+            payment: serializePeerPayment(payment, viewer),
+            balance: formatAmount(account.balanceCents)
+        });
+    } catch (error) {
+        sendError(res, error, 'paying request');
+    }
+});
+
+/**
+ * POST /:id/decline
+ * Turns down a request sent to the caller, with an optional { reason } for the requester.
+ */
+router.post('/:id/decline', verifyAuth0Token, loadRequest('payerEmail'), async (req, res) => {
+    try {
+        const request = await paymentRequestService.declineRequest(req.paymentRequest, req.body.reason);
+        res.json({ message: 'Request declined', request: serializePaymentRequest(request, { email: request.payerEmail }) });
+    } catch (error) {
+        sendError(res, error, 'declining request');
+    }
+});
+
+/**
+ * POST /:id/cancel
+ * Withdraws a request the caller made.
+ */
+router.post('/:id/cancel', verifyAuth0Token, loadRequest('requesterEmail'), async (req, res) => {
+    try {
+        const request = await paymentRequestService.cancelRequest(req.paymentRequest);
+        res.json({ message: 'Request cancelled', request: serializePaymentRequest(request, { email: request.requesterEmail }) });
+    } catch (error) {
+        sendError(res, error, 'cancelling request');
+    }
+});
+
+/**
+ * POST /:id/remind
+ * Reminds the person a pending request was sent to of it, at most once a day.
+ */
+router.post('/:id/remind', verifyAuth0Token, loadRequest('requesterEmail'), async (req, res) => {
+    try {
+        const request = await paymentRequestService.remindRequest(req.paymentRequest);
+        res.json({ message: 'Reminder sent', request: serializePaymentRequest(request, { email: request.requesterEmail }) });
+    } catch (error) {
+        sendError(res, error, 'sending reminder');
+    }
+});
+
+// Export the router for use in the main server file
+module.exports = router;
@@ -0,0 +1,143 @@
+/**
+ * scheduleController.js
+ * ./backend/controllers/scheduleController.js
+ *
+ * This controller handles routing for scheduled and recurring transfers: setting them up,
+ * listing them with their run history, and pausing, resuming or cancelling them. The
+ * transfers themselves are made by the scheduled transfers job (jobs/scheduledTransfers.js).
+ *
+ * Every route requires an Auth0 access token. Schedules can only be managed by the owner of
+ * the account they debit, or by staff allowed to act on any account.
+ */
+
+const express = require('express');
+const router = express.Router();
+const scheduleService = require('../services/scheduleService.js'); // Scheduled transfer storage and runner
+const dal = require('../dal.js'); // Data Access Layer for database operations
+const { idempotent } = require('../middlewares/idempotencyMiddleware.js'); // Replays responses for repeated Idempotency-Keys
+const { verifyAuth0Token } = require('../middlewares/authMiddleware.js'); // Verifies Auth0 access tokens
+const { sendError } = require('../middlewares/errorMiddleware.js'); // Error responses
+const { requireAccountOwner } = require('../middlewares/ownershipMiddleware.js'); // Restricts routes to the account's owner
+const { hasPermission, loadRole } = require('../middlewares/permissionMiddleware.js'); // Role-based permissions
+const { parseAmount } = require('../money.js'); // Conversion between decimal strings and cents
+const { serializeSchedule, serializeScheduleRun } = require('../serializers.js'); // Response shapes for schedules
+
+/**
+ * Middleware that loads the schedule named in the URL into req.schedule, provided the
+ * caller owns the account it debits or is staff allowed to act on any account.
+ */
+async function loadOwnSchedule(req, res, next) {
+    try {
+        const schedule = await scheduleService.findSchedule(req.params.id);
+        if (schedule.ownerEmail !== req.user.email && !hasPermission(await loadRole(req), 'accounts:act-on-any')) {
+            // Don't reveal that someone else's schedule exists
+            return res.status(404).json({ message: 'Schedule not found.' });
+        }
+        req.schedule = schedule;
+        next();
+    } catch (error) {
+        sendError(res, error, 'loading schedule');
+    }
+}
+
+/**
+ * Returns the numbers of the caller's own accounts, so responses can show them unmasked.
+ */
+async function ownAccountNumbers(req) {
+    const accounts = await dal.findAccountsByEmail(req.user.email);
+    return accounts.map(account => account.accountNumber);
+}
+
+/**
+ * POST /
+ * Sets up a transfer from one of the caller's accounts, either once on startDate or
+ * repeating 'daily', 'weekly' or 'monthly' from startDate until the optional endDate.
+ * Send an Idempotency-Key header to make retries safe.
+ */
+router.post('/', verifyAuth0Token, requireAccountOwner(req => req.body.fromAccountNumber), idempotent, async (req, res) => {
+    const { toAccountNumber, amount, frequency, startDate, endDate, description } = req.body;
+    try {
+        const schedule = await scheduleService.createSchedule({
+            fromAccount: req.account,
+            toAccountNumber,
+            amountCents: parseAmount(amount),
+            frequency,
+            startDate,
+            endDate,
+            description,
+            createdBy: req.user.email
+        });
+        res.status(201).json({ message: 'Transfer scheduled successfully', schedule: serializeSchedule(schedule, req.user, await ownAccountNumbers(req)) });
+    } catch (error) {
+        sendError(res, error, 'creating schedule');
+    }
+});
+
+/**
+ * GET /
+ * Lists the schedules on the caller's accounts.
+ */
+router.get('/', verifyAuth0Token, async (req, res) => {
+    try {
+        const schedules = await scheduleService.listSchedules(req.user.email);
+        const own = await ownAccountNumbers(req);
+        res.json(schedules.map(schedule => serializeSchedule(schedule, req.user, own)));
+    } catch (error) {
+        sendError(res, error, 'listing schedules');
+    }
+});
+
+/**
+ * GET /:id
+ * Retrieves a schedule along with the outcome of each of its runs, newest first.
+ */
+router.get('/:id', verifyAuth0Token, loadOwnSchedule, async (req, res) => {
+    try {
+        const runs = await scheduleService.listRuns(req.schedule._id);
+        res.json({ ...serializeSchedule(req.schedule, req.user, await ownAccountNumbers(req)), runs: runs.map(serializeScheduleRun) });
+    } catch (error) {
+        sendError(res, error, 'retrieving schedule');
+    }
+});
+
+/**
+ * POST /:id/pause
+ * Pauses an active schedule.
+ */
+router.post('/:id/pause', verifyAuth0Token, loadOwnSchedule, async (req, res) => {
+    try {
+        const schedule = await scheduleService.pauseSchedule(req.schedule);
+        res.json({ message: 'Schedule paused', schedule: serializeSchedule(schedule, req.user, await ownAccountNumbers(req)) });
+    } catch (error) {
+        sendError(res, error, 'pausing schedule');
+    }
+});
+
+/**
+ * POST /:id/resume
+ * Resumes a paused schedule from its next upcoming occurrence.
+ */
+router.post('/:id/resume', verifyAuth0Token, loadOwnSchedule, async (req, res) => {
+    try {
+        const schedule = await scheduleService.resumeSchedule(req.schedule);
+        res.json({ message: 'Schedule resumed', schedule: serializeSchedule(schedule, req.user, await ownAccountNumbers(req)) });
+    } catch (error) {
+        sendError(res, error, 'resuming schedule');
+    }
+});
+
+/**
+ * DELETE /:id
+ * Cancels a schedule. Its run history is kept.
+ */
+router.delete('/:id', verifyAuth0Token, loadOwnSchedule, async (req, res) => {
+    try {
+        const schedule = await scheduleService.cancelSchedule(req.schedule);
+        res.json({ message: 'Schedule cancelled', schedule: serializeSchedule(schedule, req.user, await ownAccountNumbers(req)) });
+    } catch (error) {
+        sendError(res, error, 'cancelling schedule');
+    }
+});
+
+// Export the router for use in the main server file
+module.exports = router;
@@ -3,7 +3,8 @@
  * ./backend/controllers/transactionController.js
  * 
  * Controller for handling transaction-related routes. It includes functionalities
- * for retrieving secure data, fetching all transactions, and creating new transactions.
+ * for retrieving secure data, fetching the caller's ledger, exporting an account's ledger
+ * as CSV, OFX or QIF. Entries are only ever written by the DAL's balance changes.
  * It utilizes middleware for authentication and validation to ensure the security
  * and integrity of transactions.
  */
@@ -12,11 +13,15 @@ const express = require('express');
 const router = express.Router();
 
 // Middleware imports for authentication and validation
-const { authenticateToken } = require('../middlewares/authMiddleware.js');
+const { authenticateToken, verifyAuth0Token } = require('../middlewares/authMiddleware.js');
 const { validateUser } = require('../middlewares/validationMiddleware.js');
+const { requireAccountOwner } = require('../middlewares/ownershipMiddleware.js');
+const { sendError } = require('../middlewares/errorMiddleware.js');
 
 // Data Access Layer (DAL) import for database operations
 const dal = require('../dal.js');
+const { serializeTransaction } = require('../serializers.js');
+const { exportRange, exportTransactions } = require('../services/exportService.js');
 
 /**
  * GET /secure-data
@@ -35,49 +40,71 @@ router.get('/secure-data', validateUser, authenticateToken, (req, res) => {
 
 /**
  * GET /
- * Retrieves all transactions available in the database. This route applies
- * validateUser middleware to ensure the request is from a valid user.
+ * Retrieves the ledger entries for the authenticated caller, newest first.
+ * Every deposit and withdrawal on the caller's account appears here.
  * 
- * @middleware validateUser - Validates the user's request format and parameters.
+ * @middleware verifyAuth0Token - Verifies the caller's Auth0 access token.
  * 
- * @returns {Array} A JSON array of all transactions.
+ * @returns {Array} A JSON array of the caller's transactions.
  */
-router.get('/', validateUser, async (req, res) => {
+router.get('/', verifyAuth0Token, async (req, res) => {
     try {
-        // Retrieves all transactions from the DAL
-        const transactions = await dal.getAllTransactions();
-        // Responds with the retrieved transactions
-        res.json(transactions);
+        // Retrieves the caller's ledger entries and accounts from the DAL
+        const transactions = await dal.getTransactionsByEmail(req.user.email);
+        const ownAccountNumbers = (await dal.findAccountsByEmail(req.user.email)).map(account => account.accountNumber);
+        // Responds with the retrieved transactions, amounts as decimal strings
+        res.json(transactions.map(entry => serializeTransaction(entry, req.user, ownAccountNumbers)));
     } catch (error) {
-        // Logs the error to the console and responds with a 500 status code
-        console.error('Error getting transactions:', error);
-        res.status(500).json({ message: 'Internal server error' });
+        sendError(res, error, 'getting transactions');
     }
 });
 
 /**
- * POST /
- * Creates a new transaction in the database. This route is protected by the
- * validateUser middleware to ensure the request comes from a valid user.
+ * GET /account/:accountNumber
+ * Retrieves the ledger entries of one of the caller's accounts made between two days,
+ * newest first.
  * 
- * @middleware validateUser - Validates the user's request format and parameters.
+ * @middleware verifyAuth0Token - Verifies the caller's Auth0 access token.
+ * @middleware requireAccountOwner - Lets only the account's owner, or staff, through.
+ * 
+ * @param {string} from - First day, YYYY-MM-DD (query string).
+ * @param {string} to - Last day, YYYY-MM-DD (query string).
+ * 
+ * @returns {Array} A JSON array of the account's transactions.
+ */
+router.get('/account/:accountNumber', verifyAuth0Token, requireAccountOwner(req => req.params.accountNumber), async (req, res) => {
+    try {
+        const { start, end } = exportRange(req.query.from, req.query.to, new Date());
+        const transactions = await dal.getTransactionsBetween(req.account.accountNumber, start, end);
+        const ownAccountNumbers = (await dal.findAccountsByEmail(req.user.email)).map(account => account.accountNumber);
+        res.json(transactions.reverse().map(entry => serializeTransaction(entry, req.user, ownAccountNumbers)));
+    } catch (error) {
+        sendError(res, error, 'getting account transactions');
+    }
+});
+
+/**
+ * GET /account/:accountNumber/export
+ * Downloads the ledger entries of one of the caller's accounts made between two days as a
+ * file for accounting tools. Each entry keeps the same transaction id in every export, so
+ * importing overlapping ranges does not duplicate entries.
+ * 
+ * @middleware verifyAuth0Token - Verifies the caller's Auth0 access token.
+ * @middleware requireAccountOwner - Lets only the account's owner, or staff, through.
  * 
- * @param {number} amount - The amount for the transaction.
- * @param {string} description - The description of the transaction.
+ * @param {string} format - csv, ofx (OFX 2.2) or qif (query string).
+ * @param {string} from - First day, YYYY-MM-DD (query string).
+ * @param {string} to - Last day, YYYY-MM-DD (query string).
  * 
- * @returns {Object} The newly created transaction.
+ * @returns {File} The export, as an attachment.
  */
-router.post('/', validateUser, async (req, res) => {
-    const { amount, description } = req.body;
+router.get('/account/:accountNumber/export', verifyAuth0Token, requireAccountOwner(req => req.params.accountNumber), async (req, res) => {
     try {
-        // Creates a new transaction using the DAL
-        const newTransaction = await dal.createTransaction(amount, description);
-        // Responds with the newly created transaction and a 201 status code
-        res.status(201).json(newTransaction);
+        const file = await exportTransactions(req.account, req.query);
+        res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.type(file.contentType).send(file.body);
     } catch (error) {
-        // Logs the error to the console and responds with a 500 status code
-        console.error('Error creating transaction:', error);
-        res.status(500).json({ message: 'Internal server error' });
+        sendError(res, error, 'exporting transactions');
     }
 });
 
@@ -2,10 +2,36 @@
 require('dotenv').config();
 
 // Import necessary modules.
-const { MongoClient } = require('mongodb');
+const { MongoClient, ObjectId } = require('mongodb');
 const logger = require('./logger'); // Winston or similar logger setup for logging messages.
 const bcrypt = require('bcrypt');
+const { ValidationError, NotFoundError, InsufficientFundsError, ConflictError, LimitExceededError, AccountRestrictedError } = require('./middlewares/errorMiddleware');
+const { RATE_SCALE, MICROS_PER_CENT, assertPositiveCents, formatAmount, convertCents } = require('./money');
+const { ACCOUNT_TYPES, ACCOUNT_TYPE_SETTINGS } = require('./config/accountTypes'); // Kinds of bank account a user can open.
+const { BASE_CURRENCY, CURRENCIES, FX_SPREAD_BPS } = require('./config/currencies'); // Currencies an account can be held in.
+const { categorize } = require('./config/categories'); // Spending categories of ledger entries.
+const { signedCents } = require('./ledgerFiles'); // Which way each kind of ledger entry moves a balance.
+const { contactKeys } = require('./contacts'); // Normalized emails and phone numbers customers are paid at.
 const saltRounds = 10; // Salt rounds for bcrypt hashing.
+const USER_ROLES = ['user', 'admin', 'bank employee']; // Roles a user can hold, as in models/user.js.
+const WITHDRAWAL_LIMIT_KEYS = ['perTransactionCents', 'dailyAmountCents', 'dailyCount']; // Limits an admin can override per account.
+const WITHDRAWAL_WINDOW_MS = 24 * 60 * 60 * 1000; // Daily withdrawal limits cover any 24 hours.
+const ACCOUNT_NUMBER_ATTEMPTS = 5; // Random account numbers tried before opening an account fails.
+// How long an authorization holds funds before it expires, configurable through HOLD_EXPIRY_HOURS (default 7 days).
+const HOLD_LIFETIME_MS = (Number(process.env.HOLD_EXPIRY_HOURS) || 7 * 24) * 60 * 60 * 1000;
+// How long the money from an approved check deposit stays on hold while the check clears,
+// configurable through CHECK_HOLD_DAYS (default 2; 0 makes it available straight away).
+const CHECK_HOLD_MS = (process.env.CHECK_HOLD_DAYS === undefined ? 2 : Number(process.env.CHECK_HOLD_DAYS)) * 24 * 60 * 60 * 1000;
+// How long after closing an account an admin can still reopen it, configurable through ACCOUNT_REOPEN_GRACE_DAYS (default 30).
+const REOPEN_GRACE_MS = (Number(process.env.ACCOUNT_REOPEN_GRACE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// Restrictions staff can place on an account, see placeRestriction, and the error code each gives.
+const RESTRICTION_CODES = { freeze: 'ACCOUNT_FROZEN', lock: 'ACCOUNT_LOCKED', 'legal-hold': 'LEGAL_HOLD' };
+const RESTRICTION_TYPES = Object.keys(RESTRICTION_CODES);
+const MAX_RESTRICTION_REASON_LENGTH = 200;
+// Match the accounts money can be paid into and taken out of. Accounts opened before
+// closure existed have no status, and those never restricted no restrictions.
+const CREDITABLE = { status: { $ne: 'closed' }, 'restrictions.type': { $ne: 'lock' } };
+const DEBITABLE = { status: { $ne: 'closed' }, 'restrictions.type': { $nin: ['freeze', 'lock'] } };
 
 // MongoDB URI and default database name from environment variables.
 const url = process.env.MONGODB_URI;
@@ -14,17 +40,20 @@ const defaultDbName = process.env.DB_NAME;
 // Global variables to hold the client and db instances to avoid reconnecting to MongoDB multiple times.
 let db;
 let client;
+const indexesReady = new Map(); // Index creation for each collection, under way or done, by name.
 
 /**
  * Connects to MongoDB and initializes the db and client variables.
  * Reuses the connection if already established.
+ * @param {string} [uri] Connection string, defaults to MONGODB_URI.
+ * @param {string} [dbName] Database name, defaults to DB_NAME.
  * @returns {Object} An object containing the db and client instances.
  */
-async function connectToMongo() {
+async function connectToMongo(uri = url, dbName = defaultDbName) {
     if (db) return { db, client };
     try {
-        client = await MongoClient.connect(url, { useNewUrlParser: true, useUnifiedTopology: true });
-        db = client.db(defaultDbName);
+        client = await MongoClient.connect(uri, { useNewUrlParser: true, useUnifiedTopology: true });
+        db = client.db(dbName);
         logger.info('Successfully connected to MongoDB.');
         return { db, client };
     } catch (error) {
@@ -42,6 +71,476 @@ function getDb() {
     return db;
 }
 
+/**
+ * Runs the given work inside a MongoDB transaction so that every write it makes
+ * commits or aborts together. The work function may be retried by the driver on
+ * transient errors, so it must not have side effects outside the database.
+ * @param {Function} work Async function receiving the session to pass to each operation.
+ * @returns {Promise<*>} Whatever the work function resolved with on its committed attempt.
+ */
+async function runInTransaction(work) {
+    const { client } = await connectToMongo();
+    const session = client.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        session.endSession();
+    }
+}
+
+/**
+ * Returns a collection, creating its indexes the first time it is asked for. Later calls
+ * wait for that creation instead of starting another; if it fails, the next call retries it.
+ * @param {string} name Name of the collection.
+ * @param {Array<Array>} indexes Each index as [keys, options], e.g. [{ email: 1 }, { unique: true }].
+ * @returns {Promise<Object>} The collection, once its indexes exist.
+ */
+async function getIndexedCollection(name, indexes) {
+    const { db } = await connectToMongo();
+    const collection = db.collection(name);
+    if (!indexesReady.has(name)) {
+        indexesReady.set(name, Promise.all(indexes.map(([keys, options]) => collection.createIndex(keys, options)))
+            .catch(error => {
+                indexesReady.delete(name);
+                throw error;
+            }));
+    }
+    await indexesReady.get(name);
+    return collection;
+}
+
+/**
+ * Returns the accounts collection, creating its indexes on first use: account numbers are
+ * unique, and a customer's accounts are looked up by their email.
+ * @returns {Promise<Object>} The accounts collection.
+ */
+function getAccountsCollection() {
+    return getIndexedCollection('accounts', [
+        [{ accountNumber: 1 }, { unique: true }],
+        [{ ownerEmail: 1 }]
+    ]);
+}
+
+/**
+ * Returns the ledger collection, creating its indexes on first use: an account's entries in
+ * date order, which its history, statements, exports, past balances and withdrawal limits
+ * are read by, and at most one entry per account for each transaction id an import brought
+ * in from another system.
+ * @returns {Promise<Object>} The transactions collection.
+ */
+function getTransactionsCollection() {
+    return getIndexedCollection('transactions', [
+        [{ accountNumber: 1, createdAt: 1, _id: 1 }],
+        [{ accountNumber: 1, externalId: 1 }, { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }]
+    ]);
+}
+
+/**
+ * Appends an entry to the transaction ledger. Ledger entries are never updated
+ * or deleted; every balance change writes a new one in the same transaction. Entries are
+ * given a spending category by their owner's rules as they are written; that category can
+ * be changed later.
+ * @param {Object} session The session of the surrounding transaction.
+ * @param {Object} account The account document after the balance change.
+ * @param {string} type The kind of entry, e.g. 'deposit' or 'withdrawal'.
+ * @param {number} amountCents The amount moved, in cents.
+ * @param {string} initiatedBy Email of whoever requested the change.
+ * @param {Object} [details] Extra fields for the entry, such as the transfer it belongs to.
+ * @returns {Promise<Object>} The inserted ledger entry.
+ */
+async function recordTransaction(session, account, type, amountCents, initiatedBy, details = {}) {
+    const transactions = await getTransactionsCollection();
+    const entry = {
+        accountId: account._id,
+        accountNumber: account.accountNumber,
+        email: account.ownerEmail,
+        type,
+        amountCents,
+        balanceAfterCents: account.balanceCents,
+        currency: currencyOf(account),
+        initiatedBy,
+        ...details,
+        createdAt: new Date()
+    };
+    Object.assign(entry, categorize(entry, await getCategoryRules(account.ownerEmail, session)));
+    await transactions.insertOne(entry, { session });
+    return entry;
+}
+
+/**
+ * Retrieves a user's category rules, newest first, which is the order they are tried in.
+ * @param {string} email Email of the user.
+ * @param {ClientSession} [session] The session of a surrounding transaction, if any.
+ * @returns {Promise<Array<Object>>} The rules.
+ */
+async function getCategoryRules(email, session) {
+    const { db } = await connectToMongo();
+    return db.collection('categoryRules').find({ ownerEmail: email }, { session }).sort({ createdAt: -1, _id: -1 }).toArray();
+}
+
+/**
+ * Returns the currency an account is held in. Accounts opened before currencies existed
+ * have none recorded and are in the base currency.
+ * @param {Object} account The account.
+ * @returns {string} The ISO 4217 currency code.
+ */
+function currencyOf(account) {
+    return account.currency || BASE_CURRENCY;
+}
+
+/**
+ * Works out what a transfer between two accounts credits to the receiving account. Between
+ * accounts in the same currency that is the amount sent; otherwise the amount is converted
+ * at the stored exchange rates, less the spread.
+ * @param {ClientSession} session The session of the surrounding transaction.
+ * @param {string} fromAccountNumber Number of the account sending the money.
+ * @param {string} toAccountNumber Number of the account receiving it.
+ * @param {number} amount Amount sent, in cents of the sending account's currency.
+ * @returns {Promise<Object>} { amountCents } to credit, and for a conversion also
+ *   fx: { fromCurrency, toCurrency, rateMicros, spreadBps, spreadCents, sentCents, receivedCents }.
+ */
+async function quoteTransfer(session, fromAccountNumber, toAccountNumber, amount) {
+    const { db } = await connectToMongo();
+    const accounts = db.collection('accounts');
+    const from = await accounts.findOne({ accountNumber: String(fromAccountNumber) }, { session });
+    if (!from) {
+        throw new NotFoundError("Sending account not found.");
+    }
+    const to = await accounts.findOne({ accountNumber: String(toAccountNumber) }, { session });
+    if (!to) {
+        throw new NotFoundError("Receiving account not found.");
+    }
+    const fromCurrency = currencyOf(from);
+    const toCurrency = currencyOf(to);
+    if (fromCurrency === toCurrency) {
+        return { amountCents: amount };
+    }
+
+    const converted = convertCents(
+        amount,
+        await exchangeRateOf(session, fromCurrency),
+        await exchangeRateOf(session, toCurrency),
+        FX_SPREAD_BPS
+    );
+    if (converted.amountCents <= 0) {
+        throw new ValidationError("Amount is too small to convert.");
+    }
+    return {
+        amountCents: converted.amountCents,
+        fx: {
+            fromCurrency,
+            toCurrency,
+            rateMicros: converted.rateMicros,
+            spreadBps: FX_SPREAD_BPS,
+            spreadCents: converted.spreadCents,
+            sentCents: amount,
+            receivedCents: converted.amountCents
+        }
+    };
+}
+
+/**
+ * Looks up a currency's stored exchange rate against the base currency.
+ * @param {ClientSession} [session] The session of the surrounding transaction, if any.
+ * @param {string} currency The ISO 4217 currency code.
+ * @returns {Promise<number>} Units of the currency per unit of the base currency, in millionths.
+ * @throws {ValidationError} If no rate has been set for the currency.
+ */
+async function exchangeRateOf(session, currency) {
+    if (currency === BASE_CURRENCY) {
+        return RATE_SCALE;
+    }
+    const { db } = await connectToMongo();
+    const rate = await db.collection('exchangeRates').findOne({ currency }, { session });
+    if (!rate) {
+        throw new ValidationError(`No exchange rate has been set for ${currency}.`);
+    }
+    return rate.rateMicros;
+}
+
+/**
+ * Keeps an account's overdrawn flag in step with its balance after a change.
+ * @param {ClientSession} session The session of the surrounding transaction.
+ * @param {Object} account The account as it is after the change.
+ * @returns {Promise<Object>} The account with its overdrawn flag up to date.
+ */
+async function updateOverdrawnFlag(session, account) {
+    const overdrawn = account.balanceCents < 0;
+    if (Boolean(account.overdrawn) === overdrawn) {
+        return account;
+    }
+    const { db } = await connectToMongo();
+    await db.collection('accounts').updateOne({ _id: account._id }, { $set: { overdrawn } }, { session });
+    return { ...account, overdrawn };
+}
+
+/**
+ * Checks that an account is open for business.
+ * @param {Object} account The account.
+ * @throws {AccountRestrictedError} With code ACCOUNT_CLOSED if the account has been closed.
+ */
+function assertAccountOpen(account) {
+    if (account.status === 'closed') {
+        throw new AccountRestrictedError(`Account ${account.accountNumber} is closed.`, 'ACCOUNT_CLOSED');
+    }
+}
+
+/**
+ * Checks that money can move into or out of an account: it must be open and not locked,
+ * and to take money out it must not be frozen either. Legal holds are enforced on the
+ * amount, see reduceAvailableBalance.
+ * @param {Object} account The account.
+ * @param {string} direction 'credit' or 'debit'.
+ * @throws {AccountRestrictedError} With code ACCOUNT_CLOSED, ACCOUNT_LOCKED or ACCOUNT_FROZEN.
+ */
+function assertAccountUsable(account, direction) {
+    assertAccountOpen(account);
+    const types = (account.restrictions || []).map(restriction => restriction.type);
+    if (types.includes('lock')) {
+        throw new AccountRestrictedError(`Account ${account.accountNumber} is locked; no money can be paid into or taken out of it.`, RESTRICTION_CODES.lock);
+    }
+    if (direction === 'debit' && types.includes('freeze')) {
+        throw new AccountRestrictedError(`Account ${account.accountNumber} is frozen; no money can be taken out of it.`, RESTRICTION_CODES.freeze);
+    }
+}
+
+/**
+ * Explains why an update filtered on CREDITABLE or DEBITABLE matched nothing: there is no
+ * such account, or it is closed or restricted.
+ * @param {ClientSession} session The session of the surrounding transaction.
+ * @param {string} accountNumber Number of the account.
+ * @param {string} direction 'credit' or 'debit'.
+ * @param {string} notFoundMessage Message for the NotFoundError thrown when there is no such account.
+ * @returns {Promise<Object>} The account, if money can move that way after all.
+ */
+async function loadUsableAccount(session, accountNumber, direction, notFoundMessage) {
+    const { db } = await connectToMongo();
+    const account = await db.collection('accounts').findOne({ accountNumber: String(accountNumber) }, { session });
+    if (!account) {
+        throw new NotFoundError(notFoundMessage);
+    }
+    assertAccountUsable(account, direction);
+    return account;
+}
+
+/**
+ * Adds an amount to an account's balance inside a transaction.
+ * @param {ClientSession} session The session of the surrounding transaction.
+ * @param {string} accountNumber Number of the account to credit.
+ * @param {number} amount Amount to add, in cents.
+ * @param {string} notFoundMessage Message for the NotFoundError thrown when there is no such account.
+ * @returns {Promise<Object>} The updated account.
+ */
+async function creditAccount(session, accountNumber, amount, notFoundMessage) {
+    const { db } = await connectToMongo();
+    const result = await db.collection('accounts').findOneAndUpdate(
+        { accountNumber: String(accountNumber), ...CREDITABLE },
+        { $inc: { balanceCents: amount } },
+        { returnDocument: 'after', session }
+    );
+    if (!result.value) {
+        // The account is missing, closed or locked, so this throws
+        await loadUsableAccount(session, accountNumber, 'credit', notFoundMessage);
+    }
+    return updateOverdrawnFlag(session, result.value);
+}
+
+/**
+ * Returns a query filter matching accounts whose available balance, the balance less any
+ * holds and legal holds on it, is at least the given amount.
+ * @param {number} amount The amount, in cents.
+ * @returns {Object} The filter.
+ */
+function availableAtLeast(amount) {
+    const held = { $add: [{ $ifNull: ['$heldCents', 0] }, { $ifNull: ['$legalHoldCents', 0] }] };
+    return { $expr: { $gte: [{ $subtract: ['$balanceCents', held] }, amount] } };
+}
+
+/**
+ * Takes an amount out of an account's balance inside a transaction.
+ * @param {ClientSession} session The session of the surrounding transaction.
+ * @param {string} accountNumber Number of the account to debit.
+ * @param {number} amount Amount to take, in cents.
+ * @param {string} [initiatedBy] Email of whoever requested the debit, for overdraft ledger entries; defaults to the owner.
+ * @param {string} notFoundMessage Message for the NotFoundError thrown when there is no such account.
+ * @returns {Promise<Object>} The updated account.
+ */
+async function debitAccount(session, accountNumber, amount, initiatedBy, notFoundMessage) {
+    return reduceAvailableBalance(session, accountNumber, amount, { balanceCents: -amount }, initiatedBy, notFoundMessage);
+}
+
+/**
+ * Takes an amount out of an account's available balance inside a transaction, either by
+ * debiting the balance or by placing a hold on it.
+ *
+ * The available balance check is part of the update filter, so two concurrent debits can
+ * never both see the same balance and overdraw the account. When the available balance is
+ * short, the account's overdraft protection decides what happens:
+ * - with a linked savings account, the shortfall is first moved over from savings, with
+ *   a pair of ledger entries, and the debit then goes ahead;
+ * - with an overdraft line, the available balance may go negative down to minus the
+ *   line's limit, and the account is flagged as overdrawn if its balance does;
+ * - otherwise an InsufficientFundsError is thrown.
+ * Closed, frozen and locked accounts are never debited (see assertAccountUsable). Money
+ * under a legal hold is never used, neither is an overdraft line while there is one; a
+ * debit that only the legally held money could cover throws an AccountRestrictedError
+ * with code LEGAL_HOLD.
+ *
+ * @param {ClientSession} session The session of the surrounding transaction.
+ * @param {string} accountNumber Number of the account.
+ * @param {number} amount Amount to take, in cents.
+ * @param {Object} inc The $inc to apply, e.g. { balanceCents: -amount } or { heldCents: amount }.
+ * @param {string} [initiatedBy] Email of whoever requested the debit, for overdraft ledger entries; defaults to the owner.
+ * @param {string} notFoundMessage Message for the NotFoundError thrown when there is no such account.
+ * @returns {Promise<Object>} The updated account.
+ */
+async function reduceAvailableBalance(session, accountNumber, amount, inc, initiatedBy, notFoundMessage) {
+    const { db } = await connectToMongo();
+    const accounts = db.collection('accounts');
+    const debit = await accounts.findOneAndUpdate(
+        { accountNumber: String(accountNumber), ...DEBITABLE, ...availableAtLeast(amount) },
+        { $inc: inc },
+        { returnDocument: 'after', session }
+    );
+    if (debit.value) {
+        return updateOverdrawnFlag(session, debit.value);
+    }
+
+    const account = await loadUsableAccount(session, accountNumber, 'debit', notFoundMessage);
+    const legalHold = account.legalHoldCents || 0;
+    const available = account.balanceCents - (account.heldCents || 0) - legalHold;
+    if (legalHold > 0 && available + legalHold >= amount) {
+        throw new AccountRestrictedError(
+            `${formatAmount(legalHold)} ${currencyOf(account)} of this account's balance is under a legal hold and cannot be used.`,
+            RESTRICTION_CODES['legal-hold']
+        );
+    }
+    let limit = 0;
+    if (account.overdraftSourceAccountNumber) {
+        await coverFromLinkedSavings(session, account, amount - available, initiatedBy);
+    } else if (account.overdraftLimitCents > 0 && legalHold === 0) {
+        limit = account.overdraftLimitCents;
+    } else {
+        throw new InsufficientFundsError();
+    }
+
+    const result = await accounts.findOneAndUpdate(
+        { accountNumber: String(accountNumber), ...DEBITABLE, ...availableAtLeast(amount - limit) },
+        { $inc: inc },
+        { returnDocument: 'after', session }
+    );
+    if (!result.value) {
+        throw new InsufficientFundsError('Insufficient funds: this would exceed the overdraft limit.');
+    }
+    return updateOverdrawnFlag(session, result.value);
+}
+
+/**
+ * Returns the withdrawal limits that apply to an account: those of its account type,
+ * except where an admin has set an override for the account.
+ * @param {Object} account The account.
+ * @returns {Object} { perTransactionCents, dailyAmountCents, dailyCount }
+ */
+function withdrawalLimitsFor(account) {
+    const defaults = ACCOUNT_TYPE_SETTINGS[account.accountType].withdrawalLimits;
+    const overrides = account.withdrawalLimitOverrides || {};
+    const limits = {};
+    for (const key of WITHDRAWAL_LIMIT_KEYS) {
+        limits[key] = overrides[key] === undefined || overrides[key] === null ? defaults[key] : overrides[key];
+    }
+    return limits;
+}
+
+/**
+ * Adds up an account's withdrawals over the 24 hours before a point in time.
+ * @param {ClientSession} [session] The session of the surrounding transaction, if any.
+ * @param {string} accountNumber Number of the account.
+ * @param {Date} now The end of the 24 hours.
+ * @returns {Promise<Object>} { totalCents, count }
+ */
+async function withdrawalUsage(session, accountNumber, now) {
+    const { db } = await connectToMongo();
+    const withdrawals = await db.collection('transactions').find(
+        { accountNumber: String(accountNumber), type: 'withdrawal', createdAt: { $gt: new Date(now.getTime() - WITHDRAWAL_WINDOW_MS) } },
+        { projection: { amountCents: 1 }, session }
+    ).toArray();
+    return {
+        totalCents: withdrawals.reduce((sum, entry) => sum + entry.amountCents, 0),
+        count: withdrawals.length
+    };
+}
+
+/**
+ * Checks a withdrawal against the account's limits.
+ * Called inside the withdrawal's transaction: the withdrawal then writes to the account,
+ * so two concurrent withdrawals cannot both pass the check on the same usage.
+ * @param {ClientSession} session The session of the surrounding transaction.
+ * @param {Object} account The account.
+ * @param {number} amount Amount to withdraw, in cents.
+ * @throws {LimitExceededError} With code PER_TRANSACTION_LIMIT_EXCEEDED, DAILY_COUNT_LIMIT_EXCEEDED
+ *   or DAILY_AMOUNT_LIMIT_EXCEEDED when the withdrawal would go over a limit.
+ */
+async function assertWithinWithdrawalLimits(session, account, amount) {
+    const limits = withdrawalLimitsFor(account);
+    if (amount > limits.perTransactionCents) {
+        throw new LimitExceededError(
+            `Withdrawals from this account are limited to ${formatAmount(limits.perTransactionCents)} each.`,
+            'PER_TRANSACTION_LIMIT_EXCEEDED'
+        );
+    }
+    const usage = await withdrawalUsage(session, account.accountNumber, new Date());
+    if (usage.count + 1 > limits.dailyCount) {
+        throw new LimitExceededError(
+            `Only ${limits.dailyCount} withdrawals can be made from this account in 24 hours.`,
+            'DAILY_COUNT_LIMIT_EXCEEDED'
+        );
+    }
+    if (usage.totalCents + amount > limits.dailyAmountCents) {
+        const remaining = Math.max(0, limits.dailyAmountCents - usage.totalCents);
+        throw new LimitExceededError(
+            `Withdrawals from this account are limited to ${formatAmount(limits.dailyAmountCents)} in 24 hours; ${formatAmount(remaining)} remains.`,
+            'DAILY_AMOUNT_LIMIT_EXCEEDED'
+        );
+    }
+}
+
+/**
+ * Moves a shortfall from an account's linked savings account into it, recording the
+ * move as a transfer so both histories show where the money came from.
+ * @param {ClientSession} session The session of the surrounding transaction.
+ * @param {Object} account The account that is short.
+ * @param {number} shortfall Amount to move, in cents.
+ * @param {string} [initiatedBy] Email of whoever requested the debit that needed it, defaults to the owner.
+ */
+async function coverFromLinkedSavings(session, account, shortfall, initiatedBy) {
+    const { db } = await connectToMongo();
+    const savings = await db.collection('accounts').findOneAndUpdate(
+        { accountNumber: account.overdraftSourceAccountNumber, ownerEmail: account.ownerEmail, ...DEBITABLE, ...availableAtLeast(shortfall) },
+        { $inc: { balanceCents: -shortfall } },
+        { returnDocument: 'after', session }
+    );
+    if (!savings.value) {
+        throw new InsufficientFundsError('Insufficient funds, including the linked savings account.');
+    }
+    const covered = await creditAccount(session, account.accountNumber, shortfall, "Account not found.");
+
+    const transferId = new ObjectId();
+    const details = { transferId, description: 'Overdraft protection' };
+    const initiator = initiatedBy || account.ownerEmail;
+    await recordTransaction(session, savings.value, 'transfer-out', shortfall, initiator, {
+        ...details,
+        counterpartyAccountNumber: covered.accountNumber
+    });
+    await recordTransaction(session, covered, 'transfer-in', shortfall, initiator, {
+        ...details,
+        counterpartyAccountNumber: savings.value.accountNumber
+    });
+}
+
 /**
  * Inserts a new document into the specified collection.
  * @param {string} collectionName - The name of the collection.
@@ -128,14 +627,13 @@ async function deleteDocument(collectionName, query) {
 }
 
 /**
- * Creates a new user in the database.
+ * Creates a new user in the database and opens their first checking account.
  * @param {string} name User's name.
  * @param {string} email User's email.
  * @param {string} password User's password.
- * @param {string} accountNumber User's account number.
- * @returns {Object} The created user object.
+ * @returns {Object} The created user object with its new account.
  */
-async function createUser({ name, email, password, accountNumber }) {
+async function createUser({ name, email, password }) {
     try {
         const { db } = await connectToMongo();
         const collection = db.collection('users');
@@ -144,15 +642,13 @@ async function createUser({ name, email, password, accountNumber }) {
             name,
             email,
             password,
-            balance: 0,
-            accountNumber,
-            accountType: 'checking',
             role: 'user'
         };
 
         const result = await collection.insertOne(doc);
+        const account = await createBankAccount(email, 'checking');
 
-        return result.ops[0];
+        return { ...result.ops[0], accounts: [account] };
     } catch (err) {
         logger.error(`Error creating user: ${err.message}`, { stack: err.stack });
         throw err;
@@ -170,7 +666,7 @@ async function create(name, email, password) {
   try {
       const { db } = await connectToMongo();
       const collection = db.collection('users');
-      const doc = { name, email, password, balance: 0 };
+      const doc = { name, email, password, ...contactKeys({ email }) };
       const result = await collection.insertOne(doc);
       return result.ops[0];
   } catch (err) {
@@ -213,7 +709,7 @@ async function findUsersByEmail(email) {
 /**
  * Finds a single user by email.
  * @param {string} email Email to search for.
- * @returns {Object|null} An object containing user values or null if not found.
+ * @returns {Object|null} An object containing user values and their accounts or null if not found.
  */
 async function findUserByEmail(email) {
   try {
@@ -223,8 +719,9 @@ async function findUserByEmail(email) {
           throw new Error("User not found.");
       }
       // Extract specific user values
-      const { accountNumber, accountType, balance, name, phoneNumber } = user;
-      return { accountNumber, accountType, balance, name, phoneNumber };
+      const { name, phoneNumber } = user;
+      const accounts = await findAccountsByEmail(email);
+      return { name, phoneNumber, accounts };
   } catch (err) {
       logger.error(`Error finding user values by email: ${err.message}`, { stack: err.stack });
       throw err;
@@ -242,7 +739,7 @@ async function updateUserByEmail(email, newData) {
         const { db } = await connectToMongo();
         const result = await db.collection('users').findOneAndUpdate(
             { email },
-            { $set: newData },
+            { $set: { ...newData, ...contactKeys(newData) } },
             { returnDocument: 'after' }
         );
         return result.value;
@@ -253,17 +750,279 @@ async function updateUserByEmail(email, newData) {
 }
 
 
-async function createBankAccount(email, accountType) {
+/**
+ * Generates a random ten digit account number.
+ * @returns {string} The account number.
+ */
+function generateAccountNumber() {
+    return String(Math.floor(1000000000 + Math.random() * 9000000000));
+}
+
+/**
+ * Opens a new bank account for an existing user. A user may own any number of
+ * checking and savings accounts, each with its own balance and currency. Account numbers
+ * are random; one that is already taken is drawn again.
+ * @param {string} email Email of the account owner.
+ * @param {string} accountType Either 'checking' or 'savings'.
+ * @param {string} [currency] ISO 4217 code of the currency the account is held in, defaults to the base currency.
+ * @returns {Promise<Object>} The created account.
+ */
+async function createBankAccount(email, accountType, currency = BASE_CURRENCY) {
   try {
-      const accountNumber = Math.floor(1000000000 + Math.random() * 9000000000);
-      const newData = { accountNumber, accountType };
-      return await update(email, newData);
+      const type = String(accountType || '').toLowerCase();
+      if (!ACCOUNT_TYPES.includes(type)) {
+          throw new ValidationError(`Account type must be one of: ${ACCOUNT_TYPES.join(', ')}`);
+      }
+      const code = String(currency || BASE_CURRENCY).toUpperCase();
+      if (!CURRENCIES.includes(code)) {
+          throw new ValidationError(`Currency must be one of: ${CURRENCIES.join(', ')}`);
+      }
+      const { db } = await connectToMongo();
+      const owner = await db.collection('users').findOne({ email });
+      if (!owner) {
+          throw new NotFoundError("User not found.");
+      }
+      const accounts = await getAccountsCollection();
+      for (let attempt = 1; ; attempt++) {
+          const account = {
+              accountNumber: generateAccountNumber(),
+              ownerEmail: email,
+              accountType: type,
+              currency: code,
+              balanceCents: 0,
+              status: 'open',
+              createdAt: new Date()
+          };
+          try {
+              const result = await accounts.insertOne(account);
+              return result.ops[0];
+          } catch (error) {
+              if (error.code !== 11000 || attempt >= ACCOUNT_NUMBER_ATTEMPTS) throw error;
+          }
+      }
   } catch (error) {
       logger.error(`Error creating bank account: ${error.message}`, { stack: error.stack });
       throw error;
   }
 }
 
+/**
+ * Sets how a bank account handles a debit its balance cannot cover:
+ * - 'linked-savings': the shortfall is taken from one of the owner's savings accounts;
+ * - 'line': the balance may go negative down to minus limitCents, at most the
+ *   maxOverdraftLineCents for the account type (the default);
+ * - 'none': the debit is refused.
+ * @param {string} accountNumber Number of the account.
+ * @param {Object} settings { mode, sourceAccountNumber, limitCents }
+ * @returns {Promise<Object>} The updated account.
+ */
+async function setOverdraftProtection(accountNumber, { mode, sourceAccountNumber, limitCents }) {
+  try {
+      const { db } = await connectToMongo();
+      const account = await db.collection('accounts').findOne({ accountNumber: String(accountNumber) });
+      if (!account) {
+          throw new NotFoundError("Account not found.");
+      }
+      assertAccountOpen(account);
+
+      let update;
+      if (mode === 'linked-savings') {
+          const source = await db.collection('accounts').findOne({ accountNumber: String(sourceAccountNumber) });
+          if (!source) {
+              throw new NotFoundError("Overdraft account not found.");
+          }
+          assertAccountOpen(source);
+          if (source.accountNumber === account.accountNumber) {
+              throw new ValidationError("An account cannot cover its own overdrafts.");
+          }
+          if (source.ownerEmail !== account.ownerEmail || source.accountType !== 'savings') {
+              throw new ValidationError("Overdrafts can only be covered by a savings account with the same owner.");
+          }
+          if (currencyOf(source) !== currencyOf(account)) {
+              throw new ValidationError("Overdrafts can only be covered by an account in the same currency.");
+          }
+          update = { $set: { overdraftSourceAccountNumber: source.accountNumber }, $unset: { overdraftLimitCents: '' } };
+      } else if (mode === 'line') {
+          const { maxOverdraftLineCents } = ACCOUNT_TYPE_SETTINGS[account.accountType];
+          if (!maxOverdraftLineCents) {
+              throw new ValidationError(`Overdraft lines are not available for ${account.accountType} accounts.`);
+          }
+          const limit = limitCents === undefined ? maxOverdraftLineCents : limitCents;
+          assertPositiveCents(limit);
+          if (limit > maxOverdraftLineCents) {
+              throw new ValidationError(`The overdraft limit for ${account.accountType} accounts is at most ${formatAmount(maxOverdraftLineCents)}.`);
+          }
+          if (account.balanceCents < -limit) {
+              throw new ValidationError("The overdraft limit cannot be less than the amount already overdrawn.");
+          }
+          update = { $set: { overdraftLimitCents: limit }, $unset: { overdraftSourceAccountNumber: '' } };
+      } else if (mode === 'none') {
+          update = { $unset: { overdraftSourceAccountNumber: '', overdraftLimitCents: '' } };
+      } else {
+          throw new ValidationError("Overdraft mode must be one of: linked-savings, line, none");
+      }
+
+      const result = await db.collection('accounts').findOneAndUpdate(
+          { accountNumber: account.accountNumber },
+          update,
+          { returnDocument: 'after' }
+      );
+      return result.value;
+  } catch (err) {
+      logger.error(`Error setting overdraft protection: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Reports how much more can be withdrawn from an account in the current 24 hours.
+ * @param {string} accountNumber Number of the account.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} { limits, usedCents, count, remainingCents, remainingCount }
+ */
+async function getWithdrawalAllowance(accountNumber, now = new Date()) {
+  try {
+      const account = await findAccount(accountNumber);
+      if (!account) {
+          throw new NotFoundError("Account not found.");
+      }
+      const limits = withdrawalLimitsFor(account);
+      const usage = await withdrawalUsage(undefined, account.accountNumber, now);
+      return {
+          limits,
+          usedCents: usage.totalCents,
+          count: usage.count,
+          remainingCents: Math.max(0, limits.dailyAmountCents - usage.totalCents),
+          remainingCount: Math.max(0, limits.dailyCount - usage.count)
+      };
+  } catch (err) {
+      logger.error(`Error finding withdrawal allowance: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Overrides the withdrawal limits of a single account. Each of perTransactionCents,
+ * dailyAmountCents and dailyCount can be set to a whole number, set to null to go back to
+ * the account type's limit, or left out to keep the current setting.
+ * @param {string} accountNumber Number of the account.
+ * @param {Object} overrides The limits to change.
+ * @returns {Promise<Object>} The updated account.
+ */
+async function setWithdrawalLimitOverrides(accountNumber, overrides) {
+  try {
+      const $set = {};
+      const $unset = {};
+      for (const key of WITHDRAWAL_LIMIT_KEYS) {
+          const value = overrides[key];
+          if (value === null) {
+              $unset[`withdrawalLimitOverrides.${key}`] = '';
+          } else if (value !== undefined) {
+              if (!Number.isSafeInteger(value) || value < 0) {
+                  throw new ValidationError(`${key} must be a whole number that is not negative.`);
+              }
+              $set[`withdrawalLimitOverrides.${key}`] = value;
+          }
+      }
+      if (Object.keys($set).length === 0 && Object.keys($unset).length === 0) {
+          throw new ValidationError("No withdrawal limits were given.");
+      }
+      const update = {};
+      if (Object.keys($set).length > 0) update.$set = $set;
+      if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+      const { db } = await connectToMongo();
+      const result = await db.collection('accounts').findOneAndUpdate(
+          { accountNumber: String(accountNumber) },
+          update,
+          { returnDocument: 'after' }
+      );
+      if (!result.value) {
+          throw new NotFoundError("Account not found.");
+      }
+      return result.value;
+  } catch (err) {
+      logger.error(`Error setting withdrawal limits: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Lists the stored exchange rates, one per currency, each against the base currency.
+ * @returns {Promise<Array>} The rates, by currency code.
+ */
+async function getExchangeRates() {
+  try {
+      const { db } = await connectToMongo();
+      return db.collection('exchangeRates').find({}).sort({ currency: 1 }).toArray();
+  } catch (err) {
+      logger.error(`Error retrieving exchange rates: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Sets the exchange rate of a currency against the base currency. Transfers made from
+ * then on convert at the new rate; those already made keep the rate they recorded.
+ * @param {string} currency ISO 4217 code of a supported currency other than the base currency.
+ * @param {number} rateMicros Units of the currency per unit of the base currency, in millionths.
+ * @param {string} updatedBy Email of the admin setting the rate.
+ * @returns {Promise<Object>} The stored rate.
+ */
+async function setExchangeRate(currency, rateMicros, updatedBy) {
+  try {
+      const code = String(currency || '').toUpperCase();
+      if (!CURRENCIES.includes(code)) {
+          throw new ValidationError(`Currency must be one of: ${CURRENCIES.join(', ')}`);
+      }
+      if (code === BASE_CURRENCY) {
+          throw new ValidationError(`Rates are quoted against ${BASE_CURRENCY}, so it has no rate of its own.`);
+      }
+      if (!Number.isSafeInteger(rateMicros) || rateMicros <= 0) {
+          throw new ValidationError("Exchange rate must be positive.");
+      }
+      const { db } = await connectToMongo();
+      const result = await db.collection('exchangeRates').findOneAndUpdate(
+          { currency: code },
+          { $set: { rateMicros, updatedBy, updatedAt: new Date() } },
+          { upsert: true, returnDocument: 'after' }
+      );
+      return result.value;
+  } catch (err) {
+      logger.error(`Error setting exchange rate: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Finds a bank account by its account number.
+ * @param {string} accountNumber The account number to look up.
+ * @returns {Promise<Object|null>} The account, or null if not found.
+ */
+async function findAccount(accountNumber) {
+  try {
+      const { db } = await connectToMongo();
+      return db.collection('accounts').findOne({ accountNumber: String(accountNumber) });
+  } catch (err) {
+      logger.error(`Error finding account: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Finds every bank account owned by a user, oldest first.
+ * @param {string} email Email of the account owner.
+ * @returns {Promise<Array<Object>>} The user's accounts.
+ */
+async function findAccountsByEmail(email) {
+  try {
+      const { db } = await connectToMongo();
+      return db.collection('accounts').find({ ownerEmail: email }).sort({ createdAt: 1 }).toArray();
+  } catch (err) {
+      logger.error(`Error finding accounts by email: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
 
 // DAL function to find user account information by email
 async function findUserAccountInfoByEmail(email) {
@@ -273,10 +1032,10 @@ async function findUserAccountInfoByEmail(email) {
     // Debugging: Log the email being used in the query
     console.log('Searching for user account information for email:', email);
     
-    const userData = await db.collection('users').findOne(
-      { email }, 
-      { projection: { accountNumber: 1, accountType: 1, balance: 1 } }
-    );
+    const userData = await db.collection('accounts').find(
+      { ownerEmail: email }, 
+      { projection: { accountNumber: 1, accountType: 1, balanceCents: 1 } }
+    ).toArray();
 
     // Debugging: Log the retrieved user data
     console.log('Retrieved user account information:', userData);
@@ -301,7 +1060,7 @@ async function update(email, newData) {
       const { db } = await connectToMongo();
       const result = await db.collection('users').updateOne(
           { email }, // Filter to find the user by email
-          { $set: newData } // Set the new data
+          { $set: { ...newData, ...contactKeys(newData) } } // Set the new data, and the normalized email and phone number with it
       );
 
       if (result.modifiedCount === 1) {
@@ -360,58 +1119,1320 @@ async function findOneDocument(collectionName, query) {
 }
 
 /**
- * Deposits an amount to a user's account.
- * @param {string} email Email of the user.
- * @param {number} amount Amount to deposit.
- * @returns The updated user object.
+ * Deposits an amount into a bank account and records it in the ledger.
+ * @param {string} accountNumber Number of the account to credit.
+ * @param {number} amount Amount to deposit, in cents.
+ * @param {string} [initiatedBy] Email of whoever requested the deposit, defaults to the account owner.
+ * @returns The updated account object.
  */
-async function deposit(email, amount) {
+async function deposit(accountNumber, amount, initiatedBy) {
   try {
-      const { db } = await connectToMongo();
-      const result = await db.collection('users').findOneAndUpdate(
-          { email },
-          { $inc: { balance: amount } },
-          { returnDocument: 'after' }
-      );
-      if (amount <= 0) {
-          throw new Error("Amount must be positive.");
-      }
-      if (!result.value) {
-          throw new Error("User not found.");
-      }
-      return result.value;
+      assertPositiveCents(amount);
+      return await runInTransaction(async (session) => {
+          const account = await creditAccount(session, accountNumber, amount, "Account not found.");
+          await recordTransaction(session, account, 'deposit', amount, initiatedBy || account.ownerEmail);
+          return account;
+      });
   } catch (err) {
       logger.error(`Error depositing amount: ${err.message}`, { stack: err.stack });
       throw err;
   }
 }
 
-async function withdraw(email, amount) {
+/**
+ * Withdraws an amount from a bank account and records it in the ledger.
+ * The withdrawal must be within the account's withdrawal limits (see assertWithinWithdrawalLimits).
+ * A balance that is short is covered by the account's overdraft protection, if any (see debitAccount).
+ * @param {string} accountNumber Number of the account to debit.
+ * @param {number} amount Amount to withdraw, in cents.
+ * @param {string} [initiatedBy] Email of whoever requested the withdrawal, defaults to the account owner.
+ * @returns The updated account object.
+ */
+async function withdraw(accountNumber, amount, initiatedBy) {
   try {
+      assertPositiveCents(amount);
       const { db } = await connectToMongo();
-      const user = await db.collection('users').findOne({ email });
-      if (amount <= 0) {
-          throw new Error("Amount must be positive.");
-      }
-      if (!user) {
-          throw new Error("User not found.");
-      }
-      if (user.balance < amount) {
-          throw new Error("Insufficient funds.");
-      }
-      const result = await db.collection('users').findOneAndUpdate(
-          { email },
-          { $inc: { balance: -amount } },
-          { returnDocument: 'after' }
-      );
-      return result.value;
+      return await runInTransaction(async (session) => {
+          const current = await db.collection('accounts').findOne({ accountNumber: String(accountNumber) }, { session });
+          if (!current) {
+              throw new NotFoundError("Account not found.");
+          }
+          await assertWithinWithdrawalLimits(session, current, amount);
+          const account = await debitAccount(session, accountNumber, amount, initiatedBy, "Account not found.");
+          await recordTransaction(session, account, 'withdrawal', amount, initiatedBy || account.ownerEmail);
+          return account;
+      });
   } catch (err) {
       logger.error(`Error withdrawing amount: ${err.message}`, { stack: err.stack });
       throw err;
   }
 }
+
 /**
-* Retrieves all users from the database.
+ * Moves an amount from one bank account to another inside a transaction: debits the sender,
+ * credits the receiver, converting between currencies if need be, and writes both ledger
+ * entries with a shared transferId.
+ * @param {ClientSession} session The session of the surrounding transaction.
+ * @param {string} fromAccountNumber Number of the account sending the money.
+ * @param {string} toAccountNumber Number of the account receiving the money.
+ * @param {number} amount Amount to transfer, in cents of the sending account's currency.
+ * @param {string} [initiatedBy] Email of whoever requested the transfer, defaults to the sender's owner.
+ * @param {Object} [outDetails] Extra fields stored on the sender's ledger entry.
+ * @param {Object} [inDetails] Extra fields stored on the receiver's ledger entry, defaults to outDetails.
+ * @returns {Promise<Object>} The updated sending and receiving accounts, the shared transferId and,
+ *   for a conversion, the fx details.
+ */
+async function moveMoney(session, fromAccountNumber, toAccountNumber, amount, initiatedBy, outDetails = {}, inDetails = outDetails) {
+    const quote = await quoteTransfer(session, fromAccountNumber, toAccountNumber, amount);
+    const from = await debitAccount(session, fromAccountNumber, amount, initiatedBy, "Sending account not found.");
+    const to = await creditAccount(session, toAccountNumber, quote.amountCents, "Receiving account not found.");
+
+    const transferId = new ObjectId();
+    const initiator = initiatedBy || from.ownerEmail;
+    // Both entries of a conversion record the rate and spread it was made at
+    const fx = quote.fx ? { fx: quote.fx } : {};
+    await recordTransaction(session, from, 'transfer-out', amount, initiator, {
+        ...outDetails,
+        ...fx,
+        transferId,
+        counterpartyAccountNumber: to.accountNumber
+    });
+    await recordTransaction(session, to, 'transfer-in', quote.amountCents, initiator, {
+        ...inDetails,
+        ...fx,
+        transferId,
+        counterpartyAccountNumber: from.accountNumber
+    });
+    return { from, to, transferId, fx: quote.fx };
+}
+
+/**
+ * Moves an amount from one bank account to another in a single transaction.
+ * The debit only applies while the sender's balance, or its overdraft protection, covers it,
+ * and both sides get a ledger entry sharing the same transferId so either history shows the transfer.
+ * When the accounts are in different currencies, the receiving account is credited the amount
+ * converted at the stored exchange rates less the spread, and both entries record the conversion.
+ * @param {string} fromAccountNumber Number of the account sending the money.
+ * @param {string} toAccountNumber Number of the account receiving the money.
+ * @param {number} amount Amount to transfer, in cents of the sending account's currency.
+ * @param {string} [initiatedBy] Email of whoever requested the transfer, defaults to the sender's owner.
+ * @param {Object} [details] Extra fields stored on both ledger entries, e.g. a description or scheduleId.
+ * @returns {Promise<Object>} The updated sending and receiving accounts, the shared transferId and,
+ *   for a conversion, the fx details.
+ */
+async function transfer(fromAccountNumber, toAccountNumber, amount, initiatedBy, details = {}) {
+  try {
+      assertPositiveCents(amount);
+      if (String(fromAccountNumber) === String(toAccountNumber)) {
+          throw new ValidationError("Cannot transfer to the same account.");
+      }
+      return await runInTransaction(session => moveMoney(session, fromAccountNumber, toAccountNumber, amount, initiatedBy, details));
+  } catch (err) {
+      logger.error(`Error transferring amount: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Credits all the interest an account has accrued but not been paid, inside a transaction,
+ * with an 'interest' ledger entry for each month. The interest job only credits a month
+ * once it has ended, and never credits a closed account, so this is done as the account
+ * closes; the entries are marked closingInterest.
+ * @param {ClientSession} session The session of the surrounding transaction.
+ * @param {Object} account The account.
+ * @param {Date} now The current time.
+ * @returns {Promise<Object>} The account after crediting.
+ */
+async function creditPendingInterest(session, account, now) {
+    const { db } = await connectToMongo();
+    const accruals = await db.collection('interestAccruals')
+        .find({ accountNumber: account.accountNumber, credited: false }, { session })
+        .toArray();
+    let current = account;
+    const periods = [...new Set(accruals.map(accrual => accrual.period))].sort();
+    for (const period of periods) {
+        const pending = accruals.filter(accrual => accrual.period === period);
+        const amountCents = Math.round(pending.reduce((sum, accrual) => sum + accrual.interestMicros, 0) / MICROS_PER_CENT);
+        if (amountCents > 0) {
+            current = await creditAccount(session, account.accountNumber, amountCents, "Account not found.");
+            await recordTransaction(session, current, 'interest', amountCents, 'system', {
+                interestPeriod: period,
+                closingInterest: true,
+                description: `Interest for ${period}`
+            });
+        }
+        await db.collection('interestAccruals').updateMany(
+            { _id: { $in: pending.map(accrual => accrual._id) } },
+            { $set: { credited: true, creditedCents: amountCents, creditedAt: now } },
+            { session }
+        );
+    }
+    return current;
+}
+
+/**
+ * Closes a bank account. The account must not be overdrawn or have money on hold. Interest
+ * accrued but not yet paid is credited first (see creditPendingInterest). Whatever
+ * balance is left is then moved to another account, converted if that account is in
+ * another currency, so no money is lost; a zero balance needs nowhere to go. A closed
+ * account keeps its ledger and statements, but no money can move in or out of it (see
+ * assertAccountOpen), and accounts that relied on it for overdraft protection lose it.
+ * @param {string} accountNumber Number of the account to close.
+ * @param {Object} options { disburseToAccountNumber }: where any remaining balance goes.
+ * @param {string} closedBy Email of whoever closed it.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} { account } as it is after closing and, if a balance was left,
+ *   { disbursement: { toAccountNumber, amountCents, transferId, fx } } saying where it went.
+ * @throws {ConflictError} If the account is already closed, overdrawn or has money on hold.
+ * @throws {AccountRestrictedError} If staff have restricted the account.
+ * @throws {ValidationError} If a balance is left and no other account was given for it.
+ */
+async function closeAccount(accountNumber, { disburseToAccountNumber }, closedBy, now = new Date()) {
+  try {
+      const { db } = await connectToMongo();
+      const accounts = db.collection('accounts');
+      return await runInTransaction(async (session) => {
+          const account = await accounts.findOne({ accountNumber: String(accountNumber) }, { session });
+          if (!account) {
+              throw new NotFoundError("Account not found.");
+          }
+          if (account.status === 'closed') {
+              throw new ConflictError("This account is already closed.");
+          }
+          const [restriction] = account.restrictions || [];
+          if (restriction) {
+              throw new AccountRestrictedError("This account cannot be closed while it is restricted.", RESTRICTION_CODES[restriction.type]);
+          }
+          if (account.balanceCents < 0) {
+              throw new ConflictError("An overdrawn account cannot be closed; bring its balance back to zero first.");
+          }
+          if (account.heldCents > 0) {
+              throw new ConflictError("This account has money on hold; it can be closed once the holds are settled.");
+          }
+
+          const credited = await creditPendingInterest(session, account, now);
+          let disbursement = null;
+          if (credited.balanceCents > 0) {
+              if (!disburseToAccountNumber) {
+                  throw new ValidationError(`This account still holds ${formatAmount(credited.balanceCents)} ${currencyOf(account)}; choose an account to send it to.`);
+              }
+              if (String(disburseToAccountNumber) === account.accountNumber) {
+                  throw new ValidationError("The remaining balance must go to another account.");
+              }
+              const moved = await moveMoney(session, account.accountNumber, disburseToAccountNumber, credited.balanceCents, closedBy, {
+                  description: 'Account closure'
+              });
+              disbursement = {
+                  toAccountNumber: moved.to.accountNumber,
+                  amountCents: credited.balanceCents,
+                  transferId: moved.transferId,
+                  fx: moved.fx
+              };
+          }
+
+          const closed = await accounts.findOneAndUpdate(
+              { _id: account._id },
+              {
+                  $set: {
+                      status: 'closed',
+                      closedAt: now,
+                      closedBy,
+                      disbursedToAccountNumber: disbursement ? disbursement.toAccountNumber : null
+                  }
+              },
+              { returnDocument: 'after', session }
+          );
+          await accounts.updateMany(
+              { overdraftSourceAccountNumber: account.accountNumber },
+              { $unset: { overdraftSourceAccountNumber: '' } },
+              { session }
+          );
+          return { account: closed.value, disbursement };
+      });
+  } catch (err) {
+      logger.error(`Error closing account: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Reopens a closed account, as long as it was closed less than ACCOUNT_REOPEN_GRACE_DAYS
+ * ago. It reopens empty: money disbursed when it closed stays where it went, and overdraft
+ * protection it provided is not restored.
+ * @param {string} accountNumber Number of the account.
+ * @param {string} reopenedBy Email of the admin reopening it.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The reopened account.
+ * @throws {ConflictError} If the account is not closed, or the grace period is over.
+ */
+async function reopenAccount(accountNumber, reopenedBy, now = new Date()) {
+  try {
+      const { db } = await connectToMongo();
+      const accounts = db.collection('accounts');
+      const result = await accounts.findOneAndUpdate(
+          { accountNumber: String(accountNumber), status: 'closed', closedAt: { $gt: new Date(now.getTime() - REOPEN_GRACE_MS) } },
+          {
+              $set: { status: 'open', reopenedAt: now, reopenedBy },
+              $unset: { closedAt: '', closedBy: '', disbursedToAccountNumber: '' }
+          },
+          { returnDocument: 'after' }
+      );
+      if (result.value) {
+          return result.value;
+      }
+      const account = await findAccount(accountNumber);
+      if (!account) {
+          throw new NotFoundError("Account not found.");
+      }
+      if (account.status !== 'closed') {
+          throw new ConflictError("This account is not closed.");
+      }
+      throw new ConflictError(`This account was closed more than ${Math.round(REOPEN_GRACE_MS / (24 * 60 * 60 * 1000))} days ago and can no longer be reopened.`);
+  } catch (err) {
+      logger.error(`Error reopening account: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Leaves a notification for a user, shown to them until they mark it read. Written in the
+ * same transaction as whatever it tells them about, so they are never told of money that
+ * did not move.
+ * @param {ClientSession} session The session of the surrounding transaction.
+ * @param {string} email Email of the user to notify.
+ * @param {string} type What the notification is about, e.g. 'p2p-received'.
+ * @param {string} message The text shown to the user.
+ * @param {Object} [details] Extra fields, such as the payment it is about.
+ * @returns {Promise<Object>} The notification.
+ */
+async function notify(session, email, type, message, details = {}) {
+    const { db } = await connectToMongo();
+    const notification = { email, type, message, ...details, createdAt: new Date() };
+    await db.collection('notifications').insertOne(notification, { session });
+    return notification;
+}
+
+/**
+ * Sends money from one customer to another inside a transaction: transfers it between their
+ * accounts, records the payment in the 'peerPayments' collection and notifies the recipient.
+ * The sender's ledger entry names the recipient as the sender identified them; the
+ * recipient's names the sender.
+ * @param {ClientSession} session The session of the surrounding transaction.
+ * @param {Object} payment { fromAccountNumber, toAccountNumber, recipientEmail, recipient,
+ *   senderName, amountCents, memo, paymentRequestId }: recipient is the email or phone
+ *   number the sender identified the recipient by, amountCents is in the sending account's
+ *   currency, and paymentRequestId is the request the payment answers, if any.
+ * @param {string} initiatedBy Email of whoever sent the money.
+ * @param {Date} now The current time.
+ * @returns {Promise<Object>} The payment and the updated sending and receiving accounts.
+ */
+async function recordPeerPayment(session, payment, initiatedBy, now) {
+    const { fromAccountNumber, toAccountNumber, recipientEmail, recipient, senderName, amountCents, memo, paymentRequestId } = payment;
+    const { db } = await connectToMongo();
+    const paymentId = new ObjectId();
+    const withMemo = text => (memo ? `${text}: ${memo}` : text);
+    const moved = await moveMoney(session, fromAccountNumber, toAccountNumber, amountCents, initiatedBy,
+        { peerPaymentId: paymentId, description: withMemo(`Payment to ${recipient}`) },
+        { peerPaymentId: paymentId, description: withMemo(`Payment from ${senderName}`) });
+    const doc = {
+        _id: paymentId,
+        fromEmail: moved.from.ownerEmail,
+        fromAccountNumber: moved.from.accountNumber,
+        senderName,
+        toEmail: recipientEmail,
+        toAccountNumber: moved.to.accountNumber,
+        recipient,
+        amountCents,
+        currency: currencyOf(moved.from),
+        receivedCents: moved.fx ? moved.fx.receivedCents : amountCents,
+        receivedCurrency: currencyOf(moved.to),
+        memo,
+        paymentRequestId,
+        transferId: moved.transferId,
+        initiatedBy,
+        createdAt: now
+    };
+    await db.collection('peerPayments').insertOne(doc, { session });
+    await notify(session, recipientEmail, 'p2p-received',
+        withMemo(`${senderName} sent you ${formatAmount(doc.receivedCents)} ${doc.receivedCurrency}`),
+        { peerPaymentId: paymentId });
+    return { payment: doc, from: moved.from, to: moved.to };
+}
+
+/**
+ * Sends money from one customer to another in a single transaction; see recordPeerPayment.
+ * @param {Object} payment { fromAccountNumber, toAccountNumber, recipientEmail, recipient,
+ *   senderName, amountCents, memo }, as for recordPeerPayment.
+ * @param {string} initiatedBy Email of whoever sent the money.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The payment and the updated sending and receiving accounts.
+ */
+async function sendPeerPayment(payment, initiatedBy, now = new Date()) {
+  try {
+      assertPositiveCents(payment.amountCents);
+      return await runInTransaction(session => recordPeerPayment(session, payment, initiatedBy, now));
+  } catch (err) {
+      logger.error(`Error sending payment: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Pays a pending payment request in a single transaction: marks it paid and sends its
+ * amount from the payer's account to the account the requester asked to be paid into,
+ * notifying the requester as for any payment.
+ * @param {string|ObjectId} id The request's id.
+ * @param {Object} payer { fromAccountNumber, senderName }: the account to pay from, which
+ *   must be in the request's currency, and the payer's name.
+ * @param {string} initiatedBy Email of whoever paid.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The request, the payment and the updated sending account.
+ * @throws {NotFoundError} If there is no such request.
+ * @throws {ConflictError} If the request is no longer pending or has expired.
+ * @throws {InsufficientFundsError} If the account cannot cover the request; it stays pending.
+ */
+async function payPaymentRequest(id, { fromAccountNumber, senderName }, initiatedBy, now = new Date()) {
+  try {
+      const { db } = await connectToMongo();
+      const requestId = new ObjectId(String(id));
+      return await runInTransaction(async (session) => {
+          const requests = db.collection('paymentRequests');
+          const paid = await requests.findOneAndUpdate(
+              { _id: requestId, status: 'pending', expiresAt: { $gt: now } },
+              { $set: { status: 'paid', paidAt: now, fromAccountNumber: String(fromAccountNumber) } },
+              { returnDocument: 'after', session }
+          );
+          if (!paid.value) {
+              const current = await requests.findOne({ _id: requestId }, { session });
+              if (!current) {
+                  throw new NotFoundError("Request not found.");
+              }
+              throw new ConflictError(['pending', 'expired'].includes(current.status)
+                  ? "This request has expired."
+                  : `This request has already been ${current.status}.`);
+          }
+          const request = paid.value;
+          const payerAccount = await db.collection('accounts').findOne({ accountNumber: String(fromAccountNumber) }, { session });
+          if (payerAccount && currencyOf(payerAccount) !== request.currency) {
+              throw new ValidationError(`This request is in ${request.currency}; pay it from an account in ${request.currency}.`);
+          }
+          const { payment, from } = await recordPeerPayment(session, {
+              fromAccountNumber,
+              toAccountNumber: request.toAccountNumber,
+              recipientEmail: request.requesterEmail,
+              recipient: request.requesterName,
+              senderName,
+              amountCents: request.amountCents,
+              memo: request.memo,
+              paymentRequestId: request._id
+          }, initiatedBy, now);
+          await requests.updateOne({ _id: request._id }, { $set: { peerPaymentId: payment._id } }, { session });
+          return { request: { ...request, peerPaymentId: payment._id }, payment, account: from };
+      });
+  } catch (err) {
+      logger.error(`Error paying request: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Credits a month's interest to a bank account with an 'interest' ledger entry.
+ * Each account is credited at most once per period, so calling this again for the
+ * same period (e.g. after the interest job was interrupted) changes nothing.
+ * @param {string} accountNumber Number of the account to credit.
+ * @param {number} amountCents Interest to credit, in cents.
+ * @param {string} period The month the interest was earned in, e.g. "2024-05".
+ * @returns {Promise<Object|null>} The updated account, or null if the period had already been credited.
+ */
+async function creditInterest(accountNumber, amountCents, period) {
+  try {
+      assertPositiveCents(amountCents);
+      const { db } = await connectToMongo();
+      return await runInTransaction(async (session) => {
+          // Interest paid out early when an account closed does not count: if the account
+          // was reopened, the rest of that month is still owed
+          const credited = await db.collection('transactions').findOne(
+              { accountNumber: String(accountNumber), type: 'interest', interestPeriod: period, closingInterest: { $ne: true } },
+              { session }
+          );
+          if (credited) {
+              return null;
+          }
+          const account = await creditAccount(session, accountNumber, amountCents, "Account not found.");
+          await recordTransaction(session, account, 'interest', amountCents, 'system', {
+              interestPeriod: period,
+              description: `Interest for ${period}`
+          });
+          return account;
+      });
+  } catch (err) {
+      logger.error(`Error crediting interest: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Places a hold on an account, as a card authorization does: the amount is set aside so
+ * it can no longer be withdrawn or transferred, but the balance and ledger do not change
+ * until the hold is captured. Overdraft protection applies as it does to a withdrawal.
+ * @param {string} accountNumber Number of the account.
+ * @param {number} amount Amount to hold, in cents.
+ * @param {string} initiatedBy Email of whoever requested the hold.
+ * @param {string} [description] What the hold is for, e.g. the merchant's name.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The hold.
+ */
+async function authorizeHold(accountNumber, amount, initiatedBy, description, now = new Date()) {
+  try {
+      assertPositiveCents(amount);
+      const { db } = await connectToMongo();
+      return await runInTransaction(async (session) => {
+          const account = await reduceAvailableBalance(session, accountNumber, amount, { heldCents: amount }, initiatedBy, "Account not found.");
+          const hold = {
+              accountNumber: account.accountNumber,
+              ownerEmail: account.ownerEmail,
+              amountCents: amount,
+              currency: currencyOf(account),
+              status: 'authorized',
+              description,
+              initiatedBy: initiatedBy || account.ownerEmail,
+              createdAt: now,
+              expiresAt: new Date(now.getTime() + HOLD_LIFETIME_MS)
+          };
+          const result = await db.collection('holds').insertOne(hold, { session });
+          return result.ops[0];
+      });
+  } catch (err) {
+      logger.error(`Error authorizing hold: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Finds a hold by its id.
+ * @param {string} id The hold's id.
+ * @returns {Promise<Object>} The hold.
+ * @throws {NotFoundError} If there is no such hold.
+ */
+async function findHold(id) {
+  try {
+      if (!ObjectId.isValid(id)) {
+          throw new NotFoundError("Hold not found.");
+      }
+      const { db } = await connectToMongo();
+      const hold = await db.collection('holds').findOne({ _id: new ObjectId(id) });
+      if (!hold) {
+          throw new NotFoundError("Hold not found.");
+      }
+      return hold;
+  } catch (err) {
+      logger.error(`Error finding hold: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Lists the holds on an account, newest first.
+ * @param {string} accountNumber Number of the account.
+ * @returns {Promise<Array>} The holds.
+ */
+async function getHoldsByAccount(accountNumber) {
+  try {
+      const { db } = await connectToMongo();
+      return db.collection('holds').find({ accountNumber: String(accountNumber) }).sort({ createdAt: -1 }).toArray();
+  } catch (err) {
+      logger.error(`Error retrieving holds: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Ends an authorized hold inside a transaction, giving the held amount back to the
+ * account's available balance.
+ * @param {ClientSession} session The session of the surrounding transaction.
+ * @param {ObjectId} id The hold's id.
+ * @param {Object} $set The fields to set on the hold, including its new status.
+ * @param {Object} [filter] Further conditions the hold has to meet.
+ * @returns {Promise<Object|null>} The hold and account as they are afterwards, or null if
+ *   the hold was not authorized (or did not meet the conditions).
+ */
+async function endHold(session, id, $set, filter = {}) {
+    const { db } = await connectToMongo();
+    const ended = await db.collection('holds').findOneAndUpdate(
+        { _id: id, status: 'authorized', ...filter },
+        { $set },
+        { returnDocument: 'after', session }
+    );
+    if (!ended.value) {
+        return null;
+    }
+    const hold = ended.value;
+    const account = await db.collection('accounts').findOneAndUpdate(
+        { accountNumber: hold.accountNumber },
+        { $inc: { heldCents: -hold.amountCents } },
+        { returnDocument: 'after', session }
+    );
+    return { hold, account: account.value };
+}
+
+/**
+ * Throws the error for acting on a hold that is no longer authorized.
+ * @param {Object} hold The hold as it was found.
+ * @param {Date} now The current time.
+ */
+function assertHoldAuthorized(hold, now) {
+    if (hold.status !== 'authorized') {
+        throw new ConflictError(`This hold has already been ${hold.status}.`);
+    }
+    if (hold.expiresAt <= now) {
+        throw new ConflictError("This hold has expired.");
+    }
+}
+
+/**
+ * Throws the error for capturing or releasing a hold that is not a payment authorization:
+ * the hold on a deposited check only ends when it expires, once the check has cleared.
+ * @param {Object} hold The hold.
+ */
+function assertHoldSettleable(hold) {
+    if (hold.checkDepositId) {
+        throw new ConflictError("This hold is on a deposited check and lifts by itself once the check clears.");
+    }
+}
+
+/**
+ * Captures a hold: the captured amount is taken off the balance and written to the ledger,
+ * and the rest of the held amount, if any, is released.
+ * @param {string} id The hold's id.
+ * @param {number} [amount] Amount to capture, in cents; defaults to the whole held amount.
+ * @param {string} initiatedBy Email of whoever requested the capture.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} { hold, account, entry } as they are after the capture.
+ */
+async function captureHold(id, amount, initiatedBy, now = new Date()) {
+  try {
+      const found = await findHold(id);
+      assertHoldSettleable(found);
+      const capturedCents = amount === undefined ? found.amountCents : amount;
+      assertPositiveCents(capturedCents);
+      if (capturedCents > found.amountCents) {
+          throw new ValidationError("A hold cannot be captured for more than was authorized.");
+      }
+      const { db } = await connectToMongo();
+      return await runInTransaction(async (session) => {
+          const ended = await endHold(
+              session,
+              found._id,
+              { status: 'captured', capturedCents, capturedAt: now },
+              { expiresAt: { $gt: now } }
+          );
+          if (!ended) {
+              assertHoldAuthorized(await db.collection('holds').findOne({ _id: found._id }, { session }), now);
+          }
+          // Capturing takes the money, which a freeze or lock placed since the authorization forbids
+          assertAccountUsable(ended.account, 'debit');
+          const debited = await db.collection('accounts').findOneAndUpdate(
+              { _id: ended.account._id },
+              { $inc: { balanceCents: -capturedCents } },
+              { returnDocument: 'after', session }
+          );
+          const account = await updateOverdrawnFlag(session, debited.value);
+          const entry = await recordTransaction(session, account, 'capture', capturedCents, initiatedBy || account.ownerEmail, {
+              holdId: found._id,
+              description: found.description
+          });
+          return { hold: ended.hold, account, entry };
+      });
+  } catch (err) {
+      logger.error(`Error capturing hold: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Releases a hold without taking anything, giving the whole held amount back to the
+ * account's available balance.
+ * @param {string} id The hold's id.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} { hold, account } as they are after the release.
+ */
+async function releaseHold(id, now = new Date()) {
+  try {
+      const found = await findHold(id);
+      assertHoldSettleable(found);
+      const { db } = await connectToMongo();
+      return await runInTransaction(async (session) => {
+          const ended = await endHold(session, found._id, { status: 'released', releasedAt: now }, { expiresAt: { $gt: now } });
+          if (!ended) {
+              assertHoldAuthorized(await db.collection('holds').findOne({ _id: found._id }, { session }), now);
+          }
+          return ended;
+      });
+  } catch (err) {
+      logger.error(`Error releasing hold: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Expires every authorized hold that has passed its expiry time, giving the held amounts
+ * back to the accounts' available balances. A hold that fails is logged and picked up
+ * again on the next run.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<number>} How many holds expired.
+ */
+async function expireHolds(now = new Date()) {
+  try {
+      const { db } = await connectToMongo();
+      const stale = await db.collection('holds').find({ status: 'authorized', expiresAt: { $lte: now } }).toArray();
+      let count = 0;
+      for (const hold of stale) {
+          try {
+              const ended = await runInTransaction(session => endHold(session, hold._id, { status: 'expired', expiredAt: now }));
+              if (ended) {
+                  count += 1;
+              }
+          } catch (err) {
+              logger.error(`Error expiring hold ${hold._id}: ${err.message}`, { stack: err.stack });
+          }
+      }
+      return count;
+  } catch (err) {
+      logger.error(`Error expiring holds: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Places a restriction on an account on behalf of a bank employee:
+ * - 'freeze': no money can be taken out, but it can still be paid in;
+ * - 'lock': no money can be paid in or taken out;
+ * - 'legal-hold': amountCents of the balance cannot be used, e.g. under a court order.
+ *   More than the balance may be held, in which case money paid in is held until the
+ *   amount is reached.
+ * Every money-moving function honours restrictions (see assertAccountUsable and
+ * reduceAvailableBalance). A restriction lasts until it is lifted or, if it has one, its
+ * expiry passes (see expireRestrictions). The owner is told that the account has been
+ * restricted, but not why.
+ * @param {string} accountNumber Number of the account.
+ * @param {Object} details { type, amountCents, reason, expiresAt }: amountCents only for a
+ *   legal hold; expiresAt is optional.
+ * @param {string} placedBy Email of the employee placing it.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} { restriction, account } as they are after placing it.
+ * @throws {ValidationError} If a detail is missing or malformed.
+ */
+async function placeRestriction(accountNumber, { type, amountCents, reason, expiresAt }, placedBy, now = new Date()) {
+  try {
+      if (!RESTRICTION_TYPES.includes(type)) {
+          throw new ValidationError(`Restriction type must be one of: ${RESTRICTION_TYPES.join(', ')}`);
+      }
+      if (type === 'legal-hold') {
+          assertPositiveCents(amountCents);
+      } else if (amountCents !== undefined) {
+          throw new ValidationError("Only a legal hold is placed on an amount.");
+      }
+      const why = String(reason === undefined || reason === null ? '' : reason).trim();
+      if (!why || why.length > MAX_RESTRICTION_REASON_LENGTH) {
+          throw new ValidationError(`A reason of 1 to ${MAX_RESTRICTION_REASON_LENGTH} characters is required.`);
+      }
+      const expiry = expiresAt ? new Date(expiresAt) : null;
+      if (expiry && (Number.isNaN(expiry.getTime()) || expiry <= now)) {
+          throw new ValidationError("The expiry must be a date in the future.");
+      }
+
+      const { db } = await connectToMongo();
+      return await runInTransaction(async (session) => {
+          const current = await db.collection('accounts').findOne({ accountNumber: String(accountNumber) }, { session });
+          if (!current) {
+              throw new NotFoundError("Account not found.");
+          }
+          assertAccountOpen(current);
+          const restriction = {
+              accountNumber: current.accountNumber,
+              ownerEmail: current.ownerEmail,
+              type,
+              amountCents: type === 'legal-hold' ? amountCents : null,
+              currency: currencyOf(current),
+              reason: why,
+              status: 'active',
+              placedBy,
+              placedAt: now,
+              expiresAt: expiry
+          };
+          await db.collection('restrictions').insertOne(restriction, { session });
+          const update = {
+              // The account carries its active restrictions so that money-moving updates can filter on them
+              $push: { restrictions: { _id: restriction._id, type, amountCents: restriction.amountCents, expiresAt: expiry } }
+          };
+          if (type === 'legal-hold') {
+              update.$inc = { legalHoldCents: amountCents };
+          }
+          const account = await db.collection('accounts').findOneAndUpdate(
+              { _id: current._id },
+              update,
+              { returnDocument: 'after', session }
+          );
+          const described = type === 'legal-hold' ? `A legal hold of ${formatAmount(amountCents)} ${restriction.currency} was placed on` : `A ${type} was placed on`;
+          await notify(session, current.ownerEmail, 'account-restricted',
+              `${described} your account ${current.accountNumber}. Please contact us for details.`,
+              { restrictionId: restriction._id, accountNumber: current.accountNumber });
+          return { restriction, account: account.value };
+      });
+  } catch (err) {
+      logger.error(`Error placing restriction: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Finds a restriction by its id.
+ * @param {string} id The restriction's id.
+ * @returns {Promise<Object>} The restriction.
+ * @throws {NotFoundError} If there is no such restriction.
+ */
+async function findRestriction(id) {
+  try {
+      if (!ObjectId.isValid(id)) {
+          throw new NotFoundError("Restriction not found.");
+      }
+      const { db } = await connectToMongo();
+      const restriction = await db.collection('restrictions').findOne({ _id: new ObjectId(String(id)) });
+      if (!restriction) {
+          throw new NotFoundError("Restriction not found.");
+      }
+      return restriction;
+  } catch (err) {
+      logger.error(`Error finding restriction: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Lists every restriction ever placed on an account, newest first.
+ * @param {string} accountNumber Number of the account.
+ * @returns {Promise<Array<Object>>} The restrictions.
+ */
+async function getRestrictionsByAccount(accountNumber) {
+  try {
+      const { db } = await connectToMongo();
+      return await db.collection('restrictions')
+          .find({ accountNumber: String(accountNumber) })
+          .sort({ placedAt: -1, _id: -1 })
+          .toArray();
+  } catch (err) {
+      logger.error(`Error retrieving restrictions: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Ends an active restriction inside a transaction and takes it off its account.
+ * @param {ClientSession} session The session of the surrounding transaction.
+ * @param {ObjectId} id The restriction's id.
+ * @param {Object} $set The fields to set on the restriction, including its new status.
+ * @returns {Promise<Object|null>} { restriction, account } as they are after ending it, or
+ *   null if it was not active.
+ */
+async function endRestriction(session, id, $set) {
+    const { db } = await connectToMongo();
+    const ended = await db.collection('restrictions').findOneAndUpdate(
+        { _id: id, status: 'active' },
+        { $set },
+        { returnDocument: 'after', session }
+    );
+    if (!ended.value) {
+        return null;
+    }
+    const restriction = ended.value;
+    const update = { $pull: { restrictions: { _id: restriction._id } } };
+    if (restriction.type === 'legal-hold') {
+        update.$inc = { legalHoldCents: -restriction.amountCents };
+    }
+    const account = await db.collection('accounts').findOneAndUpdate(
+        { accountNumber: restriction.accountNumber },
+        update,
+        { returnDocument: 'after', session }
+    );
+    return { restriction, account: account.value };
+}
+
+/**
+ * Lifts a restriction before it expires.
+ * @param {string} id The restriction's id.
+ * @param {string} liftedBy Email of the employee lifting it.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} { restriction, account } as they are after lifting it.
+ * @throws {ConflictError} If the restriction has already been lifted or has expired.
+ */
+async function liftRestriction(id, liftedBy, now = new Date()) {
+  try {
+      const found = await findRestriction(id);
+      const lifted = await runInTransaction(session => endRestriction(session, found._id, { status: 'lifted', liftedBy, liftedAt: now }));
+      if (!lifted) {
+          const current = await findRestriction(id);
+          throw new ConflictError(`This restriction has already ${current.status === 'expired' ? 'expired' : 'been lifted'}.`);
+      }
+      return lifted;
+  } catch (err) {
+      logger.error(`Error lifting restriction: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Ends every active restriction whose expiry has passed. Called periodically by the
+ * restriction expiry job.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<number>} How many restrictions expired.
+ */
+async function expireRestrictions(now = new Date()) {
+  try {
+      const { db } = await connectToMongo();
+      const stale = await db.collection('restrictions').find({ status: 'active', expiresAt: { $ne: null, $lte: now } }).toArray();
+      let count = 0;
+      for (const restriction of stale) {
+          try {
+              const ended = await runInTransaction(session => endRestriction(session, restriction._id, { status: 'expired', expiredAt: now }));
+              if (ended) {
+                  count += 1;
+              }
+          } catch (err) {
+              logger.error(`Error expiring restriction ${restriction._id}: ${err.message}`, { stack: err.stack });
+          }
+      }
+      return count;
+  } catch (err) {
+      logger.error(`Error expiring restrictions: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Describes a bill payment for its ledger entries.
+ */
+function describeBillPayment(payment) {
+    return payment.memo ? `Bill payment to ${payment.payee.name}: ${payment.memo}` : `Bill payment to ${payment.payee.name}`;
+}
+
+/**
+ * Debits a scheduled bill payment from its account and puts it in the outgoing payments
+ * queue (status 'pending'), where the settlement job sends it on. The debit is covered by
+ * overdraft protection like any other; if the balance cannot cover it, nothing changes.
+ * @param {string|ObjectId} id The payment's id.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The payment, the updated account and the ledger entry.
+ * @throws {ConflictError} If the payment is no longer scheduled.
+ * @throws {InsufficientFundsError} If the available balance cannot cover the payment.
+ */
+async function debitBillPayment(id, now = new Date()) {
+  try {
+      const { db } = await connectToMongo();
+      const paymentId = new ObjectId(String(id));
+      return await runInTransaction(async (session) => {
+          const queued = await db.collection('billPayments').findOneAndUpdate(
+              { _id: paymentId, status: 'scheduled' },
+              { $set: { status: 'pending', debitedAt: now } },
+              { returnDocument: 'after', session }
+          );
+          if (!queued.value) {
+              const current = await db.collection('billPayments').findOne({ _id: paymentId }, { session });
+              if (!current) {
+                  throw new NotFoundError("Payment not found.");
+              }
+              throw new ConflictError(`This payment is already ${current.status}.`);
+          }
+          const payment = queued.value;
+          const account = await debitAccount(session, payment.fromAccountNumber, payment.amountCents, payment.createdBy, "Account not found.");
+          const entry = await recordTransaction(session, account, 'bill-payment', payment.amountCents, payment.createdBy, {
+              billPaymentId: payment._id,
+              description: describeBillPayment(payment)
+          });
+          await db.collection('billPayments').updateOne({ _id: payment._id }, { $set: { entryId: entry._id } }, { session });
+          return { payment: { ...payment, entryId: entry._id }, account, entry };
+      });
+  } catch (err) {
+      logger.error(`Error debiting bill payment: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Records that a sent bill payment came back from the receiving bank, e.g. because the
+ * payee's account was closed, and credits the amount back to the account it was paid from.
+ * @param {string} id The payment's id.
+ * @param {string} reason Why it was returned.
+ * @param {string} returnedBy Email of the staff member recording the return.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The payment, the updated account and the ledger entry.
+ * @throws {ValidationError} If no reason is given.
+ * @throws {ConflictError} If the payment has not been sent, or was already returned.
+ */
+async function returnBillPayment(id, reason, returnedBy, now = new Date()) {
+  try {
+      const returnReason = String(reason || '').trim();
+      if (!returnReason) {
+          throw new ValidationError("A reason for the return is required.");
+      }
+      if (!ObjectId.isValid(String(id))) {
+          throw new NotFoundError("Payment not found.");
+      }
+      const { db } = await connectToMongo();
+      const paymentId = new ObjectId(String(id));
+      return await runInTransaction(async (session) => {
+          const returned = await db.collection('billPayments').findOneAndUpdate(
+              { _id: paymentId, status: 'sent' },
+              { $set: { status: 'returned', returnedAt: now, returnReason, returnedBy } },
+              { returnDocument: 'after', session }
+          );
+          if (!returned.value) {
+              const current = await db.collection('billPayments').findOne({ _id: paymentId }, { session });
+              if (!current) {
+                  throw new NotFoundError("Payment not found.");
+              }
+              throw new ConflictError(current.status === 'returned'
+                  ? "This payment has already been returned."
+                  : "Only a payment that has been sent can be returned.");
+          }
+          const payment = returned.value;
+          const account = await creditAccount(session, payment.fromAccountNumber, payment.amountCents, "Account not found.");
+          const entry = await recordTransaction(session, account, 'bill-payment-return', payment.amountCents, returnedBy, {
+              billPaymentId: payment._id,
+              description: `Returned: ${describeBillPayment(payment)} (${returnReason})`
+          });
+          return { payment, account, entry };
+      });
+  } catch (err) {
+      logger.error(`Error returning bill payment: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Approves a pending mobile check deposit: posts its amount to the account with a 'deposit'
+ * ledger entry and, unless CHECK_HOLD_DAYS is 0, places a hold of the same amount that
+ * expires once the check has cleared, so the money shows in the balance straight away but
+ * can only be spent after that. The customer is notified.
+ * @param {string|ObjectId} id The deposit's id.
+ * @param {string} reviewedBy Email of the bank employee approving it.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The deposit, the updated account, the ledger entry and the hold, if any.
+ * @throws {NotFoundError} If there is no such deposit.
+ * @throws {ConflictError} If the deposit has already been reviewed.
+ */
+async function approveCheckDeposit(id, reviewedBy, now = new Date()) {
+  try {
+      if (!ObjectId.isValid(String(id))) {
+          throw new NotFoundError("Deposit not found.");
+      }
+      const { db } = await connectToMongo();
+      const depositId = new ObjectId(String(id));
+      return await runInTransaction(async (session) => {
+          const deposits = db.collection('checkDeposits');
+          const approved = await deposits.findOneAndUpdate(
+              { _id: depositId, status: 'pending' },
+              { $set: { status: 'approved', reviewedBy, reviewedAt: now } },
+              { returnDocument: 'after', session }
+          );
+          if (!approved.value) {
+              const current = await deposits.findOne({ _id: depositId }, { session });
+              if (!current) {
+                  throw new NotFoundError("Deposit not found.");
+              }
+              throw new ConflictError(`This deposit has already been ${current.status}.`);
+          }
+          const deposit = approved.value;
+          const description = `Mobile check deposit #${deposit.checkNumber}`;
+          let account = await creditAccount(session, deposit.accountNumber, deposit.amountCents, "Account not found.");
+          const entry = await recordTransaction(session, account, 'deposit', deposit.amountCents, reviewedBy, {
+              checkDepositId: deposit._id,
+              description
+          });
+
+          let hold;
+          const availableAt = new Date(now.getTime() + CHECK_HOLD_MS);
+          if (CHECK_HOLD_MS > 0) {
+              const held = await db.collection('accounts').findOneAndUpdate(
+                  { _id: account._id },
+                  { $inc: { heldCents: deposit.amountCents } },
+                  { returnDocument: 'after', session }
+              );
+              account = held.value;
+              hold = {
+                  accountNumber: account.accountNumber,
+                  ownerEmail: account.ownerEmail,
+                  amountCents: deposit.amountCents,
+                  currency: currencyOf(account),
+                  status: 'authorized',
+                  description: `Check #${deposit.checkNumber} clearing`,
+                  checkDepositId: deposit._id,
+                  initiatedBy: reviewedBy,
+                  createdAt: now,
+                  expiresAt: availableAt
+              };
+              await db.collection('holds').insertOne(hold, { session });
+          }
+          await deposits.updateOne(
+              { _id: deposit._id },
+              { $set: { entryId: entry._id, holdId: hold && hold._id, availableAt } },
+              { session }
+          );
+          await notify(session, deposit.ownerEmail, 'check-approved',
+              `Your check #${deposit.checkNumber} for ${formatAmount(deposit.amountCents)} ${deposit.currency} was approved`
+                  + (hold ? ` and will be available on ${availableAt.toISOString().slice(0, 10)}` : ''),
+              { checkDepositId: deposit._id });
+          return { deposit: { ...deposit, entryId: entry._id, holdId: hold && hold._id, availableAt }, account, entry, hold };
+      });
+  } catch (err) {
+      logger.error(`Error approving check deposit: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Retrieves the ledger entries for a user, newest first.
+ * @param {string} email Email of the account holder.
+ * @returns {Promise<Array<Object>>} The user's ledger entries.
+ */
+async function getTransactionsByEmail(email) {
+  try {
+      const { db } = await connectToMongo();
+      return db.collection('transactions').find({ email }).sort({ createdAt: -1, _id: -1 }).toArray();
+  } catch (err) {
+      logger.error(`Error retrieving transactions: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Retrieves the ledger entries for a single bank account, newest first.
+ * @param {string} accountNumber Number of the account.
+ * @returns {Promise<Array<Object>>} The account's ledger entries.
+ */
+async function getTransactionsByAccount(accountNumber) {
+  try {
+      const { db } = await connectToMongo();
+      return db.collection('transactions').find({ accountNumber: String(accountNumber) }).sort({ createdAt: -1, _id: -1 }).toArray();
+  } catch (err) {
+      logger.error(`Error retrieving account transactions: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Retrieves the ledger entries of a bank account made within a span of time, oldest first.
+ * @param {string} accountNumber Number of the account.
+ * @param {Date} from Start of the span.
+ * @param {Date} to End of the span, not included.
+ * @returns {Promise<Array<Object>>} The ledger entries.
+ */
+async function getTransactionsBetween(accountNumber, from, to) {
+  try {
+      const { db } = await connectToMongo();
+      return db.collection('transactions')
+          .find({ accountNumber: String(accountNumber), createdAt: { $gte: from, $lt: to } })
+          .sort({ createdAt: 1, _id: 1 })
+          .toArray();
+  } catch (err) {
+      logger.error(`Error retrieving account transactions: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Returns an account's balance just before a ledger entry was made.
+ * @param {Object} entry The ledger entry.
+ * @returns {number} The balance, in cents.
+ */
+function balanceBefore(entry) {
+    return entry.balanceAfterCents - signedCents(entry);
+}
+
+/**
+ * Works out an account's balance at a given moment from its ledger: the balance after the
+ * last entry before then or, for accounts with no entries that early, the balance before
+ * the first entry after it.
+ * @param {Object} account The account.
+ * @param {Date} at The moment.
+ * @returns {Promise<number>} The balance, in cents.
+ */
+async function getBalanceAt(account, at) {
+  try {
+      const { db } = await connectToMongo();
+      const transactions = db.collection('transactions');
+      const before = await transactions
+          .find({ accountNumber: account.accountNumber, createdAt: { $lt: at } })
+          .sort({ createdAt: -1, _id: -1 })
+          .limit(1)
+          .next();
+      if (before) {
+          return before.balanceAfterCents;
+      }
+      const after = await transactions
+          .find({ accountNumber: account.accountNumber, createdAt: { $gte: at } })
+          .sort({ createdAt: 1, _id: 1 })
+          .limit(1)
+          .next();
+      if (!after) {
+          return account.balanceCents;
+      }
+      return balanceBefore(after);
+  } catch (err) {
+      logger.error(`Error working out balance: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Works out where an account's settled history ends: at its latest ledger entry, or at the
+ * end of its latest complete statement if that is later. Imported entries may not be dated
+ * before then, since the balances after existing entries, and the statements made from
+ * them, would no longer add up.
+ * @param {string} accountNumber Number of the account.
+ * @param {ClientSession} [session] The session of a surrounding transaction, if any.
+ * @returns {Promise<Date|null>} The moment, or null for an account with no history yet.
+ */
+async function getHistoryEnd(accountNumber, session) {
+  try {
+      const { db } = await connectToMongo();
+      const latest = await db.collection('transactions')
+          .find({ accountNumber }, { session })
+          .sort({ createdAt: -1, _id: -1 })
+          .limit(1)
+          .next();
+      const statement = await db.collection('statements')
+          .find({ accountNumber, complete: true }, { session })
+          .sort({ periodEnd: -1 })
+          .limit(1)
+          .next();
+      const ends = [latest && latest.createdAt, statement && statement.periodEnd].filter(Boolean);
+      return ends.length > 0 ? new Date(Math.max(...ends)) : null;
+  } catch (err) {
+      logger.error(`Error finding the end of account history: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Works out the balance after each of the entries to add to the end of an account's
+ * ledger: the entries are put in date order and run on from the account's balance.
+ * @param {Object} account The account.
+ * @param {Array<Object>} added The entries to add, each with an _id.
+ * @returns {Array<Object>} Copies of the entries, oldest first, with balanceAfterCents set.
+ */
+function chainEntries(account, added) {
+    let balance = account.balanceCents;
+    return [...added]
+        .sort((a, b) => a.createdAt - b.createdAt || String(a._id).localeCompare(String(b._id)))
+        .map(entry => {
+            balance += signedCents(entry);
+            return { ...entry, balanceAfterCents: balance };
+        });
+}
+
+/**
+ * Loads historical ledger entries, e.g. from a legacy system, in one transaction. For each
+ * account the entries are added after its existing ones, which are left as they are, and
+ * the account's balance is set to the new closing balance. The import itself is recorded
+ * in the 'imports' collection and every entry points back to it with importId.
+ * @param {Object} batch { format, importedBy, accounts }, where each of accounts is
+ *   { accountNumber, balanceCents, entries }: the balance the account had when the import
+ *   was checked and the entries to add, each with an _id, type, amountCents, createdAt and
+ *   optionally description and externalId.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The import record, with each account's balance before and after.
+ * @throws {ConflictError} If an account's balance changed after the import was checked, or
+ *   an entry is dated before the end of its account's history (see getHistoryEnd).
+ * @throws {MongoError} With code 11000 if a transaction id is already in an account's ledger.
+ * @throws {AccountRestrictedError} If an account is closed or locked, is frozen and would
+ *   have money taken out, or would have money under a legal hold taken out.
+ */
+async function importLedgerEntries(batch, now = new Date()) {
+  try {
+      const { db } = await connectToMongo();
+      const transactions = await getTransactionsCollection();
+      return await runInTransaction(async (session) => {
+          const importId = new ObjectId();
+          const accounts = [];
+          for (const plan of batch.accounts) {
+              const account = await db.collection('accounts').findOne({ accountNumber: plan.accountNumber }, { session });
+              if (!account) {
+                  throw new NotFoundError(`Account ${plan.accountNumber} not found.`);
+              }
+              assertAccountUsable(account, plan.entries.some(entry => signedCents(entry) < 0) ? 'debit' : 'credit');
+              if (account.balanceCents !== plan.balanceCents) {
+                  throw new ConflictError(`The balance of account ${plan.accountNumber} changed while the import was being checked. Run the dry run again.`);
+              }
+              const historyEnd = await getHistoryEnd(account.accountNumber, session);
+              if (historyEnd && plan.entries.some(entry => entry.createdAt < historyEnd)) {
+                  throw new ConflictError(`Account ${plan.accountNumber} has history after some of the entries to import. Run the dry run again.`);
+              }
+              const added = plan.entries.map(entry => ({
+                  _id: entry._id,
+                  accountId: account._id,
+                  accountNumber: account.accountNumber,
+                  email: account.ownerEmail,
+                  type: entry.type,
+                  amountCents: entry.amountCents,
+                  currency: currencyOf(account),
+                  initiatedBy: batch.importedBy,
+                  description: entry.description,
+                  externalId: entry.externalId,
+                  importId,
+                  createdAt: entry.createdAt
+              }));
+              const rules = await getCategoryRules(account.ownerEmail, session);
+              added.forEach(entry => Object.assign(entry, categorize(entry, rules)));
+              const ledger = chainEntries(account, added);
+
+              await transactions.insertMany(ledger, { session });
+              const closingCents = ledger[ledger.length - 1].balanceAfterCents;
+              if (account.legalHoldCents > 0 && closingCents < account.balanceCents && closingCents < (account.heldCents || 0) + account.legalHoldCents) {
+                  throw new AccountRestrictedError(`The import would take money under a legal hold out of account ${account.accountNumber}.`, RESTRICTION_CODES['legal-hold']);
+              }
+              await db.collection('accounts').updateOne({ _id: account._id }, { $set: { balanceCents: closingCents } }, { session });
+              accounts.push({
+                  accountNumber: account.accountNumber,
+                  entryCount: added.length,
+                  balanceBeforeCents: account.balanceCents,
+                  balanceAfterCents: closingCents
+              });
+          }
+
+          const record = {
+              _id: importId,
+              format: batch.format,
+              importedBy: batch.importedBy,
+              entryCount: accounts.reduce((total, account) => total + account.entryCount, 0),
+              accounts,
+              createdAt: now
+          };
+          await db.collection('imports').insertOne(record, { session });
+          logger.info(`Imported ${record.entryCount} ledger entries into ${accounts.length} account(s) for ${batch.importedBy}`);
+          return record;
+      });
+  } catch (err) {
+      logger.error(`Error importing ledger entries: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+* Retrieves all bank accounts from the database.
+* @returns An array of all account objects.
+*/
+async function allAccounts() {
+  try {
+      const { db } = await connectToMongo();
+      return db.collection('accounts').find({}).toArray();
+  } catch (err) {
+      logger.error(`Error retrieving all accounts: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+* Retrieves all users from the database.
 * @returns An array of all user objects.
 */
 async function all() {
@@ -424,6 +2445,52 @@ async function all() {
   }
 }
 
+/**
+ * Looks up the role of a user.
+ * @param {string} email Email of the user.
+ * @returns {Promise<string|null>} The user's role, or null if the user does not exist.
+ */
+async function findUserRole(email) {
+  try {
+      const { db } = await connectToMongo();
+      const user = await db.collection('users').findOne({ email }, { projection: { role: 1 } });
+      if (!user) {
+          return null;
+      }
+      return user.role || 'user';
+  } catch (err) {
+      logger.error(`Error finding user role: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
+/**
+ * Sets the role of a user.
+ * @param {string} email Email of the user.
+ * @param {string} role One of 'user', 'admin' or 'bank employee'.
+ * @returns {Promise<Object>} The updated user.
+ */
+async function setUserRole(email, role) {
+  try {
+      if (!USER_ROLES.includes(role)) {
+          throw new ValidationError(`Role must be one of: ${USER_ROLES.join(', ')}`);
+      }
+      const { db } = await connectToMongo();
+      const result = await db.collection('users').findOneAndUpdate(
+          { email },
+          { $set: { role } },
+          { returnDocument: 'after' }
+      );
+      if (!result.value) {
+          throw new NotFoundError("User not found.");
+      }
+      return result.value;
+  } catch (err) {
+      logger.error(`Error setting user role: ${err.message}`, { stack: err.stack });
+      throw err;
+  }
+}
+
 /**
  * Updates the user profile with the provided email.
  * @param {string} email The email of the user to update.
@@ -434,7 +2501,7 @@ async function all() {
 async function updateUserProfile(email, name, phoneNumber) {
     try {
         // Update the user's name and phone number
-        await db.collection('users').updateOne({ email }, { $set: { name, phoneNumber } });
+        await db.collection('users').updateOne({ email }, { $set: { name, phoneNumber, ...contactKeys({ phoneNumber }) } });
         
         // Operation completed successfully
         console.log('Profile updated successfully');
@@ -447,10 +2514,13 @@ async function updateUserProfile(email, name, phoneNumber) {
 
 /**
  * Sets up the data access layer.
+ * @param {string} [uri] Connection string, defaults to MONGODB_URI.
+ * @param {string} [dbName] Database name, defaults to DB_NAME.
  * @returns {Promise<Object>} The database instance and a function to stop the database.
  */
-async function setupDAL() {
-  return await connectToMongo();
+async function setupDAL(uri, dbName) {
+  const connection = await connectToMongo(uri, dbName);
+  return { ...connection, stopDB: disconnectFromMongo };
 }
 
 /**
@@ -459,6 +2529,9 @@ async function setupDAL() {
 async function disconnectFromMongo() {
   if (client) {
       await client.close();
+      db = undefined;
+      client = undefined;
+      indexesReady.clear();
       logger.info('Disconnected from MongoDB.');
   }
 }
@@ -467,6 +2540,9 @@ async function disconnectFromMongo() {
 module.exports = {
     connectToMongo,
     getDb,
+    runInTransaction,
+    getIndexedCollection,
+    getCategoryRules,
     findOneDocument,
     createDocument,
     findDocument,
@@ -479,13 +2555,53 @@ module.exports = {
     updateUserByEmail,
     setupDAL,
     createBankAccount,
+    findAccount,
+    findAccountsByEmail,
+    allAccounts,
     update,
     findOne,
     findUserAccountInfoByEmail,
     deposit,
     withdraw,
+    transfer,
+    closeAccount,
+    reopenAccount,
+    assertAccountOpen,
+    assertAccountUsable,
+    notify,
+    sendPeerPayment,
+    payPaymentRequest,
+    approveCheckDeposit,
+    creditInterest,
+    setOverdraftProtection,
+    getWithdrawalAllowance,
+    setWithdrawalLimitOverrides,
+    getExchangeRates,
+    setExchangeRate,
+    authorizeHold,
+    findHold,
+    getHoldsByAccount,
+    captureHold,
+    releaseHold,
+    expireHolds,
+    placeRestriction,
+    findRestriction,
+    getRestrictionsByAccount,
+    liftRestriction,
+    expireRestrictions,
+    debitBillPayment,
+    returnBillPayment,
+    getTransactionsByEmail,
+    getTransactionsByAccount,
+    getTransactionsBetween,
+    getBalanceAt,
+    getHistoryEnd,
+    chainEntries,
+    importLedgerEntries,
     all,
     create,
     find,
+    findUserRole,
+    setUserRole,
     updateUserProfile
 };
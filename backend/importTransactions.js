@@ -0,0 +1,80 @@
+// importTransactions.js
+// ./backend/importTransactions.js
+//
+// Command line version of POST /admin/imports: loads historical ledger entries from a CSV
+// or OFX file (see services/importService.js for what the file must contain). By default
+// it is a dry run that prints the problems with each row and how each account's balance
+// would change; with --commit the entries are imported, if every row is good.
+//
+// Usage: node importTransactions.js <file> --by <admin email> [--format csv|ofx] [--commit]
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const dal = require('./dal');
+const { formatAmount } = require('./money');
+const { importTransactions } = require('./services/importService');
+
+const USAGE = 'Usage: node importTransactions.js <file> --by <admin email> [--format csv|ofx] [--commit]';
+
+/**
+ * Reads the file, options and flags from the command line.
+ */
+function parseArguments(args) {
+    const options = { commit: false };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--commit') {
+            options.commit = true;
+        } else if (args[i] === '--by' || args[i] === '--format') {
+            options[args[i].slice(2)] = args[i + 1];
+            i += 1;
+        } else {
+            options.file = args[i];
+        }
+    }
+    return options;
+}
+
+/**
+ * Prints an import report.
+ */
+function printReport(report) {
+    console.log(`${report.rowCount} row(s) read, ${report.errors.length} with errors.`);
+    report.errors.forEach(error => console.log(`  Row ${error.row}: ${error.message}`));
+    report.accounts.forEach(account => console.log(
+        `  Account ${account.accountNumber}: ${account.entryCount} entries, balance `
+        + `${formatAmount(account.balanceBeforeCents)} -> ${formatAmount(account.balanceAfterCents)} ${account.currency}`
+    ));
+    if (report.committed) {
+        console.log(`Imported as ${report.importId}.`);
+    } else if (report.errors.length > 0) {
+        console.log('Nothing was imported. Fix the rows above and run it again.');
+    } else {
+        console.log('Dry run: nothing was imported. Run it again with --commit to import.');
+    }
+}
+
+async function main() {
+    const options = parseArguments(process.argv.slice(2));
+    if (!options.file || !options.by) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+    const format = options.format || path.extname(options.file).slice(1);
+    const content = fs.readFileSync(options.file, 'utf8');
+
+    const report = await importTransactions(content, format, options.by, { commit: options.commit });
+    printReport(report);
+    if (report.errors.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main()
+    .catch(err => {
+        console.error('Import failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => dal.disconnectFromMongo());
@@ -0,0 +1,17 @@
+// billPaySettlement.js
+// ./backend/jobs/billPaySettlement.js
+
+const logger = require('../logger');
+const billPayService = require('../services/billPayService.js');
+
+module.exports = {
+    name: 'bill-pay-settlement',
+    // How often to send queued payments and debit due ones, configurable through BILL_PAY_SETTLEMENT_INTERVAL_SECONDS (default 300)
+    intervalMs: (Number(process.env.BILL_PAY_SETTLEMENT_INTERVAL_SECONDS) || 5 * 60) * 1000,
+    async run(now) {
+        const { sent, debited, failed } = await billPayService.settleBillPayments(now);
+        if (sent + debited + failed > 0) {
+            logger.info(`Bill pay: sent ${sent}, debited ${debited}, failed ${failed} payment(s)`);
+        }
+    }
+};
@@ -0,0 +1,17 @@
+// holdExpiry.js
+// ./backend/jobs/holdExpiry.js
+
+const logger = require('../logger');
+const dal = require('../dal.js');
+
+module.exports = {
+    name: 'hold-expiry',
+    // How often to look for stale holds, configurable through HOLD_EXPIRY_INTERVAL_SECONDS (default 300)
+    intervalMs: (Number(process.env.HOLD_EXPIRY_INTERVAL_SECONDS) || 5 * 60) * 1000,
+    async run(now) {
+        const expired = await dal.expireHolds(now);
+        if (expired > 0) {
+            logger.info(`Expired ${expired} hold(s)`);
+        }
+    }
+};
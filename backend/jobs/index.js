@@ -0,0 +1,46 @@
+// index.js
+// ./backend/jobs/index.js
+//
+// Background jobs that run inside the backend process. Each job module exports
+// { name, intervalMs, run }; run is called every intervalMs, and never while the
+// previous call is still going.
+
+const logger = require('../logger');
+const scheduledTransfers = require('./scheduledTransfers');
+const interestAccrual = require('./interestAccrual');
+const holdExpiry = require('./holdExpiry');
+const monthlyStatements = require('./monthlyStatements');
+const billPaySettlement = require('./billPaySettlement');
+const paymentRequests = require('./paymentRequests');
+const restrictionExpiry = require('./restrictionExpiry');
+
+const jobs = [scheduledTransfers, interestAccrual, holdExpiry, monthlyStatements, billPaySettlement, paymentRequests, restrictionExpiry];
+
+/**
+ * Starts every job, running each once straight away and then on its interval.
+ * @param {Array<Object>} [list] The jobs to start, defaults to all of them.
+ * @returns {Function} Stops the jobs again.
+ */
+function startJobs(list = jobs) {
+    const timers = list.map(job => {
+        let running = false;
+        const tick = async () => {
+            if (running) {
+                return;
+            }
+            running = true;
+            try {
+                await job.run(new Date());
+            } catch (err) {
+                logger.error(`Error running job ${job.name}: ${err.message}`, { stack: err.stack });
+            } finally {
+                running = false;
+            }
+        };
+        tick();
+        return setInterval(tick, job.intervalMs);
+    });
+    return () => timers.forEach(clearInterval);
+}
+
+module.exports = { startJobs };
@@ -0,0 +1,18 @@
+// interestAccrual.js
+// ./backend/jobs/interestAccrual.js
+
+const logger = require('../logger');
+const { accrueAndCreditInterest } = require('../services/interestService');
+
+module.exports = {
+    name: 'interest-accrual',
+    // How often to accrue and credit interest, configurable through INTEREST_ACCRUAL_INTERVAL_SECONDS (default 3600).
+    // Each day is only accrued once it has ended, so running more often than daily just catches up sooner.
+    intervalMs: (Number(process.env.INTEREST_ACCRUAL_INTERVAL_SECONDS) || 60 * 60) * 1000,
+    async run(now) {
+        const { daysAccrued, monthsCredited } = await accrueAndCreditInterest(now);
+        if (daysAccrued > 0 || monthsCredited > 0) {
+            logger.info(`Accrued ${daysAccrued} day(s) and credited ${monthsCredited} month(s) of interest`);
+        }
+    }
+};
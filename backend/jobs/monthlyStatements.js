@@ -0,0 +1,18 @@
+// monthlyStatements.js
+// ./backend/jobs/monthlyStatements.js
+
+const logger = require('../logger');
+const { generateMonthlyStatements } = require('../services/statementService');
+
+module.exports = {
+    name: 'monthly-statements',
+    // How often to look for accounts missing last month's statement, configurable through
+    // STATEMENT_INTERVAL_SECONDS (default 3600). Each account gets one statement per month.
+    intervalMs: (Number(process.env.STATEMENT_INTERVAL_SECONDS) || 60 * 60) * 1000,
+    async run(now) {
+        const count = await generateMonthlyStatements(now);
+        if (count > 0) {
+            logger.info(`Generated ${count} monthly statement(s)`);
+        }
+    }
+};
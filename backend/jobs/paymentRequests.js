@@ -0,0 +1,17 @@
+// paymentRequests.js
+// ./backend/jobs/paymentRequests.js
+
+const logger = require('../logger');
+const paymentRequestService = require('../services/paymentRequestService.js');
+
+module.exports = {
+    name: 'payment-requests',
+    // How often to expire and send reminders for payment requests, configurable through PAYMENT_REQUEST_INTERVAL_SECONDS (default 3600)
+    intervalMs: (Number(process.env.PAYMENT_REQUEST_INTERVAL_SECONDS) || 60 * 60) * 1000,
+    async run(now) {
+        const { expired, reminded } = await paymentRequestService.processRequests(now);
+        if (expired + reminded > 0) {
+            logger.info(`Payment requests: expired ${expired}, reminded ${reminded}`);
+        }
+    }
+};
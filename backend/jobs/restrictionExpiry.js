@@ -0,0 +1,17 @@
+// restrictionExpiry.js
+// ./backend/jobs/restrictionExpiry.js
+
+const logger = require('../logger');
+const dal = require('../dal.js');
+
+module.exports = {
+    name: 'restriction-expiry',
+    // How often to look for account restrictions past their expiry, configurable through RESTRICTION_EXPIRY_INTERVAL_SECONDS (default 300)
+    intervalMs: (Number(process.env.RESTRICTION_EXPIRY_INTERVAL_SECONDS) || 5 * 60) * 1000,
+    async run(now) {
+        const expired = await dal.expireRestrictions(now);
+        if (expired > 0) {
+            logger.info(`Expired ${expired} account restriction(s)`);
+        }
+    }
+};
@@ -0,0 +1,17 @@
+// scheduledTransfers.js
+// ./backend/jobs/scheduledTransfers.js
+
+const logger = require('../logger');
+const { runDueSchedules } = require('../services/scheduleService');
+
+module.exports = {
+    name: 'scheduled-transfers',
+    // How often to look for due schedules, configurable through SCHEDULED_TRANSFER_INTERVAL_SECONDS (default 60)
+    intervalMs: (Number(process.env.SCHEDULED_TRANSFER_INTERVAL_SECONDS) || 60) * 1000,
+    async run(now) {
+        const count = await runDueSchedules(now);
+        if (count > 0) {
+            logger.info(`Ran ${count} scheduled transfer(s)`);
+        }
+    }
+};
@@ -0,0 +1,99 @@
+// ledgerFiles.js
+// ./backend/ledgerFiles.js
+//
+// Helpers shared by the files made out of ledger entries, monthly statements
+// (services/statementService.js) and transaction exports (services/exportService.js), and
+// by imports of such files (services/importService.js). signedCents is also what the DAL
+// replays ledgers with, so every kind of entry has one direction everywhere.
+
+// Ledger entry types that add to a balance; every other type (see models/transactions.js) takes from it.
+const CREDIT_TYPES = ['deposit', 'transfer-in', 'interest', 'bill-payment-return'];
+
+/**
+ * Returns the signed amount of a ledger entry: positive for money in, negative for money out.
+ */
+function signedCents(entry) {
+    return CREDIT_TYPES.includes(entry.type) ? entry.amountCents : -entry.amountCents;
+}
+
+/**
+ * Describes a ledger entry for a line in a file.
+ */
+function describeEntry(entry) {
+    if (entry.description) {
+        return entry.description;
+    }
+    if (entry.counterpartyAccountNumber) {
+        return entry.type === 'transfer-in'
+            ? `Transfer from ${entry.counterpartyAccountNumber}`
+            : `Transfer to ${entry.counterpartyAccountNumber}`;
+    }
+    return entry.type.charAt(0).toUpperCase() + entry.type.slice(1);
+}
+
+/**
+ * Quotes a CSV field when it contains a separator, quote or line break.
+ */
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Joins rows of fields into CSV text with CRLF line endings.
+ * @param {Array<Array>} rows The rows, header first.
+ * @returns {string} The CSV text.
+ */
+function toCsv(rows) {
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Splits CSV text into rows of fields. Fields may be quoted, with quotes doubled inside
+ * them and separators and line breaks kept; lines may end in CRLF or LF. Blank lines are
+ * skipped.
+ * @param {string} text The CSV text.
+ * @returns {Array<Array<string>>} The rows.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i += 1;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+module.exports = { CREDIT_TYPES, signedCents, describeEntry, toCsv, parseCsv };
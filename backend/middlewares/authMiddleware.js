@@ -1,9 +1,23 @@
 /// authMiddleware.js
 // ./backend/middlewares/authMiddleware.js
 
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
 const jwt = require('jsonwebtoken');
 const secretKey = process.env.JWT_SECRET_KEY;
 
+// How long fetched Auth0 signing keys are trusted before the key set is fetched again
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+// The key set is downloaded at most this often, however many tokens name a key id we do not have
+const JWKS_REFETCH_MS = 60 * 1000;
+const JWKS_TIMEOUT_MS = 5 * 1000; // How long to wait on Auth0 for the key set
+
+let signingKeys = new Map(); // Auth0 public keys by key id ("kid")
+let signingKeysFetchedAt = 0;
+let signingKeysRequestedAt = 0;
+let signingKeysRequest; // The key set download under way, shared by every token waiting on it
+
 /**
  * Middleware to authenticate requests based on JWT.
  * 
@@ -34,4 +48,148 @@ function authenticateToken(req, res, next) {
     });
 }
 
-module.exports = { authenticateToken };
\ No newline at end of file
+/**
+ * Reads the Auth0 settings from the environment on every call, so they can be changed
+ * without restarting (tests point AUTH0_JWKS_URI at a locally served key set).
+ * @returns {Object} The JWKS URL, expected audience and issuer, and the claim holding the email.
+ * @throws {Error} If the audience, issuer or JWKS URL cannot be worked out. jsonwebtoken
+ *   skips the audience and issuer checks when they are not given, which would let in tokens
+ *   Auth0 issued for other APIs.
+ */
+function getAuth0Config() {
+    const domain = process.env.AUTH0_DOMAIN;
+    const config = {
+        jwksUri: process.env.AUTH0_JWKS_URI || (domain && `https://${domain}/.well-known/jwks.json`),
+        audience: process.env.AUTH0_AUDIENCE,
+        issuer: process.env.AUTH0_ISSUER || (domain && `https://${domain}/`),
+        emailClaim: process.env.AUTH0_EMAIL_CLAIM || 'email'
+    };
+    if (!config.audience) {
+        throw new Error('AUTH0_AUDIENCE must be set.');
+    }
+    if (!config.issuer || !config.jwksUri) {
+        throw new Error('AUTH0_DOMAIN, or AUTH0_ISSUER and AUTH0_JWKS_URI, must be set.');
+    }
+    return config;
+}
+
+/**
+ * Downloads the JSON Web Key Set published at the given URL.
+ * @param {string} jwksUri The http(s) URL of the key set.
+ * @returns {Promise<Array<Object>>} The keys in the set.
+ */
+function fetchJwks(jwksUri) {
+    const client = jwksUri.startsWith('http:') ? http : https;
+    return new Promise((resolve, reject) => {
+        const request = client.get(jwksUri, { timeout: JWKS_TIMEOUT_MS }, (response) => {
+            let data = '';
+            response.on('data', chunk => { data += chunk; });
+            response.on('end', () => {
+                if (response.statusCode !== 200) {
+                    return reject(new Error(`JWKS request failed with status ${response.statusCode}`));
+                }
+                try {
+                    resolve(JSON.parse(data).keys || []);
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+        request.on('timeout', () => request.destroy(new Error('JWKS request timed out')));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Downloads Auth0's key set again and caches its signing keys. Callers arriving while a
+ * download is under way wait for that one rather than starting another.
+ * @returns {Promise<void>} Settles once the download has finished or failed.
+ */
+function refreshSigningKeys() {
+    if (!signingKeysRequest) {
+        signingKeysRequestedAt = Date.now();
+        signingKeysRequest = fetchJwks(getAuth0Config().jwksUri)
+            .then(keys => {
+                signingKeys = new Map(
+                    keys
+                        .filter(key => key.kty === 'RSA' && (!key.use || key.use === 'sig'))
+                        .map(key => [key.kid, crypto.createPublicKey({ key, format: 'jwk' })])
+                );
+                signingKeysFetchedAt = Date.now();
+            })
+            .finally(() => {
+                signingKeysRequest = undefined;
+            });
+    }
+    return signingKeysRequest;
+}
+
+/**
+ * Looks up the public key Auth0 signed a token with. The key set is cached, and fetched
+ * again when it is stale or when a token names a key id we have not seen (key rotation),
+ * but at most once a minute, so tokens with made-up key ids cannot make us call Auth0 on
+ * every request. Until then the keys we have are used.
+ * @param {Object} header The decoded JWT header.
+ * @param {Function} callback Called with (err, publicKey), as jsonwebtoken expects.
+ */
+function getSigningKey(header, callback) {
+    const now = Date.now();
+    const stale = now - signingKeysFetchedAt > JWKS_CACHE_MS;
+    const lookUp = () => {
+        if (!signingKeys.has(header.kid)) {
+            return callback(new Error(`No signing key found for kid "${header.kid}"`));
+        }
+        callback(null, signingKeys.get(header.kid));
+    };
+
+    if ((!stale && signingKeys.has(header.kid)) || now - signingKeysRequestedAt < JWKS_REFETCH_MS) {
+        return signingKeysRequest ? signingKeysRequest.then(lookUp, callback) : lookUp();
+    }
+    refreshSigningKeys().then(lookUp, callback);
+}
+
+/**
+ * Middleware to authenticate requests with an Auth0-issued access token.
+ * Verifies the signature against Auth0's published keys as well as the audience,
+ * issuer and expiry, then attaches the caller's email to req.user.
+ *
+ * @param {Object} req - The request object from Express.
+ * @param {Object} res - The response object from Express.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+function verifyAuth0Token(req, res, next) {
+    // Extract the token from the Authorization header
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    // If no token is found, return a 401 Unauthorized response
+    if (!token) {
+        return res.status(401).json({ message: "Token not provided." });
+    }
+
+    let config;
+    try {
+        config = getAuth0Config();
+    } catch (error) {
+        console.error('Error verifying access token:', error.message);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+    const { audience, issuer, emailClaim } = config;
+    jwt.verify(token, getSigningKey, { algorithms: ['RS256'], audience, issuer }, (err, claims) => {
+        if (err) {
+            // If token verification fails, return a 401 Unauthorized response
+            return res.status(401).json({ message: "Invalid token." });
+        }
+
+        const email = claims[emailClaim];
+        if (!email) {
+            return res.status(401).json({ message: "Token does not identify a user." });
+        }
+
+        // The email in the token, never one from the request, identifies the caller
+        req.user = { email, sub: claims.sub };
+        next(); // Proceed to the next middleware/route handler
+    });
+}
+
+module.exports = { authenticateToken, verifyAuth0Token, getAuth0Config };
\ No newline at end of file
@@ -23,6 +23,72 @@ class NotFoundError extends Error {
     }
 }
 
+/**
+ * Custom error class for handling money movements the account balance cannot cover.
+ */
+class InsufficientFundsError extends Error {
+    constructor(message = 'Insufficient funds.') {
+        super(message);
+        this.name = 'InsufficientFundsError';
+        this.statusCode = 422; // HTTP status code for Unprocessable Entity
+    }
+}
+
+/**
+ * Custom error class for handling money movements that would go over an account's limits.
+ * The code tells clients which limit was hit, e.g. 'DAILY_AMOUNT_LIMIT_EXCEEDED'.
+ */
+class LimitExceededError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'LimitExceededError';
+        this.code = code;
+        this.statusCode = 422; // HTTP status code for Unprocessable Entity
+    }
+}
+
+/**
+ * Custom error class for handling requests that conflict with the current state of a resource,
+ * e.g. pausing a schedule that has already been cancelled.
+ */
+class ConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConflictError';
+        this.statusCode = 409; // HTTP status code for Conflict
+    }
+}
+
+/**
+ * Custom error class for handling activity on an account that does not allow it, e.g. a
+ * deposit into a closed account. The code tells clients why, e.g. 'ACCOUNT_CLOSED'.
+ */
+class AccountRestrictedError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'AccountRestrictedError';
+        this.code = code;
+        this.statusCode = 403; // HTTP status code for Forbidden
+    }
+}
+
+/**
+ * Sends the response for an error thrown while handling a request in a route. Errors with
+ * a status code are the caller's to fix and are sent as they are, with their code if they
+ * have one; anything else is logged and reported as an internal server error.
+ *
+ * @param {Object} res - The response object from Express.
+ * @param {Error} error - The error that was thrown.
+ * @param {string} action - What the route was doing, for the log, e.g. 'placing hold'.
+ */
+function sendError(res, error, action) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+}
+
 /**
  * Express error handling middleware.
  * This function captures errors thrown from anywhere in the application,
@@ -59,4 +125,4 @@ function errorHandler(err, req, res, next) {
     res.status(statusCode).json(errorResponse);
 }
 
-module.exports = { errorHandler, ValidationError, NotFoundError };
\ No newline at end of file
+module.exports = { errorHandler, sendError, ValidationError, NotFoundError, InsufficientFundsError, ConflictError, LimitExceededError, AccountRestrictedError };
\ No newline at end of file
@@ -0,0 +1,126 @@
+// idempotencyMiddleware.js
+// ./backend/middlewares/idempotencyMiddleware.js
+
+const crypto = require('crypto');
+const dal = require('../dal.js');
+
+// How long a key is remembered, configurable through IDEMPOTENCY_KEY_TTL_SECONDS (default 24 hours)
+const ttlSeconds = Number(process.env.IDEMPOTENCY_KEY_TTL_SECONDS) || 24 * 60 * 60;
+// How long a request holds its key before it is presumed lost (its server stopped) and a
+// retry may run it again
+const LEASE_SECONDS = 60;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Returns the collection that stores idempotency keys, creating its indexes on first use.
+ * Keys are unique per caller and route, and MongoDB's TTL monitor removes them once they expire.
+ */
+function getKeysCollection() {
+    return dal.getIndexedCollection('idempotencyKeys', [
+        [{ caller: 1, key: 1, route: 1 }, { unique: true }],
+        [{ expiresAt: 1 }, { expireAfterSeconds: 0 }]
+    ]);
+}
+
+/**
+ * Middleware that makes a route safe to retry when the client sends an Idempotency-Key header.
+ * Runs after authentication, so keys are remembered per caller.
+ *
+ * The first request with a given key runs normally and its response is stored with the key.
+ * A later request with the same key gets the stored response back without running the route
+ * again, so a double-clicked or retried deposit is only applied once. Requests without the
+ * header are passed straight through.
+ *
+ * @param {Object} req - The request object from Express.
+ * @param {Object} res - The response object from Express.
+ * @param {Function} next - The next middleware function in the stack.
+ */
+async function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+        return next();
+    }
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({ message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters.` });
+    }
+
+    const route = `${req.method} ${req.baseUrl}${req.path}`;
+    // Scope keys to the authenticated caller so one user can never replay another's response
+    const caller = req.user ? req.user.email : null;
+    const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+
+    try {
+        const keys = await getKeysCollection();
+        let claim = await claimKey(keys, { caller, key, route, requestHash });
+        let existing = claim ? null : await keys.findOne({ caller, key, route });
+        if (!claim && !existing) {
+            // The key was released (a server error) or expired after we tried to claim it
+            claim = await claimKey(keys, { caller, key, route, requestHash });
+            existing = claim ? null : await keys.findOne({ caller, key, route });
+        }
+
+        if (!claim) {
+            if (existing && existing.requestHash !== requestHash) {
+                return res.status(422).json({ message: 'Idempotency-Key has already been used for a different request.' });
+            }
+            if (!existing || existing.status === 'processing') {
+                return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed.' });
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.statusCode).json(existing.body);
+        }
+
+        // Store the response before sending it, so a retry that arrives after the
+        // client has seen the response always finds it. Only this request's own claim is
+        // touched, in case its lease ran out and a retry claimed the key again.
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            const stored = res.statusCode >= 500
+                // Server errors are not remembered, so the client can retry them
+                ? keys.deleteOne({ _id: claim })
+                : keys.updateOne(
+                    { _id: claim },
+                    { $set: { status: 'completed', statusCode: res.statusCode, body, expiresAt: new Date(Date.now() + ttlSeconds * 1000) } }
+                );
+            stored
+                .catch(error => console.error('Error storing idempotent response:', error))
+                .finally(() => json(body));
+            return res;
+        };
+        next();
+    } catch (error) {
+        console.error('Error checking idempotency key:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+}
+
+/**
+ * Records a new key as being processed, under a lease of LEASE_SECONDS. Once the response is
+ * stored the key is kept for the full TTL instead.
+ * @returns {Promise<ObjectId|null>} The id of the claim if the key was new (or its lease or
+ *   TTL had run out), null if it is already in use.
+ */
+async function claimKey(keys, { caller, key, route, requestHash }) {
+    const now = new Date();
+    // The TTL monitor only runs periodically, so clear out an expired key or lease ourselves
+    await keys.deleteOne({ caller, key, route, expiresAt: { $lte: now } });
+    try {
+        const result = await keys.insertOne({
+            caller,
+            key,
+            route,
+            requestHash,
+            status: 'processing',
+            createdAt: now,
+            expiresAt: new Date(now.getTime() + LEASE_SECONDS * 1000)
+        });
+        return result.insertedId;
+    } catch (error) {
+        if (error.code === 11000) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+module.exports = { idempotent };
@@ -0,0 +1,34 @@
+// ownershipMiddleware.js
+// ./backend/middlewares/ownershipMiddleware.js
+
+const dal = require('../dal.js');
+const { hasPermission, loadRole } = require('./permissionMiddleware.js');
+
+/**
+ * Builds middleware that only lets a request through when the authenticated caller
+ * owns the bank account it operates on, or holds the 'accounts:act-on-any' permission
+ * (bank employees and admins). Must run after verifyAuth0Token so that req.user
+ * holds the caller's email. The account is attached to req.account; any other caller is told
+ * there is no such account.
+ *
+ * @param {Function} getAccountNumber - Extracts the account number from the request.
+ * @returns {Function} Express middleware.
+ */
+function requireAccountOwner(getAccountNumber) {
+    return async (req, res, next) => {
+        try {
+            const account = await dal.findAccount(getAccountNumber(req));
+            // Don't reveal that someone else's account exists
+            if (!account || (account.ownerEmail !== req.user.email && !hasPermission(await loadRole(req), 'accounts:act-on-any'))) {
+                return res.status(404).json({ message: 'Account not found' });
+            }
+            req.account = account;
+            next();
+        } catch (error) {
+            console.error('Error checking account ownership:', error);
+            res.status(500).json({ message: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = { requireAccountOwner };
@@ -0,0 +1,88 @@
+// permissionMiddleware.js
+// ./backend/middlewares/permissionMiddleware.js
+
+const dal = require('../dal.js');
+
+/**
+ * Which roles (see the role field in models/user.js) hold each permission.
+ * Routes declare the permission they need with requirePermission; to change who may
+ * do something, change it here rather than in the routes.
+ */
+const PERMISSIONS = {
+    // List every customer account, e.g. the All Data page
+    'accounts:list-all': ['bank employee', 'admin'],
+    // Deposit, withdraw, transfer and view balances on accounts the caller does not own
+    'accounts:act-on-any': ['bank employee', 'admin'],
+    // Grant and revoke user roles
+    'roles:manage': ['admin'],
+    // Override the withdrawal limits of individual accounts
+    'limits:override': ['admin'],
+    // Maintain the exchange rate table used for cross-currency transfers
+    'rates:manage': ['admin'],
+    // Load historical ledger entries from CSV or OFX files, e.g. when migrating customers
+    'transactions:import': ['admin'],
+    // Record bill payments that the payee's bank sent back
+    'payments:manage': ['bank employee', 'admin'],
+    // Work the mobile check deposit review queue: view check images, approve and reject deposits
+    'checks:review': ['bank employee', 'admin'],
+    // Reopen an account that was closed within the grace period
+    'accounts:reopen': ['admin'],
+    // Freeze and lock accounts, place legal holds on them, and lift these restrictions
+    'accounts:restrict': ['bank employee', 'admin'],
+};
+
+/**
+ * Checks whether a role holds a permission.
+ * @param {string} role - The user's role.
+ * @param {string} permission - A key of PERMISSIONS.
+ * @returns {boolean} True if the role holds the permission.
+ */
+function hasPermission(role, permission) {
+    return (PERMISSIONS[permission] || []).includes(role);
+}
+
+/**
+ * Lists every permission a role holds.
+ * @param {string} role - The user's role.
+ * @returns {Array<string>} The permissions held by the role.
+ */
+function permissionsFor(role) {
+    return Object.keys(PERMISSIONS).filter(permission => hasPermission(role, permission));
+}
+
+/**
+ * Looks up the caller's role once per request and stores it on req.user.role.
+ * Callers without a user record are treated as plain users.
+ * @param {Object} req - The request object from Express, after verifyAuth0Token.
+ * @returns {Promise<string>} The caller's role.
+ */
+async function loadRole(req) {
+    if (!req.user.role) {
+        req.user.role = (await dal.findUserRole(req.user.email)) || 'user';
+    }
+    return req.user.role;
+}
+
+/**
+ * Builds middleware that only lets the request through when the caller's role holds
+ * the given permission. Must run after verifyAuth0Token.
+ *
+ * @param {string} permission - A key of PERMISSIONS.
+ * @returns {Function} Express middleware.
+ */
+function requirePermission(permission) {
+    return async (req, res, next) => {
+        try {
+            const role = await loadRole(req);
+            if (!hasPermission(role, permission)) {
+                return res.status(403).json({ message: 'You do not have permission to perform this action.' });
+            }
+            next();
+        } catch (error) {
+            console.error('Error checking permissions:', error);
+            res.status(500).json({ message: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = { PERMISSIONS, hasPermission, permissionsFor, loadRole, requirePermission };
@@ -0,0 +1,66 @@
+// 001-split-accounts.js
+// ./backend/migrations/001-split-accounts.js
+//
+// One-time migration that moves the single accountNumber/accountType/balance stored on
+// each user document into the accounts collection, so customers can own several accounts.
+// Safe to run more than once: users that no longer carry those fields are skipped, and a user
+// that was moved but not yet cleaned up lands on the same account again.
+//
+// Usage: node migrations/001-split-accounts.js
+
+require('dotenv').config();
+
+const dal = require('../dal');
+
+async function migrate() {
+    const { db } = await dal.connectToMongo();
+    const users = db.collection('users');
+    const accounts = db.collection('accounts');
+
+    await accounts.createIndex({ accountNumber: 1 }, { unique: true });
+    await accounts.createIndex({ ownerEmail: 1 });
+
+    const legacyUsers = await users.find({
+        $or: [{ accountNumber: { $exists: true } }, { balance: { $exists: true } }]
+    }).toArray();
+
+    let moved = 0;
+    for (const user of legacyUsers) {
+        // Users created without a bank account still had a balance, so give them a number.
+        // It is derived from the user's id, so a rerun after a failed cleanup finds the
+        // account it made the first time instead of opening another.
+        const accountNumber = user.accountNumber
+            ? String(user.accountNumber)
+            : String(1000000000n + BigInt(`0x${user._id.toHexString()}`) % 9000000000n);
+
+        // A number that belongs to someone else fails on the unique index rather than
+        // matching their account
+        await accounts.updateOne(
+            { accountNumber, ownerEmail: user.email },
+            {
+                $setOnInsert: {
+                    accountNumber,
+                    ownerEmail: user.email,
+                    accountType: String(user.accountType || 'checking').toLowerCase(),
+                    balance: user.balance || 0,
+                    createdAt: new Date()
+                }
+            },
+            { upsert: true }
+        );
+        await users.updateOne(
+            { _id: user._id },
+            { $unset: { accountNumber: '', accountType: '', balance: '' } }
+        );
+        moved++;
+    }
+
+    console.log(`Moved ${moved} account(s) out of the users collection.`);
+}
+
+migrate()
+    .catch(err => {
+        console.error('Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => dal.disconnectFromMongo());
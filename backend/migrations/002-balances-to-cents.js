@@ -0,0 +1,53 @@
+// 002-balances-to-cents.js
+// ./backend/migrations/002-balances-to-cents.js
+//
+// One-time migration that converts floating point dollar amounts into integer cents:
+// accounts.balance becomes accounts.balanceCents, and transactions.amount/balanceAfter
+// become amountCents/balanceAfterCents. Safe to run more than once: documents that
+// have already been converted no longer carry the old fields and are skipped.
+//
+// Usage: node migrations/002-balances-to-cents.js
+
+require('dotenv').config();
+
+const dal = require('../dal');
+
+/**
+ * Converts a dollar amount stored as a float into integer cents, rounding away
+ * the binary floating point drift (e.g. 0.30000000000000004 becomes 30).
+ */
+function toCents(dollars) {
+    return Math.round(Number(dollars || 0) * 100);
+}
+
+async function migrate() {
+    const { db } = await dal.connectToMongo();
+
+    const accounts = await db.collection('accounts').find({ balance: { $exists: true } }).toArray();
+    for (const account of accounts) {
+        await db.collection('accounts').updateOne(
+            { _id: account._id },
+            { $set: { balanceCents: toCents(account.balance) }, $unset: { balance: '' } }
+        );
+    }
+
+    const entries = await db.collection('transactions').find({ amount: { $exists: true } }).toArray();
+    for (const entry of entries) {
+        await db.collection('transactions').updateOne(
+            { _id: entry._id },
+            {
+                $set: { amountCents: toCents(entry.amount), balanceAfterCents: toCents(entry.balanceAfter) },
+                $unset: { amount: '', balanceAfter: '' }
+            }
+        );
+    }
+
+    console.log(`Converted ${accounts.length} account(s) and ${entries.length} ledger entries to cents.`);
+}
+
+migrate()
+    .catch(err => {
+        console.error('Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => dal.disconnectFromMongo());
@@ -0,0 +1,35 @@
+// 003-account-currency.js
+// ./backend/migrations/003-account-currency.js
+//
+// One-time migration for multi-currency accounts: accounts and ledger entries written
+// before currencies existed are in the base currency, so they get it recorded. Safe to
+// run more than once: documents that already have a currency are left alone.
+//
+// Usage: node migrations/003-account-currency.js
+
+require('dotenv').config();
+
+const dal = require('../dal');
+const { BASE_CURRENCY } = require('../config/currencies');
+
+async function migrate() {
+    const { db } = await dal.connectToMongo();
+
+    const accounts = await db.collection('accounts').updateMany(
+        { currency: { $exists: false } },
+        { $set: { currency: BASE_CURRENCY } }
+    );
+    const entries = await db.collection('transactions').updateMany(
+        { currency: { $exists: false } },
+        { $set: { currency: BASE_CURRENCY } }
+    );
+
+    console.log(`Set the currency of ${accounts.modifiedCount} account(s) and ${entries.modifiedCount} ledger entries to ${BASE_CURRENCY}.`);
+}
+
+migrate()
+    .catch(err => {
+        console.error('Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => dal.disconnectFromMongo());
@@ -0,0 +1,33 @@
+// 004-entry-categories.js
+// ./backend/migrations/004-entry-categories.js
+//
+// One-time migration for spending categories: ledger entries written before categories
+// existed get one, by their owner's rules if they have made any by now and otherwise by
+// their type. Safe to run more than once: categories set by hand are left alone and the
+// rest come out the same.
+//
+// Usage: node migrations/004-entry-categories.js
+
+require('dotenv').config();
+
+const dal = require('../dal');
+const { recategorizeEntries } = require('../services/categoryService');
+
+async function migrate() {
+    const { db } = await dal.connectToMongo();
+
+    const emails = await db.collection('transactions').distinct('email', { category: { $exists: false } });
+    let changed = 0;
+    for (const email of emails) {
+        changed += await recategorizeEntries(email);
+    }
+
+    console.log(`Categorized ${changed} ledger entries of ${emails.length} customer(s).`);
+}
+
+migrate()
+    .catch(err => {
+        console.error('Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => dal.disconnectFromMongo());
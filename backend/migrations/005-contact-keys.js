@@ -0,0 +1,38 @@
+// 005-contact-keys.js
+// ./backend/migrations/005-contact-keys.js
+//
+// One-time migration for payments between customers: users created before they existed get
+// the normalized email and phone number (see contacts.js) that recipients are looked up by.
+// Safe to run more than once: the normalized copies are worked out again from the ones the
+// users typed, and come out the same.
+//
+// Usage: node migrations/005-contact-keys.js
+
+require('dotenv').config();
+
+const dal = require('../dal');
+const { contactKeys } = require('../contacts');
+
+async function migrate() {
+    const { db } = await dal.connectToMongo();
+    const users = db.collection('users');
+
+    const all = await users.find({}, { projection: { email: 1, phoneNumber: 1 } }).toArray();
+    if (all.length > 0) {
+        await users.bulkWrite(all.map(user => ({
+            updateOne: {
+                filter: { _id: user._id },
+                update: { $set: contactKeys({ email: user.email, phoneNumber: user.phoneNumber }) }
+            }
+        })));
+    }
+
+    console.log(`Normalized the email and phone number of ${all.length} user(s).`);
+}
+
+migrate()
+    .catch(err => {
+        console.error('Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => dal.disconnectFromMongo());
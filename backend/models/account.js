@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const { ACCOUNT_TYPES } = require('../config/accountTypes');
+const { BASE_CURRENCY, CURRENCIES } = require('../config/currencies');
+
+/**
+ * Account Schema Definition.
+ * Defines the schema for a bank account. A user may own several accounts,
+ * each with its own number, type and balance.
+ */
+const accountSchema = new mongoose.Schema({
+  // Unique account number
+  accountNumber: {
+    type: String,
+    required: [true, 'Account number is required'],
+    unique: true,
+  },
+  // Email of the user who owns the account
+  ownerEmail: {
+    type: String,
+    required: [true, 'Owner email is required'],
+    index: true,
+  },
+  // Type of account (e.g., savings, checking)
+  accountType: {
+    type: String,
+    required: [true, 'Account type is required'],
+    enum: ACCOUNT_TYPES,
+  },
+  // ISO 4217 code of the currency the account is held in; every amount on it is in this currency
+  currency: {
+    type: String,
+    enum: CURRENCIES,
+    default: BASE_CURRENCY,
+  },
+  // Account balance in integer cents with a default value of 0
+  balanceCents: {
+    type: Number,
+    default: 0,
+    validate: [Number.isInteger, 'Balance must be a whole number of cents'],
+  },
+  // Total of the authorized holds on the account, in integer cents. The available
+  // balance is the balance less this; see authorizeHold in dal.js
+  heldCents: {
+    type: Number,
+    default: 0,
+    validate: [Number.isInteger, 'Held amount must be a whole number of cents'],
+  },
+  // Savings account that covers any shortfall when this account is debited
+  overdraftSourceAccountNumber: {
+    type: String,
+  },
+  // How far below zero the balance may go, in integer cents, when an overdraft line is on
+  overdraftLimitCents: {
+    type: Number,
+    validate: [Number.isInteger, 'Overdraft limit must be a whole number of cents'],
+  },
+  // True while the balance is below zero
+  overdrawn: {
+    type: Boolean,
+    default: false,
+  },
+  // Withdrawal limits set by an admin for this account, in place of its account type's
+  withdrawalLimitOverrides: {
+    perTransactionCents: Number,
+    dailyAmountCents: Number,
+    dailyCount: Number,
+  },
+  // Last day (midnight UTC) interest has been accrued for, see services/interestService.js
+  interestAccruedThrough: {
+    type: Date,
+  },
+  // Whether the account is open. No money moves in or out of a closed account, but its
+  // history is kept; an admin can reopen it for a while, see closeAccount in dal.js
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open',
+  },
+  // When and by whom the account was closed, and where its remaining balance went
+  closedAt: {
+    type: Date,
+  },
+  closedBy: {
+    type: String,
+  },
+  disbursedToAccountNumber: {
+    type: String,
+  },
+  // When and by whom the account was last reopened
+  reopenedAt: {
+    type: Date,
+  },
+  reopenedBy: {
+    type: String,
+  },
+  // Restrictions staff have placed on the account that are still active: a 'freeze' stops
+  // money going out, a 'lock' stops all activity and a 'legal-hold' sets amountCents aside.
+  // The full records, with their reasons, are in the restrictions collection; see
+  // placeRestriction in dal.js
+  restrictions: [{
+    type: { type: String, enum: ['freeze', 'lock', 'legal-hold'] },
+    amountCents: Number,
+    expiresAt: Date,
+  }],
+  // Total of the active legal holds on the account, in integer cents, which is not available
+  legalHoldCents: {
+    type: Number,
+    default: 0,
+    validate: [Number.isInteger, 'Legal hold amount must be a whole number of cents'],
+  },
+  // Date and time when the account was opened
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Creates the Account model based on the defined schema.
+ */
+const Account = mongoose.model('Account', accountSchema);
+
+module.exports = Account;
@@ -1,48 +1,163 @@
-/* MIGHT BUILD LATER
-
-
-// models/trasactions.js 
+// models/trasactions.js
 //// ./backend/models/transactions.js
 
 const mongoose = require('mongoose');
 
 /**
  * Transaction Schema Definition.
- * Defines the schema for the Transaction model, including field types and requirements.
- *//*
+ * Defines the schema for a ledger entry. One entry is written for every balance change,
+ * in the same database transaction as the change itself, and entries are never edited
+ * afterwards, so every field is immutable.
+ */
 const transactionSchema = new mongoose.Schema({
-  // Reference to the User model to associate the transaction with a user
-  userId: {
+  // Account the balance change applied to, by id and by number
+  accountId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: [true, 'User ID is required'],
+    ref: 'Account',
+    required: [true, 'Account ID is required'],
+    immutable: true,
   },
-  // Amount involved in the transaction
-  amount: {
-    type: Number,
-    required: [true, 'Amount is required'],
+  accountNumber: {
+    type: String,
+    required: [true, 'Account number is required'],
+    immutable: true,
+  },
+  // Email of the account holder
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    immutable: true,
   },
-  // Type of transaction (e.g., deposit, withdrawal, transfer)
+  // Type of transaction (e.g., deposit, withdrawal, either side of a transfer)
   type: {
     type: String,
     required: [true, 'Transaction type is required'],
+    enum: ['deposit', 'withdrawal', 'transfer-out', 'transfer-in', 'interest', 'capture', 'bill-payment', 'bill-payment-return'],
+    immutable: true,
+  },
+  // Amount involved in the transaction, in integer cents
+  amountCents: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    validate: [Number.isInteger, 'Amount must be a whole number of cents'],
+    immutable: true,
+  },
+  // Account balance immediately after the transaction was applied, in integer cents
+  balanceAfterCents: {
+    type: Number,
+    required: [true, 'Resulting balance is required'],
+    validate: [Number.isInteger, 'Balance must be a whole number of cents'],
+    immutable: true,
+  },
+  // ISO 4217 code of the currency of the amount and balance, that of the account
+  currency: {
+    type: String,
+    immutable: true,
+  },
+  // Email of whoever requested the transaction
+  initiatedBy: {
+    type: String,
+    required: [true, 'Initiator is required'],
+    immutable: true,
+  },
+  // Shared by the debit and credit entries of one transfer
+  transferId: {
+    type: mongoose.Schema.Types.ObjectId,
+    immutable: true,
+  },
+  // Account on the other side of a transfer
+  counterpartyAccountNumber: {
+    type: String,
+    immutable: true,
+  },
+  // Schedule that made this transfer, for transfers run by the scheduled transfers job
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    immutable: true,
+  },
+  // The scheduled occurrence this transfer was made for
+  scheduledFor: {
+    type: Date,
+    immutable: true,
+  },
+  // For either side of a transfer between accounts in different currencies: the currencies,
+  // the exchange rate (in millionths) and spread it was converted at, the amounts sent and
+  // received and the spread taken, in cents of the currency received
+  fx: {
+    fromCurrency: String,
+    toCurrency: String,
+    rateMicros: Number,
+    spreadBps: Number,
+    sentCents: Number,
+    receivedCents: Number,
+    spreadCents: Number,
+  },
+  // Hold a capture entry settled
+  holdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    immutable: true,
+  },
+  // Bill payment a bill-payment entry paid, or a bill-payment-return entry gave back
+  billPaymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    immutable: true,
+  },
+  // Mobile check deposit a deposit entry posted
+  checkDepositId: {
+    type: mongoose.Schema.Types.ObjectId,
+    immutable: true,
+  },
+  // Payment from one customer to another (see the peerPayments collection) a transfer made
+  peerPaymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    immutable: true,
+  },
+  // Month an interest entry was earned in, e.g. "2024-05"
+  interestPeriod: {
+    type: String,
+    immutable: true,
+  },
+  // True for interest paid out early because the account was closed before the month ended
+  closingInterest: {
+    type: Boolean,
+    immutable: true,
+  },
+  // For entries loaded by an import of historical activity: the import, and the
+  // transaction's id in the system it came from, which stops it being imported twice
+  importId: {
+    type: mongoose.Schema.Types.ObjectId,
+    immutable: true,
+  },
+  externalId: {
+    type: String,
+    immutable: true,
   },
   // Description or note about the transaction
   description: {
     type: String,
+    immutable: true,
+  },
+  // Spending category (see config/categories.js), and how it was decided: by one of the
+  // owner's rules, by the entry's type, or by the owner by hand. The only fields an owner
+  // can change
+  category: {
+    type: String,
+  },
+  categorySource: {
+    type: String,
+    enum: ['rule', 'type', 'manual'],
   },
   // Date and time when the transaction occurred
-  date: {
+  createdAt: {
     type: Date,
     default: Date.now,
+    immutable: true,
   },
 });
 
 /**
  * Creates the Transaction model based on the defined schema.
- *//*
+ */
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
 module.exports = Transaction;
-
-*/
\ No newline at end of file
@@ -1,8 +1,10 @@
 const mongoose = require('mongoose');
+const { contactKeys } = require('../contacts');
 
 /**
  * User Schema Definition.
  * Defines the schema for the User model, including field types, requirements, and default values.
+ * Balances live on the user's accounts (see models/account.js), not on the user.
  */
 const userSchema = new mongoose.Schema({
   // User's full name
@@ -22,27 +24,14 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Password is required'],
   },
-  // User's account balance with a default value of 0
-  balance: {
-    type: Number,
-    default: 0,
-  },
-  // Type of account (e.g., savings, checking)
-  accountType: {
-    type: String,
-    required: [true, 'Account type is required'],
-  },
-  // Unique account number for the user
-  accountNumber: {
-    type: String,
-    required: [true, 'Account number is required'],
-    unique: true,
-  },
   // User's phone number
   phoneNumber: {
     type: String,
     required: [true, 'Phone number is required'],
   },
+  // The email and phone number as payments to the user look them up, see contacts.js
+  emailKey: String,
+  phoneDigits: String,
   // New role field
   role: {
     type: String,
@@ -52,6 +41,14 @@ const userSchema = new mongoose.Schema({
   },
 });
 
+// Keep the normalized email and phone number in step with the ones the user typed
+userSchema.pre('save', function () {
+  const changed = {};
+  if (this.isModified('email')) changed.email = this.email;
+  if (this.isModified('phoneNumber')) changed.phoneNumber = this.phoneNumber;
+  Object.assign(this, contactKeys(changed));
+});
+
 /**
  * Creates the User model based on the defined schema.
  */
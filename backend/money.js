@@ -0,0 +1,107 @@
+// money.js
+// ./backend/money.js
+//
+// Helpers for handling money as integer cents. Balances and amounts are stored and
+// computed in cents so that arithmetic is exact; the API exchanges them as decimal
+// strings such as "12.34".
+
+const { ValidationError } = require('./middlewares/errorMiddleware');
+
+// A non-negative decimal with at most two fractional digits, e.g. "12", "12.3" or "12.34"
+const AMOUNT_PATTERN = /^(\d+)(?:\.(\d{1,2}))?$/;
+// An exchange rate with at most six fractional digits, e.g. "0.92" or "1.274513"
+const RATE_PATTERN = /^(\d+)(?:\.(\d{1,6}))?$/;
+const RATE_SCALE = 1000000; // Exchange rates are kept as whole millionths.
+const BPS_SCALE = 10000; // Basis points in one whole.
+const MICROS_PER_CENT = 1000000; // Interest accruals are kept in millionths of a cent.
+
+/**
+ * Parses a decimal amount into integer cents.
+ * @param {string|number} value The amount, e.g. "12.34".
+ * @returns {number} The amount in cents, e.g. 1234.
+ * @throws {ValidationError} If the value is not a non-negative decimal with at most two fractional digits.
+ */
+function parseAmount(value) {
+    const match = AMOUNT_PATTERN.exec(String(value === undefined || value === null ? '' : value).trim());
+    if (!match) {
+        throw new ValidationError('Amount must be a decimal number with at most two fractional digits.');
+    }
+    const cents = Number(match[1]) * 100 + Number((match[2] || '').padEnd(2, '0'));
+    if (!Number.isSafeInteger(cents)) {
+        throw new ValidationError('Amount is too large.');
+    }
+    return cents;
+}
+
+/**
+ * Formats integer cents as a decimal string.
+ * @param {number} cents The amount in cents, e.g. -1234.
+ * @returns {string} The decimal amount, e.g. "-12.34".
+ */
+function formatAmount(cents) {
+    const sign = cents < 0 ? '-' : '';
+    const absolute = Math.abs(cents);
+    const whole = Math.floor(absolute / 100);
+    const fraction = String(absolute % 100).padStart(2, '0');
+    return `${sign}${whole}.${fraction}`;
+}
+
+/**
+ * Checks that an amount is a positive whole number of cents.
+ * @param {number} cents The amount to check.
+ * @throws {ValidationError} If the amount is not a positive integer.
+ */
+function assertPositiveCents(cents) {
+    if (!Number.isSafeInteger(cents) || cents <= 0) {
+        throw new ValidationError('Amount must be positive.');
+    }
+}
+
+/**
+ * Parses an exchange rate into whole millionths.
+ * @param {string|number} value The rate, e.g. "0.92".
+ * @returns {number} The rate in millionths, e.g. 920000.
+ * @throws {ValidationError} If the value is not a positive decimal with at most six fractional digits.
+ */
+function parseRate(value) {
+    const match = RATE_PATTERN.exec(String(value === undefined || value === null ? '' : value).trim());
+    const micros = match ? Number(match[1]) * RATE_SCALE + Number((match[2] || '').padEnd(6, '0')) : 0;
+    if (!Number.isSafeInteger(micros) || micros <= 0) {
+        throw new ValidationError('Exchange rate must be a positive decimal number with at most six fractional digits.');
+    }
+    return micros;
+}
+
+/**
+ * Formats an exchange rate kept in millionths as a decimal string.
+ * @param {number} micros The rate in millionths, e.g. 920000.
+ * @returns {string} The rate, e.g. "0.920000".
+ */
+function formatRate(micros) {
+    return `${Math.floor(micros / RATE_SCALE)}.${String(micros % RATE_SCALE).padStart(6, '0')}`;
+}
+
+/**
+ * Converts an amount from one currency into another through their rates against the base
+ * currency, taking a spread off the result. Amounts are rounded down, so the customer never
+ * receives a fraction of a cent more than the rate gives.
+ * @param {number} amountCents The amount to convert, in cents of the currency it is in.
+ * @param {number} fromRateMicros Units of the currency converted from per unit of the base currency, in millionths.
+ * @param {number} toRateMicros Units of the currency converted to per unit of the base currency, in millionths.
+ * @param {number} spreadBps The spread, in basis points.
+ * @returns {Object} { amountCents, spreadCents, rateMicros }: the converted amount after the spread,
+ *   the spread taken, both in cents of the currency converted to, and the rate between the two currencies.
+ */
+function convertCents(amountCents, fromRateMicros, toRateMicros, spreadBps) {
+    // BigInt keeps large amounts times large rates exact
+    const scaled = BigInt(amountCents) * BigInt(toRateMicros);
+    const midCents = scaled / BigInt(fromRateMicros);
+    const convertedCents = scaled * BigInt(BPS_SCALE - spreadBps) / (BigInt(fromRateMicros) * BigInt(BPS_SCALE));
+    return {
+        amountCents: Number(convertedCents),
+        spreadCents: Number(midCents - convertedCents),
+        rateMicros: Math.round(toRateMicros * RATE_SCALE / fromRateMicros)
+    };
+}
+
+module.exports = { RATE_SCALE, MICROS_PER_CENT, parseAmount, formatAmount, assertPositiveCents, parseRate, formatRate, convertCents };
@@ -4,10 +4,12 @@
  * 
  * The UserRepository class provides a collection of methods to interact with the User model.
  * These methods facilitate creating, finding, updating, and deleting user records in the database,
- * as well as managing user balances and transaction histories.
+ * as well as reading transaction histories. Balances are only changed through dal.js, which
+ * writes a ledger entry for every change.
  */
 
 const User = require('../models/user');
+const Account = require('../models/account');
 
 class UserRepository {
     /**
@@ -41,57 +43,29 @@ class UserRepository {
     }
 
     /**
-     * Retrieves all users from the database.
-     * @returns {Array} An array of user objects.
+     * Finds every account owned by a user.
+     * @param {String} email - The email of the account owner.
+     * @returns {Array} An array of account objects.
      * @throws {Error} If there is a problem querying the database.
      */
-    async all() {
+    async findAccountsByEmail(email) {
         try {
-            return await User.find();
-        } catch (error) {
-            throw new Error(`Error retrieving all users: ${error.message}`);
-        }
-    }
-
-    /**
-     * Deposits an amount to the user's balance.
-     * @param {String} email - The email of the user to deposit money to.
-     * @param {Number} amount - The amount to deposit.
-     * @returns {Object|null} The updated balance or null if user not found.
-     * @throws {Error} If there is a problem updating the user.
-     */
-    async deposit(email, amount) {
-        try {
-            const user = await User.findOne({ email });
-            if (!user) {
-                return null;
-            }
-            user.balance += amount;
-            await user.save();
-            return { balance: user.balance };
+            return await Account.find({ ownerEmail: email });
         } catch (error) {
-            throw new Error(`Error depositing money: ${error.message}`);
+            throw new Error(`Error finding accounts by email: ${error.message}`);
         }
     }
 
     /**
-     * Withdraws an amount from the user's balance.
-     * @param {String} email - The email of the user to withdraw money from.
-     * @param {Number} amount - The amount to withdraw.
-     * @returns {Object|null} The updated balance or null if user not found or insufficient funds.
-     * @throws {Error} If there is a problem updating the user.
+     * Retrieves all users from the database.
+     * @returns {Array} An array of user objects.
+     * @throws {Error} If there is a problem querying the database.
      */
-    async withdraw(email, amount) {
+    async all() {
         try {
-            const user = await User.findOne({ email });
-            if (!user || user.balance < amount) {
-                return null;
-            }
-            user.balance -= amount;
-            await user.save();
-            return { balance: user.balance };
+            return await User.find();
         } catch (error) {
-            throw new Error(`Error withdrawing money: ${error.message}`);
+            throw new Error(`Error retrieving all users: ${error.message}`);
         }
     }
 
@@ -117,13 +91,19 @@ class UserRepository {
     }
 
     /**
-     * Deletes a user by their email.
+     * Deletes a user by their email. A user who still has open accounts cannot be deleted,
+     * since their money would go with them; close the accounts first (closeAccount in dal.js).
+     * Closed accounts and their history are kept.
      * @param {String} email - The email of the user to delete.
      * @returns {Object|null} The deleted user object or null if user not found.
-     * @throws {Error} If there is a problem deleting the user.
+     * @throws {Error} If the user has open accounts or there is a problem deleting the user.
      */
     async deleteUser(email) {
         try {
+            const openAccounts = await Account.countDocuments({ ownerEmail: email, status: { $ne: 'closed' } });
+            if (openAccounts > 0) {
+                throw new Error(`${email} still has ${openAccounts} open account(s); close them first`);
+            }
             return await User.findOneAndDelete({ email });
         } catch (error) {
             throw new Error(`Error deleting user: ${error.message}`);
@@ -0,0 +1,588 @@
+// serializers.js
+// ./backend/serializers.js
+//
+// Response shapes for the API. Controllers pass database documents through these
+// functions instead of sending them as they are, so that only the fields listed here
+// ever leave the API. Password hashes, internal ids and cent fields are never copied;
+// a new field only reaches clients once it is added below.
+
+const { formatAmount, formatRate } = require('./money');
+const { BASE_CURRENCY } = require('./config/currencies');
+const { hasPermission } = require('./middlewares/permissionMiddleware');
+
+/**
+ * Hides all but the last four digits of an account number.
+ * @param {string} accountNumber The account number, e.g. "1234567890".
+ * @returns {string} The masked number, e.g. "******7890".
+ */
+function maskAccountNumber(accountNumber) {
+    if (!accountNumber) {
+        return accountNumber;
+    }
+    const visible = String(accountNumber).slice(-4);
+    return visible.padStart(String(accountNumber).length, '*');
+}
+
+/**
+ * Hides all but the first letter of each part of a name, so a customer can recognise the
+ * person they are paying without learning their full name.
+ * @param {string} name The name, e.g. "Jane Smith".
+ * @returns {string} The masked name, e.g. "J*** S****".
+ */
+function maskName(name) {
+    return String(name || '').trim().split(/\s+/)
+        .map(part => part.slice(0, 1) + '*'.repeat(Math.max(part.length - 1, 0)))
+        .join(' ');
+}
+
+/**
+ * Returns an account's available balance: its balance less the holds and legal holds on it.
+ * @param {Object} account The account.
+ * @returns {number} The available balance, in cents.
+ */
+function availableCents(account) {
+    return account.balanceCents - (account.heldCents || 0) - (account.legalHoldCents || 0);
+}
+
+/**
+ * Checks whether the viewer may see an account number in full: the account's owner can,
+ * and so can staff whose role lets them act on any account.
+ * @param {string} ownerEmail Email of the account's owner.
+ * @param {Object} viewer The caller, i.e. req.user ({ email, role }).
+ * @returns {boolean} True if the number may be shown unmasked.
+ */
+function canSeeAccountNumber(ownerEmail, viewer) {
+    if (!viewer) {
+        return false;
+    }
+    return ownerEmail === viewer.email || hasPermission(viewer.role, 'accounts:act-on-any');
+}
+
+/**
+ * Shapes a user document for a response.
+ * @param {Object} user The user document.
+ * @returns {Object} The user's name, email, phone number and role.
+ */
+function serializeUser(user) {
+    return {
+        name: user.name,
+        email: user.email,
+        phoneNumber: user.phoneNumber,
+        role: user.role || 'user'
+    };
+}
+
+/**
+ * Shapes a bank account document for a response. The account number is masked
+ * unless the viewer owns the account or is staff.
+ * @param {Object} account The account document.
+ * @param {Object} viewer The caller, i.e. req.user ({ email, role }).
+ * @returns {Object} The account with its balance as a decimal string.
+ */
+function serializeAccount(account, viewer) {
+    return {
+        accountNumber: canSeeAccountNumber(account.ownerEmail, viewer)
+            ? account.accountNumber
+            : maskAccountNumber(account.accountNumber),
+        accountType: account.accountType,
+        ownerEmail: account.ownerEmail,
+        balance: formatAmount(account.balanceCents),
+        availableBalance: formatAmount(availableCents(account)),
+        currency: account.currency || BASE_CURRENCY,
+        overdraft: serializeOverdraft(account),
+        overdrawn: Boolean(account.overdrawn),
+        status: account.status || 'open',
+        closedAt: account.closedAt || undefined,
+        restrictions: (account.restrictions || []).map(serializeAccountRestriction),
+        createdAt: account.createdAt
+    };
+}
+
+/**
+ * Shapes a restriction as its account carries it, for the owner to see. The reason is only
+ * shown to staff (see serializeRestriction).
+ * @param {Object} restriction The restriction as stored on the account.
+ * @returns {Object} The type, the amount of a legal hold, and when it expires.
+ */
+function serializeAccountRestriction(restriction) {
+    return {
+        type: restriction.type,
+        amount: restriction.amountCents ? formatAmount(restriction.amountCents) : undefined,
+        expiresAt: restriction.expiresAt || undefined
+    };
+}
+
+/**
+ * Describes an account's overdraft protection for a response.
+ * @param {Object} account The account document.
+ * @returns {Object} { mode: 'linked-savings', sourceAccountNumber }, { mode: 'line', limit } or { mode: 'none' }.
+ */
+function serializeOverdraft(account) {
+    if (account.overdraftSourceAccountNumber) {
+        return { mode: 'linked-savings', sourceAccountNumber: account.overdraftSourceAccountNumber };
+    }
+    if (account.overdraftLimitCents > 0) {
+        return { mode: 'line', limit: formatAmount(account.overdraftLimitCents) };
+    }
+    return { mode: 'none' };
+}
+
+/**
+ * Shapes a ledger entry for a response. The account on the other side of a transfer
+ * usually belongs to someone else, so its number is masked unless it is one of the
+ * viewer's own accounts or the viewer is staff.
+ * @param {Object} entry The ledger entry from the transactions collection.
+ * @param {Object} viewer The caller, i.e. req.user ({ email, role }).
+ * @param {Array<string>} ownAccountNumbers Account numbers owned by the viewer.
+ * @returns {Object} The entry with amounts as decimal strings.
+ */
+function serializeTransaction(entry, viewer, ownAccountNumbers = []) {
+    const counterparty = entry.counterpartyAccountNumber;
+    const showCounterparty = !counterparty
+        || ownAccountNumbers.includes(counterparty)
+        || Boolean(viewer && hasPermission(viewer.role, 'accounts:act-on-any'));
+    return {
+        id: entry._id,
+        accountNumber: entry.accountNumber,
+        type: entry.type,
+        amount: formatAmount(entry.amountCents),
+        balanceAfter: formatAmount(entry.balanceAfterCents),
+        currency: entry.currency || BASE_CURRENCY,
+        fx: entry.fx && serializeConversion(entry.fx),
+        initiatedBy: entry.initiatedBy,
+        transferId: entry.transferId,
+        counterpartyAccountNumber: showCounterparty ? counterparty : maskAccountNumber(counterparty),
+        scheduleId: entry.scheduleId,
+        holdId: entry.holdId,
+        billPaymentId: entry.billPaymentId,
+        peerPaymentId: entry.peerPaymentId,
+        checkDepositId: entry.checkDepositId,
+        interestPeriod: entry.interestPeriod,
+        description: entry.description,
+        category: entry.category,
+        categorySource: entry.categorySource,
+        createdAt: entry.createdAt
+    };
+}
+
+/**
+ * Shapes a scheduled transfer for a response. The receiving account is masked like
+ * the other side of a transfer in serializeTransaction.
+ * @param {Object} schedule The schedule document.
+ * @param {Object} viewer The caller, i.e. req.user ({ email, role }).
+ * @param {Array<string>} ownAccountNumbers Account numbers owned by the viewer.
+ * @returns {Object} The schedule with its amount as a decimal string.
+ */
+function serializeSchedule(schedule, viewer, ownAccountNumbers = []) {
+    const showReceiver = ownAccountNumbers.includes(schedule.toAccountNumber)
+        || Boolean(viewer && hasPermission(viewer.role, 'accounts:act-on-any'));
+    return {
+        id: schedule._id,
+        fromAccountNumber: schedule.fromAccountNumber,
+        toAccountNumber: showReceiver ? schedule.toAccountNumber : maskAccountNumber(schedule.toAccountNumber),
+        amount: formatAmount(schedule.amountCents),
+        frequency: schedule.frequency,
+        startDate: schedule.startDate,
+        endDate: schedule.endDate,
+        description: schedule.description,
+        status: schedule.status,
+        nextRunAt: schedule.nextRunAt,
+        createdAt: schedule.createdAt
+    };
+}
+
+/**
+ * Shapes the record of one run of a scheduled transfer for a response.
+ * @param {Object} run The run document.
+ * @returns {Object} When the run happened, what it was for and how it went.
+ */
+function serializeScheduleRun(run) {
+    return {
+        scheduledFor: run.scheduledFor,
+        status: run.status,
+        attempt: run.attempt,
+        transferId: run.transferId,
+        message: run.message,
+        ranAt: run.ranAt
+    };
+}
+
+/**
+ * Shapes a user's year-to-date interest, from services/interestService.js, for a response.
+ * @param {Object} summary The summary from interestYearToDate.
+ * @param {Object} viewer The caller, i.e. req.user ({ email, role }).
+ * @returns {Object} Interest per account and in total, as decimal strings, with rates in percent.
+ */
+function serializeInterestSummary(summary, viewer) {
+    const accounts = summary.accounts.map(({ account, annualInterestRateBps, creditedCents, accruedCents }) => ({
+        accountNumber: serializeAccount(account, viewer).accountNumber,
+        accountType: account.accountType,
+        currency: account.currency || BASE_CURRENCY,
+        annualInterestRate: (annualInterestRateBps / 100).toFixed(2),
+        interestCredited: formatAmount(creditedCents),
+        interestAccrued: formatAmount(accruedCents),
+        interestEarned: formatAmount(creditedCents + accruedCents)
+    }));
+    // Amounts in different currencies cannot be added up, so there is a total per currency
+    const totals = {};
+    summary.accounts.forEach(({ account, creditedCents, accruedCents }) => {
+        const currency = account.currency || BASE_CURRENCY;
+        totals[currency] = (totals[currency] || 0) + creditedCents + accruedCents;
+    });
+    return {
+        year: summary.year,
+        totalsInterestEarned: Object.keys(totals).sort().map(currency => ({ currency, interestEarned: formatAmount(totals[currency]) })),
+        accounts
+    };
+}
+
+/**
+ * Shapes an account's withdrawal limits and remaining daily allowance for a response.
+ * @param {Object} allowance The allowance from dal.getWithdrawalAllowance.
+ * @returns {Object} Limits and usage, with amounts as decimal strings.
+ */
+function serializeWithdrawalAllowance(allowance) {
+    return {
+        perTransactionLimit: formatAmount(allowance.limits.perTransactionCents),
+        dailyLimit: formatAmount(allowance.limits.dailyAmountCents),
+        dailyCountLimit: allowance.limits.dailyCount,
+        withdrawnToday: formatAmount(allowance.usedCents),
+        withdrawalsToday: allowance.count,
+        remainingToday: formatAmount(allowance.remainingCents),
+        remainingWithdrawalsToday: allowance.remainingCount
+    };
+}
+
+/**
+ * Shapes an account's balances: the ledger balance, which only changes when money actually
+ * moves, and the available balance, which also leaves out money on hold.
+ * @param {Object} account The account.
+ * @returns {Object} The balances as decimal strings.
+ */
+function serializeBalance(account) {
+    return {
+        accountNumber: account.accountNumber,
+        ledgerBalance: formatAmount(account.balanceCents),
+        availableBalance: formatAmount(availableCents(account)),
+        held: formatAmount(account.heldCents || 0),
+        legalHold: formatAmount(account.legalHoldCents || 0),
+        currency: account.currency || BASE_CURRENCY,
+        restrictions: (account.restrictions || []).map(serializeAccountRestriction)
+    };
+}
+
+/**
+ * Shapes a hold on an account.
+ * @param {Object} hold The hold.
+ * @returns {Object} The hold, with amounts as decimal strings.
+ */
+function serializeHold(hold) {
+    return {
+        id: hold._id,
+        accountNumber: hold.accountNumber,
+        amount: formatAmount(hold.amountCents),
+        currency: hold.currency || BASE_CURRENCY,
+        status: hold.status,
+        description: hold.description,
+        capturedAmount: hold.capturedCents === undefined ? undefined : formatAmount(hold.capturedCents),
+        createdAt: hold.createdAt,
+        expiresAt: hold.expiresAt
+    };
+}
+
+/**
+ * Shapes a restriction placed on an account by staff.
+ * @param {Object} restriction The restriction.
+ * @returns {Object} The restriction, with its amount as a decimal string.
+ */
+function serializeRestriction(restriction) {
+    return {
+        id: restriction._id,
+        accountNumber: restriction.accountNumber,
+        ownerEmail: restriction.ownerEmail,
+        type: restriction.type,
+        amount: restriction.amountCents ? formatAmount(restriction.amountCents) : undefined,
+        currency: restriction.currency || BASE_CURRENCY,
+        reason: restriction.reason,
+        status: restriction.status,
+        placedBy: restriction.placedBy,
+        placedAt: restriction.placedAt,
+        expiresAt: restriction.expiresAt || undefined,
+        liftedBy: restriction.liftedBy,
+        liftedAt: restriction.liftedAt,
+        expiredAt: restriction.expiredAt
+    };
+}
+
+/**
+ * Shapes the currency conversion recorded on both ledger entries of a cross-currency transfer.
+ * @param {Object} fx The conversion as stored on the entry.
+ * @returns {Object} The currencies, the rate and spread, and the amounts as decimal strings.
+ */
+function serializeConversion(fx) {
+    return {
+        fromCurrency: fx.fromCurrency,
+        toCurrency: fx.toCurrency,
+        rate: formatRate(fx.rateMicros),
+        spreadPercent: (fx.spreadBps / 100).toFixed(2),
+        sent: formatAmount(fx.sentCents),
+        received: formatAmount(fx.receivedCents),
+        spread: formatAmount(fx.spreadCents)
+    };
+}
+
+/**
+ * Shapes a stored exchange rate.
+ * @param {Object} rate The rate, against the base currency.
+ * @returns {Object} The currency and its rate as a decimal string.
+ */
+function serializeExchangeRate(rate) {
+    return {
+        baseCurrency: BASE_CURRENCY,
+        currency: rate.currency,
+        rate: formatRate(rate.rateMicros),
+        updatedAt: rate.updatedAt
+    };
+}
+
+/**
+ * Shapes a stored statement for a listing; the files themselves are downloaded separately.
+ * @param {Object} statement The statement.
+ * @returns {Object} The statement's period, balances and totals, with amounts as decimal strings.
+ */
+function serializeStatement(statement) {
+    return {
+        id: statement._id,
+        accountNumber: statement.accountNumber,
+        accountType: statement.accountType,
+        period: statement.period,
+        periodStart: statement.periodStart,
+        periodEnd: statement.periodEnd,
+        complete: statement.complete,
+        currency: statement.currency,
+        openingBalance: formatAmount(statement.openingBalanceCents),
+        closingBalance: formatAmount(statement.closingBalanceCents),
+        moneyIn: formatAmount(statement.totals.creditsCents),
+        moneyOut: formatAmount(statement.totals.debitsCents),
+        interest: formatAmount(statement.totals.interestCents),
+        entryCount: statement.entryCount,
+        generatedAt: statement.generatedAt
+    };
+}
+
+/**
+ * Shapes the report of a bulk import of ledger entries.
+ * @param {Object} report The report from importService.importTransactions.
+ * @returns {Object} The report, with balances as decimal strings.
+ */
+function serializeImportReport(report) {
+    return {
+        importId: report.importId,
+        format: report.format,
+        committed: report.committed,
+        rowCount: report.rowCount,
+        errors: report.errors,
+        accounts: report.accounts.map(account => ({
+            accountNumber: account.accountNumber,
+            currency: account.currency,
+            entryCount: account.entryCount,
+            balanceBefore: formatAmount(account.balanceBeforeCents),
+            balanceAfter: formatAmount(account.balanceAfterCents)
+        }))
+    };
+}
+
+/**
+ * Shapes a category rule for a response.
+ * @param {Object} rule The rule.
+ * @returns {Object} The text the rule looks for and the category it gives.
+ */
+function serializeCategoryRule(rule) {
+    return {
+        id: rule._id,
+        contains: rule.contains,
+        category: rule.category,
+        createdAt: rule.createdAt
+    };
+}
+
+/**
+ * Shapes a month's total for one category.
+ * @param {Object} total The total from categoryService.categoryTotals.
+ * @returns {Object} The money in and out as decimal strings.
+ */
+function serializeCategoryTotal(total) {
+    return {
+        month: total.month,
+        category: total.category,
+        currency: total.currency,
+        moneyIn: formatAmount(total.inCents),
+        moneyOut: formatAmount(total.outCents),
+        count: total.count
+    };
+}
+
+/**
+ * Shapes a bill pay payee for a response. Only the last digits of the payee's account at
+ * their bank are shown, as on a check stub.
+ * @param {Object} payee The payee.
+ * @returns {Object} The payee's name, address and bank details.
+ */
+function serializePayee(payee) {
+    return {
+        id: payee._id,
+        name: payee.name,
+        address: payee.address,
+        accountNumber: maskAccountNumber(payee.accountNumber),
+        routingNumber: payee.routingNumber,
+        createdAt: payee.createdAt
+    };
+}
+
+/**
+ * Shapes a bill payment for a response.
+ * @param {Object} payment The payment.
+ * @returns {Object} The payment, with its amount as a decimal string and the payee's
+ *   account number masked.
+ */
+function serializeBillPayment(payment) {
+    return {
+        id: payment._id,
+        fromAccountNumber: payment.fromAccountNumber,
+        payeeId: payment.payeeId,
+        payeeName: payment.payee.name,
+        payeeAccountNumber: maskAccountNumber(payment.payee.accountNumber),
+        amount: formatAmount(payment.amountCents),
+        currency: payment.currency,
+        memo: payment.memo,
+        sendOn: payment.sendOn,
+        status: payment.status,
+        failureReason: payment.failureReason,
+        returnReason: payment.returnReason,
+        createdAt: payment.createdAt,
+        debitedAt: payment.debitedAt,
+        sentAt: payment.sentAt,
+        returnedAt: payment.returnedAt
+    };
+}
+
+/**
+ * Shapes a payment between two customers for one of them. The sender sees the recipient as
+ * they identified them; the recipient sees the sender's name. Neither sees the other's
+ * account number.
+ * @param {Object} payment The payment from the peerPayments collection.
+ * @param {Object} viewer The caller, i.e. req.user ({ email }).
+ * @returns {Object} The payment from the viewer's side, with amounts as decimal strings.
+ */
+function serializePeerPayment(payment, viewer) {
+    const sent = payment.fromEmail === viewer.email;
+    return {
+        id: payment._id,
+        direction: sent ? 'sent' : 'received',
+        counterparty: sent ? payment.recipient : payment.senderName,
+        accountNumber: sent ? payment.fromAccountNumber : payment.toAccountNumber,
+        amount: formatAmount(sent ? payment.amountCents : payment.receivedCents),
+        currency: sent ? payment.currency : payment.receivedCurrency,
+        memo: payment.memo,
+        transferId: payment.transferId,
+        createdAt: payment.createdAt
+    };
+}
+
+/**
+ * Shapes a payment request for one side of it. The requester sees the person they asked as
+ * they identified them, and the account they are to be paid into; the person asked sees the
+ * requester's name.
+ * @param {Object} request The request from the paymentRequests collection.
+ * @param {Object} viewer The caller, i.e. req.user ({ email }).
+ * @returns {Object} The request from the viewer's side, with amounts as decimal strings.
+ */
+function serializePaymentRequest(request, viewer) {
+    const asked = request.requesterEmail === viewer.email;
+    return {
+        id: request._id,
+        role: asked ? 'requester' : 'payer',
+        counterparty: asked ? request.payer : request.requesterName,
+        toAccountNumber: asked ? request.toAccountNumber : undefined,
+        amount: formatAmount(request.amountCents),
+        currency: request.currency,
+        total: request.totalCents === undefined ? undefined : formatAmount(request.totalCents),
+        memo: request.memo,
+        splitId: request.splitId,
+        status: request.status,
+        declineReason: request.declineReason,
+        reminderCount: request.reminderCount,
+        createdAt: request.createdAt,
+        expiresAt: request.expiresAt,
+        paidAt: request.paidAt
+    };
+}
+
+/**
+ * Shapes a notification for a response.
+ * @param {Object} notification The notification.
+ * @returns {Object} What it is about, its text, and when it was written and read.
+ */
+function serializeNotification(notification) {
+    return {
+        id: notification._id,
+        type: notification.type,
+        message: notification.message,
+        read: Boolean(notification.readAt),
+        createdAt: notification.createdAt
+    };
+}
+
+/**
+ * Shapes a mobile check deposit. Staff reviewing it also see who it belongs to and any
+ * earlier deposits of a check with the same number and amount; customers see neither.
+ * @param {Object} deposit The deposit document.
+ * @param {Object} [viewer] The user viewing it, with their role.
+ * @returns {Object} The deposit as returned by the API.
+ */
+function serializeCheckDeposit(deposit, viewer) {
+    const reviewer = Boolean(viewer && hasPermission(viewer.role, 'checks:review'));
+    return {
+        id: deposit._id,
+        accountNumber: deposit.accountNumber,
+        ownerEmail: reviewer ? deposit.ownerEmail : undefined,
+        amount: formatAmount(deposit.amountCents),
+        currency: deposit.currency,
+        checkNumber: deposit.checkNumber,
+        status: deposit.status,
+        rejectReason: deposit.rejectReason,
+        possibleDuplicateOf: reviewer ? deposit.possibleDuplicateOf : undefined,
+        reviewedBy: reviewer ? deposit.reviewedBy : undefined,
+        createdAt: deposit.createdAt,
+        reviewedAt: deposit.reviewedAt,
+        availableAt: deposit.availableAt
+    };
+}
+
+module.exports = {
+    maskAccountNumber,
+    maskName,
+    serializeUser,
+    serializeAccount,
+    serializeOverdraft,
+    serializeTransaction,
+    serializeSchedule,
+    serializeScheduleRun,
+    serializeInterestSummary,
+    serializeWithdrawalAllowance,
+    serializeBalance,
+    serializeHold,
+    serializeRestriction,
+    serializeConversion,
+    serializeExchangeRate,
+    serializeStatement,
+    serializeImportReport,
+    serializeCategoryRule,
+    serializeCategoryTotal,
+    serializePayee,
+    serializeBillPayment,
+    serializePeerPayment,
+    serializePaymentRequest,
+    serializeNotification,
+    serializeCheckDeposit
+};
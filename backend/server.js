@@ -9,18 +9,33 @@ const bodyParser = require('body-parser'); // Parse incoming request bodies in a
 const mongoose = require('mongoose'); // MongoDB object modeling tool
 const rateLimit = require('express-rate-limit'); // Basic rate-limiting middleware
 const { errorHandler } = require('./middlewares/errorMiddleware'); // Custom error handling middleware
+const { getAuth0Config } = require('./middlewares/authMiddleware'); // Auth0 settings access tokens are verified against
 const accountRouter = require('./controllers/accountController'); // Router for account-related routes
 const userRouter = require('./controllers/userController'); // Router for user-related routes
 const transactionRouter = require('./controllers/transactionController'); // Router for transaction-related routes
+const adminRouter = require('./controllers/adminController'); // Router for admin-only routes
+const scheduleRouter = require('./controllers/scheduleController'); // Router for scheduled transfers
+const holdRouter = require('./controllers/holdController'); // Router for holds (authorize, capture, release)
+const categoryRouter = require('./controllers/categoryController'); // Router for spending categories and rules
+const billPayRouter = require('./controllers/billPayController'); // Router for bill pay payees and payments
+const p2pRouter = require('./controllers/p2pController'); // Router for payments between customers
+const notificationRouter = require('./controllers/notificationController'); // Router for customer notifications
+const paymentRequestRouter = require('./controllers/paymentRequestController'); // Router for payment requests and bill splitting
+const checkDepositRouter = require('./controllers/checkDepositController'); // Router for mobile check deposits and their review
+const { startJobs } = require('./jobs'); // Background jobs such as scheduled transfers
 const fs = require('fs');
 const https = require('https');
 
+// Refuse to start without the Auth0 settings; tokens could not be checked properly without them
+getAuth0Config();
+
 const app = express();
 
 // CORS configuration
 const corsOptions = {
   origin: process.env.FRONTEND_URL, // Use the FRONTEND_URL from .env file
-  optionsSuccessStatus: 200 // For legacy browser support
+  optionsSuccessStatus: 200, // For legacy browser support
+  exposedHeaders: ['Content-Disposition'] // Lets the frontend name downloaded files
 };
 
 // Apply CORS with your options
@@ -28,6 +43,8 @@ app.use(cors(corsOptions)); // Apply  CORS policy
 
 // Middleware setup
 app.use(helmet());
+// Check deposits carry two photos as base64, so they may be larger than the default 100kb
+app.use('/checks', bodyParser.json({ limit: process.env.CHECK_UPLOAD_MAX_SIZE || '15mb' }));
 app.use(bodyParser.json());
 
 // Rate limiting setup to prevent abuse
@@ -41,6 +58,15 @@ app.use(limiter);
 app.use('/account', accountRouter);
 app.use('/users', userRouter);
 app.use('/transactions', transactionRouter);
+app.use('/admin', adminRouter);
+app.use('/schedules', scheduleRouter);
+app.use('/holds', holdRouter);
+app.use('/categories', categoryRouter);
+app.use('/billpay', billPayRouter);
+app.use('/p2p', p2pRouter);
+app.use('/notifications', notificationRouter);
+app.use('/requests', paymentRequestRouter);
+app.use('/checks', checkDepositRouter);
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
@@ -59,4 +85,6 @@ const options = {
   };
   https.createServer(options, app).listen(PORT, () => {
     console.log(`HTTPS Server running on port ${PORT}`);
+    // Scheduled transfers and other background work run alongside the API
+    startJobs();
   });
@@ -0,0 +1,365 @@
+// billPayService.js
+// ./backend/services/billPayService.js
+//
+// Bill pay: customers keep a list of payees, outside parties with a US bank account, in
+// the 'payees' collection and pay them from their accounts. A payment lives in the
+// 'billPayments' collection and goes through these statuses:
+// - scheduled: waiting for the day it is to be sent on; nothing has been debited yet, and
+//   the customer can still cancel it (cancelled);
+// - pending: debited from the account and waiting in the outgoing payments queue;
+// - sent: handed on to the payee's bank by the settlement job (jobs/billPaySettlement.js);
+// - returned: sent back by the payee's bank and credited back to the account;
+// - failed: the balance could not cover it on the day it was due.
+// A payment for today is debited as soon as it is made.
+
+const { ObjectId } = require('mongodb');
+const dal = require('../dal.js');
+const logger = require('../logger');
+const { assertPositiveCents } = require('../money');
+const { BASE_CURRENCY } = require('../config/currencies');
+const { ValidationError, NotFoundError, ConflictError, InsufficientFundsError, AccountRestrictedError } = require('../middlewares/errorMiddleware');
+
+const ROUTING_NUMBER_PATTERN = /^\d{9}$/;
+const EXTERNAL_ACCOUNT_PATTERN = /^\d{4,17}$/;
+const POSTAL_CODE_PATTERN = /^\d{5}(?:-\d{4})?$/;
+const STATE_PATTERN = /^[A-Z]{2}$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_MEMO_LENGTH = 140;
+const BILL_PAYMENT_STATUSES = ['scheduled', 'pending', 'sent', 'returned', 'failed', 'cancelled'];
+
+/**
+ * Returns the payees and bill payments collections, creating their indexes on first use.
+ */
+async function getCollections() {
+    const [payees, payments] = await Promise.all([
+        dal.getIndexedCollection('payees', [[{ ownerEmail: 1, name: 1 }]]),
+        dal.getIndexedCollection('billPayments', [
+            [{ ownerEmail: 1, createdAt: -1 }],
+            [{ status: 1, sendOn: 1 }]
+        ])
+    ]);
+    return { payees, payments };
+}
+
+/**
+ * Checks an ABA routing number: nine digits whose weighted sum, with weights 3, 7 and 1
+ * repeating, is a multiple of ten.
+ * @param {string} routingNumber The routing number.
+ * @returns {boolean} True if the routing number is well formed.
+ */
+function isValidRoutingNumber(routingNumber) {
+    if (!ROUTING_NUMBER_PATTERN.test(routingNumber)) {
+        return false;
+    }
+    const weights = [3, 7, 1];
+    const sum = [...routingNumber].reduce((total, digit, index) => total + Number(digit) * weights[index % 3], 0);
+    return sum % 10 === 0;
+}
+
+/**
+ * Trims a text field sent by the client.
+ * @returns {string} The text, or '' if there was none.
+ */
+function text(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Checks a payee's mailing address.
+ * @param {Object} address { line1, line2, city, state, postalCode }.
+ * @returns {Object} The address, trimmed.
+ * @throws {ValidationError} If a part is missing or malformed.
+ */
+function parseAddress(address = {}) {
+    const parsed = {
+        line1: text(address.line1),
+        line2: text(address.line2) || undefined,
+        city: text(address.city),
+        state: text(address.state).toUpperCase(),
+        postalCode: text(address.postalCode)
+    };
+    if (!parsed.line1 || !parsed.city) {
+        throw new ValidationError('The payee\'s address needs a street and a city.');
+    }
+    if (!STATE_PATTERN.test(parsed.state)) {
+        throw new ValidationError('The state must be a two-letter code, e.g. NY.');
+    }
+    if (!POSTAL_CODE_PATTERN.test(parsed.postalCode)) {
+        throw new ValidationError('The ZIP code must be five digits, or five and four, e.g. 10001 or 10001-1234.');
+    }
+    return parsed;
+}
+
+/**
+ * Adds a payee for a customer.
+ * @param {string} email Email of the customer.
+ * @param {Object} details { name, address, accountNumber, routingNumber }: the payee's
+ *   name and mailing address and their account at their bank.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The payee.
+ * @throws {ValidationError} If a detail is missing or malformed, e.g. a routing number
+ *   that fails its checksum.
+ */
+async function createPayee(email, { name, address, accountNumber, routingNumber }, now = new Date()) {
+    const payeeName = text(name);
+    if (!payeeName || payeeName.length > MAX_NAME_LENGTH) {
+        throw new ValidationError(`The payee's name must be 1 to ${MAX_NAME_LENGTH} characters.`);
+    }
+    const externalAccount = text(accountNumber).replace(/[\s-]/g, '');
+    if (!EXTERNAL_ACCOUNT_PATTERN.test(externalAccount)) {
+        throw new ValidationError('The payee\'s account number must be 4 to 17 digits.');
+    }
+    const routing = text(routingNumber).replace(/[\s-]/g, '');
+    if (!isValidRoutingNumber(routing)) {
+        throw new ValidationError('The routing number is not valid. Check the nine digits printed on a check.');
+    }
+    const { payees } = await getCollections();
+    const payee = {
+        ownerEmail: email,
+        name: payeeName,
+        address: parseAddress(address),
+        accountNumber: externalAccount,
+        routingNumber: routing,
+        createdAt: now
+    };
+    const result = await payees.insertOne(payee);
+    return result.ops[0];
+}
+
+/**
+ * Lists a customer's payees by name, leaving out removed ones.
+ * @param {string} email Email of the customer.
+ * @returns {Promise<Array<Object>>} The payees.
+ */
+async function listPayees(email) {
+    const { payees } = await getCollections();
+    return payees.find({ ownerEmail: email, removedAt: { $exists: false } }).sort({ name: 1 }).toArray();
+}
+
+/**
+ * Finds one of a customer's payees.
+ * @param {string} email Email of the customer.
+ * @param {string} id The payee's id.
+ * @returns {Promise<Object>} The payee.
+ * @throws {NotFoundError} If the customer has no such payee.
+ */
+async function findPayee(email, id) {
+    const { payees } = await getCollections();
+    const payee = ObjectId.isValid(id)
+        && await payees.findOne({ _id: new ObjectId(id), ownerEmail: email, removedAt: { $exists: false } });
+    if (!payee) {
+        throw new NotFoundError('Payee not found.');
+    }
+    return payee;
+}
+
+/**
+ * Removes one of a customer's payees. Payments already made to it keep its details.
+ * @param {string} email Email of the customer.
+ * @param {string} id The payee's id.
+ * @param {Date} [now] The current time.
+ * @throws {NotFoundError} If the customer has no such payee.
+ * @throws {ConflictError} If payments to the payee are still scheduled.
+ */
+async function removePayee(email, id, now = new Date()) {
+    const payee = await findPayee(email, id);
+    const { payees, payments } = await getCollections();
+    if (await payments.countDocuments({ payeeId: payee._id, status: 'scheduled' }) > 0) {
+        throw new ConflictError('Payments to this payee are still scheduled. Cancel them first.');
+    }
+    await payees.updateOne({ _id: payee._id }, { $set: { removedAt: now } });
+}
+
+/**
+ * Marks a scheduled payment as failed, for when its debit could not go through.
+ */
+async function failPayment(payment, reason, now) {
+    const { payments } = await getCollections();
+    await payments.updateOne(
+        { _id: payment._id, status: 'scheduled' },
+        { $set: { status: 'failed', failedAt: now, failureReason: reason } }
+    );
+}
+
+/**
+ * Pays a payee from one of a customer's accounts, now or on a later day. A payment for
+ * today or earlier is debited straight away; one for later is scheduled and debited by the
+ * settlement job on its day.
+ * @param {Object} account The account to pay from, owned by the customer.
+ * @param {Object} details { payeeId, amountCents, sendOn, memo }; sendOn defaults to now.
+ * @param {string} createdBy Email of whoever made the payment.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The payment.
+ * @throws {ValidationError} If a detail is malformed or the account is not in US dollars.
+ * @throws {AccountRestrictedError} If the account is closed, frozen or locked.
+ * @throws {NotFoundError} If the account's owner has no such payee.
+ * @throws {InsufficientFundsError} If a payment for today cannot be covered; it is kept as failed.
+ *   So is a payment for today that a legal hold keeps from being debited, which throws an
+ *   AccountRestrictedError.
+ */
+async function createBillPayment(account, { payeeId, amountCents, sendOn, memo }, createdBy, now = new Date()) {
+    assertPositiveCents(amountCents);
+    dal.assertAccountUsable(account, 'debit');
+    if ((account.currency || BASE_CURRENCY) !== 'USD') {
+        throw new ValidationError('Bills can only be paid from US dollar accounts.');
+    }
+    const sendDate = sendOn ? new Date(sendOn) : now;
+    if (Number.isNaN(sendDate.getTime())) {
+        throw new ValidationError('The send date must be a valid date.');
+    }
+    const note = text(memo);
+    if (note.length > MAX_MEMO_LENGTH) {
+        throw new ValidationError(`The memo must be at most ${MAX_MEMO_LENGTH} characters.`);
+    }
+    const payee = await findPayee(account.ownerEmail, payeeId);
+
+    const { payments } = await getCollections();
+    const result = await payments.insertOne({
+        ownerEmail: account.ownerEmail,
+        fromAccountNumber: account.accountNumber,
+        payeeId: payee._id,
+        // The payee's details as they were when the payment was made
+        payee: { name: payee.name, accountNumber: payee.accountNumber, routingNumber: payee.routingNumber, address: payee.address },
+        amountCents,
+        currency: 'USD',
+        memo: note || undefined,
+        sendOn: sendDate,
+        status: 'scheduled',
+        createdBy,
+        createdAt: now
+    });
+    const payment = result.ops[0];
+    if (sendDate > now) {
+        return payment;
+    }
+    try {
+        return (await dal.debitBillPayment(payment._id, now)).payment;
+    } catch (err) {
+        // Failing it here keeps the settlement job from debiting it later without notice
+        if (err instanceof InsufficientFundsError || err instanceof AccountRestrictedError) {
+            await failPayment(payment, err.message, now);
+        }
+        throw err;
+    }
+}
+
+/**
+ * Lists a customer's bill payments, newest first.
+ * @param {string} email Email of the customer.
+ * @param {string} [status] Only list payments with this status.
+ * @returns {Promise<Array<Object>>} The payments.
+ * @throws {ValidationError} If the status is not one a payment can have.
+ */
+async function listBillPayments(email, status) {
+    const query = { ownerEmail: email };
+    if (status) {
+        if (!BILL_PAYMENT_STATUSES.includes(status)) {
+            throw new ValidationError(`Status must be one of: ${BILL_PAYMENT_STATUSES.join(', ')}.`);
+        }
+        query.status = status;
+    }
+    const { payments } = await getCollections();
+    return payments.find(query).sort({ createdAt: -1, _id: -1 }).toArray();
+}
+
+/**
+ * Lists the outgoing payments queue for staff: payments debited and waiting to be sent
+ * ('pending') or already sent ('sent'), oldest first.
+ * @param {string} [status] 'pending' or 'sent'; both by default.
+ * @returns {Promise<Array<Object>>} The payments.
+ * @throws {ValidationError} If the status is neither.
+ */
+async function listOutgoingPayments(status) {
+    const statuses = status ? [status] : ['pending', 'sent'];
+    if (!statuses.every(candidate => ['pending', 'sent'].includes(candidate))) {
+        throw new ValidationError('Status must be one of: pending, sent.');
+    }
+    const { payments } = await getCollections();
+    return payments.find({ status: { $in: statuses } }).sort({ debitedAt: 1, _id: 1 }).toArray();
+}
+
+/**
+ * Finds a bill payment by its id.
+ * @param {string} id The payment's id.
+ * @returns {Promise<Object>} The payment.
+ * @throws {NotFoundError} If there is no such payment.
+ */
+async function findBillPayment(id) {
+    const { payments } = await getCollections();
+    const payment = ObjectId.isValid(id) && await payments.findOne({ _id: new ObjectId(id) });
+    if (!payment) {
+        throw new NotFoundError('Payment not found.');
+    }
+    return payment;
+}
+
+/**
+ * Cancels a payment that is still scheduled. Nothing has been debited for it yet.
+ * @param {Object} payment The payment.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The cancelled payment.
+ * @throws {ConflictError} If the payment is no longer scheduled.
+ */
+async function cancelBillPayment(payment, now = new Date()) {
+    const { payments } = await getCollections();
+    const result = await payments.findOneAndUpdate(
+        { _id: payment._id, status: 'scheduled' },
+        { $set: { status: 'cancelled', cancelledAt: now } },
+        { returnDocument: 'after' }
+    );
+    if (!result.value) {
+        const current = await findBillPayment(String(payment._id));
+        throw new ConflictError(`Only a scheduled payment can be cancelled; this one is ${current.status}.`);
+    }
+    return result.value;
+}
+
+/**
+ * One run of the settlement process. First every payment waiting in the outgoing queue is
+ * sent to the payee's bank, and then every scheduled payment that has come due is debited
+ * and queued, to be sent on the next run. A payment whose balance cannot cover it, or whose
+ * account has been closed or restricted, fails; any other error is logged and the payment
+ * tried again on the next run.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} { sent, debited, failed } counts.
+ */
+async function settleBillPayments(now = new Date()) {
+    const { payments } = await getCollections();
+    const sent = await payments.updateMany(
+        { status: 'pending', debitedAt: { $lt: now } },
+        { $set: { status: 'sent', sentAt: now } }
+    );
+
+    const due = await payments.find({ status: 'scheduled', sendOn: { $lte: now } }).sort({ sendOn: 1 }).toArray();
+    let debited = 0;
+    let failed = 0;
+    for (const payment of due) {
+        try {
+            await dal.debitBillPayment(payment._id, now);
+            debited += 1;
+        } catch (err) {
+            if (err instanceof InsufficientFundsError || err instanceof AccountRestrictedError) {
+                await failPayment(payment, err.message, now);
+                failed += 1;
+            } else {
+                logger.error(`Error debiting bill payment ${payment._id}: ${err.message}`, { stack: err.stack });
+            }
+        }
+    }
+    return { sent: sent.modifiedCount, debited, failed };
+}
+
+module.exports = {
+    BILL_PAYMENT_STATUSES,
+    isValidRoutingNumber,
+    createPayee,
+    listPayees,
+    findPayee,
+    removePayee,
+    createBillPayment,
+    listBillPayments,
+    listOutgoingPayments,
+    findBillPayment,
+    cancelBillPayment,
+    settleBillPayments
+};
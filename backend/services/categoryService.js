@@ -0,0 +1,244 @@
+// categoryService.js
+// ./backend/services/categoryService.js
+//
+// Spending categories: a customer's category rules ("description contains 'COFFEE' ->
+// Dining"), setting the category of single ledger entries by hand, and totals of money in
+// and out per category per month. New entries are categorized as they are written (see
+// dal.recordTransaction); whenever a customer's rules change, their existing entries are
+// categorized again, except those whose category they set by hand.
+
+const { ObjectId } = require('mongodb');
+const dal = require('../dal.js');
+const logger = require('../logger');
+const { CREDIT_TYPES } = require('../ledgerFiles');
+const { monthBounds } = require('./statementService');
+const { DEFAULT_CATEGORIES, MAX_CATEGORY_LENGTH, categorize } = require('../config/categories');
+const { BASE_CURRENCY } = require('../config/currencies');
+const { ValidationError, NotFoundError } = require('../middlewares/errorMiddleware');
+
+const MAX_RULE_TEXT_LENGTH = 100; // Longest text a rule can look for.
+const BATCH_SIZE = 500; // Ledger entries updated per write when categorizing again.
+const DEFAULT_TOTAL_MONTHS = 6; // Months covered by the totals when no range is given.
+
+/**
+ * Returns the category rules collection, creating its index on first use.
+ */
+function getRulesCollection() {
+    return dal.getIndexedCollection('categoryRules', [[{ ownerEmail: 1, createdAt: -1 }]]);
+}
+
+/**
+ * Checks a category name sent by the client.
+ * @param {string} value The name.
+ * @returns {string} The name, trimmed.
+ * @throws {ValidationError} If the name is empty or too long.
+ */
+function parseCategory(value) {
+    const category = String(value === undefined || value === null ? '' : value).trim();
+    if (!category || category.length > MAX_CATEGORY_LENGTH) {
+        throw new ValidationError(`A category must be a name of 1 to ${MAX_CATEGORY_LENGTH} characters.`);
+    }
+    return category;
+}
+
+/**
+ * Lists the categories a customer can choose from: the default set and any others their
+ * rules or entries use.
+ * @param {string} email Email of the customer.
+ * @returns {Promise<Array<string>>} The category names, defaults first.
+ */
+async function listCategories(email) {
+    const { db } = await dal.connectToMongo();
+    const rules = await getRulesCollection();
+    const [fromRules, fromEntries] = await Promise.all([
+        rules.distinct('category', { ownerEmail: email }),
+        db.collection('transactions').distinct('category', { email })
+    ]);
+    const custom = [...fromRules, ...fromEntries]
+        .filter(category => category && !DEFAULT_CATEGORIES.includes(category))
+        .sort((a, b) => a.localeCompare(b));
+    return [...new Set([...DEFAULT_CATEGORIES, ...custom])];
+}
+
+/**
+ * Categorizes a customer's ledger entries again by their current rules, leaving alone the
+ * entries whose category they set by hand.
+ * @param {string} email Email of the customer.
+ * @returns {Promise<number>} How many entries changed category.
+ */
+async function recategorizeEntries(email) {
+    try {
+        const { db } = await dal.connectToMongo();
+        const transactions = db.collection('transactions');
+        const rules = await dal.getCategoryRules(email);
+        const cursor = transactions.find(
+            { email, categorySource: { $ne: 'manual' } },
+            { projection: { type: 1, description: 1, category: 1, categorySource: 1 } }
+        );
+
+        let changed = 0;
+        let batch = [];
+        const flush = async () => {
+            if (batch.length > 0) {
+                await transactions.bulkWrite(batch, { ordered: false });
+                changed += batch.length;
+                batch = [];
+            }
+        };
+        for await (const entry of cursor) {
+            const result = categorize(entry, rules);
+            if (result.category !== entry.category || result.categorySource !== entry.categorySource) {
+                batch.push({ updateOne: { filter: { _id: entry._id, categorySource: { $ne: 'manual' } }, update: { $set: result } } });
+            }
+            if (batch.length >= BATCH_SIZE) {
+                await flush();
+            }
+        }
+        await flush();
+        return changed;
+    } catch (err) {
+        logger.error(`Error categorizing entries: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
+/**
+ * Lists a customer's category rules, newest first, which is the order they are tried in.
+ * @param {string} email Email of the customer.
+ * @returns {Promise<Array<Object>>} The rules.
+ */
+async function listRules(email) {
+    await getRulesCollection();
+    return dal.getCategoryRules(email);
+}
+
+/**
+ * Adds a category rule for a customer and applies it to their existing entries. The
+ * newest rule that matches an entry decides its category.
+ * @param {string} email Email of the customer.
+ * @param {Object} details { contains, category }: text to look for in descriptions, in
+ *   any case, and the category to give entries that have it.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} { rule, recategorized }, the number of entries that changed category.
+ * @throws {ValidationError} If the text or category is missing or too long.
+ */
+async function createRule(email, { contains, category }, now = new Date()) {
+    const text = String(contains === undefined || contains === null ? '' : contains).trim();
+    if (!text || text.length > MAX_RULE_TEXT_LENGTH) {
+        throw new ValidationError(`A rule must look for text of 1 to ${MAX_RULE_TEXT_LENGTH} characters.`);
+    }
+    const rules = await getRulesCollection();
+    const rule = { ownerEmail: email, contains: text, category: parseCategory(category), createdAt: now };
+    const result = await rules.insertOne(rule);
+    logger.info(`Category rule "${text}" -> ${rule.category} added for ${email}`);
+    return { rule: result.ops[0], recategorized: await recategorizeEntries(email) };
+}
+
+/**
+ * Removes one of a customer's category rules and categorizes their entries again without it.
+ * @param {string} email Email of the customer.
+ * @param {string} id The rule's id.
+ * @returns {Promise<Object>} { recategorized }, the number of entries that changed category.
+ * @throws {NotFoundError} If the customer has no such rule.
+ */
+async function deleteRule(email, id) {
+    const rules = await getRulesCollection();
+    const result = ObjectId.isValid(id)
+        ? await rules.deleteOne({ _id: new ObjectId(id), ownerEmail: email })
+        : { deletedCount: 0 };
+    if (result.deletedCount === 0) {
+        throw new NotFoundError('Rule not found.');
+    }
+    return { recategorized: await recategorizeEntries(email) };
+}
+
+/**
+ * Finds a ledger entry by its id.
+ * @param {string} id The entry's id.
+ * @returns {Promise<Object>} The entry.
+ * @throws {NotFoundError} If there is no such entry.
+ */
+async function findEntry(id) {
+    const { db } = await dal.connectToMongo();
+    const entry = ObjectId.isValid(id) && await db.collection('transactions').findOne({ _id: new ObjectId(id) });
+    if (!entry) {
+        throw new NotFoundError('Transaction not found.');
+    }
+    return entry;
+}
+
+/**
+ * Sets the category of one ledger entry by hand; rules no longer change it. Without a
+ * category the entry goes back to being categorized by its owner's rules.
+ * @param {Object} entry The ledger entry.
+ * @param {string|null} category The category, or null to let the rules decide.
+ * @returns {Promise<Object>} The updated entry.
+ * @throws {ValidationError} If the category is too long.
+ */
+async function setEntryCategory(entry, category) {
+    const { db } = await dal.connectToMongo();
+    const update = category === null || category === undefined || String(category).trim() === ''
+        ? categorize(entry, await dal.getCategoryRules(entry.email))
+        : { category: parseCategory(category), categorySource: 'manual' };
+    const result = await db.collection('transactions').findOneAndUpdate(
+        { _id: entry._id },
+        { $set: update },
+        { returnDocument: 'after' }
+    );
+    return result.value;
+}
+
+/**
+ * Adds up a customer's money in and out per category per month (UTC).
+ * @param {string} email Email of the customer.
+ * @param {Object} [options] { from, to } months as YYYY-MM, both included (by default the
+ *   last six months up to the current one), and accountNumber to cover one account only.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Array<Object>>} One total per month, category and currency, newest
+ *   month first: { month, category, currency, inCents, outCents, count }.
+ * @throws {ValidationError} If a month is malformed or the range is backwards.
+ */
+async function categoryTotals(email, { from, to, accountNumber } = {}, now = new Date()) {
+    const lastMonth = to || now.toISOString().slice(0, 7);
+    const firstMonth = from || new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (DEFAULT_TOTAL_MONTHS - 1), 1)).toISOString().slice(0, 7);
+    const { start } = monthBounds(firstMonth);
+    const { end } = monthBounds(lastMonth);
+    if (end <= start) {
+        throw new ValidationError('The from month must not be after the to month.');
+    }
+
+    const match = { email, createdAt: { $gte: start, $lt: end } };
+    if (accountNumber) {
+        match.accountNumber = String(accountNumber);
+    }
+    const isCredit = { $in: ['$type', CREDIT_TYPES] };
+    const { db } = await dal.connectToMongo();
+    const totals = await db.collection('transactions').aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: {
+                    month: { $dateToString: { format: '%Y-%m', date: '$createdAt' } },
+                    category: { $ifNull: ['$category', 'Other'] },
+                    currency: { $ifNull: ['$currency', BASE_CURRENCY] }
+                },
+                inCents: { $sum: { $cond: [isCredit, '$amountCents', 0] } },
+                outCents: { $sum: { $cond: [isCredit, 0, '$amountCents'] } },
+                count: { $sum: 1 }
+            }
+        },
+        { $sort: { '_id.month': -1, outCents: -1, '_id.category': 1 } }
+    ]).toArray();
+    return totals.map(total => ({ ...total._id, inCents: total.inCents, outCents: total.outCents, count: total.count }));
+}
+
+module.exports = {
+    listCategories,
+    listRules,
+    createRule,
+    deleteRule,
+    recategorizeEntries,
+    findEntry,
+    setEntryCategory,
+    categoryTotals
+};
@@ -0,0 +1,272 @@
+// checkDepositService.js
+// ./backend/services/checkDepositService.js
+//
+// Mobile check deposits. A customer sends photos of the front and back of a check with its
+// number and amount; the photos are stored on local disk under CHECK_IMAGE_DIR, named by
+// their SHA-256 hash, and the deposit waits in the 'checkDeposits' collection as pending
+// until a bank employee reviews it:
+// - approved: the amount is posted to the account, on hold until the check clears (see
+//   dal.approveCheckDeposit);
+// - rejected: nothing is posted, and the customer is told why.
+// The hold is placed on approval rather than on submission: until then none of the check's
+// money is in the account, so there is nothing to hold.
+// A check whose front photo matches one already deposited is refused outright. One with the
+// same number and amount as another deposit by the same customer is accepted but flagged for
+// the reviewer, since different payers' checks can share a number.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+const dal = require('../dal.js');
+const { assertPositiveCents, formatAmount } = require('../money');
+const { BASE_CURRENCY } = require('../config/currencies');
+const { ValidationError, NotFoundError, ConflictError } = require('../middlewares/errorMiddleware');
+
+// Where check photos are kept, configurable through CHECK_IMAGE_DIR (default backend/uploads/checks)
+const imageDir = process.env.CHECK_IMAGE_DIR || path.join(__dirname, '..', 'uploads', 'checks');
+const CHECK_NUMBER_PATTERN = /^\d{1,10}$/;
+const MAX_REASON_LENGTH = 200;
+// The image formats accepted, recognised by their first bytes
+const IMAGE_TYPES = [
+    { contentType: 'image/jpeg', extension: 'jpg', signature: Buffer.from([0xff, 0xd8, 0xff]) },
+    { contentType: 'image/png', extension: 'png', signature: Buffer.from([0x89, 0x50, 0x4e, 0x47]) }
+];
+const IMAGE_SIDES = ['front', 'back'];
+
+/**
+ * Returns the check deposits collection, creating its indexes on first use. There is at most
+ * one live deposit per front photo, so a check cannot be deposited twice even by submissions
+ * that arrive together. Pending and approved deposits are marked live: true, and a rejected
+ * one loses the mark, as partial indexes on the servers we support can only match equality.
+ */
+function getDepositsCollection() {
+    return dal.getIndexedCollection('checkDeposits', [
+        [{ ownerEmail: 1, createdAt: -1 }],
+        [{ status: 1, createdAt: 1 }],
+        [{ 'front.sha256': 1 }, { unique: true, partialFilterExpression: { live: true } }],
+        [{ ownerEmail: 1, checkNumber: 1 }]
+    ]);
+}
+
+/**
+ * Decodes a photo of one side of a check sent by the client.
+ * @param {string} value The image, base64 encoded, optionally as a data URL.
+ * @param {string} side 'front' or 'back', for the error message.
+ * @returns {Object} { data, contentType, extension, sha256 }.
+ * @throws {ValidationError} If there is no image or it is not a JPEG or PNG.
+ */
+function decodeImage(value, side) {
+    const base64 = String(value || '').replace(/^data:[^,]*;base64,/, '');
+    const data = Buffer.from(base64, 'base64');
+    const type = data.length > 0 && IMAGE_TYPES.find(candidate => data.subarray(0, candidate.signature.length).equals(candidate.signature));
+    if (!type) {
+        throw new ValidationError(`A photo of the ${side} of the check is required, as a JPEG or PNG image.`);
+    }
+    return {
+        data,
+        contentType: type.contentType,
+        extension: type.extension,
+        sha256: crypto.createHash('sha256').update(data).digest('hex')
+    };
+}
+
+/**
+ * Writes a check photo to the image directory, unless a photo with the same content is
+ * already there.
+ * @param {Object} image The decoded image.
+ * @returns {Promise<Object>} What the deposit records about the photo.
+ */
+async function storeImage(image) {
+    const fileName = `${image.sha256}.${image.extension}`;
+    await fs.promises.mkdir(imageDir, { recursive: true });
+    try {
+        await fs.promises.writeFile(path.join(imageDir, fileName), image.data, { flag: 'wx' });
+    } catch (err) {
+        if (err.code !== 'EEXIST') {
+            throw err;
+        }
+    }
+    return { fileName, contentType: image.contentType, size: image.data.length, sha256: image.sha256 };
+}
+
+/**
+ * Submits a check for deposit.
+ * @param {Object} account The account to deposit into.
+ * @param {Object} details { amountCents, checkNumber, frontImage, backImage }: the images
+ *   are base64 encoded JPEGs or PNGs, optionally as data URLs.
+ * @param {string} submittedBy Email of whoever submitted it.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The pending deposit.
+ * @throws {ValidationError} If a detail is missing or malformed, or the account is not in
+ *   US dollars.
+ * @throws {AccountRestrictedError} If the account is closed or locked.
+ * @throws {ConflictError} If the same check has already been deposited.
+ */
+async function submitDeposit(account, { amountCents, checkNumber, frontImage, backImage }, submittedBy, now = new Date()) {
+    assertPositiveCents(amountCents);
+    dal.assertAccountUsable(account, 'credit');
+    if ((account.currency || BASE_CURRENCY) !== 'USD') {
+        throw new ValidationError('Checks can only be deposited into US dollar accounts.');
+    }
+    const number = String(checkNumber === undefined || checkNumber === null ? '' : checkNumber).trim();
+    if (!CHECK_NUMBER_PATTERN.test(number)) {
+        throw new ValidationError('The check number must be the 1 to 10 digits printed on the check.');
+    }
+    const front = decodeImage(frontImage, 'front');
+    const back = decodeImage(backImage, 'back');
+    if (front.sha256 === back.sha256) {
+        throw new ValidationError('The front and back photos are the same image.');
+    }
+
+    const deposits = await getDepositsCollection();
+    if (await deposits.findOne({ 'front.sha256': front.sha256, live: true })) {
+        throw new ConflictError('This check has already been deposited.');
+    }
+    const sameNumber = await deposits
+        .find({ ownerEmail: account.ownerEmail, checkNumber: number, amountCents, live: true }, { projection: { _id: 1 } })
+        .toArray();
+
+    const deposit = {
+        ownerEmail: account.ownerEmail,
+        accountNumber: account.accountNumber,
+        amountCents,
+        currency: 'USD',
+        checkNumber: number,
+        front: await storeImage(front),
+        back: await storeImage(back),
+        possibleDuplicateOf: sameNumber.length > 0 ? sameNumber.map(other => other._id) : undefined,
+        status: 'pending',
+        live: true,
+        submittedBy,
+        createdAt: now
+    };
+    try {
+        const result = await deposits.insertOne(deposit);
+        return result.ops[0];
+    } catch (error) {
+        // Another submission of the same check got in between the look-up above and here
+        if (error.code === 11000) {
+            throw new ConflictError('This check has already been deposited.');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Lists a customer's check deposits, newest first.
+ * @param {string} email Email of the customer.
+ * @returns {Promise<Array<Object>>} The deposits.
+ */
+async function listDeposits(email) {
+    const deposits = await getDepositsCollection();
+    return deposits.find({ ownerEmail: email }).sort({ createdAt: -1, _id: -1 }).toArray();
+}
+
+/**
+ * Lists the deposits waiting for review, oldest first.
+ * @returns {Promise<Array<Object>>} The pending deposits.
+ */
+async function listReviewQueue() {
+    const deposits = await getDepositsCollection();
+    return deposits.find({ status: 'pending' }).sort({ createdAt: 1, _id: 1 }).toArray();
+}
+
+/**
+ * Finds a check deposit by its id.
+ * @param {string} id The deposit's id.
+ * @returns {Promise<Object>} The deposit.
+ * @throws {NotFoundError} If there is no such deposit.
+ */
+async function findDeposit(id) {
+    const deposits = await getDepositsCollection();
+    const deposit = ObjectId.isValid(id) && await deposits.findOne({ _id: new ObjectId(id) });
+    if (!deposit) {
+        throw new NotFoundError('Deposit not found.');
+    }
+    return deposit;
+}
+
+/**
+ * Returns where the photo of one side of a deposited check is stored.
+ * @param {Object} deposit The deposit.
+ * @param {string} side 'front' or 'back'.
+ * @returns {Object} { filePath, contentType }.
+ * @throws {NotFoundError} If the side is neither.
+ */
+function imageOf(deposit, side) {
+    if (!IMAGE_SIDES.includes(side)) {
+        throw new NotFoundError('Image not found.');
+    }
+    const image = deposit[side];
+    return { filePath: path.join(imageDir, image.fileName), contentType: image.contentType };
+}
+
+/**
+ * Checks that a bank employee may review a deposit: nobody reviews their own.
+ */
+function assertReviewer(deposit, reviewedBy) {
+    if (deposit.ownerEmail === reviewedBy) {
+        throw new ValidationError('You cannot review a deposit into your own account.');
+    }
+}
+
+/**
+ * Approves a pending deposit, posting it; see dal.approveCheckDeposit.
+ * @param {Object} deposit The deposit.
+ * @param {string} reviewedBy Email of the bank employee approving it.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The deposit, the updated account, the ledger entry and the hold.
+ * @throws {ValidationError} If the reviewer owns the account.
+ */
+async function approveDeposit(deposit, reviewedBy, now = new Date()) {
+    assertReviewer(deposit, reviewedBy);
+    return dal.approveCheckDeposit(deposit._id, reviewedBy, now);
+}
+
+/**
+ * Rejects a pending deposit and tells the customer why. Nothing is posted.
+ * @param {Object} deposit The deposit.
+ * @param {string} reason Why, e.g. "The back of the check is not endorsed".
+ * @param {string} reviewedBy Email of the bank employee rejecting it.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The rejected deposit.
+ * @throws {ValidationError} If no reason is given, or the reviewer owns the account.
+ * @throws {ConflictError} If the deposit has already been reviewed.
+ */
+async function rejectDeposit(deposit, reason, reviewedBy, now = new Date()) {
+    assertReviewer(deposit, reviewedBy);
+    const rejectReason = String(reason === undefined || reason === null ? '' : reason).trim();
+    if (!rejectReason || rejectReason.length > MAX_REASON_LENGTH) {
+        throw new ValidationError(`A reason of 1 to ${MAX_REASON_LENGTH} characters is required to reject a deposit.`);
+    }
+    const deposits = await getDepositsCollection();
+    const rejected = await dal.runInTransaction(async (session) => {
+        const result = await deposits.findOneAndUpdate(
+            { _id: deposit._id, status: 'pending' },
+            { $set: { status: 'rejected', rejectReason, reviewedBy, reviewedAt: now }, $unset: { live: '' } },
+            { returnDocument: 'after', session }
+        );
+        if (result.value) {
+            await dal.notify(session, deposit.ownerEmail, 'check-rejected',
+                `Your check #${deposit.checkNumber} for ${formatAmount(deposit.amountCents)} ${deposit.currency} was rejected: ${rejectReason}`,
+                { checkDepositId: deposit._id });
+        }
+        return result.value;
+    });
+    if (!rejected) {
+        const current = await findDeposit(String(deposit._id));
+        throw new ConflictError(`This deposit has already been ${current.status}.`);
+    }
+    return rejected;
+}
+
+module.exports = {
+    submitDeposit,
+    listDeposits,
+    listReviewQueue,
+    findDeposit,
+    imageOf,
+    approveDeposit,
+    rejectDeposit
+};
@@ -0,0 +1,224 @@
+// exportService.js
+// ./backend/services/exportService.js
+//
+// Exports of an account's ledger over a range of days, for importing into accounting
+// tools, as CSV, OFX 2.x or QIF. Every entry carries its ledger id as a transaction id
+// (the Transaction ID column in CSV, FITID in OFX, N in QIF), which never changes, so
+// tools that de-duplicate on it can import overlapping ranges without doubling entries.
+
+const dal = require('../dal.js');
+const { formatAmount } = require('../money');
+const { signedCents, describeEntry, toCsv } = require('../ledgerFiles');
+const { BASE_CURRENCY } = require('../config/currencies');
+const { ValidationError } = require('../middlewares/errorMiddleware');
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OFX_BANK_ID = process.env.OFX_BANK_ID || 'BOFBROWN'; // BANKID given in OFX files, at most nine characters.
+const OFX_NAME_LENGTH = 32; // OFX limits a payee name to 32 characters.
+
+// OFX transaction type of each kind of ledger entry
+const OFX_TRANSACTION_TYPES = {
+    deposit: 'DEP',
+    withdrawal: 'CASH',
+    'transfer-in': 'XFER',
+    'transfer-out': 'XFER',
+    interest: 'INT',
+    capture: 'POS',
+    'bill-payment': 'PAYMENT',
+    'bill-payment-return': 'CREDIT'
+};
+
+/**
+ * Parses one end of a date range.
+ * @param {string} value The day, e.g. "2024-05-31".
+ * @param {string} name What the day is called in the request, for the error message.
+ * @returns {Date} Midnight UTC at the start of the day.
+ * @throws {ValidationError} If the value is not a real day in the form YYYY-MM-DD.
+ */
+function parseDay(value, name) {
+    const match = DATE_PATTERN.exec(String(value || ''));
+    const day = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    if (!day || day.toISOString().slice(0, 10) !== match[0]) {
+        throw new ValidationError(`The ${name} date must be given as YYYY-MM-DD.`);
+    }
+    return day;
+}
+
+/**
+ * Works out the span of time covered by an export: from the start of the first day to the
+ * end of the last, or to now if the last day is today.
+ * @param {string} from First day, YYYY-MM-DD.
+ * @param {string} to Last day, YYYY-MM-DD.
+ * @param {Date} now The current time.
+ * @returns {Object} { start, end }.
+ * @throws {ValidationError} If either day is malformed, the range is backwards or starts in the future.
+ */
+function exportRange(from, to, now) {
+    const start = parseDay(from, 'from');
+    const lastDay = parseDay(to, 'to');
+    if (lastDay < start) {
+        throw new ValidationError('The from date must not be after the to date.');
+    }
+    if (start > now) {
+        throw new ValidationError('An export cannot start in the future.');
+    }
+    const end = new Date(Math.min(lastDay.getTime() + DAY_MS, now.getTime()));
+    return { start, end };
+}
+
+/**
+ * Escapes text for an OFX (XML) element.
+ */
+function xmlText(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Formats a date as an OFX date-time in GMT, e.g. "20240531230000.000[0:GMT]".
+ */
+function ofxDate(date) {
+    return `${date.toISOString().replace(/[-:T]/g, '').replace('Z', '')}[0:GMT]`;
+}
+
+/**
+ * Formats a date as a QIF date, e.g. "05/31/2024".
+ */
+function qifDate(date) {
+    const [year, month, day] = date.toISOString().slice(0, 10).split('-');
+    return `${month}/${day}/${year}`;
+}
+
+/**
+ * Renders entries as CSV, one row per entry.
+ */
+function renderCsv(details, entries) {
+    const rows = [['Date', 'Transaction ID', 'Type', 'Description', 'Amount', 'Balance', 'Currency']];
+    entries.forEach(entry => rows.push([
+        entry.createdAt.toISOString(),
+        String(entry._id),
+        entry.type,
+        describeEntry(entry),
+        formatAmount(signedCents(entry)),
+        formatAmount(entry.balanceAfterCents),
+        details.currency
+    ]));
+    return toCsv(rows);
+}
+
+/**
+ * Renders entries as an OFX 2.2 bank statement response.
+ */
+function renderOfx(details, entries) {
+    const transactions = entries.map(entry => {
+        const amountCents = signedCents(entry);
+        return [
+            '<STMTTRN>',
+            `<TRNTYPE>${OFX_TRANSACTION_TYPES[entry.type] || (amountCents < 0 ? 'DEBIT' : 'CREDIT')}</TRNTYPE>`,
+            `<DTPOSTED>${ofxDate(entry.createdAt)}</DTPOSTED>`,
+            `<TRNAMT>${formatAmount(amountCents)}</TRNAMT>`,
+            `<FITID>${entry._id}</FITID>`,
+            `<NAME>${xmlText(describeEntry(entry).slice(0, OFX_NAME_LENGTH))}</NAME>`,
+            `<MEMO>${xmlText(describeEntry(entry))}</MEMO>`,
+            '</STMTTRN>'
+        ].join('\n');
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+        '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+        '<OFX>',
+        '<SIGNONMSGSRSV1>',
+        '<SONRS>',
+        '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+        `<DTSERVER>${ofxDate(details.generatedAt)}</DTSERVER>`,
+        '<LANGUAGE>ENG</LANGUAGE>',
+        '<FI><ORG>Bank of Brown</ORG></FI>',
+        '</SONRS>',
+        '</SIGNONMSGSRSV1>',
+        '<BANKMSGSRSV1>',
+        '<STMTTRNRS>',
+        `<TRNUID>${details.accountNumber}-${ofxDate(details.start).slice(0, 8)}-${ofxDate(details.end).slice(0, 8)}</TRNUID>`,
+        '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+        '<STMTRS>',
+        `<CURDEF>${details.currency}</CURDEF>`,
+        '<BANKACCTFROM>',
+        `<BANKID>${xmlText(OFX_BANK_ID)}</BANKID>`,
+        `<ACCTID>${details.accountNumber}</ACCTID>`,
+        `<ACCTTYPE>${details.accountType === 'savings' ? 'SAVINGS' : 'CHECKING'}</ACCTTYPE>`,
+        '</BANKACCTFROM>',
+        '<BANKTRANLIST>',
+        `<DTSTART>${ofxDate(details.start)}</DTSTART>`,
+        `<DTEND>${ofxDate(details.end)}</DTEND>`,
+        ...transactions,
+        '</BANKTRANLIST>',
+        '<LEDGERBAL>',
+        `<BALAMT>${formatAmount(details.closingBalanceCents)}</BALAMT>`,
+        `<DTASOF>${ofxDate(details.end)}</DTASOF>`,
+        '</LEDGERBAL>',
+        '</STMTRS>',
+        '</STMTTRNRS>',
+        '</BANKMSGSRSV1>',
+        '</OFX>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Renders entries as a QIF bank register. QIF has no field for a transaction id, so the
+ * ledger id goes in N, the reference number field. Each field is one line, so line breaks
+ * in descriptions become spaces.
+ */
+function renderQif(details, entries) {
+    const lines = ['!Type:Bank'];
+    entries.forEach(entry => lines.push(
+        `D${qifDate(entry.createdAt)}`,
+        `T${formatAmount(signedCents(entry))}`,
+        `N${entry._id}`,
+        `P${describeEntry(entry).replace(/[\r\n]+/g, ' ')}`,
+        `M${entry.type}`,
+        '^'
+    ));
+    return lines.join('\n') + '\n';
+}
+
+// What each export format is rendered by and served as
+const EXPORT_FORMATS = {
+    csv: { render: renderCsv, contentType: 'text/csv', extension: 'csv' },
+    ofx: { render: renderOfx, contentType: 'application/x-ofx', extension: 'ofx' },
+    qif: { render: renderQif, contentType: 'application/qif', extension: 'qif' }
+};
+
+/**
+ * Exports the ledger entries of an account made between two days, both included.
+ * @param {Object} account The account.
+ * @param {Object} options { format: 'csv' | 'ofx' | 'qif', from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} { filename, contentType, body }.
+ * @throws {ValidationError} If the format or range is not valid.
+ */
+async function exportTransactions(account, { format, from, to }, now = new Date()) {
+    const exporter = EXPORT_FORMATS[String(format || '').toLowerCase()];
+    if (!exporter) {
+        throw new ValidationError(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+    }
+    const { start, end } = exportRange(from, to, now);
+    const entries = await dal.getTransactionsBetween(account.accountNumber, start, end);
+    const details = {
+        accountNumber: account.accountNumber,
+        accountType: account.accountType,
+        currency: account.currency || BASE_CURRENCY,
+        start,
+        end,
+        closingBalanceCents: entries.length > 0
+            ? entries[entries.length - 1].balanceAfterCents
+            : await dal.getBalanceAt(account, end),
+        generatedAt: now
+    };
+    return {
+        filename: `transactions-${account.accountNumber}-${from}-to-${to}.${exporter.extension}`,
+        contentType: exporter.contentType,
+        body: exporter.render(details, entries)
+    };
+}
+
+module.exports = { exportRange, exportTransactions };
@@ -0,0 +1,411 @@
+// importService.js
+// ./backend/services/importService.js
+//
+// Bulk import of historical activity, e.g. when migrating customers from a legacy system.
+// A CSV or OFX file is parsed into rows and every row is checked against the account it
+// names; the result is a report with an error for each row that cannot be imported and,
+// per account, how its balance would change. An import is a dry run unless asked to commit,
+// and is only committed when every row is good, in which case all of its entries are
+// loaded and the balances recomputed in one transaction (see dal.importLedgerEntries).
+// Entries are added after an account's existing history, which is never rewritten, so a row
+// may not be dated before the account's latest entry or complete statement.
+//
+// CSV files need a header row naming the columns Account, Date and Amount (positive for
+// money in, negative for money out) and may also have Description, Type (deposit,
+// withdrawal or interest), Currency and Transaction ID, the id the transaction had in the
+// old system. OFX files may be OFX 1.x (SGML) or 2.x (XML) bank statements; FITID is
+// taken as the transaction id. A transaction id is only ever imported once per account.
+
+const { ObjectId } = require('mongodb');
+const dal = require('../dal.js');
+const { parseAmount } = require('../money');
+const { parseCsv } = require('../ledgerFiles');
+const { BASE_CURRENCY } = require('../config/currencies');
+const { ValidationError, AccountRestrictedError } = require('../middlewares/errorMiddleware');
+
+const IMPORT_FORMATS = ['csv', 'ofx'];
+const IMPORT_TYPES = ['deposit', 'withdrawal', 'interest']; // Ledger entry types an import can create.
+const CREDIT_IMPORT_TYPES = ['deposit', 'interest']; // Of those, the ones that add to a balance.
+const SIGNED_AMOUNT_PATTERN = /^([+-]?)\s*(\d+(?:\.\d{1,2})?)$/;
+const CSV_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const OFX_DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?(?:\.\d+)?(?:\[([+-]?\d+(?:\.\d+)?)(?::\w+)?\])?$/;
+
+// CSV columns by the name they are looked up by, and the header names accepted for each
+const CSV_COLUMNS = {
+    accountNumber: ['account', 'account number'],
+    date: ['date'],
+    amount: ['amount'],
+    description: ['description'],
+    type: ['type'],
+    currency: ['currency'],
+    externalId: ['transaction id']
+};
+const REQUIRED_CSV_COLUMNS = ['accountNumber', 'date', 'amount'];
+
+/**
+ * Parses a date from a CSV row, either a day ("2024-05-31", taken as midnight UTC) or an
+ * ISO 8601 date and time.
+ * @returns {Date|null} The date, or null if the value is not one.
+ */
+function parseCsvDate(value) {
+    const text = String(value || '').trim();
+    if (!CSV_DATE_PATTERN.test(text)) {
+        return null;
+    }
+    const date = new Date(text.length === 10 ? `${text}T00:00:00Z` : text);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parses an OFX date-time such as "20240531", "20240531120000.000" or
+ * "20240531120000[-5:EST]"; without a time zone it is taken as GMT.
+ * @returns {Date|null} The date, or null if the value is not one.
+ */
+function parseOfxDate(value) {
+    const match = OFX_DATE_PATTERN.exec(String(value || '').trim());
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hours = '0', minutes = '0', seconds = '0', offset = '0'] = match;
+    const time = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+    const date = new Date(time - Number(offset) * 60 * 60 * 1000);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Splits a CSV file into import rows, numbered by their record in the file (the header is 1).
+ * @throws {ValidationError} If the header row lacks a required column.
+ */
+function parseCsvRows(content) {
+    const [header = [], ...records] = parseCsv(content);
+    const names = header.map(name => name.trim().toLowerCase());
+    const columns = {};
+    Object.entries(CSV_COLUMNS).forEach(([key, aliases]) => {
+        columns[key] = names.findIndex(name => aliases.includes(name));
+    });
+    const missing = REQUIRED_CSV_COLUMNS.filter(key => columns[key] === -1);
+    if (missing.length > 0) {
+        throw new ValidationError(`The CSV file must have a header row with the columns ${missing.map(key => CSV_COLUMNS[key][0].replace(/\b\w/g, letter => letter.toUpperCase())).join(', ')}.`);
+    }
+    const value = (record, key) => (columns[key] === -1 ? '' : String(record[columns[key]] || '').trim());
+    return records.map((record, index) => ({
+        row: index + 2,
+        accountNumber: value(record, 'accountNumber'),
+        date: parseCsvDate(value(record, 'date')),
+        amount: value(record, 'amount'),
+        description: value(record, 'description'),
+        type: value(record, 'type').toLowerCase(),
+        currency: value(record, 'currency').toUpperCase(),
+        externalId: value(record, 'externalId')
+    }));
+}
+
+/**
+ * Reads the value of an OFX element. OFX 1.x leaves elements unclosed, so the value runs
+ * to the next tag or line break.
+ */
+function ofxValue(block, tag) {
+    const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+    if (!match) {
+        return '';
+    }
+    return match[1].trim()
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Returns the contents of every aggregate (an element that is always closed, in OFX 1.x too)
+ * with the given name.
+ */
+function ofxBlocks(text, tag) {
+    return text.match(new RegExp(`<${tag}>[\\s\\S]*?</${tag}>`, 'gi')) || [];
+}
+
+/**
+ * Splits an OFX file into import rows, numbered by their transaction in the file.
+ * @throws {ValidationError} If the file has no bank statement in it.
+ */
+function parseOfxRows(content) {
+    const statements = ofxBlocks(String(content), 'STMTRS');
+    if (statements.length === 0) {
+        throw new ValidationError('The OFX file has no bank statement in it.');
+    }
+    const rows = [];
+    statements.forEach(statement => {
+        const accountNumber = ofxValue(statement, 'ACCTID');
+        const currency = ofxValue(statement, 'CURDEF').toUpperCase();
+        ofxBlocks(statement, 'STMTTRN').forEach(transaction => {
+            const name = ofxValue(transaction, 'NAME');
+            const memo = ofxValue(transaction, 'MEMO');
+            rows.push({
+                row: rows.length + 1,
+                accountNumber,
+                date: parseOfxDate(ofxValue(transaction, 'DTPOSTED')),
+                amount: ofxValue(transaction, 'TRNAMT'),
+                description: name && memo && !memo.startsWith(name) ? `${name} ${memo}` : memo || name,
+                type: ofxValue(transaction, 'TRNTYPE').toUpperCase() === 'INT' ? 'interest' : '',
+                currency,
+                externalId: ofxValue(transaction, 'FITID')
+            });
+        });
+    });
+    return rows;
+}
+
+/**
+ * Parses a signed decimal amount such as "-12.34" into cents.
+ * @returns {number|null} The amount in cents, or null if the value is not one.
+ * @throws {ValidationError} If the amount is too large to be held in cents.
+ */
+function parseSignedAmount(value) {
+    const match = SIGNED_AMOUNT_PATTERN.exec(String(value).replace(/,/g, ''));
+    if (!match) {
+        return null;
+    }
+    const cents = parseAmount(match[2]);
+    return match[1] === '-' ? -cents : cents;
+}
+
+/**
+ * Checks a row against its account and turns it into a ledger entry to import.
+ * @param {Object} row The parsed row.
+ * @param {Object|null} account The account the row names, if it exists.
+ * @param {Date} now The current time.
+ * @returns {Object} { entry } or { error }.
+ */
+function checkRow(row, account, now) {
+    if (!row.accountNumber) {
+        return { error: 'The account number is missing.' };
+    }
+    if (!account) {
+        return { error: `Account ${row.accountNumber} does not exist.` };
+    }
+    if (!row.date) {
+        return { error: 'The date is missing or is not a date.' };
+    }
+    if (row.date > now) {
+        return { error: 'The date is in the future.' };
+    }
+    let signedCents;
+    try {
+        signedCents = parseSignedAmount(row.amount);
+    } catch (err) {
+        if (err instanceof ValidationError) {
+            return { error: 'The amount is too large.' };
+        }
+        throw err;
+    }
+    if (signedCents === null) {
+        return { error: 'The amount must be a number such as 12.34 or -12.34.' };
+    }
+    if (signedCents === 0) {
+        return { error: 'The amount must not be zero.' };
+    }
+    const type = row.type || (signedCents > 0 ? 'deposit' : 'withdrawal');
+    if (!IMPORT_TYPES.includes(type)) {
+        return { error: `The type must be one of: ${IMPORT_TYPES.join(', ')}.` };
+    }
+    if (CREDIT_IMPORT_TYPES.includes(type) !== signedCents > 0) {
+        return { error: `A${type === 'interest' ? 'n' : ''} ${type} must have a ${signedCents > 0 ? 'negative' : 'positive'} amount.` };
+    }
+    const currency = account.currency || BASE_CURRENCY;
+    if (row.currency && row.currency !== currency) {
+        return { error: `The currency ${row.currency} is not that of account ${account.accountNumber} (${currency}).` };
+    }
+    return {
+        entry: {
+            _id: new ObjectId(),
+            type,
+            amountCents: Math.abs(signedCents),
+            createdAt: row.date,
+            description: row.description || undefined,
+            externalId: row.externalId || undefined
+        }
+    };
+}
+
+/**
+ * Checks that an account can take the entries to import: it must be open and not locked,
+ * and a frozen account can only have money paid in (see dal.assertAccountUsable).
+ * @param {Object} account The account.
+ * @param {Array<Object>} rows The account's good rows, each { row, entry }.
+ * @returns {string|null} Why the account cannot take the entries, or null if it can.
+ */
+function restrictionError(account, rows) {
+    const debits = rows.some(({ entry }) => !CREDIT_IMPORT_TYPES.includes(entry.type));
+    try {
+        dal.assertAccountUsable(account, debits ? 'debit' : 'credit');
+        return null;
+    } catch (err) {
+        if (err instanceof AccountRestrictedError) {
+            return err.message;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Checks the entries to import into one account: that none is dated before the end of its
+ * history, that none was imported before or appears twice, that none takes the balance
+ * below zero, or beyond the account's overdraft line, once added to the ledger, and that
+ * together they take no money under a legal hold out of the account.
+ * @param {Object} account The account.
+ * @param {Array<Object>} rows The account's good rows, each { row, entry }.
+ * @returns {Promise<Object>} { errors, entries, balanceAfterCents }: the entries that passed
+ *   and the closing balance with them in the ledger.
+ */
+async function checkAccountEntries(account, rows) {
+    const errors = [];
+    const existing = await dal.getTransactionsByAccount(account.accountNumber);
+    const historyEnd = await dal.getHistoryEnd(account.accountNumber);
+    const seen = new Set(existing.filter(entry => entry.externalId).map(entry => entry.externalId));
+    const accepted = [];
+    rows.forEach(({ row, entry }) => {
+        if (historyEnd && entry.createdAt < historyEnd) {
+            errors.push({
+                row,
+                message: `Account ${account.accountNumber} already has history up to ${historyEnd.toISOString().slice(0, 10)}; only transactions from then on can be imported.`
+            });
+            return;
+        }
+        if (entry.externalId && seen.has(entry.externalId)) {
+            const imported = existing.some(other => other.externalId === entry.externalId);
+            errors.push({
+                row,
+                message: imported
+                    ? `Transaction ${entry.externalId} has already been imported into account ${account.accountNumber}.`
+                    : `Transaction ${entry.externalId} appears more than once in the file.`
+            });
+            return;
+        }
+        if (entry.externalId) {
+            seen.add(entry.externalId);
+        }
+        accepted.push({ row, entry });
+    });
+
+    const rowOf = new Map(accepted.map(({ row, entry }) => [String(entry._id), row]));
+    const entries = accepted.map(item => item.entry);
+    const ledger = dal.chainEntries(account, entries);
+    const floorCents = -(account.overdraftLimitCents || 0);
+    for (const entry of ledger) {
+        if (entry.balanceAfterCents < floorCents) {
+            errors.push({
+                row: rowOf.get(String(entry._id)),
+                message: floorCents === 0
+                    ? `This would take the balance of account ${account.accountNumber} below zero.`
+                    : `This would take the balance of account ${account.accountNumber} beyond its overdraft line.`
+            });
+            break;
+        }
+    }
+    const balanceAfterCents = ledger.length > 0 ? ledger[ledger.length - 1].balanceAfterCents : account.balanceCents;
+    const reservedCents = (account.heldCents || 0) + (account.legalHoldCents || 0);
+    if (account.legalHoldCents > 0 && balanceAfterCents < account.balanceCents && balanceAfterCents < reservedCents) {
+        // Blame the latest of the entries, which is where the closing balance is reached
+        const latest = ledger[ledger.length - 1];
+        errors.push({ row: rowOf.get(String(latest._id)), message: `This would take money under a legal hold out of account ${account.accountNumber}.` });
+    }
+    return { errors, entries, balanceAfterCents };
+}
+
+/**
+ * Imports historical ledger entries from a CSV or OFX file, or, unless commit is set,
+ * checks them without importing anything.
+ * @param {string} content The file's contents.
+ * @param {string} format 'csv' or 'ofx'.
+ * @param {string} importedBy Email of the admin importing the file.
+ * @param {Object} [options] { commit: true } to load the entries if every row is good.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The report: { format, committed, rowCount, errors: [{ row,
+ *   message }], accounts: [{ accountNumber, currency, entryCount, balanceBeforeCents,
+ *   balanceAfterCents }] } and, once committed, the importId.
+ * @throws {ValidationError} If the format is unknown or the file cannot be read at all.
+ */
+async function importTransactions(content, format, importedBy, { commit = false } = {}, now = new Date()) {
+    const kind = String(format || '').toLowerCase();
+    if (!IMPORT_FORMATS.includes(kind)) {
+        throw new ValidationError(`Format must be one of: ${IMPORT_FORMATS.join(', ')}.`);
+    }
+    const rows = kind === 'csv' ? parseCsvRows(content) : parseOfxRows(content);
+    if (rows.length === 0) {
+        throw new ValidationError('The file has no transactions in it.');
+    }
+
+    const errors = [];
+    const accounts = new Map();
+    const byAccount = new Map();
+    for (const row of rows) {
+        if (row.accountNumber && !accounts.has(row.accountNumber)) {
+            accounts.set(row.accountNumber, await dal.findAccount(row.accountNumber));
+        }
+        const { entry, error } = checkRow(row, accounts.get(row.accountNumber), now);
+        if (error) {
+            errors.push({ row: row.row, message: error });
+            continue;
+        }
+        if (!byAccount.has(row.accountNumber)) {
+            byAccount.set(row.accountNumber, []);
+        }
+        byAccount.get(row.accountNumber).push({ row: row.row, entry });
+    }
+
+    const summaries = [];
+    for (const [accountNumber, accountRows] of byAccount) {
+        const account = accounts.get(accountNumber);
+        const blocked = restrictionError(account, accountRows);
+        if (blocked) {
+            errors.push(...accountRows.map(({ row }) => ({ row, message: blocked })));
+            continue;
+        }
+        const checked = await checkAccountEntries(account, accountRows);
+        errors.push(...checked.errors);
+        summaries.push({
+            accountNumber,
+            currency: account.currency || BASE_CURRENCY,
+            entryCount: checked.entries.length,
+            balanceBeforeCents: account.balanceCents,
+            balanceAfterCents: checked.balanceAfterCents,
+            entries: checked.entries
+        });
+    }
+    errors.sort((a, b) => a.row - b.row);
+
+    const report = {
+        format: kind,
+        committed: false,
+        rowCount: rows.length,
+        errors,
+        accounts: summaries.map(({ entries, ...summary }) => summary)
+    };
+    if (!commit || errors.length > 0) {
+        return report;
+    }
+
+    let record;
+    try {
+        record = await dal.importLedgerEntries({
+            format: kind,
+            importedBy,
+            accounts: summaries.map(summary => ({
+                accountNumber: summary.accountNumber,
+                balanceCents: summary.balanceBeforeCents,
+                entries: summary.entries
+            }))
+        }, now);
+    } catch (err) {
+        // Another import loaded some of the same transaction ids after this one was checked;
+        // checking the file again reports them against their rows
+        if (err.code === 11000) {
+            return importTransactions(content, format, importedBy, {}, now);
+        }
+        throw err;
+    }
+    return { ...report, committed: true, importId: record._id };
+}
+
+module.exports = { importTransactions };
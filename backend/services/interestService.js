@@ -0,0 +1,206 @@
+// interestService.js
+// ./backend/services/interestService.js
+//
+// Interest on bank accounts. Every day that has ended, each account whose type earns
+// interest (see config/accountTypes.js) accrues a day's interest on its end-of-day
+// balance; accruals are kept in the 'interestAccruals' collection in millionths of a
+// cent so that small daily amounts are not lost to rounding. Once a month has ended,
+// its accruals are added up and credited to the account as a single 'interest' ledger
+// entry through dal.creditInterest. The interest job (jobs/interestAccrual.js) drives both.
+
+const dal = require('../dal.js');
+const logger = require('../logger');
+const { MICROS_PER_CENT } = require('../money');
+const { ACCOUNT_TYPE_SETTINGS } = require('../config/accountTypes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365; // Daily rate is the annual rate / 365, leap years included.
+
+/**
+ * Returns the accounts, ledger and interest accrual collections, creating the accrual
+ * indexes on first use. There is at most one accrual per account per day.
+ */
+async function getCollections() {
+    const accruals = await dal.getIndexedCollection('interestAccruals', [[{ accountNumber: 1, date: 1 }, { unique: true }]]);
+    const { db } = await dal.connectToMongo();
+    return { accounts: db.collection('accounts'), transactions: db.collection('transactions'), accruals };
+}
+
+/**
+ * Returns midnight UTC at the start of the given date's day.
+ */
+function startOfDay(date) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+}
+
+/**
+ * Returns the month a date falls in, e.g. "2024-05".
+ */
+function periodOf(date) {
+    return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Returns the annual interest rate for an account type, in basis points.
+ */
+function rateFor(accountType) {
+    const settings = ACCOUNT_TYPE_SETTINGS[accountType];
+    return settings ? settings.annualInterestRateBps : 0;
+}
+
+/**
+ * Works out a day's interest on a balance.
+ * @param {number} balanceCents The end-of-day balance, in cents.
+ * @param {number} rateBps The annual interest rate, in basis points.
+ * @returns {number} The day's interest, in millionths of a cent.
+ */
+function dailyInterestMicros(balanceCents, rateBps) {
+    if (balanceCents <= 0) {
+        return 0;
+    }
+    // balance * (rateBps / 10000) / 365 cents, scaled up by a million
+    return Math.round(balanceCents * rateBps * 100 / DAYS_PER_YEAR);
+}
+
+/**
+ * Accrues interest for every day the account has not been accrued for that has ended
+ * before today, starting from the day the account was opened.
+ * @param {Object} collections The collections from getCollections.
+ * @param {Object} account The account.
+ * @param {Date} today Midnight UTC at the start of today.
+ * @returns {Promise<number>} How many days were accrued.
+ */
+async function accrueAccount(collections, account, today) {
+    const rateBps = rateFor(account.accountType);
+    let day = account.interestAccruedThrough
+        ? new Date(account.interestAccruedThrough.getTime() + DAY_MS)
+        : startOfDay(account.createdAt);
+    let count = 0;
+    while (day < today) {
+        const dayEnd = new Date(day.getTime() + DAY_MS);
+        const balanceCents = await dal.getBalanceAt(account, dayEnd);
+        // Upserting keeps a day from being accrued twice if an earlier run was interrupted
+        await collections.accruals.updateOne(
+            { accountNumber: account.accountNumber, date: day },
+            {
+                $setOnInsert: {
+                    ownerEmail: account.ownerEmail,
+                    period: periodOf(day),
+                    balanceCents,
+                    rateBps,
+                    interestMicros: dailyInterestMicros(balanceCents, rateBps),
+                    credited: false
+                }
+            },
+            { upsert: true }
+        );
+        await collections.accounts.updateOne({ _id: account._id }, { $set: { interestAccruedThrough: day } });
+        day = dayEnd;
+        count += 1;
+    }
+    return count;
+}
+
+/**
+ * Credits the interest accrued in every month before the current one that has not been credited yet.
+ * @param {Object} collections The collections from getCollections.
+ * @param {Object} account The account.
+ * @param {string} currentPeriod The current month, e.g. "2024-05".
+ * @returns {Promise<number>} How many months were credited.
+ */
+async function creditAccount({ accruals }, account, currentPeriod) {
+    const periods = await accruals.distinct('period', {
+        accountNumber: account.accountNumber,
+        credited: false,
+        period: { $lt: currentPeriod }
+    });
+    for (const period of periods.sort()) {
+        const pending = await accruals.find({ accountNumber: account.accountNumber, period, credited: false }).toArray();
+        const totalMicros = pending.reduce((sum, accrual) => sum + accrual.interestMicros, 0);
+        const amountCents = Math.round(totalMicros / MICROS_PER_CENT);
+        if (amountCents > 0) {
+            await dal.creditInterest(account.accountNumber, amountCents, period);
+        }
+        await accruals.updateMany(
+            { _id: { $in: pending.map(accrual => accrual._id) } },
+            { $set: { credited: true, creditedCents: amountCents, creditedAt: new Date() } }
+        );
+    }
+    return periods.length;
+}
+
+/**
+ * Accrues daily interest up to the end of yesterday and credits every month that has
+ * ended, for all open accounts whose type earns interest. An account that fails is logged
+ * and picked up again on the next run; the others carry on.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} How many days were accrued and months credited.
+ */
+async function accrueAndCreditInterest(now = new Date()) {
+    const collections = await getCollections();
+    const today = startOfDay(now);
+    const currentPeriod = periodOf(today);
+    const earningTypes = Object.keys(ACCOUNT_TYPE_SETTINGS).filter(type => rateFor(type) > 0);
+
+    let daysAccrued = 0;
+    let monthsCredited = 0;
+    const accounts = await collections.accounts.find({ accountType: { $in: earningTypes }, status: { $ne: 'closed' } }).toArray();
+    for (const account of accounts) {
+        try {
+            daysAccrued += await accrueAccount(collections, account, today);
+            monthsCredited += await creditAccount(collections, account, currentPeriod);
+        } catch (err) {
+            logger.error(`Error accruing interest for account ${account.accountNumber}: ${err.message}`, { stack: err.stack });
+        }
+    }
+    return { daysAccrued, monthsCredited };
+}
+
+/**
+ * Accrues one account's interest up to the end of yesterday, without waiting for the
+ * interest job, e.g. just before the account is closed; dal.closeAccount then credits
+ * whatever has accrued.
+ * @param {Object} account The account.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<number>} How many days were accrued.
+ */
+async function accrueInterestFor(account, now = new Date()) {
+    if (rateFor(account.accountType) <= 0) {
+        return 0;
+    }
+    return accrueAccount(await getCollections(), account, startOfDay(now));
+}
+
+/**
+ * Summarises the interest a user's accounts have earned so far this year: interest
+ * credited for this year's months, plus interest accrued but not credited yet.
+ * @param {string} email Email of the account holder.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} { year, accounts: [{ account, annualInterestRateBps, creditedCents, accruedCents }] }
+ */
+async function interestYearToDate(email, now = new Date()) {
+    const collections = await getCollections();
+    const year = String(now.getUTCFullYear());
+    const accounts = await dal.findAccountsByEmail(email);
+
+    const summaries = [];
+    for (const account of accounts) {
+        const credited = await collections.transactions
+            .find({ accountNumber: account.accountNumber, type: 'interest', interestPeriod: { $regex: `^${year}-` } })
+            .toArray();
+        const pending = await collections.accruals
+            .find({ accountNumber: account.accountNumber, credited: false, period: { $regex: `^${year}-` } })
+            .toArray();
+        summaries.push({
+            account,
+            annualInterestRateBps: rateFor(account.accountType),
+            creditedCents: credited.reduce((sum, entry) => sum + entry.amountCents, 0),
+            accruedCents: Math.round(pending.reduce((sum, accrual) => sum + accrual.interestMicros, 0) / MICROS_PER_CENT)
+        });
+    }
+    return { year: Number(year), accounts: summaries };
+}
+
+module.exports = { dailyInterestMicros, accrueAndCreditInterest, accrueInterestFor, interestYearToDate };
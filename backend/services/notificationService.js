@@ -0,0 +1,67 @@
+// notificationService.js
+// ./backend/services/notificationService.js
+//
+// Notifications left for customers in the 'notifications' collection, e.g. when someone
+// sends them money. They are written with dal.notify, in the same transaction as whatever
+// they tell the customer about, and stay unread until the customer marks them read.
+
+const { ObjectId } = require('mongodb');
+const dal = require('../dal.js');
+const { NotFoundError } = require('../middlewares/errorMiddleware');
+
+const MAX_NOTIFICATIONS = 100; // Most notifications returned by one listing.
+
+/**
+ * Returns the notifications collection, creating its index on first use.
+ */
+function getNotificationsCollection() {
+    return dal.getIndexedCollection('notifications', [[{ email: 1, createdAt: -1 }]]);
+}
+
+/**
+ * Lists a customer's notifications, newest first.
+ * @param {string} email Email of the customer.
+ * @param {Object} [options] { unreadOnly } leaves out those already read.
+ * @returns {Promise<Array<Object>>} Up to the newest hundred notifications.
+ */
+async function listNotifications(email, { unreadOnly = false } = {}) {
+    const query = unreadOnly ? { email, readAt: { $exists: false } } : { email };
+    const notifications = await getNotificationsCollection();
+    return notifications.find(query).sort({ createdAt: -1, _id: -1 }).limit(MAX_NOTIFICATIONS).toArray();
+}
+
+/**
+ * Marks one of a customer's notifications read. Marking it again changes nothing.
+ * @param {string} email Email of the customer.
+ * @param {string} id The notification's id.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The notification.
+ * @throws {NotFoundError} If the customer has no such notification.
+ */
+async function markRead(email, id, now = new Date()) {
+    const notifications = await getNotificationsCollection();
+    const filter = ObjectId.isValid(id) && { _id: new ObjectId(id), email };
+    const notification = filter && await notifications.findOne(filter);
+    if (!notification) {
+        throw new NotFoundError('Notification not found.');
+    }
+    if (notification.readAt) {
+        return notification;
+    }
+    await notifications.updateOne({ _id: notification._id }, { $set: { readAt: now } });
+    return { ...notification, readAt: now };
+}
+
+/**
+ * Marks every unread notification of a customer read.
+ * @param {string} email Email of the customer.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<number>} How many were marked.
+ */
+async function markAllRead(email, now = new Date()) {
+    const notifications = await getNotificationsCollection();
+    const result = await notifications.updateMany({ email, readAt: { $exists: false } }, { $set: { readAt: now } });
+    return result.modifiedCount;
+}
+
+module.exports = { listNotifications, markRead, markAllRead };
@@ -0,0 +1,137 @@
+// p2pService.js
+// ./backend/services/p2pService.js
+//
+// Payments from one Bank of Brown customer to another, who is identified by the email
+// address or phone number on their user record rather than by an account number (matched
+// as contacts.js normalizes them). Before
+// sending, the sender can look the recipient up and see their name masked ("J*** S****")
+// to check they have the right person. The money goes into the recipient's oldest checking
+// account, or their oldest account if they have no checking account, and the recipient is
+// notified. See dal.sendPeerPayment for the transfer itself.
+
+const dal = require('../dal.js');
+const { assertPositiveCents } = require('../money');
+const { emailKey, phoneDigits } = require('../contacts');
+const { ValidationError, NotFoundError } = require('../middlewares/errorMiddleware');
+
+const MAX_MEMO_LENGTH = 140;
+const MIN_PHONE_DIGITS = 7;
+const MAX_PAYMENTS = 100; // Most payments returned by one listing.
+
+/**
+ * Returns the peer payments collection, creating its indexes on first use.
+ */
+function getPaymentsCollection() {
+    return dal.getIndexedCollection('peerPayments', [
+        [{ fromEmail: 1, createdAt: -1 }],
+        [{ toEmail: 1, createdAt: -1 }]
+    ]);
+}
+
+/**
+ * Returns the users collection, creating the indexes recipients are looked up by on first use.
+ */
+function getUsersCollection() {
+    return dal.getIndexedCollection('users', [
+        [{ emailKey: 1 }],
+        [{ phoneDigits: 1 }]
+    ]);
+}
+
+/**
+ * Builds the users query for an email address or phone number. Emails match in any case, and
+ * phone numbers on their digits whatever the punctuation around them, with or without the
+ * leading 1 of the US country code.
+ * @param {string} identifier The email address or phone number.
+ * @returns {Object} The query.
+ * @throws {ValidationError} If the identifier is neither.
+ */
+function recipientQuery(identifier) {
+    const value = String(identifier === undefined || identifier === null ? '' : identifier).trim();
+    if (value.includes('@')) {
+        return { emailKey: emailKey(value) };
+    }
+    const digits = phoneDigits(value) || '';
+    if (digits.length < MIN_PHONE_DIGITS || /[^\d\s().+-]/.test(value)) {
+        throw new ValidationError('Enter the email address or phone number of the person you are paying.');
+    }
+    return { phoneDigits: digits };
+}
+
+/**
+ * Finds the customer an email address or phone number belongs to and the account a payment
+ * to them goes into: their oldest open checking account, or failing that their oldest open
+ * account.
+ * @param {string} identifier The email address or phone number.
+ * @returns {Promise<Object>} { user, account }.
+ * @throws {ValidationError} If the identifier is malformed, or is a phone number shared by
+ *   several customers.
+ * @throws {NotFoundError} If no customer has it, or they have no open account.
+ */
+async function findRecipient(identifier) {
+    const users = await (await getUsersCollection()).find(recipientQuery(identifier)).limit(2).toArray();
+    if (users.length === 0) {
+        throw new NotFoundError('No Bank of Brown customer has that email address or phone number.');
+    }
+    if (users.length > 1) {
+        throw new ValidationError('More than one customer has that phone number. Pay them by email address instead.');
+    }
+    const [user] = users;
+    const accounts = (await dal.findAccountsByEmail(user.email)).filter(candidate => candidate.status !== 'closed');
+    const account = accounts.find(candidate => candidate.accountType === 'checking') || accounts[0];
+    if (!account) {
+        throw new NotFoundError('That customer has no account to receive money into yet.');
+    }
+    return { user, account };
+}
+
+/**
+ * Sends money to another customer.
+ * @param {Object} fromAccount The account to pay from.
+ * @param {Object} details { to, amountCents, memo }: to is the recipient's email address or
+ *   phone number, and amountCents is in the sending account's currency.
+ * @param {string} initiatedBy Email of whoever sent the money.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The payment and the updated sending account.
+ * @throws {ValidationError} If the recipient is the sender, or the memo is too long.
+ * @throws {NotFoundError} If there is no such recipient.
+ * @throws {InsufficientFundsError} If the sending account cannot cover the payment.
+ */
+async function sendPayment(fromAccount, { to, amountCents, memo }, initiatedBy, now = new Date()) {
+    assertPositiveCents(amountCents);
+    const note = String(memo === undefined || memo === null ? '' : memo).trim();
+    if (note.length > MAX_MEMO_LENGTH) {
+        throw new ValidationError(`The memo must be at most ${MAX_MEMO_LENGTH} characters.`);
+    }
+    const { user, account } = await findRecipient(to);
+    if (user.email === fromAccount.ownerEmail) {
+        throw new ValidationError('You cannot send a payment to yourself. Use a transfer between your accounts instead.');
+    }
+    const { db } = await dal.connectToMongo();
+    const sender = await db.collection('users').findOne({ email: fromAccount.ownerEmail });
+    const { payment, from } = await dal.sendPeerPayment({
+        fromAccountNumber: fromAccount.accountNumber,
+        toAccountNumber: account.accountNumber,
+        recipientEmail: user.email,
+        recipient: String(to).trim(),
+        senderName: (sender && sender.name) || fromAccount.ownerEmail,
+        amountCents,
+        memo: note || undefined
+    }, initiatedBy, now);
+    return { payment, account: from };
+}
+
+/**
+ * Lists the payments a customer sent or received, newest first.
+ * @param {string} email Email of the customer.
+ * @returns {Promise<Array<Object>>} Up to the newest hundred payments.
+ */
+async function listPayments(email) {
+    const payments = await getPaymentsCollection();
+    return payments.find({ $or: [{ fromEmail: email }, { toEmail: email }] })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(MAX_PAYMENTS)
+        .toArray();
+}
+
+module.exports = { findRecipient, sendPayment, listPayments };
@@ -0,0 +1,347 @@
+// paymentRequestService.js
+// ./backend/services/paymentRequestService.js
+//
+// Requests for money from other customers, e.g. to split a dinner bill. A customer asks one
+// or more others, identified by email address or phone number as for payments between
+// customers (see p2pService), to pay an amount into one of their accounts. Each person asked
+// gets their own request in the 'paymentRequests' collection, all of them sharing a splitId
+// when made together, and goes through these statuses:
+// - pending: waiting for the payer, who is notified and reminded now and then;
+// - paid: the payer accepted it, which sent the money (see dal.payPaymentRequest);
+// - declined: the payer turned it down;
+// - cancelled: the requester withdrew it;
+// - expired: nobody acted on it in time (jobs/paymentRequests.js).
+// Whoever is not acting is notified of each change.
+
+const { ObjectId } = require('mongodb');
+const dal = require('../dal.js');
+const p2pService = require('./p2pService');
+const { assertPositiveCents, formatAmount } = require('../money');
+const { BASE_CURRENCY } = require('../config/currencies');
+const { ValidationError, NotFoundError, ConflictError } = require('../middlewares/errorMiddleware');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PAYERS = 10; // Most people one request can go to.
+const MAX_MEMO_LENGTH = 140;
+const REQUEST_STATUSES = ['pending', 'paid', 'declined', 'cancelled', 'expired'];
+// How long a request stays open, configurable through PAYMENT_REQUEST_EXPIRY_DAYS (default 14)
+const expiryMs = (Number(process.env.PAYMENT_REQUEST_EXPIRY_DAYS) || 14) * DAY_MS;
+// How long an unanswered request waits before the payer is reminded, configurable through
+// PAYMENT_REQUEST_REMINDER_DAYS (default 3); a requester can send a reminder at most daily
+const reminderMs = (Number(process.env.PAYMENT_REQUEST_REMINDER_DAYS) || 3) * DAY_MS;
+
+/**
+ * Returns the payment requests collection, creating its indexes on first use.
+ */
+function getRequestsCollection() {
+    return dal.getIndexedCollection('paymentRequests', [
+        [{ requesterEmail: 1, status: 1, createdAt: -1 }],
+        [{ payerEmail: 1, status: 1, createdAt: -1 }],
+        [{ status: 1, expiresAt: 1 }]
+    ]);
+}
+
+/**
+ * Describes a request's amount and memo for notifications, e.g. "30.00 USD: Dinner".
+ */
+function describe(request) {
+    const amount = `${formatAmount(request.amountCents)} ${request.currency}`;
+    return request.memo ? `${amount}: ${request.memo}` : amount;
+}
+
+/**
+ * Works out each payer's share when splitting a bill evenly between the requester and the
+ * payers. Shares are whole cents; the requester's own share takes any cent left over.
+ * @param {number} totalCents The whole bill, in cents.
+ * @param {number} payerCount How many people besides the requester share it.
+ * @returns {number} Each payer's share, in cents.
+ * @throws {ValidationError} If the bill is too small to give everyone a cent.
+ */
+function splitShare(totalCents, payerCount) {
+    const share = Math.floor(totalCents / (payerCount + 1));
+    if (share < 1) {
+        throw new ValidationError('The amount is too small to split that many ways.');
+    }
+    return share;
+}
+
+/**
+ * Asks one or more customers for money.
+ * @param {Object} toAccount The requester's account the money is to be paid into.
+ * @param {Object} details { from, amountCents, split, memo }: from is the email addresses
+ *   or phone numbers of the people asked. Without split, each is asked for amountCents;
+ *   with it, amountCents is a bill split evenly between them and the requester.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Array<Object>>} The requests, one per person asked.
+ * @throws {ValidationError} If nobody, too many people, the requester or the same person
+ *   twice is asked, or the memo is too long.
+ * @throws {AccountRestrictedError} If the account to pay into is closed or locked.
+ * @throws {NotFoundError} If one of the people asked is not a customer.
+ */
+async function createRequests(toAccount, { from, amountCents, split = false, memo }, now = new Date()) {
+    assertPositiveCents(amountCents);
+    dal.assertAccountUsable(toAccount, 'credit');
+    const identifiers = (Array.isArray(from) ? from : [from])
+        .map(value => String(value === undefined || value === null ? '' : value).trim())
+        .filter(Boolean);
+    if (identifiers.length === 0 || identifiers.length > MAX_PAYERS) {
+        throw new ValidationError(`Ask between 1 and ${MAX_PAYERS} people at a time.`);
+    }
+    const note = String(memo === undefined || memo === null ? '' : memo).trim();
+    if (note.length > MAX_MEMO_LENGTH) {
+        throw new ValidationError(`The memo must be at most ${MAX_MEMO_LENGTH} characters.`);
+    }
+
+    const payers = [];
+    for (const identifier of identifiers) {
+        const { user } = await p2pService.findRecipient(identifier);
+        if (user.email === toAccount.ownerEmail) {
+            throw new ValidationError('You cannot request money from yourself.');
+        }
+        if (payers.some(payer => payer.user.email === user.email)) {
+            throw new ValidationError(`${identifier} is on the list more than once.`);
+        }
+        payers.push({ identifier, user });
+    }
+    const { db } = await dal.connectToMongo();
+    const requester = await db.collection('users').findOne({ email: toAccount.ownerEmail });
+    const requesterName = (requester && requester.name) || toAccount.ownerEmail;
+    const share = split ? splitShare(amountCents, payers.length) : amountCents;
+    const splitId = payers.length > 1 ? new ObjectId() : undefined;
+
+    const requests = payers.map(({ identifier, user }) => ({
+        _id: new ObjectId(),
+        requesterEmail: toAccount.ownerEmail,
+        requesterName,
+        toAccountNumber: toAccount.accountNumber,
+        payerEmail: user.email,
+        payerName: user.name,
+        payer: identifier,
+        amountCents: share,
+        currency: toAccount.currency || BASE_CURRENCY,
+        totalCents: split ? amountCents : undefined,
+        memo: note || undefined,
+        splitId,
+        status: 'pending',
+        expiresAt: new Date(now.getTime() + expiryMs),
+        lastNotifiedAt: now,
+        reminderCount: 0,
+        createdAt: now
+    }));
+    const collection = await getRequestsCollection();
+    await dal.runInTransaction(async (session) => {
+        await collection.insertMany(requests, { session });
+        for (const request of requests) {
+            await dal.notify(session, request.payerEmail, 'payment-request',
+                `${requesterName} requested ${describe(request)}`, { paymentRequestId: request._id });
+        }
+    });
+    return requests;
+}
+
+/**
+ * Lists the requests a customer made or was sent, newest first.
+ * @param {string} email Email of the customer.
+ * @param {string} [status] Only list requests with this status; 'pending' by default, i.e.
+ *   those still outstanding.
+ * @returns {Promise<Array<Object>>} The requests.
+ * @throws {ValidationError} If the status is not one a request can have.
+ */
+async function listRequests(email, status = 'pending') {
+    if (!REQUEST_STATUSES.includes(status)) {
+        throw new ValidationError(`Status must be one of: ${REQUEST_STATUSES.join(', ')}.`);
+    }
+    const requests = await getRequestsCollection();
+    return requests.find({ $or: [{ requesterEmail: email }, { payerEmail: email }], status })
+        .sort({ createdAt: -1, _id: -1 })
+        .toArray();
+}
+
+/**
+ * Finds a request by its id.
+ * @param {string} id The request's id.
+ * @returns {Promise<Object>} The request.
+ * @throws {NotFoundError} If there is no such request.
+ */
+async function findRequest(id) {
+    const requests = await getRequestsCollection();
+    const request = ObjectId.isValid(id) && await requests.findOne({ _id: new ObjectId(id) });
+    if (!request) {
+        throw new NotFoundError('Request not found.');
+    }
+    return request;
+}
+
+/**
+ * Explains why a request can no longer be acted on: it has expired, whether or not the job
+ * has marked it so yet, or it was already answered.
+ */
+function closedMessage(request) {
+    return ['pending', 'expired'].includes(request.status)
+        ? 'This request has expired.'
+        : `This request has already been ${request.status}.`;
+}
+
+/**
+ * Moves a pending request to another status and notifies someone of it, in one transaction.
+ * @param {Object} request The request.
+ * @param {Object} $set The status and any fields that go with it.
+ * @param {Object} notice { email, type, message } of the notification.
+ * @param {Date} now The current time; an expired request can only be marked expired.
+ * @returns {Promise<Object>} The updated request.
+ * @throws {ConflictError} If the request is no longer pending, or has expired.
+ */
+async function endRequest(request, $set, notice, now) {
+    const requests = await getRequestsCollection();
+    const filter = { _id: request._id, status: 'pending' };
+    if ($set.status !== 'expired') {
+        filter.expiresAt = { $gt: now };
+    }
+    const updated = await dal.runInTransaction(async (session) => {
+        const result = await requests.findOneAndUpdate(filter, { $set }, { returnDocument: 'after', session });
+        if (result.value) {
+            await dal.notify(session, notice.email, notice.type, notice.message, { paymentRequestId: request._id });
+        }
+        return result.value;
+    });
+    if (!updated) {
+        const current = await findRequest(String(request._id));
+        throw new ConflictError(closedMessage(current));
+    }
+    return updated;
+}
+
+/**
+ * Pays a request from one of the payer's accounts; see dal.payPaymentRequest.
+ * @param {Object} request The request.
+ * @param {Object} fromAccount The account to pay from.
+ * @param {string} initiatedBy Email of whoever paid.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The request, the payment and the updated account.
+ * @throws {ValidationError} If the account is not the payer's.
+ */
+async function payRequest(request, fromAccount, initiatedBy, now = new Date()) {
+    if (fromAccount.ownerEmail !== request.payerEmail) {
+        throw new ValidationError('A request can only be paid from an account of the person it was sent to.');
+    }
+    return dal.payPaymentRequest(request._id, { fromAccountNumber: fromAccount.accountNumber, senderName: request.payerName }, initiatedBy, now);
+}
+
+/**
+ * Turns down a request and tells the requester.
+ * @param {Object} request The request.
+ * @param {string} [reason] Why, shown to the requester.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The declined request.
+ */
+async function declineRequest(request, reason, now = new Date()) {
+    const note = String(reason === undefined || reason === null ? '' : reason).trim().slice(0, MAX_MEMO_LENGTH);
+    const message = `${request.payerName} declined your request for ${describe(request)}`;
+    return endRequest(request, { status: 'declined', declinedAt: now, declineReason: note || undefined }, {
+        email: request.requesterEmail,
+        type: 'payment-request-declined',
+        message: note ? `${message} (${note})` : message
+    }, now);
+}
+
+/**
+ * Withdraws a request and tells the person it was sent to.
+ * @param {Object} request The request.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The cancelled request.
+ */
+async function cancelRequest(request, now = new Date()) {
+    return endRequest(request, { status: 'cancelled', cancelledAt: now }, {
+        email: request.payerEmail,
+        type: 'payment-request-cancelled',
+        message: `${request.requesterName} cancelled their request for ${describe(request)}`
+    }, now);
+}
+
+/**
+ * Reminds the person a pending request was sent to of it.
+ * @param {Object} request The request.
+ * @param {Date} [now] The current time.
+ * @param {number} [waitMs] How long since they were last notified of it before they may be
+ *   reminded again; a day by default.
+ * @returns {Promise<Object>} The request.
+ * @throws {ConflictError} If they were notified too recently, or the request is no longer
+ *   pending or has expired.
+ */
+async function remindRequest(request, now = new Date(), waitMs = DAY_MS) {
+    const requests = await getRequestsCollection();
+    const reminded = await dal.runInTransaction(async (session) => {
+        const result = await requests.findOneAndUpdate(
+            { _id: request._id, status: 'pending', expiresAt: { $gt: now }, lastNotifiedAt: { $lte: new Date(now.getTime() - waitMs) } },
+            { $set: { lastNotifiedAt: now }, $inc: { reminderCount: 1 } },
+            { returnDocument: 'after', session }
+        );
+        if (result.value) {
+            await dal.notify(session, request.payerEmail, 'payment-request-reminder',
+                `Reminder: ${request.requesterName} requested ${describe(request)}`, { paymentRequestId: request._id });
+        }
+        return result.value;
+    });
+    if (!reminded) {
+        const current = await findRequest(String(request._id));
+        if (current.status === 'pending' && current.expiresAt > now) {
+            throw new ConflictError('A reminder was sent less than a day ago.');
+        }
+        throw new ConflictError(closedMessage(current));
+    }
+    return reminded;
+}
+
+/**
+ * One run of the payment requests job: expires every pending request whose time is up,
+ * telling the requester, and reminds payers of requests they have left unanswered for a
+ * while.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} { expired, reminded } counts.
+ */
+async function processRequests(now = new Date()) {
+    const requests = await getRequestsCollection();
+    let expired = 0;
+    for await (const request of requests.find({ status: 'pending', expiresAt: { $lte: now } })) {
+        try {
+            await endRequest(request, { status: 'expired', expiredAt: now }, {
+                email: request.requesterEmail,
+                type: 'payment-request-expired',
+                message: `Your request to ${request.payerName} for ${describe(request)} expired`
+            }, now);
+            expired += 1;
+        } catch (err) {
+            // Answered between the query and the update
+            if (!(err instanceof ConflictError)) {
+                throw err;
+            }
+        }
+    }
+
+    let reminded = 0;
+    const due = requests.find({ status: 'pending', expiresAt: { $gt: now }, lastNotifiedAt: { $lte: new Date(now.getTime() - reminderMs) } });
+    for await (const request of due) {
+        try {
+            await remindRequest(request, now, reminderMs);
+            reminded += 1;
+        } catch (err) {
+            if (!(err instanceof ConflictError)) {
+                throw err;
+            }
+        }
+    }
+    return { expired, reminded };
+}
+
+module.exports = {
+    REQUEST_STATUSES,
+    splitShare,
+    createRequests,
+    listRequests,
+    findRequest,
+    payRequest,
+    declineRequest,
+    cancelRequest,
+    remindRequest,
+    processRequests
+};
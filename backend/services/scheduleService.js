@@ -0,0 +1,384 @@
+// scheduleService.js
+// ./backend/services/scheduleService.js
+//
+// Scheduled and recurring transfers. A schedule lives in the 'schedules' collection and
+// describes a transfer that should happen once on a future date or repeat daily, weekly
+// or monthly. The scheduled transfers job (jobs/scheduledTransfers.js) calls runDueSchedules,
+// which makes each due transfer through dal.transfer and writes the outcome of every
+// attempt to the 'scheduleRuns' collection.
+
+const { ObjectId } = require('mongodb');
+const dal = require('../dal.js');
+const logger = require('../logger');
+const { assertPositiveCents } = require('../money');
+const { ValidationError, NotFoundError, InsufficientFundsError, ConflictError, AccountRestrictedError } = require('../middlewares/errorMiddleware');
+
+const FREQUENCIES = ['once', 'daily', 'weekly', 'monthly']; // How often a schedule repeats.
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How long a runner may work on one schedule before another runner may pick it up
+const LOCK_MS = 5 * 60 * 1000;
+// How long to wait before retrying a transfer the balance could not cover (default 60 minutes)
+const retryDelayMs = (Number(process.env.SCHEDULED_TRANSFER_RETRY_MINUTES) || 60) * 60 * 1000;
+// How many times to retry before skipping that occurrence (default 3)
+const maxRetries = Number(process.env.SCHEDULED_TRANSFER_MAX_RETRIES) || 3;
+
+/**
+ * Returns the schedules and schedule runs collections.
+ */
+async function getCollections() {
+    const { db } = await dal.connectToMongo();
+    return { schedules: db.collection('schedules'), runs: db.collection('scheduleRuns'), db };
+}
+
+/**
+ * Parses a date sent by the client.
+ * @param {string} value An ISO 8601 date, e.g. "2024-05-01" or "2024-05-01T09:00:00Z".
+ * @param {string} field Name of the field, for the error message.
+ * @returns {Date} The parsed date.
+ */
+function parseDate(value, field) {
+    const date = new Date(value);
+    if (!value || Number.isNaN(date.getTime())) {
+        throw new ValidationError(`${field} must be a valid date.`);
+    }
+    return date;
+}
+
+/**
+ * Works out when a schedule should next run after one of its occurrences.
+ * Monthly schedules keep to the day of the month they started on, falling back to
+ * the last day of shorter months (a schedule for the 31st runs on 30 April).
+ * @param {Object} schedule The schedule ({ frequency, dayOfMonth }).
+ * @param {Date} occurrence The occurrence that has just been dealt with.
+ * @returns {Date|null} The next occurrence, or null for one-off schedules.
+ */
+function nextOccurrence(schedule, occurrence) {
+    switch (schedule.frequency) {
+        case 'daily':
+            return new Date(occurrence.getTime() + DAY_MS);
+        case 'weekly':
+            return new Date(occurrence.getTime() + 7 * DAY_MS);
+        case 'monthly': {
+            const next = new Date(occurrence);
+            next.setUTCDate(1);
+            next.setUTCMonth(next.getUTCMonth() + 1);
+            const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+            next.setUTCDate(Math.min(schedule.dayOfMonth, daysInMonth));
+            return next;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Creates a schedule.
+ * @param {Object} params
+ * @param {Object} params.fromAccount The account to debit; the caller must already be allowed to use it.
+ * @param {string} params.toAccountNumber Number of the account to credit.
+ * @param {number} params.amountCents Amount of each transfer, in cents.
+ * @param {string} params.frequency One of 'once', 'daily', 'weekly' or 'monthly'.
+ * @param {string} params.startDate Date of the first transfer.
+ * @param {string} [params.endDate] No transfers are made after this date.
+ * @param {string} [params.description] Note stored on every transfer.
+ * @param {string} params.createdBy Email of whoever set the schedule up.
+ * @returns {Promise<Object>} The new schedule.
+ */
+async function createSchedule({ fromAccount, toAccountNumber, amountCents, frequency, startDate, endDate, description, createdBy }) {
+    try {
+        assertPositiveCents(amountCents);
+        if (!FREQUENCIES.includes(frequency)) {
+            throw new ValidationError(`Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+        }
+        dal.assertAccountUsable(fromAccount, 'debit');
+        if (String(fromAccount.accountNumber) === String(toAccountNumber)) {
+            throw new ValidationError("Cannot transfer to the same account.");
+        }
+        const start = parseDate(startDate, 'Start date');
+        const today = new Date();
+        today.setUTCHours(0, 0, 0, 0);
+        if (start < today) {
+            throw new ValidationError('Start date cannot be in the past.');
+        }
+        const end = endDate ? parseDate(endDate, 'End date') : null;
+        if (end && end < start) {
+            throw new ValidationError('End date cannot be before the start date.');
+        }
+        if (!(await dal.findAccount(toAccountNumber))) {
+            throw new NotFoundError("Receiving account not found.");
+        }
+
+        const { schedules } = await getCollections();
+        const schedule = {
+            ownerEmail: fromAccount.ownerEmail,
+            createdBy,
+            fromAccountNumber: fromAccount.accountNumber,
+            toAccountNumber: String(toAccountNumber),
+            amountCents,
+            frequency,
+            dayOfMonth: start.getUTCDate(),
+            startDate: start,
+            endDate: end,
+            description,
+            status: 'active',
+            // The occurrence being worked on, and when the runner should next try it
+            occurrenceAt: start,
+            nextRunAt: start,
+            attempts: 0,
+            createdAt: new Date()
+        };
+        const result = await schedules.insertOne(schedule);
+        return result.ops[0];
+    } catch (err) {
+        logger.error(`Error creating schedule: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
+/**
+ * Finds a schedule by id.
+ * @param {string} id The schedule's id.
+ * @returns {Promise<Object>} The schedule.
+ * @throws {NotFoundError} If there is no such schedule.
+ */
+async function findSchedule(id) {
+    if (!ObjectId.isValid(id)) {
+        throw new NotFoundError('Schedule not found.');
+    }
+    const { schedules } = await getCollections();
+    const schedule = await schedules.findOne({ _id: new ObjectId(id) });
+    if (!schedule) {
+        throw new NotFoundError('Schedule not found.');
+    }
+    return schedule;
+}
+
+/**
+ * Lists the schedules that move money out of a user's accounts, oldest first.
+ * @param {string} ownerEmail Email of the account holder.
+ * @returns {Promise<Array<Object>>} The user's schedules.
+ */
+async function listSchedules(ownerEmail) {
+    const { schedules } = await getCollections();
+    return schedules.find({ ownerEmail }).sort({ createdAt: 1 }).toArray();
+}
+
+/**
+ * Lists the recorded runs of a schedule, newest first.
+ * @param {ObjectId} scheduleId The schedule's id.
+ * @returns {Promise<Array<Object>>} The schedule's runs.
+ */
+async function listRuns(scheduleId) {
+    const { runs } = await getCollections();
+    return runs.find({ scheduleId }).sort({ ranAt: -1, _id: -1 }).toArray();
+}
+
+/**
+ * Moves a schedule from one status to another.
+ * @param {ObjectId} id The schedule's id.
+ * @param {Array<string>} from Statuses the schedule may currently have.
+ * @param {Object} changes Fields to set, including the new status.
+ * @param {string} conflictMessage Message for when the schedule has some other status.
+ * @returns {Promise<Object>} The updated schedule.
+ */
+async function changeStatus(id, from, changes, conflictMessage) {
+    const { schedules } = await getCollections();
+    const result = await schedules.findOneAndUpdate(
+        { _id: id, status: { $in: from } },
+        { $set: changes },
+        { returnDocument: 'after' }
+    );
+    if (!result.value) {
+        throw new ConflictError(conflictMessage);
+    }
+    return result.value;
+}
+
+/**
+ * Pauses an active schedule. No transfers are made until it is resumed.
+ * @param {Object} schedule The schedule.
+ * @returns {Promise<Object>} The updated schedule.
+ */
+async function pauseSchedule(schedule) {
+    return changeStatus(schedule._id, ['active'], { status: 'paused' }, 'Only active schedules can be paused.');
+}
+
+/**
+ * Resumes a paused schedule. Occurrences missed while it was paused are not made up;
+ * a recurring schedule picks up from its next occurrence that is still to come.
+ * @param {Object} schedule The schedule.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The updated schedule.
+ */
+async function resumeSchedule(schedule, now = new Date()) {
+    let occurrence = schedule.occurrenceAt;
+    while (schedule.frequency !== 'once' && occurrence < now) {
+        occurrence = nextOccurrence(schedule, occurrence);
+    }
+    if (schedule.endDate && occurrence > schedule.endDate) {
+        return changeStatus(schedule._id, ['paused'], { status: 'completed', nextRunAt: null }, 'Only paused schedules can be resumed.');
+    }
+    return changeStatus(
+        schedule._id,
+        ['paused'],
+        { status: 'active', occurrenceAt: occurrence, nextRunAt: occurrence, attempts: 0 },
+        'Only paused schedules can be resumed.'
+    );
+}
+
+/**
+ * Cancels a schedule for good. Past runs stay on record.
+ * @param {Object} schedule The schedule.
+ * @returns {Promise<Object>} The updated schedule.
+ */
+async function cancelSchedule(schedule) {
+    return changeStatus(
+        schedule._id,
+        ['active', 'paused'],
+        { status: 'cancelled', nextRunAt: null },
+        'Only active or paused schedules can be cancelled.'
+    );
+}
+
+/**
+ * Writes the outcome of one attempt at a schedule's transfer.
+ */
+async function recordRun(schedule, status, now, details = {}) {
+    const { runs } = await getCollections();
+    await runs.insertOne({
+        scheduleId: schedule._id,
+        ownerEmail: schedule.ownerEmail,
+        scheduledFor: schedule.occurrenceAt,
+        status,
+        attempt: schedule.attempts + 1,
+        ...details,
+        ranAt: now
+    });
+}
+
+/**
+ * Moves a schedule on to its next occurrence, or completes it when there is none.
+ * Also releases the runner's lock on it.
+ */
+async function advance(schedule, finalStatus = 'completed') {
+    const { schedules } = await getCollections();
+    const next = nextOccurrence(schedule, schedule.occurrenceAt);
+    const changes = next && !(schedule.endDate && next > schedule.endDate)
+        ? { occurrenceAt: next, nextRunAt: next, attempts: 0 }
+        : { status: finalStatus, nextRunAt: null };
+    await schedules.updateOne({ _id: schedule._id }, { $set: changes, $unset: { lockedUntil: '' } });
+}
+
+/**
+ * Makes the transfer for a schedule's current occurrence and records what happened.
+ *
+ * - Success: the schedule moves on to its next occurrence.
+ * - Insufficient funds, or an account that is frozen, locked or under a legal hold: the
+ *   transfer is retried after SCHEDULED_TRANSFER_RETRY_MINUTES, up to
+ *   SCHEDULED_TRANSFER_MAX_RETRIES times; after that the occurrence is skipped. Restrictions
+ *   are usually temporary, so they do not end the schedule.
+ * - An account that no longer exists or is closed, or any other rejected transfer: the
+ *   schedule fails.
+ * - Unexpected errors (e.g. the database being unavailable) are retried without counting.
+ *
+ * @param {Object} schedule The schedule, already locked by runDueSchedules.
+ * @param {Date} now The current time.
+ * @returns {Promise<string>} The outcome that was recorded.
+ */
+async function runSchedule(schedule, now) {
+    const { schedules, db } = await getCollections();
+    const retryLater = changes => schedules.updateOne(
+        { _id: schedule._id },
+        { $set: { nextRunAt: new Date(now.getTime() + retryDelayMs), ...changes }, $unset: { lockedUntil: '' } }
+    );
+
+    // A runner that stopped between making the transfer and moving the schedule on
+    // leaves the transfer in the ledger; don't make it a second time.
+    const done = await db.collection('transactions').findOne({
+        scheduleId: schedule._id,
+        scheduledFor: schedule.occurrenceAt,
+        type: 'transfer-out'
+    });
+    if (done) {
+        await advance(schedule);
+        return 'succeeded';
+    }
+
+    try {
+        const result = await dal.transfer(
+            schedule.fromAccountNumber,
+            schedule.toAccountNumber,
+            schedule.amountCents,
+            schedule.createdBy,
+            { scheduleId: schedule._id, scheduledFor: schedule.occurrenceAt, description: schedule.description }
+        );
+        await recordRun(schedule, 'succeeded', now, { transferId: result.transferId });
+        await advance(schedule);
+        return 'succeeded';
+    } catch (error) {
+        const restricted = error instanceof AccountRestrictedError && error.code !== 'ACCOUNT_CLOSED';
+        if (error instanceof InsufficientFundsError || restricted) {
+            if (schedule.attempts < maxRetries) {
+                await recordRun(schedule, 'retrying', now, { message: error.message });
+                await retryLater({ attempts: schedule.attempts + 1 });
+                return 'retrying';
+            }
+            await recordRun(schedule, 'skipped', now, { message: error.message });
+            // A one-off transfer that never went through has failed
+            await advance(schedule, 'failed');
+            return 'skipped';
+        }
+        if (error.statusCode) {
+            await recordRun(schedule, 'failed', now, { message: error.message });
+            await schedules.updateOne(
+                { _id: schedule._id },
+                { $set: { status: 'failed', nextRunAt: null }, $unset: { lockedUntil: '' } }
+            );
+            return 'failed';
+        }
+        logger.error(`Error running schedule ${schedule._id}: ${error.message}`, { stack: error.stack });
+        await recordRun(schedule, 'error', now, { message: 'The transfer could not be made and will be retried.' });
+        await retryLater({});
+        return 'error';
+    }
+}
+
+/**
+ * Runs every schedule that is due. Each schedule is locked while it runs, so several
+ * backend instances can call this at the same time without making a transfer twice.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<number>} How many schedules were run.
+ */
+async function runDueSchedules(now = new Date()) {
+    const { schedules } = await getCollections();
+    let count = 0;
+    for (;;) {
+        const claimed = await schedules.findOneAndUpdate(
+            {
+                status: 'active',
+                nextRunAt: { $lte: now },
+                $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lte: now } }]
+            },
+            { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+            { sort: { nextRunAt: 1 }, returnDocument: 'after' }
+        );
+        if (!claimed.value) {
+            return count;
+        }
+        await runSchedule(claimed.value, now);
+        count += 1;
+    }
+}
+
+module.exports = {
+    FREQUENCIES,
+    nextOccurrence,
+    createSchedule,
+    findSchedule,
+    listSchedules,
+    listRuns,
+    pauseSchedule,
+    resumeSchedule,
+    cancelSchedule,
+    runDueSchedules
+};
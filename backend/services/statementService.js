@@ -0,0 +1,287 @@
+// statementService.js
+// ./backend/services/statementService.js
+//
+// Monthly account statements. A statement covers one account for one calendar month (UTC):
+// the opening balance, every ledger entry of the month, the interest among them, and
+// the closing balance. Each is rendered as CSV and as PDF and stored, with its totals,
+// in the 'statements' collection. The statements job (jobs/monthlyStatements.js) makes
+// them once a month has ended; customers can also ask for one at any time, in which case a
+// statement for the month still under way covers it up to that moment and is brought up to
+// date the next time it is asked for.
+
+const PDFDocument = require('pdfkit');
+const { ObjectId } = require('mongodb');
+const dal = require('../dal.js');
+const logger = require('../logger');
+const { formatAmount } = require('../money');
+const { signedCents, describeEntry, toCsv } = require('../ledgerFiles');
+const { BASE_CURRENCY } = require('../config/currencies');
+const { ValidationError, NotFoundError } = require('../middlewares/errorMiddleware');
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+/**
+ * Returns the statements collection, creating its indexes on first use. There is at most
+ * one statement per account per month.
+ */
+function getStatementsCollection() {
+    return dal.getIndexedCollection('statements', [
+        [{ accountNumber: 1, period: 1 }, { unique: true }],
+        [{ ownerEmail: 1, period: -1 }]
+    ]);
+}
+
+/**
+ * Returns the first moment of a month and of the month after it.
+ * @param {string} period The month, e.g. "2024-05".
+ * @returns {Object} { start, end }, both midnight UTC.
+ * @throws {ValidationError} If the period is not a month in the form YYYY-MM.
+ */
+function monthBounds(period) {
+    const match = MONTH_PATTERN.exec(String(period || ''));
+    if (!match) {
+        throw new ValidationError('Month must be given as YYYY-MM.');
+    }
+    const year = Number(match[1]);
+    const month = Number(match[2]) - 1;
+    return { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) };
+}
+
+/**
+ * Returns the month before the one a date falls in, e.g. "2024-04" for any time in May 2024.
+ */
+function previousPeriod(date) {
+    const previous = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1));
+    return previous.toISOString().slice(0, 7);
+}
+
+/**
+ * Renders a statement's entries as CSV, opening and closing balance included.
+ * @param {Object} statement The statement's details.
+ * @param {Array} entries The month's ledger entries, oldest first.
+ * @returns {string} The CSV text.
+ */
+function renderCsv(statement, entries) {
+    const rows = [['Date', 'Type', 'Description', 'Amount', 'Balance', 'Currency', 'Reference']];
+    rows.push([statement.periodStart.toISOString(), 'opening-balance', 'Opening balance', '', formatAmount(statement.openingBalanceCents), statement.currency, '']);
+    entries.forEach(entry => rows.push([
+        entry.createdAt.toISOString(),
+        entry.type,
+        describeEntry(entry),
+        formatAmount(signedCents(entry)),
+        formatAmount(entry.balanceAfterCents),
+        statement.currency,
+        String(entry._id)
+    ]));
+    rows.push([statement.periodEnd.toISOString(), 'closing-balance', 'Closing balance', '', formatAmount(statement.closingBalanceCents), statement.currency, '']);
+    return toCsv(rows);
+}
+
+/**
+ * Renders a statement as a PDF.
+ * @param {Object} statement The statement's details.
+ * @param {Array} entries The month's ledger entries, oldest first.
+ * @returns {Promise<Buffer>} The PDF file.
+ */
+function renderPdf(statement, entries) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const money = cents => `${formatAmount(cents)} ${statement.currency}`;
+        doc.fontSize(18).text('Bank of Brown');
+        doc.fontSize(14).text(`Account statement for ${statement.period}`);
+        doc.moveDown();
+        doc.fontSize(10)
+            .text(`Account: ${statement.accountNumber} (${statement.accountType})`)
+            .text(`Account holder: ${statement.ownerEmail}`)
+            .text(`Period: ${statement.periodStart.toISOString().slice(0, 10)} to ${new Date(statement.periodEnd.getTime() - 1).toISOString().slice(0, 10)}`)
+            .moveDown()
+            .text(`Opening balance: ${money(statement.openingBalanceCents)}`)
+            .text(`Money in: ${money(statement.totals.creditsCents)}`)
+            .text(`Money out: ${money(statement.totals.debitsCents)}`)
+            .text(`Interest: ${money(statement.totals.interestCents)}`)
+            .text(`Closing balance: ${money(statement.closingBalanceCents)}`)
+            .moveDown();
+
+        doc.fontSize(12).text('Transactions');
+        doc.fontSize(9);
+        if (entries.length === 0) {
+            doc.text('No transactions this month.');
+        }
+        const columns = [50, 130, 330, 420];
+        const writeLine = (cells, y) => {
+            doc.text(cells[0], columns[0], y, { width: 75 });
+            doc.text(cells[1], columns[1], y, { width: 195 });
+            const bottom = doc.y; // A long description can take more than one line
+            doc.text(cells[2], columns[2], y, { width: 85, align: 'right' });
+            doc.text(cells[3], columns[3], y, { width: 85, align: 'right' });
+            doc.x = columns[0];
+            doc.y = Math.max(bottom, doc.y);
+            doc.moveDown(0.3);
+        };
+        if (entries.length > 0) {
+            writeLine(['Date', 'Description', 'Amount', 'Balance'], doc.y);
+        }
+        entries.forEach(entry => {
+            // Start a new page before a line could run off this one, so its columns stay together
+            if (doc.y > doc.page.height - doc.page.margins.bottom - 30) {
+                doc.addPage();
+            }
+            writeLine([
+                entry.createdAt.toISOString().slice(0, 10),
+                describeEntry(entry),
+                formatAmount(signedCents(entry)),
+                formatAmount(entry.balanceAfterCents)
+            ], doc.y);
+        });
+        doc.end();
+    });
+}
+
+/**
+ * Adds up a month's ledger entries for a statement's summary.
+ * @param {Array} entries The month's ledger entries.
+ * @returns {Object} { creditsCents, debitsCents, interestCents }
+ */
+function totalEntries(entries) {
+    const totals = { creditsCents: 0, debitsCents: 0, interestCents: 0 };
+    entries.forEach(entry => {
+        const amount = signedCents(entry);
+        if (amount >= 0) {
+            totals.creditsCents += amount;
+        } else {
+            totals.debitsCents -= amount;
+        }
+        if (entry.type === 'interest') {
+            totals.interestCents += entry.amountCents;
+        }
+    });
+    return totals;
+}
+
+/**
+ * Makes an account's statement for a month and stores it, replacing any earlier statement
+ * for the month that did not cover all of it. A statement that already covers the whole
+ * month is returned as it is.
+ * @param {Object} account The account.
+ * @param {string} period The month, e.g. "2024-05".
+ * @param {string} generatedBy Email of whoever asked for the statement, or 'system'.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<Object>} The stored statement.
+ */
+async function generateStatement(account, period, generatedBy, now = new Date()) {
+    try {
+        const { start, end } = monthBounds(period);
+        if (start > now) {
+            throw new ValidationError('Statements can only be made for months that have started.');
+        }
+        const statements = await getStatementsCollection();
+        const existing = await statements.findOne({ accountNumber: account.accountNumber, period });
+        if (existing && existing.complete) {
+            return existing;
+        }
+
+        const periodEnd = end < now ? end : now;
+        const entries = await dal.getTransactionsBetween(account.accountNumber, start, periodEnd);
+        const openingBalanceCents = await dal.getBalanceAt(account, start);
+        const statement = {
+            accountNumber: account.accountNumber,
+            ownerEmail: account.ownerEmail,
+            accountType: account.accountType,
+            currency: account.currency || BASE_CURRENCY,
+            period,
+            periodStart: start,
+            periodEnd,
+            complete: periodEnd.getTime() === end.getTime(),
+            openingBalanceCents,
+            closingBalanceCents: entries.length > 0 ? entries[entries.length - 1].balanceAfterCents : openingBalanceCents,
+            totals: totalEntries(entries),
+            entryCount: entries.length,
+            generatedBy,
+            generatedAt: now
+        };
+        statement.csv = renderCsv(statement, entries);
+        statement.pdf = await renderPdf(statement, entries);
+
+        const result = await statements.findOneAndReplace(
+            { accountNumber: account.accountNumber, period },
+            statement,
+            { upsert: true, returnDocument: 'after' }
+        );
+        return result.value;
+    } catch (err) {
+        logger.error(`Error generating statement: ${err.message}`, { stack: err.stack });
+        throw err;
+    }
+}
+
+/**
+ * Makes last month's statement for every account open at some point during the month that
+ * does not have a complete one yet. An account that fails is logged and picked up again on the
+ * next run; the others carry on.
+ * @param {Date} [now] The current time.
+ * @returns {Promise<number>} How many statements were made.
+ */
+async function generateMonthlyStatements(now = new Date()) {
+    const period = previousPeriod(now);
+    const { start, end } = monthBounds(period);
+    const statements = await getStatementsCollection();
+    const done = await statements.distinct('accountNumber', { period, complete: true });
+    const { db } = await dal.connectToMongo();
+    const accounts = await db.collection('accounts')
+        .find({ createdAt: { $not: { $gte: end } }, closedAt: { $not: { $lt: start } }, accountNumber: { $nin: done } })
+        .toArray();
+
+    let count = 0;
+    for (const account of accounts) {
+        try {
+            await generateStatement(account, period, 'system', now);
+            count += 1;
+        } catch (err) {
+            logger.error(`Error generating statement for account ${account.accountNumber}: ${err.message}`, { stack: err.stack });
+        }
+    }
+    return count;
+}
+
+/**
+ * Lists the statements of a user's accounts, newest month first, without their files.
+ * @param {string} email Email of the account holder.
+ * @param {string} [accountNumber] Only list the statements of this account.
+ * @returns {Promise<Array>} The statements.
+ */
+async function listStatements(email, accountNumber) {
+    const statements = await getStatementsCollection();
+    const query = { ownerEmail: email };
+    if (accountNumber) {
+        query.accountNumber = String(accountNumber);
+    }
+    return statements
+        .find(query, { projection: { csv: 0, pdf: 0 } })
+        .sort({ period: -1, accountNumber: 1 })
+        .toArray();
+}
+
+/**
+ * Finds a statement by its id, files included.
+ * @param {string} id The statement's id.
+ * @returns {Promise<Object>} The statement.
+ * @throws {NotFoundError} If there is no such statement.
+ */
+async function findStatement(id) {
+    if (!ObjectId.isValid(id)) {
+        throw new NotFoundError('Statement not found.');
+    }
+    const statements = await getStatementsCollection();
+    const statement = await statements.findOne({ _id: new ObjectId(id) });
+    if (!statement) {
+        throw new NotFoundError('Statement not found.');
+    }
+    return statement;
+}
+
+module.exports = { monthBounds, generateStatement, generateMonthlyStatements, listStatements, findStatement };
@@ -0,0 +1,76 @@
+const dal = require('../dal');
+const { useReplicaSet } = require('./helpers/database');
+const { openAccounts } = require('./helpers/fixtures');
+const UserRepository = require('../repositories/userRepository');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const mongo = useReplicaSet({ mongoose: true });
+
+test('closing an account disburses its balance and blocks further activity', async () => {
+    const now = new Date('2024-05-15T12:00:00Z');
+    const { checking, savings } = await openAccounts();
+    await expect(dal.closeAccount(checking.accountNumber, {}, 'john@example.com', now))
+        .rejects.toThrow('This account still holds 50.00 USD; choose an account to send it to.');
+
+    const { account, disbursement } = await dal.closeAccount(checking.accountNumber, { disburseToAccountNumber: savings.accountNumber }, 'john@example.com', now);
+    expect(account.status).toBe('closed');
+    expect(account.balanceCents).toBe(0);
+    expect(disbursement).toMatchObject({ toAccountNumber: savings.accountNumber, amountCents: 5000 });
+    expect((await dal.findAccount(savings.accountNumber)).balanceCents).toBe(5000);
+
+    // The history stays, but no money moves in or out
+    expect((await dal.getTransactionsByAccount(checking.accountNumber)).map(entry => entry.type)).toEqual(['transfer-out', 'deposit']);
+    await expect(dal.deposit(checking.accountNumber, 100)).rejects.toMatchObject({ code: 'ACCOUNT_CLOSED' });
+    await expect(dal.transfer(savings.accountNumber, checking.accountNumber, 100)).rejects.toThrow(`Account ${checking.accountNumber} is closed.`);
+    await expect(dal.authorizeHold(checking.accountNumber, 100, 'john@example.com')).rejects.toMatchObject({ code: 'ACCOUNT_CLOSED' });
+    await expect(dal.closeAccount(checking.accountNumber, {}, 'john@example.com', now)).rejects.toThrow('This account is already closed.');
+});
+
+test('interest accrued but not yet paid is credited before the balance is disbursed', async () => {
+    const now = new Date('2024-05-15T12:00:00Z');
+    const { checking, savings } = await openAccounts();
+    await dal.deposit(savings.accountNumber, 10000);
+    // Accruals the interest job made but has not credited: the end of April and this month so far
+    await mongo.db.collection('interestAccruals').insertMany([
+        { accountNumber: savings.accountNumber, date: new Date('2024-04-30T00:00:00Z'), period: '2024-04', interestMicros: 40000000, credited: false },
+        { accountNumber: savings.accountNumber, date: new Date('2024-05-14T00:00:00Z'), period: '2024-05', interestMicros: 25400000, credited: false }
+    ]);
+
+    const { disbursement } = await dal.closeAccount(savings.accountNumber, { disburseToAccountNumber: checking.accountNumber }, 'john@example.com', now);
+    expect(disbursement.amountCents).toBe(10065);
+    expect((await dal.findAccount(checking.accountNumber)).balanceCents).toBe(15065);
+    const interest = (await dal.getTransactionsByAccount(savings.accountNumber)).filter(entry => entry.type === 'interest');
+    expect(interest.map(entry => [entry.interestPeriod, entry.amountCents])).toEqual([['2024-05', 25], ['2024-04', 40]]);
+    expect(await mongo.db.collection('interestAccruals').countDocuments({ credited: false })).toBe(0);
+});
+
+test('accounts with money on hold or overdrawn cannot be closed', async () => {
+    const { checking, savings } = await openAccounts();
+    await dal.authorizeHold(checking.accountNumber, 1000, 'john@example.com', 'Coffee shop');
+    await expect(dal.closeAccount(checking.accountNumber, { disburseToAccountNumber: savings.accountNumber }, 'john@example.com'))
+        .rejects.toThrow('This account has money on hold');
+
+    await mongo.db.collection('accounts').updateOne({ accountNumber: savings.accountNumber }, { $set: { balanceCents: -500 } });
+    await expect(dal.closeAccount(savings.accountNumber, {}, 'john@example.com'))
+        .rejects.toThrow('An overdrawn account cannot be closed');
+});
+
+test('admins can reopen an account within the grace period', async () => {
+    const now = new Date('2024-05-15T12:00:00Z');
+    const { savings } = await openAccounts();
+    await dal.closeAccount(savings.accountNumber, {}, 'john@example.com', now);
+
+    await expect(dal.reopenAccount(savings.accountNumber, 'admin@example.com', new Date(now.getTime() + 31 * DAY_MS)))
+        .rejects.toThrow('This account was closed more than 30 days ago and can no longer be reopened.');
+    const reopened = await dal.reopenAccount(savings.accountNumber, 'admin@example.com', new Date(now.getTime() + 29 * DAY_MS));
+    expect(reopened.status).toBe('open');
+    expect(reopened.closedAt).toBeUndefined();
+    await dal.deposit(savings.accountNumber, 100);
+    await expect(dal.reopenAccount(savings.accountNumber, 'admin@example.com')).rejects.toThrow('This account is not closed.');
+});
+
+test('a user with open accounts cannot be deleted', async () => {
+    await openAccounts();
+    await expect(new UserRepository().deleteUser('john@example.com')).rejects.toThrow('still has 2 open account(s)');
+});
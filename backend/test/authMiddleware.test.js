@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { verifyAuth0Token } = require('../middlewares/authMiddleware');
+
+const AUDIENCE = 'https://api.bankofbrown.test';
+const ISSUER = 'https://bankofbrown.test/';
+
+let server, privateKey, otherPrivateKey;
+let jwksRequests = 0; // How often the key set has been downloaded
+
+beforeAll(async () => {
+    // A local key set stands in for Auth0's published JWKS
+    const pair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    privateKey = pair.privateKey;
+    otherPrivateKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    const jwk = { ...pair.publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' };
+
+    server = http.createServer((req, res) => {
+        jwksRequests += 1;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ keys: [jwk] }));
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    process.env.AUTH0_JWKS_URI = `http://localhost:${server.address().port}/.well-known/jwks.json`;
+    process.env.AUTH0_AUDIENCE = AUDIENCE;
+    process.env.AUTH0_ISSUER = ISSUER;
+    process.env.AUTH0_EMAIL_CLAIM = 'email';
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * Signs an access token the way Auth0 would, with overridable claims and options.
+ */
+function signToken(claims = {}, options = {}, key = privateKey) {
+    return jwt.sign({ email: 'john@example.com', ...claims }, key, {
+        algorithm: 'RS256',
+        keyid: 'test-key',
+        audience: AUDIENCE,
+        issuer: ISSUER,
+        subject: 'auth0|123',
+        expiresIn: '5m',
+        ...options
+    });
+}
+
+/**
+ * Runs the middleware and resolves once it either calls next or sends a response.
+ */
+function authenticate(authorization, middleware = verifyAuth0Token) {
+    const req = { headers: authorization ? { authorization } : {} };
+    return new Promise(resolve => {
+        const res = {
+            status: jest.fn(code => { res.statusCode = code; return res; }),
+            json: jest.fn(body => resolve({ req, res, body, nextCalled: false }))
+        };
+        middleware(req, res, () => resolve({ req, res, nextCalled: true }));
+    });
+}
+
+test('accepts a valid token and takes the email from it', async () => {
+    const { req, nextCalled } = await authenticate(`Bearer ${signToken()}`);
+    expect(nextCalled).toBe(true);
+    expect(req.user).toEqual({ email: 'john@example.com', sub: 'auth0|123' });
+});
+
+test('rejects requests without a token', async () => {
+    const { res, nextCalled } = await authenticate();
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(401);
+});
+
+test('rejects tokens for another audience', async () => {
+    const { res, nextCalled } = await authenticate(`Bearer ${signToken({}, { audience: 'https://other.api' })}`);
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(401);
+});
+
+test('rejects expired tokens', async () => {
+    const { res, nextCalled } = await authenticate(`Bearer ${signToken({}, { expiresIn: -10 })}`);
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(401);
+});
+
+test('rejects tokens signed with a key outside the key set', async () => {
+    const { res, nextCalled } = await authenticate(`Bearer ${signToken({}, {}, otherPrivateKey)}`);
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(401);
+});
+
+test('rejects tokens that carry no email', async () => {
+    const { res, body, nextCalled } = await authenticate(`Bearer ${signToken({ email: undefined })}`);
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(401);
+    expect(body.message).toBe('Token does not identify a user.');
+});
+
+test('does not download the key set again for every unknown key id', async () => {
+    await authenticate(`Bearer ${signToken()}`);
+    const before = jwksRequests;
+    for (const keyid of ['made-up-1', 'made-up-2', 'made-up-3']) {
+        const { res } = await authenticate(`Bearer ${signToken({}, { keyid })}`);
+        expect(res.statusCode).toBe(401);
+    }
+    expect(jwksRequests).toBe(before);
+});
+
+test('shares one key set download between tokens that arrive together', async () => {
+    let verify;
+    jest.isolateModules(() => {
+        ({ verifyAuth0Token: verify } = require('../middlewares/authMiddleware'));
+    });
+    const before = jwksRequests;
+    const results = await Promise.all([1, 2, 3].map(() => authenticate(`Bearer ${signToken()}`, verify)));
+    expect(results.every(result => result.nextCalled)).toBe(true);
+    expect(jwksRequests - before).toBe(1);
+});
+
+test('refuses every token while the audience is not configured', async () => {
+    delete process.env.AUTH0_AUDIENCE;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+        const { res, nextCalled } = await authenticate(`Bearer ${signToken()}`);
+        expect(nextCalled).toBe(false);
+        expect(res.statusCode).toBe(500);
+    } finally {
+        process.env.AUTH0_AUDIENCE = AUDIENCE;
+        console.error.mockRestore();
+    }
+});
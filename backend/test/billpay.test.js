@@ -0,0 +1,83 @@
+const dal = require('../dal');
+const { useReplicaSet } = require('./helpers/database');
+const billPayService = require('../services/billPayService');
+
+useReplicaSet();
+
+const PAYEE = {
+    name: 'City Power & Light',
+    address: { line1: '1 Main St', city: 'Springfield', state: 'il', postalCode: '62701' },
+    accountNumber: '00123456789',
+    routingNumber: '021000021'
+};
+
+/**
+ * Creates a user with a checking account holding $100.00 and a payee, and returns both.
+ */
+async function setUp() {
+    await dal.create('John Doe', 'john@example.com', 'password123');
+    const { accountNumber } = await dal.createBankAccount('john@example.com', 'checking');
+    await dal.deposit(accountNumber, 10000);
+    const payee = await billPayService.createPayee('john@example.com', PAYEE);
+    return { account: await dal.findAccount(accountNumber), payee };
+}
+
+test('routing numbers must pass the ABA checksum', async () => {
+    expect(billPayService.isValidRoutingNumber('021000021')).toBe(true);
+    expect(billPayService.isValidRoutingNumber('021000022')).toBe(false);
+    expect(billPayService.isValidRoutingNumber('12345')).toBe(false);
+    await expect(billPayService.createPayee('john@example.com', { ...PAYEE, routingNumber: '021000022' }))
+        .rejects.toThrow('The routing number is not valid.');
+    await expect(billPayService.createPayee('john@example.com', { ...PAYEE, address: { ...PAYEE.address, postalCode: '627' } }))
+        .rejects.toThrow('The ZIP code must be five digits');
+});
+
+test('a payment for today is debited at once and sent by the next settlement run', async () => {
+    const { account, payee } = await setUp();
+    const now = new Date('2024-05-15T12:00:00Z');
+    const payment = await billPayService.createBillPayment(account, { payeeId: String(payee._id), amountCents: 2500, memo: 'May bill' }, 'john@example.com', now);
+    expect(payment).toMatchObject({ status: 'pending', debitedAt: now });
+    expect((await dal.findAccount(account.accountNumber)).balanceCents).toBe(7500);
+    const [entry] = await dal.getTransactionsByAccount(account.accountNumber);
+    expect(entry).toMatchObject({ type: 'bill-payment', amountCents: 2500, description: 'Bill payment to City Power & Light: May bill' });
+
+    const later = new Date('2024-05-15T12:05:00Z');
+    expect(await billPayService.settleBillPayments(later)).toEqual({ sent: 1, debited: 0, failed: 0 });
+    expect(await billPayService.findBillPayment(String(payment._id))).toMatchObject({ status: 'sent', sentAt: later });
+});
+
+test('scheduled payments wait for their day, can be cancelled, and fail if the balance cannot cover them', async () => {
+    const { account, payee } = await setUp();
+    const now = new Date('2024-05-15T12:00:00Z');
+    const details = { payeeId: String(payee._id), amountCents: 6000, sendOn: '2024-05-20' };
+    const first = await billPayService.createBillPayment(account, details, 'john@example.com', now);
+    const second = await billPayService.createBillPayment(account, details, 'john@example.com', now);
+    const third = await billPayService.createBillPayment(account, details, 'john@example.com', now);
+    expect(first.status).toBe('scheduled');
+    await expect(billPayService.removePayee('john@example.com', String(payee._id))).rejects.toThrow('still scheduled');
+
+    await billPayService.cancelBillPayment(third, now);
+    await expect(billPayService.cancelBillPayment(third, now)).rejects.toThrow('this one is cancelled');
+    expect(await billPayService.settleBillPayments(now)).toEqual({ sent: 0, debited: 0, failed: 0 });
+
+    // Only one of the two fits in the $100.00 balance
+    expect(await billPayService.settleBillPayments(new Date('2024-05-20T01:00:00Z'))).toEqual({ sent: 0, debited: 1, failed: 1 });
+    expect(await billPayService.findBillPayment(String(first._id))).toMatchObject({ status: 'pending' });
+    expect(await billPayService.findBillPayment(String(second._id))).toMatchObject({ status: 'failed' });
+    expect((await dal.findAccount(account.accountNumber)).balanceCents).toBe(4000);
+});
+
+test('a returned payment is credited back to its account', async () => {
+    const { account, payee } = await setUp();
+    const now = new Date('2024-05-15T12:00:00Z');
+    const payment = await billPayService.createBillPayment(account, { payeeId: String(payee._id), amountCents: 2500 }, 'john@example.com', now);
+    await expect(dal.returnBillPayment(payment._id, 'Account closed', 'staff@example.com'))
+        .rejects.toThrow('Only a payment that has been sent can be returned.');
+    await billPayService.settleBillPayments(new Date('2024-05-16T12:00:00Z'));
+
+    const { payment: returned, account: credited } = await dal.returnBillPayment(payment._id, 'Account closed', 'staff@example.com');
+    expect(returned).toMatchObject({ status: 'returned', returnReason: 'Account closed' });
+    expect(credited.balanceCents).toBe(10000);
+    const [entry] = await dal.getTransactionsByAccount(account.accountNumber);
+    expect(entry).toMatchObject({ type: 'bill-payment-return', amountCents: 2500, category: 'Bills & Utilities' });
+});
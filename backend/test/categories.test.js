@@ -0,0 +1,73 @@
+const dal = require('../dal');
+const { useReplicaSet } = require('./helpers/database');
+const categoryService = require('../services/categoryService');
+
+const mongo = useReplicaSet();
+
+/**
+ * Creates a user with a checking account holding $100.00 and returns the account's number.
+ */
+async function openAccount() {
+    await dal.create('John Doe', 'john@example.com', 'password123');
+    const { accountNumber } = await dal.createBankAccount('john@example.com', 'checking');
+    await dal.deposit(accountNumber, 10000);
+    return accountNumber;
+}
+
+/**
+ * Pays for something by card: places a hold with the description and captures it.
+ */
+async function pay(accountNumber, amount, description) {
+    const hold = await dal.authorizeHold(accountNumber, amount, 'john@example.com', description);
+    const { entry } = await dal.captureHold(hold._id.toString(), amount, 'john@example.com');
+    return entry;
+}
+
+test('entries are categorized by type until a rule matches their description', async () => {
+    const accountNumber = await openAccount();
+    const [deposit] = await dal.getTransactionsByAccount(accountNumber);
+    expect(deposit).toMatchObject({ category: 'Income', categorySource: 'type' });
+
+    await categoryService.createRule('john@example.com', { contains: 'coffee', category: 'Dining' });
+    const entry = await pay(accountNumber, 450, 'BLUE BOTTLE COFFEE #12');
+    expect(entry).toMatchObject({ category: 'Dining', categorySource: 'rule' });
+});
+
+test('rules are applied to existing entries, newest first, and never to ones set by hand', async () => {
+    const accountNumber = await openAccount();
+    const coffee = await pay(accountNumber, 450, 'COFFEE CART');
+    const beans = await pay(accountNumber, 1200, 'COFFEE BEANS MARKET');
+    await categoryService.setEntryCategory(await categoryService.findEntry(String(beans._id)), 'Groceries');
+
+    const { recategorized } = await categoryService.createRule('john@example.com', { contains: 'COFFEE', category: 'Dining' });
+    expect(recategorized).toBe(1);
+    const { rule } = await categoryService.createRule('john@example.com', { contains: 'cart', category: 'Snacks' });
+    expect(await categoryService.findEntry(String(coffee._id))).toMatchObject({ category: 'Snacks' });
+    expect(await categoryService.findEntry(String(beans._id))).toMatchObject({ category: 'Groceries', categorySource: 'manual' });
+    expect(await categoryService.listCategories('john@example.com')).toEqual(expect.arrayContaining(['Dining', 'Snacks']));
+
+    // Removing the newer rule lets the older one decide again
+    await categoryService.deleteRule('john@example.com', String(rule._id));
+    expect(await categoryService.findEntry(String(coffee._id))).toMatchObject({ category: 'Dining' });
+    await expect(categoryService.deleteRule('jane@example.com', String(rule._id))).rejects.toThrow('Rule not found.');
+});
+
+test('totals add up money in and out per category per month', async () => {
+    const accountNumber = await openAccount();
+    await categoryService.createRule('john@example.com', { contains: 'COFFEE', category: 'Dining' });
+    await pay(accountNumber, 450, 'COFFEE CART');
+    await pay(accountNumber, 300, 'Coffee Shop');
+    await dal.withdraw(accountNumber, 2000);
+    const may = new Date('2024-05-15T12:00:00Z');
+    await mongo.db.collection('transactions').updateMany({ accountNumber }, { $set: { createdAt: may } });
+
+    const totals = await categoryService.categoryTotals('john@example.com', { from: '2024-05', to: '2024-05' });
+    expect(totals).toEqual([
+        { month: '2024-05', category: 'Cash', currency: 'USD', inCents: 0, outCents: 2000, count: 1 },
+        { month: '2024-05', category: 'Dining', currency: 'USD', inCents: 0, outCents: 750, count: 2 },
+        { month: '2024-05', category: 'Income', currency: 'USD', inCents: 10000, outCents: 0, count: 1 }
+    ]);
+    expect(await categoryService.categoryTotals('john@example.com', { from: '2024-06', to: '2024-06' })).toEqual([]);
+    await expect(categoryService.categoryTotals('john@example.com', { from: '2024-06', to: '2024-05' }))
+        .rejects.toThrow('The from month must not be after the to month.');
+});
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Check photos are written to disk; keep them out of the source tree
+const imageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'check-images-'));
+process.env.CHECK_IMAGE_DIR = imageDir;
+
+const dal = require('../dal');
+const { useReplicaSet } = require('./helpers/database');
+const checkDepositService = require('../services/checkDepositService');
+const notificationService = require('../services/notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+useReplicaSet();
+
+afterAll(() => {
+    fs.rmSync(imageDir, { recursive: true, force: true });
+});
+
+/**
+ * Makes a small fake JPEG, different for each label, as a data URL.
+ */
+function photo(label) {
+    const data = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.from(label)]);
+    return `data:image/jpeg;base64,${data.toString('base64')}`;
+}
+
+/**
+ * Creates John with a checking account and has him submit check #1042 for $250.00.
+ */
+async function submitCheck(now) {
+    await dal.create('John Doe', 'john@example.com', 'password123');
+    const account = await dal.createBankAccount('john@example.com', 'checking');
+    const deposit = await checkDepositService.submitDeposit(account, {
+        amountCents: 25000,
+        checkNumber: '1042',
+        frontImage: photo('front of 1042'),
+        backImage: photo('back of 1042')
+    }, 'john@example.com', now);
+    return { account, deposit };
+}
+
+test('a submitted check is stored for review without crediting the account', async () => {
+    const now = new Date('2024-05-15T12:00:00Z');
+    const { account, deposit } = await submitCheck(now);
+    expect(deposit.status).toBe('pending');
+    expect(fs.existsSync(path.join(imageDir, deposit.front.fileName))).toBe(true);
+    expect(checkDepositService.imageOf(deposit, 'back').contentType).toBe('image/jpeg');
+    expect((await dal.findAccount(account.accountNumber)).balanceCents).toBe(0);
+    expect(await checkDepositService.listReviewQueue()).toHaveLength(1);
+
+    await expect(checkDepositService.submitDeposit(account, {
+        amountCents: 25000,
+        checkNumber: '1042',
+        frontImage: photo('front of 1042'),
+        backImage: photo('another back')
+    }, 'john@example.com', now)).rejects.toThrow('This check has already been deposited.');
+    await expect(checkDepositService.submitDeposit(account, {
+        amountCents: 25000,
+        checkNumber: '1042',
+        frontImage: 'not an image',
+        backImage: photo('back')
+    }, 'john@example.com', now)).rejects.toThrow('A photo of the front of the check is required');
+
+    // Same number and amount but a different photo: accepted, and flagged for the reviewer
+    const again = await checkDepositService.submitDeposit(account, {
+        amountCents: 25000,
+        checkNumber: '1042',
+        frontImage: photo('retaken front of 1042'),
+        backImage: photo('retaken back of 1042')
+    }, 'john@example.com', now);
+    expect(again.possibleDuplicateOf).toEqual([deposit._id]);
+});
+
+test('the same check submitted twice at once is only deposited once', async () => {
+    const now = new Date('2024-05-15T12:00:00Z');
+    await dal.create('John Doe', 'john@example.com', 'password123');
+    const account = await dal.createBankAccount('john@example.com', 'checking');
+    const submit = back => checkDepositService.submitDeposit(account, {
+        amountCents: 25000,
+        checkNumber: '1042',
+        frontImage: photo('front of 1042'),
+        backImage: photo(back)
+    }, 'john@example.com', now);
+
+    const results = await Promise.allSettled([submit('back of 1042'), submit('another back of 1042')]);
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    const [refused] = results.filter(result => result.status === 'rejected');
+    expect(refused.reason).toMatchObject({ statusCode: 409, message: 'This check has already been deposited.' });
+    expect(await checkDepositService.listDeposits('john@example.com')).toHaveLength(1);
+});
+
+test('approving a deposit posts it on hold until the check clears', async () => {
+    const now = new Date('2024-05-15T12:00:00Z');
+    const { account, deposit } = await submitCheck(now);
+    await expect(checkDepositService.approveDeposit(deposit, 'john@example.com', now))
+        .rejects.toThrow('You cannot review a deposit into your own account.');
+
+    const approved = await checkDepositService.approveDeposit(deposit, 'teller@example.com', now);
+    expect(approved.deposit.status).toBe('approved');
+    expect(approved.entry.checkDepositId).toEqual(deposit._id);
+    expect(approved.account.balanceCents).toBe(25000);
+    expect(approved.account.heldCents).toBe(25000);
+    expect(approved.hold.expiresAt).toEqual(new Date(now.getTime() + 2 * DAY_MS));
+    await expect(dal.releaseHold(String(approved.hold._id), now))
+        .rejects.toThrow('This hold is on a deposited check');
+    await expect(checkDepositService.approveDeposit(deposit, 'teller@example.com', now))
+        .rejects.toThrow('This deposit has already been approved.');
+
+    expect(await dal.expireHolds(new Date(now.getTime() + 2 * DAY_MS + 1))).toBe(1);
+    expect((await dal.findAccount(account.accountNumber)).heldCents).toBe(0);
+    const [notification] = await notificationService.listNotifications('john@example.com');
+    expect(notification.type).toBe('check-approved');
+});
+
+test('rejecting a deposit needs a reason, which the customer is told', async () => {
+    const now = new Date('2024-05-15T12:00:00Z');
+    const { account, deposit } = await submitCheck(now);
+    await expect(checkDepositService.rejectDeposit(deposit, ' ', 'teller@example.com', now))
+        .rejects.toThrow('A reason of 1 to 200 characters is required');
+
+    const rejected = await checkDepositService.rejectDeposit(deposit, 'The back is not signed', 'teller@example.com', now);
+    expect(rejected.status).toBe('rejected');
+    expect(rejected.live).toBeUndefined();
+    expect((await dal.findAccount(account.accountNumber)).balanceCents).toBe(0);
+    const [notification] = await notificationService.listNotifications('john@example.com');
+    expect(notification.message).toBe('Your check #1042 for 250.00 USD was rejected: The back is not signed');
+
+    // A rejected check may be fixed and deposited again
+    const retry = await checkDepositService.submitDeposit(account, {
+        amountCents: 25000,
+        checkNumber: '1042',
+        frontImage: photo('front of 1042'),
+        backImage: photo('signed back of 1042')
+    }, 'john@example.com', now);
+    expect(retry.possibleDuplicateOf).toBeUndefined();
+});
@@ -0,0 +1,33 @@
+const dal = require('../dal');
+const { useReplicaSet } = require('./helpers/database');
+
+const PARALLEL_WITHDRAWALS = 50;
+
+jest.setTimeout(60000);
+
+useReplicaSet();
+
+test('parallel DAL withdrawals never overdraw the account', async () => {
+    await dal.create('John Doe', 'john@example.com', 'password123');
+    const { accountNumber } = await dal.createBankAccount('john@example.com', 'checking');
+    await dal.deposit(accountNumber, 1000);
+    // Lift the daily withdrawal count so that only the balance can stop a withdrawal
+    await dal.setWithdrawalLimitOverrides(accountNumber, { dailyCount: PARALLEL_WITHDRAWALS });
+
+    // Fifty withdrawals of $1.00 against a $10.00 balance, all at once
+    const results = await Promise.allSettled(
+        Array.from({ length: PARALLEL_WITHDRAWALS }, () => dal.withdraw(accountNumber, 100))
+    );
+
+    const succeeded = results.filter(r => r.status === 'fulfilled');
+    const failed = results.filter(r => r.status === 'rejected');
+    expect(succeeded.length).toBe(10);
+    failed.forEach(r => expect(r.reason.name).toBe('InsufficientFundsError'));
+
+    const account = await dal.findAccount(accountNumber);
+    expect(account.balanceCents).toBe(0);
+
+    const withdrawals = (await dal.getTransactionsByAccount(accountNumber)).filter(e => e.type === 'withdrawal');
+    expect(withdrawals.length).toBe(10);
+    withdrawals.forEach(entry => expect(entry.balanceAfterCents).toBeGreaterThanOrEqual(0));
+});
@@ -0,0 +1,33 @@
+const { emailKey, phoneDigits, contactKeys } = require('../contacts');
+
+describe('emailKey', () => {
+    test('ignores case and surrounding spaces', () => {
+        expect(emailKey(' Jane@Example.com ')).toBe('jane@example.com');
+    });
+
+    test('is null without an address', () => {
+        expect(emailKey('')).toBeNull();
+        expect(emailKey(undefined)).toBeNull();
+    });
+});
+
+describe('phoneDigits', () => {
+    test('keeps only the digits, without the US country code', () => {
+        expect(phoneDigits('(555) 010-2030')).toBe('5550102030');
+        expect(phoneDigits('+1 555.010.2030')).toBe('5550102030');
+        expect(phoneDigits('555 0100')).toBe('5550100');
+    });
+
+    test('is null without any digits', () => {
+        expect(phoneDigits('none')).toBeNull();
+        expect(phoneDigits(null)).toBeNull();
+    });
+});
+
+describe('contactKeys', () => {
+    test('normalizes only the fields being set', () => {
+        expect(contactKeys({ name: 'Jane' })).toEqual({});
+        expect(contactKeys({ email: 'Jane@Example.com' })).toEqual({ emailKey: 'jane@example.com' });
+        expect(contactKeys({ name: 'Jane', phoneNumber: '555-010-2030' })).toEqual({ phoneDigits: '5550102030' });
+    });
+});
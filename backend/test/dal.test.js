@@ -1,25 +1,7 @@
-const { MongoMemoryServer } = require('mongodb-memory-server');
 const dal = require('../dal'); // Adjust the path as necessary
+const { useReplicaSet } = require('./helpers/database');
 
-let db, stopDB;
-
-beforeAll(async () => {
-    const mongod = await MongoMemoryServer.create();
-    const uri = mongod.getUri();
-    const dbName = mongod.instanceInfo.dbName;
-    // Configure DAL to use the in-memory database
-    const setup = await dal.setupDAL(uri, dbName);
-    db = setup.db;
-    stopDB = setup.stopDB;
-});
-
-afterAll(async () => {
-    await stopDB();
-});
-
-beforeEach(async () => {
-    await db.collection('users').deleteMany({});
-});
+const mongo = useReplicaSet();
 
 test('create and findOne user', async () => {
     await dal.create('John Doe', 'john@example.com', 'password123');
@@ -42,19 +24,231 @@ test('update user', async () => {
     expect(user.name).toBe('Johnny Doe');
 });
 
-test('deposit to user account', async () => {
-    await dal.create('John Doe', 'john@example.com', 'password123');
-    await dal.deposit('john@example.com', 100);
-    const user = await dal.findOne('john@example.com');
-    expect(user.balance).toBe(100);
+/**
+ * Creates a user with a single checking account and returns that account's number.
+ */
+async function createUserWithAccount(name, email) {
+    await dal.create(name, email, 'password123');
+    const account = await dal.createBankAccount(email, 'checking');
+    return account.accountNumber;
+}
+
+test('deposit to bank account', async () => {
+    const accountNumber = await createUserWithAccount('John Doe', 'john@example.com');
+    await dal.deposit(accountNumber, 100);
+    const account = await dal.findAccount(accountNumber);
+    expect(account.balanceCents).toBe(100);
 });
 
-test('withdraw from user account', async () => {
-    await dal.create('John Doe', 'john@example.com', 'password123');
-    await dal.deposit('john@example.com', 100);
-    await dal.withdraw('john@example.com', 50);
-    const user = await dal.findOne('john@example.com');
-    expect(user.balance).toBe(50);
+test('withdraw from bank account', async () => {
+    const accountNumber = await createUserWithAccount('John Doe', 'john@example.com');
+    await dal.deposit(accountNumber, 100);
+    await dal.withdraw(accountNumber, 50);
+    const account = await dal.findAccount(accountNumber);
+    expect(account.balanceCents).toBe(50);
+});
+
+test('repeated ten cent deposits add up exactly', async () => {
+    const accountNumber = await createUserWithAccount('John Doe', 'john@example.com');
+    for (let i = 0; i < 10; i++) {
+        await dal.deposit(accountNumber, 10);
+    }
+    const account = await dal.findAccount(accountNumber);
+    expect(account.balanceCents).toBe(100);
+});
+
+test('amounts that are not whole cents are rejected', async () => {
+    const accountNumber = await createUserWithAccount('John Doe', 'john@example.com');
+    await expect(dal.deposit(accountNumber, 10.5)).rejects.toThrow('Amount must be positive.');
+});
+
+test('a user can own several accounts with separate balances', async () => {
+    const checking = await createUserWithAccount('John Doe', 'john@example.com');
+    const savings = (await dal.createBankAccount('john@example.com', 'Savings')).accountNumber;
+    await dal.deposit(checking, 100);
+    await dal.deposit(savings, 25);
+    const accounts = await dal.findAccountsByEmail('john@example.com');
+    expect(accounts.map(a => [a.accountNumber, a.accountType, a.balanceCents])).toEqual([
+        [checking, 'checking', 100],
+        [savings, 'savings', 25]
+    ]);
+});
+
+test('an account number that is already taken is drawn again', async () => {
+    const random = jest.spyOn(Math, 'random').mockReturnValueOnce(0.5).mockReturnValueOnce(0.5).mockReturnValueOnce(0.25);
+    try {
+        const first = await createUserWithAccount('John Doe', 'john@example.com');
+        const second = (await dal.createBankAccount('john@example.com', 'savings')).accountNumber;
+        expect([first, second]).toEqual(['5500000000', '3250000000']);
+    } finally {
+        random.mockRestore();
+    }
+});
+
+test('deposit and withdraw write ledger entries', async () => {
+    const accountNumber = await createUserWithAccount('John Doe', 'john@example.com');
+    await dal.deposit(accountNumber, 100);
+    await dal.withdraw(accountNumber, 30, 'teller@example.com');
+    const entries = await dal.getTransactionsByEmail('john@example.com');
+    expect(entries.length).toBe(2);
+    expect(entries[0]).toMatchObject({ accountNumber, type: 'withdrawal', amountCents: 30, balanceAfterCents: 70, initiatedBy: 'teller@example.com' });
+    expect(entries[1]).toMatchObject({ accountNumber, type: 'deposit', amountCents: 100, balanceAfterCents: 100, initiatedBy: 'john@example.com' });
+    expect(entries[1].createdAt).toBeInstanceOf(Date);
+});
+
+test('failed withdrawal leaves balance and ledger untouched', async () => {
+    const accountNumber = await createUserWithAccount('John Doe', 'john@example.com');
+    await dal.deposit(accountNumber, 20);
+    await expect(dal.withdraw(accountNumber, 50)).rejects.toThrow('Insufficient funds.');
+    const account = await dal.findAccount(accountNumber);
+    expect(account.balanceCents).toBe(20);
+    const entries = await dal.getTransactionsByAccount(accountNumber);
+    expect(entries.length).toBe(1);
+});
+
+test('transfer moves money and records paired ledger entries', async () => {
+    const john = await createUserWithAccount('John Doe', 'john@example.com');
+    const jane = await createUserWithAccount('Jane Doe', 'jane@example.com');
+    await dal.deposit(john, 100);
+    const { transferId } = await dal.transfer(john, jane, 40);
+    expect((await dal.findAccount(john)).balanceCents).toBe(60);
+    expect((await dal.findAccount(jane)).balanceCents).toBe(40);
+    const [debit] = await dal.getTransactionsByAccount(john);
+    const [credit] = await dal.getTransactionsByAccount(jane);
+    expect(debit).toMatchObject({ type: 'transfer-out', amountCents: 40, balanceAfterCents: 60, transferId, counterpartyAccountNumber: jane });
+    expect(credit).toMatchObject({ type: 'transfer-in', amountCents: 40, balanceAfterCents: 40, transferId, counterpartyAccountNumber: john });
+});
+
+test('transfer is rolled back when it cannot complete', async () => {
+    const john = await createUserWithAccount('John Doe', 'john@example.com');
+    const jane = await createUserWithAccount('Jane Doe', 'jane@example.com');
+    await dal.deposit(john, 100);
+    await expect(dal.transfer(john, jane, 150)).rejects.toThrow('Insufficient funds.');
+    await expect(dal.transfer(john, '0000000000', 50)).rejects.toThrow('Receiving account not found.');
+    expect((await dal.findAccount(john)).balanceCents).toBe(100);
+    expect((await dal.findAccount(jane)).balanceCents).toBe(0);
+    expect((await dal.getTransactionsByAccount(john)).length).toBe(1);
+});
+
+test('transfers between currencies convert at the stored rate less the spread', async () => {
+    const john = await createUserWithAccount('John Doe', 'john@example.com');
+    const euros = (await dal.createBankAccount('john@example.com', 'savings', 'eur')).accountNumber;
+    await dal.deposit(john, 10000);
+
+    await expect(dal.transfer(john, euros, 1000)).rejects.toThrow('No exchange rate has been set for EUR.');
+    await dal.setExchangeRate('EUR', 920000, 'admin@example.com');
+
+    // $100.00 at 0.92 is 92.00 euros, less the default 0.5% spread of 0.46
+    const result = await dal.transfer(john, euros, 10000);
+    expect(result.to).toMatchObject({ currency: 'EUR', balanceCents: 9154 });
+    expect(result.fx).toEqual({
+        fromCurrency: 'USD', toCurrency: 'EUR', rateMicros: 920000, spreadBps: 50,
+        spreadCents: 46, sentCents: 10000, receivedCents: 9154
+    });
+    const [credit] = await dal.getTransactionsByAccount(euros);
+    expect(credit).toMatchObject({ type: 'transfer-in', amountCents: 9154, currency: 'EUR', fx: result.fx });
+    const [debit] = await dal.getTransactionsByAccount(john);
+    expect(debit).toMatchObject({ type: 'transfer-out', amountCents: 10000, currency: 'USD' });
+});
+
+test('accounts can only be opened in supported currencies', async () => {
+    await createUserWithAccount('John Doe', 'john@example.com');
+    await expect(dal.createBankAccount('john@example.com', 'checking', 'XYZ')).rejects.toThrow('Currency must be one of:');
+    await expect(dal.setExchangeRate('USD', 1000000, 'admin@example.com')).rejects.toThrow('Rates are quoted against USD');
+});
+
+test('a short withdrawal pulls the shortfall from the linked savings account', async () => {
+    const checking = await createUserWithAccount('John Doe', 'john@example.com');
+    const savings = (await dal.createBankAccount('john@example.com', 'savings')).accountNumber;
+    await dal.deposit(checking, 30);
+    await dal.deposit(savings, 100);
+    await dal.setOverdraftProtection(checking, { mode: 'linked-savings', sourceAccountNumber: savings });
+
+    await dal.withdraw(checking, 50);
+    expect((await dal.findAccount(checking)).balanceCents).toBe(0);
+    expect((await dal.findAccount(savings)).balanceCents).toBe(80);
+    const [withdrawal, cover] = await dal.getTransactionsByAccount(checking);
+    expect(withdrawal).toMatchObject({ type: 'withdrawal', amountCents: 50, balanceAfterCents: 0 });
+    expect(cover).toMatchObject({ type: 'transfer-in', amountCents: 20, balanceAfterCents: 50, counterpartyAccountNumber: savings });
+});
+
+test('a withdrawal the linked savings account cannot cover changes nothing', async () => {
+    const checking = await createUserWithAccount('John Doe', 'john@example.com');
+    const savings = (await dal.createBankAccount('john@example.com', 'savings')).accountNumber;
+    await dal.deposit(checking, 30);
+    await dal.deposit(savings, 10);
+    await dal.setOverdraftProtection(checking, { mode: 'linked-savings', sourceAccountNumber: savings });
+
+    await expect(dal.withdraw(checking, 50)).rejects.toThrow('Insufficient funds, including the linked savings account.');
+    expect((await dal.findAccount(checking)).balanceCents).toBe(30);
+    expect((await dal.findAccount(savings)).balanceCents).toBe(10);
+});
+
+test('only a savings account of the same owner can cover overdrafts', async () => {
+    const checking = await createUserWithAccount('John Doe', 'john@example.com');
+    const janes = await createUserWithAccount('Jane Doe', 'jane@example.com');
+    await expect(dal.setOverdraftProtection(checking, { mode: 'linked-savings', sourceAccountNumber: janes }))
+        .rejects.toThrow('Overdrafts can only be covered by a savings account with the same owner.');
+});
+
+test('an overdraft line lets the balance go negative up to its limit', async () => {
+    const checking = await createUserWithAccount('John Doe', 'john@example.com');
+    await dal.deposit(checking, 30);
+    await dal.setOverdraftProtection(checking, { mode: 'line', limitCents: 100 });
+
+    const account = await dal.withdraw(checking, 80);
+    expect(account).toMatchObject({ balanceCents: -50, overdrawn: true });
+    await expect(dal.withdraw(checking, 60)).rejects.toThrow('Insufficient funds: this would exceed the overdraft limit.');
+
+    // Paying the overdraft back clears the flag
+    await dal.deposit(checking, 50);
+    expect(await dal.findAccount(checking)).toMatchObject({ balanceCents: 0, overdrawn: false });
+});
+
+test('overdraft lines are limited by account type', async () => {
+    await createUserWithAccount('John Doe', 'john@example.com');
+    const savings = (await dal.createBankAccount('john@example.com', 'savings')).accountNumber;
+    await expect(dal.setOverdraftProtection(savings, { mode: 'line' }))
+        .rejects.toThrow('Overdraft lines are not available for savings accounts.');
+});
+
+test('withdrawals over the per-transaction limit are refused', async () => {
+    const checking = await createUserWithAccount('John Doe', 'john@example.com');
+    await dal.deposit(checking, 500);
+    await dal.setWithdrawalLimitOverrides(checking, { perTransactionCents: 100 });
+
+    await expect(dal.withdraw(checking, 150)).rejects.toMatchObject({ name: 'LimitExceededError', code: 'PER_TRANSACTION_LIMIT_EXCEEDED' });
+    await dal.withdraw(checking, 100);
+    expect((await dal.findAccount(checking)).balanceCents).toBe(400);
+});
+
+test('daily withdrawal limits count every withdrawal in the last 24 hours', async () => {
+    const checking = await createUserWithAccount('John Doe', 'john@example.com');
+    await dal.deposit(checking, 500);
+    await dal.setWithdrawalLimitOverrides(checking, { dailyAmountCents: 250, dailyCount: 3 });
+
+    await dal.withdraw(checking, 100);
+    await dal.withdraw(checking, 100);
+    await expect(dal.withdraw(checking, 100)).rejects.toMatchObject({ code: 'DAILY_AMOUNT_LIMIT_EXCEEDED' });
+    await dal.withdraw(checking, 50);
+    await expect(dal.withdraw(checking, 1)).rejects.toMatchObject({ code: 'DAILY_COUNT_LIMIT_EXCEEDED' });
+    expect(await dal.getWithdrawalAllowance(checking)).toMatchObject({ usedCents: 250, count: 3, remainingCents: 0, remainingCount: 0 });
+
+    // Withdrawals older than 24 hours no longer count
+    await mongo.db.collection('transactions').updateMany(
+        { accountNumber: checking, type: 'withdrawal' },
+        { $set: { createdAt: new Date(Date.now() - 25 * 60 * 60 * 1000) } }
+    );
+    await dal.withdraw(checking, 100);
+    expect(await dal.getWithdrawalAllowance(checking)).toMatchObject({ usedCents: 100, count: 1 });
+});
+
+test('clearing an override goes back to the account type limit', async () => {
+    const checking = await createUserWithAccount('John Doe', 'john@example.com');
+    await dal.setWithdrawalLimitOverrides(checking, { dailyCount: 1 });
+    expect((await dal.getWithdrawalAllowance(checking)).limits.dailyCount).toBe(1);
+    await dal.setWithdrawalLimitOverrides(checking, { dailyCount: null });
+    expect((await dal.getWithdrawalAllowance(checking)).limits.dailyCount).toBe(10);
 });
 
 test('retrieve all users', async () => {
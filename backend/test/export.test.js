@@ -0,0 +1,71 @@
+const dal = require('../dal');
+const { useReplicaSet } = require('./helpers/database');
+const { exportTransactions } = require('../services/exportService');
+
+const mongo = useReplicaSet();
+
+const NOW = new Date('2024-06-02T00:00:00Z');
+
+/**
+ * Opens a checking account with a deposit on 1 May, a withdrawal on 10 May and a deposit
+ * on 1 June, and returns the account and its entries, oldest first.
+ */
+async function openAccountWithHistory() {
+    await dal.create('John Doe', 'john@example.com', 'password123');
+    const account = await dal.createBankAccount('john@example.com', 'checking');
+    await dal.deposit(account.accountNumber, 5000);
+    await dal.withdraw(account.accountNumber, 1250);
+    await dal.deposit(account.accountNumber, 300);
+    const dates = ['2024-05-01T09:00:00Z', '2024-05-10T12:30:00Z', '2024-06-01T08:00:00Z'];
+    const entries = (await dal.getTransactionsByAccount(account.accountNumber)).reverse();
+    for (let i = 0; i < entries.length; i++) {
+        await mongo.db.collection('transactions').updateOne({ _id: entries[i]._id }, { $set: { createdAt: new Date(dates[i]) } });
+    }
+    return { account: await dal.findAccount(account.accountNumber), entries };
+}
+
+test('a CSV export lists the entries in the range with their ledger ids', async () => {
+    const { account, entries } = await openAccountWithHistory();
+    const file = await exportTransactions(account, { format: 'csv', from: '2024-05-01', to: '2024-05-31' }, NOW);
+
+    expect(file).toMatchObject({ contentType: 'text/csv', filename: `transactions-${account.accountNumber}-2024-05-01-to-2024-05-31.csv` });
+    const lines = file.body.trim().split('\r\n');
+    expect(lines).toEqual([
+        'Date,Transaction ID,Type,Description,Amount,Balance,Currency',
+        `2024-05-01T09:00:00.000Z,${entries[0]._id},deposit,Deposit,50.00,50.00,USD`,
+        `2024-05-10T12:30:00.000Z,${entries[1]._id},withdrawal,Withdrawal,-12.50,37.50,USD`
+    ]);
+});
+
+test('an OFX export is an OFX 2 statement with stable FITIDs and the closing balance', async () => {
+    const { account, entries } = await openAccountWithHistory();
+    const first = await exportTransactions(account, { format: 'ofx', from: '2024-05-01', to: '2024-05-31' }, NOW);
+    const again = await exportTransactions(account, { format: 'OFX', from: '2024-05-05', to: '2024-06-01' }, NOW);
+
+    expect(first.body).toContain('<?OFX OFXHEADER="200" VERSION="220"');
+    expect(first.body).toContain(`<ACCTID>${account.accountNumber}</ACCTID>`);
+    expect(first.body).toContain('<TRNTYPE>CASH</TRNTYPE>\n<DTPOSTED>20240510123000.000[0:GMT]</DTPOSTED>\n<TRNAMT>-12.50</TRNAMT>');
+    expect(first.body).toContain('<BALAMT>37.50</BALAMT>');
+    // The withdrawal has the same id in both exports, so a re-import skips it
+    expect(first.body).toContain(`<FITID>${entries[1]._id}</FITID>`);
+    expect(again.body).toContain(`<FITID>${entries[1]._id}</FITID>`);
+    expect(again.body).not.toContain(`<FITID>${entries[0]._id}</FITID>`);
+    expect(again.body).toContain('<BALAMT>40.50</BALAMT>');
+});
+
+test('a QIF export is a bank register with the ledger id as reference number', async () => {
+    const { account, entries } = await openAccountWithHistory();
+    const file = await exportTransactions(account, { format: 'qif', from: '2024-05-02', to: '2024-05-31' }, NOW);
+
+    expect(file.body).toBe(`!Type:Bank\nD05/10/2024\nT-12.50\nN${entries[1]._id}\nPWithdrawal\nMwithdrawal\n^\n`);
+});
+
+test('an export needs a known format and a valid range', async () => {
+    const { account } = await openAccountWithHistory();
+    await expect(exportTransactions(account, { format: 'xls', from: '2024-05-01', to: '2024-05-31' }, NOW))
+        .rejects.toThrow('Format must be one of: csv, ofx, qif.');
+    await expect(exportTransactions(account, { format: 'csv', from: '2024-02-30', to: '2024-05-31' }, NOW))
+        .rejects.toThrow('The from date must be given as YYYY-MM-DD.');
+    await expect(exportTransactions(account, { format: 'csv', from: '2024-05-31', to: '2024-05-01' }, NOW))
+        .rejects.toThrow('The from date must not be after the to date.');
+});
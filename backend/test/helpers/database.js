@@ -0,0 +1,73 @@
+// database.js
+// ./backend/test/helpers/database.js
+//
+// Gives a test file its own in-memory MongoDB. Balance changes and most other writes run
+// inside transactions, which need a replica set, so this starts a single-node one.
+
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const mongoose = require('mongoose');
+const dal = require('../../dal');
+
+const DB_NAME = 'bankofbrown-test';
+
+// Collections the DAL writes to inside transactions. Collections cannot be created inside a
+// transaction on older servers, so they are created up front.
+const COLLECTIONS = [
+    'accounts',
+    'transactions',
+    'categoryRules',
+    'holds',
+    'restrictions',
+    'notifications',
+    'payees',
+    'billPayments',
+    'peerPayments',
+    'paymentRequests',
+    'checkDeposits',
+    'imports',
+    'interestAccruals'
+];
+
+/**
+ * Starts a replica set before the tests of the calling file, connects the DAL (and, if asked,
+ * mongoose) to it, empties every collection before each test and stops it all afterwards.
+ * @param {Object} [options] { mongoose }: true connects mongoose too, for the models and
+ *   repositories.
+ * @returns {Object} { db }, where db is the DAL's database once the tests start.
+ */
+function useReplicaSet({ mongoose: withMongoose = false } = {}) {
+    const context = {};
+    let replSet;
+
+    beforeAll(async () => {
+        replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+        const uri = replSet.getUri();
+        const setup = await dal.setupDAL(uri, DB_NAME);
+        context.db = setup.db;
+        for (const name of COLLECTIONS) {
+            await context.db.createCollection(name);
+        }
+        if (withMongoose) {
+            await mongoose.connect(uri, { dbName: DB_NAME });
+        }
+    });
+
+    afterAll(async () => {
+        if (withMongoose) {
+            await mongoose.disconnect();
+        }
+        await dal.disconnectFromMongo();
+        await replSet.stop();
+    });
+
+    beforeEach(async () => {
+        const collections = await context.db.collections();
+        for (const collection of collections) {
+            await collection.deleteMany({});
+        }
+    });
+
+    return context;
+}
+
+module.exports = { useReplicaSet };
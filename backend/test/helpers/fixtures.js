@@ -0,0 +1,20 @@
+// fixtures.js
+// ./backend/test/helpers/fixtures.js
+//
+// Customers and accounts that several test files start from.
+
+const dal = require('../../dal');
+
+/**
+ * Creates John with a checking account holding $50.00 and an empty savings account.
+ * @returns {Promise<Object>} { checking, savings }, the accounts as they were created.
+ */
+async function openAccounts() {
+    await dal.create('John Doe', 'john@example.com', 'password123');
+    const checking = await dal.createBankAccount('john@example.com', 'checking');
+    const savings = await dal.createBankAccount('john@example.com', 'savings');
+    await dal.deposit(checking.accountNumber, 5000);
+    return { checking, savings };
+}
+
+module.exports = { openAccounts };
@@ -0,0 +1,74 @@
+const dal = require('../dal');
+const { useReplicaSet } = require('./helpers/database');
+
+useReplicaSet();
+
+/**
+ * Creates a user with a checking account holding $10.00 and returns the account's number.
+ */
+async function openAccount() {
+    await dal.create('John Doe', 'john@example.com', 'password123');
+    const { accountNumber } = await dal.createBankAccount('john@example.com', 'checking');
+    await dal.deposit(accountNumber, 1000);
+    return accountNumber;
+}
+
+test('a hold reduces the available balance but not the ledger balance', async () => {
+    const accountNumber = await openAccount();
+    const hold = await dal.authorizeHold(accountNumber, 600, 'john@example.com', 'Coffee Shop');
+    expect(hold).toMatchObject({ status: 'authorized', amountCents: 600 });
+
+    expect(await dal.findAccount(accountNumber)).toMatchObject({ balanceCents: 1000, heldCents: 600 });
+    expect((await dal.getTransactionsByAccount(accountNumber)).length).toBe(1);
+
+    // Only the $4.00 not on hold can be withdrawn or held
+    await expect(dal.withdraw(accountNumber, 500)).rejects.toThrow('Insufficient funds.');
+    await expect(dal.authorizeHold(accountNumber, 500, 'john@example.com')).rejects.toThrow('Insufficient funds.');
+    await dal.withdraw(accountNumber, 400);
+});
+
+test('a partial capture debits the captured amount and releases the rest', async () => {
+    const accountNumber = await openAccount();
+    const hold = await dal.authorizeHold(accountNumber, 600, 'john@example.com', 'Fuel');
+
+    const { entry } = await dal.captureHold(hold._id.toString(), 450, 'john@example.com');
+    expect(entry).toMatchObject({ type: 'capture', amountCents: 450, balanceAfterCents: 550, holdId: hold._id, description: 'Fuel' });
+    expect(await dal.findAccount(accountNumber)).toMatchObject({ balanceCents: 550, heldCents: 0 });
+    expect(await dal.findHold(hold._id.toString())).toMatchObject({ status: 'captured', capturedCents: 450 });
+
+    // A hold is only ever captured or released once
+    await expect(dal.captureHold(hold._id.toString(), undefined, 'john@example.com')).rejects.toThrow('This hold has already been captured.');
+    await expect(dal.releaseHold(hold._id.toString())).rejects.toThrow('This hold has already been captured.');
+});
+
+test('a hold cannot be captured for more than was authorized', async () => {
+    const accountNumber = await openAccount();
+    const hold = await dal.authorizeHold(accountNumber, 600, 'john@example.com');
+    await expect(dal.captureHold(hold._id.toString(), 601, 'john@example.com'))
+        .rejects.toThrow('A hold cannot be captured for more than was authorized.');
+    expect(await dal.findAccount(accountNumber)).toMatchObject({ balanceCents: 1000, heldCents: 600 });
+});
+
+test('releasing a hold gives the amount back without touching the ledger', async () => {
+    const accountNumber = await openAccount();
+    const hold = await dal.authorizeHold(accountNumber, 600, 'john@example.com');
+
+    await dal.releaseHold(hold._id.toString());
+    expect(await dal.findAccount(accountNumber)).toMatchObject({ balanceCents: 1000, heldCents: 0 });
+    expect((await dal.getTransactionsByAccount(accountNumber)).length).toBe(1);
+});
+
+test('stale holds expire and can no longer be captured', async () => {
+    const accountNumber = await openAccount();
+    const placed = new Date('2024-03-01T12:00:00Z');
+    const hold = await dal.authorizeHold(accountNumber, 600, 'john@example.com', undefined, placed);
+
+    // Nothing has expired a day later
+    expect(await dal.expireHolds(new Date('2024-03-02T12:00:00Z'))).toBe(0);
+
+    const later = new Date(hold.expiresAt.getTime() + 1000);
+    await expect(dal.captureHold(hold._id.toString(), undefined, 'john@example.com', later)).rejects.toThrow('This hold has expired.');
+    expect(await dal.expireHolds(later)).toBe(1);
+    expect(await dal.findAccount(accountNumber)).toMatchObject({ balanceCents: 1000, heldCents: 0 });
+    expect(await dal.findHold(hold._id.toString())).toMatchObject({ status: 'expired' });
+});
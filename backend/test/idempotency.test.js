@@ -0,0 +1,150 @@
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const dal = require('../dal');
+const { idempotent } = require('../middlewares/idempotencyMiddleware');
+
+let mongod, db;
+
+beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    const setup = await dal.setupDAL(mongod.getUri(), 'bankofbrown-test');
+    db = setup.db;
+});
+
+afterAll(async () => {
+    await dal.disconnectFromMongo();
+    await mongod.stop();
+});
+
+beforeEach(async () => {
+    await db.collection('idempotencyKeys').deleteMany({});
+});
+
+/**
+ * Builds a mock request for POST /account/deposit with the given key and body.
+ */
+function mockRequest(key, body = { accountNumber: '1234567890', amount: '10.00' }) {
+    const headers = key ? { 'idempotency-key': key } : {};
+    return { method: 'POST', baseUrl: '/account', path: '/deposit', body, get: name => headers[name.toLowerCase()] };
+}
+
+/**
+ * Builds a mock response that resolves `sent` once json() has actually been called.
+ */
+function mockResponse() {
+    const res = { statusCode: 200, headers: {} };
+    res.sent = new Promise(resolve => {
+        res.status = jest.fn(code => { res.statusCode = code; return res; });
+        res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+        res.json = jest.fn(body => { res.body = body; resolve(); return res; });
+    });
+    return res;
+}
+
+/**
+ * Runs the middleware followed by a handler that counts how often it was reached.
+ */
+async function send(req, handler) {
+    const res = mockResponse();
+    await idempotent(req, res, () => handler(req, res));
+    await res.sent;
+    return res;
+}
+
+test('replays the stored response instead of running the route twice', async () => {
+    let applied = 0;
+    const handler = (req, res) => { applied++; res.json({ message: 'Deposit successful', balance: '10.00' }); };
+
+    const first = await send(mockRequest('abc'), handler);
+    const second = await send(mockRequest('abc'), handler);
+
+    expect(applied).toBe(1);
+    expect(second.statusCode).toBe(first.statusCode);
+    expect(second.body).toEqual(first.body);
+    expect(second.headers['Idempotent-Replayed']).toBe('true');
+});
+
+test('requests without a key are not deduplicated', async () => {
+    let applied = 0;
+    const handler = (req, res) => { applied++; res.json({}); };
+
+    await send(mockRequest(), handler);
+    await send(mockRequest(), handler);
+
+    expect(applied).toBe(2);
+});
+
+test('reusing a key for a different request is rejected', async () => {
+    const handler = (req, res) => res.json({});
+
+    await send(mockRequest('abc'), handler);
+    const reused = await send(mockRequest('abc', { accountNumber: '1234567890', amount: '99.00' }), handler);
+
+    expect(reused.statusCode).toBe(422);
+});
+
+test('server errors are forgotten so the request can be retried', async () => {
+    let attempts = 0;
+    const handler = (req, res) => {
+        attempts++;
+        if (attempts === 1) {
+            return res.status(500).json({ message: 'Internal server error' });
+        }
+        res.json({ message: 'Deposit successful' });
+    };
+
+    await send(mockRequest('abc'), handler);
+    const retry = await send(mockRequest('abc'), handler);
+
+    expect(attempts).toBe(2);
+    expect(retry.body).toEqual({ message: 'Deposit successful' });
+});
+
+test('expired keys no longer replay', async () => {
+    let applied = 0;
+    const handler = (req, res) => { applied++; res.json({}); };
+
+    await send(mockRequest('abc'), handler);
+    await db.collection('idempotencyKeys').updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+    await send(mockRequest('abc'), handler);
+
+    expect(applied).toBe(2);
+});
+
+test('a request that never finished holds its key only for its lease', async () => {
+    let applied = 0;
+    const handler = (req, res) => { applied++; res.json({ message: 'Deposit successful' }); };
+    // The first attempt's server stopped before it responded
+    await idempotent(mockRequest('abc'), mockResponse(), () => {});
+    const lease = await db.collection('idempotencyKeys').findOne({ key: 'abc' });
+    expect(lease.expiresAt.getTime() - lease.createdAt.getTime()).toBe(60 * 1000);
+
+    const blocked = await send(mockRequest('abc'), handler);
+    expect(blocked.statusCode).toBe(409);
+
+    await db.collection('idempotencyKeys').updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+    const retry = await send(mockRequest('abc'), handler);
+    expect(applied).toBe(1);
+    expect(retry.body).toEqual({ message: 'Deposit successful' });
+    // Once answered, the key is remembered for the full TTL
+    const stored = await db.collection('idempotencyKeys').findOne({ key: 'abc' });
+    expect(stored.expiresAt.getTime() - Date.now()).toBeGreaterThan(23 * 60 * 60 * 1000);
+});
+
+test('a key released while it is looked up is claimed again', async () => {
+    let applied = 0;
+    const handler = (req, res) => { applied++; res.json({}); };
+    await db.collection('idempotencyKeys').insertOne({ caller: null, key: 'abc', route: 'POST /account/deposit', status: 'processing', expiresAt: new Date(Date.now() + 60 * 1000) });
+    // The first request failed with a server error, which deleted the key, just after our claim lost to it
+    const keys = db.collection('idempotencyKeys');
+    const findOne = jest.spyOn(Object.getPrototypeOf(keys), 'findOne').mockImplementationOnce(async () => {
+        await keys.deleteMany({});
+        return null;
+    });
+    try {
+        await send(mockRequest('abc'), handler);
+    } finally {
+        findOne.mockRestore();
+    }
+
+    expect(applied).toBe(1);
+});
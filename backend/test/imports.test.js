@@ -0,0 +1,147 @@
+const { ObjectId } = require('mongodb');
+const dal = require('../dal');
+const { useReplicaSet } = require('./helpers/database');
+const { importTransactions } = require('../services/importService');
+
+const mongo = useReplicaSet();
+
+const NOW = new Date('2024-06-01T00:00:00Z');
+
+/**
+ * Opens a checking account with a $10.00 deposit made on 1 March 2024 and returns its number.
+ */
+async function openAccount() {
+    await dal.create('John Doe', 'john@example.com', 'password123');
+    const { accountNumber } = await dal.createBankAccount('john@example.com', 'checking');
+    await dal.deposit(accountNumber, 1000);
+    await mongo.db.collection('transactions').updateMany({ accountNumber }, { $set: { createdAt: new Date('2024-03-01T00:00:00Z') } });
+    return accountNumber;
+}
+
+/**
+ * A CSV file of legacy activity for an account: $50.00 in and $12.50 out in April.
+ */
+function legacyCsv(accountNumber) {
+    return [
+        'Account,Date,Amount,Description,Transaction ID',
+        `${accountNumber},2024-04-01,50.00,Opening balance,LEG-1`,
+        `${accountNumber},2024-04-15,-12.50,"Rent, April",LEG-2`
+    ].join('\r\n');
+}
+
+test('a dry run reports each bad row and changes nothing', async () => {
+    const accountNumber = await openAccount();
+    const csv = [
+        legacyCsv(accountNumber),
+        '99999999,2024-04-02,1.00,,',
+        `${accountNumber},2024-04-03,ten,,`,
+        `${accountNumber},2024-04-04,-5.00,,LEG-2`,
+        `${accountNumber},2024-04-05,99999999999999999,,`,
+        `${accountNumber},2024-02-01,1.00,Before the account's history,`
+    ].join('\r\n');
+
+    const report = await importTransactions(csv, 'csv', 'admin@example.com', {}, NOW);
+    expect(report.committed).toBe(false);
+    expect(report.rowCount).toBe(7);
+    expect(report.errors).toEqual([
+        { row: 4, message: 'Account 99999999 does not exist.' },
+        { row: 5, message: 'The amount must be a number such as 12.34 or -12.34.' },
+        { row: 6, message: 'Transaction LEG-2 appears more than once in the file.' },
+        { row: 7, message: 'The amount is too large.' },
+        { row: 8, message: `Account ${accountNumber} already has history up to 2024-03-01; only transactions from then on can be imported.` }
+    ]);
+    expect(report.accounts).toEqual([
+        { accountNumber, currency: 'USD', entryCount: 2, balanceBeforeCents: 1000, balanceAfterCents: 4750 }
+    ]);
+    expect((await dal.getTransactionsByAccount(accountNumber)).length).toBe(1);
+});
+
+test('a committed import adds the entries after the existing ones and recomputes the balance', async () => {
+    const accountNumber = await openAccount();
+    const report = await importTransactions(legacyCsv(accountNumber), 'csv', 'admin@example.com', { commit: true }, NOW);
+    expect(report).toMatchObject({ committed: true, errors: [] });
+
+    const ledger = (await dal.getTransactionsByAccount(accountNumber)).reverse();
+    expect(ledger.map(entry => [entry.type, entry.amountCents, entry.balanceAfterCents])).toEqual([
+        ['deposit', 1000, 1000],
+        ['deposit', 5000, 6000],
+        ['withdrawal', 1250, 4750]
+    ]);
+    expect(ledger[2]).toMatchObject({ externalId: 'LEG-2', description: 'Rent, April', importId: report.importId, initiatedBy: 'admin@example.com' });
+    expect(await dal.findAccount(accountNumber)).toMatchObject({ balanceCents: 4750 });
+    expect(await mongo.db.collection('imports').findOne({ _id: report.importId })).toMatchObject({ entryCount: 2, format: 'csv' });
+
+    // The same file again is turned away row by row
+    const again = await importTransactions(legacyCsv(accountNumber), 'csv', 'admin@example.com', { commit: true }, NOW);
+    expect(again.committed).toBe(false);
+    expect(again.errors[0]).toEqual({ row: 2, message: `Transaction LEG-1 has already been imported into account ${accountNumber}.` });
+});
+
+test('an OFX statement is imported with FITID as the transaction id', async () => {
+    const accountNumber = await openAccount();
+    const ofx = [
+        'OFXHEADER:100',
+        'DATA:OFXSGML',
+        '',
+        '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>',
+        '<CURDEF>USD',
+        `<BANKACCTFROM><BANKID>123<ACCTID>${accountNumber}<ACCTTYPE>CHECKING</BANKACCTFROM>`,
+        '<BANKTRANLIST>',
+        '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240410120000[-5:EST]<TRNAMT>20.00<FITID>OFX-1<NAME>Payroll</STMTTRN>',
+        '<STMTTRN><TRNTYPE>INT<DTPOSTED>20240430<TRNAMT>0.05<FITID>OFX-2<NAME>Interest</STMTTRN>',
+        '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+    ].join('\n');
+
+    const report = await importTransactions(ofx, 'ofx', 'admin@example.com', { commit: true }, NOW);
+    expect(report).toMatchObject({ committed: true, errors: [] });
+    const ledger = (await dal.getTransactionsByAccount(accountNumber)).reverse();
+    expect(ledger[1]).toMatchObject({ type: 'deposit', amountCents: 2000, externalId: 'OFX-1', createdAt: new Date('2024-04-10T17:00:00Z') });
+    expect(ledger[2]).toMatchObject({ type: 'interest', amountCents: 5, balanceAfterCents: 3005 });
+    expect(await dal.findAccount(accountNumber)).toMatchObject({ balanceCents: 3005 });
+});
+
+test('an import with any bad row imports nothing', async () => {
+    const accountNumber = await openAccount();
+    const csv = `${legacyCsv(accountNumber)}\r\n${accountNumber},2024-04-20,-50.00,Overdrawn,LEG-3`;
+
+    const report = await importTransactions(csv, 'csv', 'admin@example.com', { commit: true }, NOW);
+    expect(report.committed).toBe(false);
+    expect(report.errors).toEqual([{ row: 4, message: `This would take the balance of account ${accountNumber} below zero.` }]);
+    expect((await dal.getTransactionsByAccount(accountNumber)).length).toBe(1);
+    expect(await dal.findAccount(accountNumber)).toMatchObject({ balanceCents: 1000 });
+});
+
+test('entries after a complete statement cannot be slipped into the month it covers', async () => {
+    const accountNumber = await openAccount();
+    await mongo.db.collection('statements').insertOne({
+        accountNumber,
+        period: '2024-04',
+        periodEnd: new Date('2024-05-01T00:00:00Z'),
+        complete: true
+    });
+
+    const report = await importTransactions(legacyCsv(accountNumber), 'csv', 'admin@example.com', { commit: true }, NOW);
+    expect(report.committed).toBe(false);
+    expect(report.errors.map(error => error.row)).toEqual([2, 3]);
+    expect(report.errors[0].message).toContain('already has history up to 2024-05-01');
+});
+
+test('a transaction id is only ever in an account\'s ledger once', async () => {
+    const accountNumber = await openAccount();
+    const entry = () => ({ _id: new ObjectId(), type: 'deposit', amountCents: 500, createdAt: new Date('2024-04-01T00:00:00Z'), externalId: 'LEG-1' });
+    await dal.importLedgerEntries({ format: 'csv', importedBy: 'admin@example.com', accounts: [{ accountNumber, balanceCents: 1000, entries: [entry()] }] }, NOW);
+    await expect(dal.importLedgerEntries({ format: 'csv', importedBy: 'admin@example.com', accounts: [{ accountNumber, balanceCents: 1500, entries: [entry()] }] }, NOW))
+        .rejects.toMatchObject({ code: 11000 });
+
+    // An import that loses that race to another is reported row by row
+    const { importLedgerEntries } = dal;
+    jest.spyOn(dal, 'importLedgerEntries').mockImplementationOnce(async (batch, now) => {
+        await importLedgerEntries(batch, now);
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+    const csv = `Account,Date,Amount,Transaction ID\r\n${accountNumber},2024-04-02,5.00,LEG-9`;
+    const report = await importTransactions(csv, 'csv', 'admin@example.com', { commit: true }, NOW);
+    dal.importLedgerEntries.mockRestore();
+    expect(report.committed).toBe(false);
+    expect(report.errors).toEqual([{ row: 2, message: `Transaction LEG-9 has already been imported into account ${accountNumber}.` }]);
+});
@@ -0,0 +1,60 @@
+const dal = require('../dal');
+const { useReplicaSet } = require('./helpers/database');
+const { dailyInterestMicros, accrueAndCreditInterest, interestYearToDate } = require('../services/interestService');
+
+const mongo = useReplicaSet();
+
+/**
+ * Opens an account of the given type on 1 January 2024 with $1,000 deposited that morning.
+ */
+async function openAccount(email, accountType) {
+    await dal.create('John Doe', email, 'password123');
+    const account = await dal.createBankAccount(email, accountType);
+    await dal.deposit(account.accountNumber, 100000);
+    const opened = new Date('2024-01-01T10:00:00Z');
+    await mongo.db.collection('accounts').updateOne({ _id: account._id }, { $set: { createdAt: opened } });
+    await mongo.db.collection('transactions').updateMany({ accountNumber: account.accountNumber }, { $set: { createdAt: opened } });
+    return account.accountNumber;
+}
+
+test('daily interest is the annual rate over 365 days, in millionths of a cent', () => {
+    // $1,000 at 2% a year earns about 5.48 cents a day
+    expect(dailyInterestMicros(100000, 200)).toBe(5479452);
+    expect(dailyInterestMicros(0, 200)).toBe(0);
+    expect(dailyInterestMicros(-500, 200)).toBe(0);
+});
+
+test('accrues daily and credits each month once it has ended', async () => {
+    const accountNumber = await openAccount('john@example.com', 'savings');
+
+    const result = await accrueAndCreditInterest(new Date('2024-02-01T05:00:00Z'));
+    expect(result).toEqual({ daysAccrued: 31, monthsCredited: 1 });
+
+    const account = await dal.findAccount(accountNumber);
+    // 31 days at 5479452 millionths of a cent is 169.86 cents
+    expect(account.balanceCents).toBe(100170);
+    const entries = await dal.getTransactionsByAccount(accountNumber);
+    expect(entries[0]).toMatchObject({ type: 'interest', amountCents: 170, balanceAfterCents: 100170, interestPeriod: '2024-01' });
+
+    // Running again the same day changes nothing
+    expect(await accrueAndCreditInterest(new Date('2024-02-01T06:00:00Z'))).toEqual({ daysAccrued: 0, monthsCredited: 0 });
+    expect((await dal.findAccount(accountNumber)).balanceCents).toBe(100170);
+});
+
+test('accounts whose type earns no interest are left alone', async () => {
+    const accountNumber = await openAccount('john@example.com', 'checking');
+    await accrueAndCreditInterest(new Date('2024-02-01T05:00:00Z'));
+    expect((await dal.findAccount(accountNumber)).balanceCents).toBe(100000);
+});
+
+test('year-to-date interest includes credited and accrued interest', async () => {
+    await openAccount('john@example.com', 'savings');
+    await accrueAndCreditInterest(new Date('2024-02-11T05:00:00Z'));
+
+    const summary = await interestYearToDate('john@example.com', new Date('2024-02-11T05:00:00Z'));
+    expect(summary.year).toBe(2024);
+    expect(summary.accounts).toHaveLength(1);
+    expect(summary.accounts[0].creditedCents).toBe(170);
+    // 10 days of February, not credited until March
+    expect(summary.accounts[0].accruedCents).toBe(55);
+});
@@ -0,0 +1,66 @@
+const { parseAmount, formatAmount, assertPositiveCents, parseRate, formatRate, convertCents } = require('../money');
+const { ValidationError } = require('../middlewares/errorMiddleware');
+
+describe('parseAmount', () => {
+    test('converts decimal strings to integer cents', () => {
+        expect(parseAmount('12.34')).toBe(1234);
+        expect(parseAmount('12.3')).toBe(1230);
+        expect(parseAmount('12')).toBe(1200);
+        expect(parseAmount(' 0.10 ')).toBe(10);
+    });
+
+    test('accepts numbers with at most two fractional digits', () => {
+        expect(parseAmount(0.1)).toBe(10);
+        expect(parseAmount(19.99)).toBe(1999);
+    });
+
+    test('rejects more than two fractional digits', () => {
+        expect(() => parseAmount('1.005')).toThrow(ValidationError);
+    });
+
+    test('rejects anything that is not a plain decimal', () => {
+        ['', 'abc', '-5', '1e3', '1.2.3', null, undefined].forEach(value => {
+            expect(() => parseAmount(value)).toThrow(ValidationError);
+        });
+    });
+});
+
+describe('formatAmount', () => {
+    test('formats integer cents as decimal strings', () => {
+        expect(formatAmount(1234)).toBe('12.34');
+        expect(formatAmount(5)).toBe('0.05');
+        expect(formatAmount(0)).toBe('0.00');
+        expect(formatAmount(-1234)).toBe('-12.34');
+    });
+
+    test('round trips with parseAmount', () => {
+        expect(formatAmount(parseAmount('1000.01'))).toBe('1000.01');
+    });
+});
+
+describe('assertPositiveCents', () => {
+    test('only allows positive whole cents', () => {
+        expect(() => assertPositiveCents(1)).not.toThrow();
+        [0, -1, 1.5, NaN, '100'].forEach(value => {
+            expect(() => assertPositiveCents(value)).toThrow(ValidationError);
+        });
+    });
+});
+
+describe('exchange rates', () => {
+    test('are parsed into and formatted from whole millionths', () => {
+        expect(parseRate('0.92')).toBe(920000);
+        expect(parseRate('1.274513')).toBe(1274513);
+        expect(formatRate(920000)).toBe('0.920000');
+        ['0', '', '-1', '1.0000001', 'abc', null].forEach(value => {
+            expect(() => parseRate(value)).toThrow(ValidationError);
+        });
+    });
+
+    test('convert through the base currency, taking the spread off the result', () => {
+        // $100.00 into euros at 0.92 per dollar with a 0.5% spread: 92.00 less 0.46
+        expect(convertCents(10000, 1000000, 920000, 50)).toEqual({ amountCents: 9154, spreadCents: 46, rateMicros: 920000 });
+        // 100.00 euros into pounds at 0.92 euros and 0.79 pounds per dollar, without a spread
+        expect(convertCents(10000, 920000, 790000, 0)).toEqual({ amountCents: 8586, spreadCents: 0, rateMicros: 858696 });
+    });
+});
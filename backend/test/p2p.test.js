@@ -0,0 +1,66 @@
+const dal = require('../dal');
+const { useReplicaSet } = require('./helpers/database');
+const p2pService = require('../services/p2pService');
+const notificationService = require('../services/notificationService');
+
+const mongo = useReplicaSet();
+
+/**
+ * Creates John, with $100.00 in checking, and Jane, with a savings and a checking account,
+ * and returns their accounts.
+ */
+async function setUp() {
+    await dal.create('John Doe', 'john@example.com', 'password123');
+    await dal.create('Jane Smith', 'jane@example.com', 'password123');
+    await dal.updateUserProfile('jane@example.com', 'Jane Smith', '(555) 010-2030');
+    const johns = await dal.createBankAccount('john@example.com', 'checking');
+    await dal.deposit(johns.accountNumber, 10000);
+    const janesSavings = await dal.createBankAccount('jane@example.com', 'savings');
+    const janesChecking = await dal.createBankAccount('jane@example.com', 'checking');
+    return { johns: await dal.findAccount(johns.accountNumber), janesSavings, janesChecking };
+}
+
+test('recipients are found by email in any case or by the digits of their phone number', async () => {
+    const { janesChecking } = await setUp();
+    const byEmail = await p2pService.findRecipient('Jane@Example.com');
+    expect(byEmail.user.name).toBe('Jane Smith');
+    // Money goes to a checking account even if a savings account is older
+    expect(byEmail.account.accountNumber).toBe(janesChecking.accountNumber);
+    expect((await p2pService.findRecipient('+1 555-010-2030')).user.email).toBe('jane@example.com');
+
+    await expect(p2pService.findRecipient('nobody@example.com')).rejects.toThrow('No Bank of Brown customer');
+    await expect(p2pService.findRecipient('jane')).rejects.toThrow('Enter the email address or phone number');
+    await expect(p2pService.findRecipient('.*@example.com')).rejects.toThrow('No Bank of Brown customer');
+});
+
+test('a payment moves the money, records it for both sides and notifies the recipient', async () => {
+    const { johns, janesChecking } = await setUp();
+    const { payment, account } = await p2pService.sendPayment(johns, { to: '555 010 2030', amountCents: 2500, memo: 'Dinner' }, 'john@example.com');
+    expect(account.balanceCents).toBe(7500);
+    expect((await dal.findAccount(janesChecking.accountNumber)).balanceCents).toBe(2500);
+    expect(payment).toMatchObject({ fromEmail: 'john@example.com', toEmail: 'jane@example.com', senderName: 'John Doe', amountCents: 2500 });
+
+    const [sent] = await dal.getTransactionsByAccount(johns.accountNumber);
+    const [received] = await dal.getTransactionsByAccount(janesChecking.accountNumber);
+    expect(sent).toMatchObject({ type: 'transfer-out', peerPaymentId: payment._id, description: 'Payment to 555 010 2030: Dinner' });
+    expect(received).toMatchObject({ type: 'transfer-in', peerPaymentId: payment._id, description: 'Payment from John Doe: Dinner' });
+
+    const [notification] = await notificationService.listNotifications('jane@example.com', { unreadOnly: true });
+    expect(notification).toMatchObject({ type: 'p2p-received', message: 'John Doe sent you 25.00 USD: Dinner' });
+    await notificationService.markRead('jane@example.com', String(notification._id));
+    expect(await notificationService.listNotifications('jane@example.com', { unreadOnly: true })).toEqual([]);
+    await expect(notificationService.markRead('john@example.com', String(notification._id))).rejects.toThrow('Notification not found.');
+
+    expect(await p2pService.listPayments('jane@example.com')).toHaveLength(1);
+});
+
+test('nothing is sent, recorded or notified when the sender cannot cover the payment', async () => {
+    const { johns } = await setUp();
+    await expect(p2pService.sendPayment(johns, { to: 'jane@example.com', amountCents: 20000 }, 'john@example.com'))
+        .rejects.toThrow();
+    await expect(p2pService.sendPayment(johns, { to: 'john@example.com', amountCents: 100 }, 'john@example.com'))
+        .rejects.toThrow('You cannot send a payment to yourself.');
+    expect(await mongo.db.collection('peerPayments').countDocuments()).toBe(0);
+    expect(await notificationService.listNotifications('jane@example.com')).toEqual([]);
+    expect((await dal.findAccount(johns.accountNumber)).balanceCents).toBe(10000);
+});
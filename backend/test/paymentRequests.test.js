@@ -0,0 +1,89 @@
+const dal = require('../dal');
+const { useReplicaSet } = require('./helpers/database');
+const paymentRequestService = require('../services/paymentRequestService');
+const notificationService = require('../services/notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+useReplicaSet();
+
+/**
+ * Creates John, Jane and Bob with a checking account each, holding $100.00 for Jane and
+ * Bob, and has John ask them to split a $90.00 dinner.
+ */
+async function splitDinner(now) {
+    const accounts = {};
+    for (const [name, email] of [['John Doe', 'john@example.com'], ['Jane Smith', 'jane@example.com'], ['Bob Stone', 'bob@example.com']]) {
+        await dal.create(name, email, 'password123');
+        accounts[email] = await dal.createBankAccount(email, 'checking');
+    }
+    await dal.deposit(accounts['jane@example.com'].accountNumber, 10000);
+    await dal.deposit(accounts['bob@example.com'].accountNumber, 10000);
+    const requests = await paymentRequestService.createRequests(accounts['john@example.com'], {
+        from: ['jane@example.com', 'bob@example.com'],
+        amountCents: 9000,
+        split: true,
+        memo: 'Dinner'
+    }, now);
+    return { accounts, requests };
+}
+
+test('splitting a bill asks each person for their share and notifies them', async () => {
+    const now = new Date('2024-05-15T12:00:00Z');
+    const { accounts, requests } = await splitDinner(now);
+    expect(requests).toHaveLength(2);
+    expect(requests.map(request => request.amountCents)).toEqual([3000, 3000]);
+    expect(requests[0].splitId).toEqual(requests[1].splitId);
+
+    expect(await paymentRequestService.listRequests('john@example.com')).toHaveLength(2);
+    expect(await paymentRequestService.listRequests('jane@example.com')).toHaveLength(1);
+    const [notification] = await notificationService.listNotifications('jane@example.com');
+    expect(notification.message).toBe('John Doe requested 30.00 USD: Dinner');
+
+    expect(paymentRequestService.splitShare(100, 2)).toBe(33);
+    await expect(paymentRequestService.createRequests(accounts['john@example.com'], { from: ['jane@example.com', 'Jane@example.com'], amountCents: 100 }))
+        .rejects.toThrow('is on the list more than once.');
+});
+
+test('paying a request sends the money once; declining tells the requester why', async () => {
+    const now = new Date('2024-05-15T12:00:00Z');
+    const { accounts, requests: [janes, bobs] } = await splitDinner(now);
+    const janesAccount = await dal.findAccount(accounts['jane@example.com'].accountNumber);
+
+    const { request, account } = await paymentRequestService.payRequest(janes, janesAccount, 'jane@example.com', now);
+    expect(request.status).toBe('paid');
+    expect(account.balanceCents).toBe(7000);
+    expect((await dal.findAccount(accounts['john@example.com'].accountNumber)).balanceCents).toBe(3000);
+    await expect(paymentRequestService.payRequest(janes, janesAccount, 'jane@example.com', now))
+        .rejects.toThrow('This request has already been paid.');
+    await expect(paymentRequestService.payRequest(bobs, janesAccount, 'jane@example.com', now))
+        .rejects.toThrow('A request can only be paid from an account of the person it was sent to.');
+
+    await paymentRequestService.declineRequest(bobs, 'I had the salad', now);
+    const messages = (await notificationService.listNotifications('john@example.com')).map(notification => notification.message);
+    expect(messages).toEqual([
+        'Bob Stone declined your request for 30.00 USD: Dinner (I had the salad)',
+        'Jane Smith sent you 30.00 USD: Dinner'
+    ]);
+    expect(await paymentRequestService.listRequests('john@example.com')).toEqual([]);
+});
+
+test('unanswered requests are reminded of and then expire', async () => {
+    const now = new Date('2024-05-15T12:00:00Z');
+    const { requests: [janes] } = await splitDinner(now);
+    await paymentRequestService.cancelRequest(janes, now);
+
+    const later = new Date(now.getTime() + 3 * DAY_MS);
+    expect(await paymentRequestService.processRequests(later)).toEqual({ expired: 0, reminded: 1 });
+    const [bobs] = await paymentRequestService.listRequests('bob@example.com');
+    await expect(paymentRequestService.remindRequest(bobs, new Date(later.getTime() + 60 * 1000)))
+        .rejects.toThrow('A reminder was sent less than a day ago.');
+    await paymentRequestService.remindRequest(bobs, new Date(later.getTime() + DAY_MS));
+
+    const afterExpiry = new Date(now.getTime() + 15 * DAY_MS);
+    expect(await paymentRequestService.processRequests(afterExpiry)).toEqual({ expired: 1, reminded: 0 });
+    await expect(paymentRequestService.declineRequest(bobs, '', afterExpiry)).rejects.toThrow('This request has expired.');
+    const [expired] = await notificationService.listNotifications('john@example.com');
+    expect(expired.message).toBe('Your request to Bob Stone for 30.00 USD: Dinner expired');
+    expect((await paymentRequestService.listRequests('bob@example.com', 'expired'))[0].reminderCount).toBe(2);
+});
@@ -0,0 +1,83 @@
+const dal = require('../dal');
+const { hasPermission, permissionsFor, requirePermission } = require('../middlewares/permissionMiddleware');
+const { requireAccountOwner } = require('../middlewares/ownershipMiddleware');
+
+/**
+ * Runs a middleware against a fake request and resolves with what it did.
+ */
+function run(middleware, req) {
+    return new Promise((resolve, reject) => {
+        const res = {
+            status(code) { this.statusCode = code; return this; },
+            json(body) { resolve({ statusCode: this.statusCode, body }); return this; }
+        };
+        Promise.resolve(middleware(req, res, () => resolve({ next: true }))).catch(reject);
+    });
+}
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('hasPermission', () => {
+    test('plain users hold no staff permissions', () => {
+        expect(permissionsFor('user')).toEqual([]);
+    });
+
+    test('bank employees may see and act on any account but not manage roles', () => {
+        expect(hasPermission('bank employee', 'accounts:list-all')).toBe(true);
+        expect(hasPermission('bank employee', 'accounts:act-on-any')).toBe(true);
+        expect(hasPermission('bank employee', 'roles:manage')).toBe(false);
+    });
+
+    test('admins may manage roles', () => {
+        expect(hasPermission('admin', 'roles:manage')).toBe(true);
+    });
+
+    test('unknown permissions are denied', () => {
+        expect(hasPermission('admin', 'no-such-permission')).toBe(false);
+    });
+});
+
+describe('requirePermission', () => {
+    test('rejects callers whose role lacks the permission', async () => {
+        jest.spyOn(dal, 'findUserRole').mockResolvedValue('user');
+        const result = await run(requirePermission('accounts:list-all'), { user: { email: 'john@example.com' } });
+        expect(result.statusCode).toBe(403);
+    });
+
+    test('lets callers through whose role holds the permission', async () => {
+        jest.spyOn(dal, 'findUserRole').mockResolvedValue('bank employee');
+        const req = { user: { email: 'teller@example.com' } };
+        const result = await run(requirePermission('accounts:list-all'), req);
+        expect(result.next).toBe(true);
+        expect(req.user.role).toBe('bank employee');
+    });
+
+    test('treats callers without a user record as plain users', async () => {
+        jest.spyOn(dal, 'findUserRole').mockResolvedValue(null);
+        const result = await run(requirePermission('roles:manage'), { user: { email: 'nobody@example.com' } });
+        expect(result.statusCode).toBe(403);
+    });
+});
+
+describe('requireAccountOwner', () => {
+    const account = { accountNumber: '1234567890', ownerEmail: 'john@example.com' };
+    const byBody = requireAccountOwner(req => req.body.accountNumber);
+
+    test("answers plain users acting on someone else's account as if it did not exist", async () => {
+        jest.spyOn(dal, 'findAccount').mockResolvedValue(account);
+        jest.spyOn(dal, 'findUserRole').mockResolvedValue('user');
+        const result = await run(byBody, { user: { email: 'jane@example.com' }, body: { accountNumber: account.accountNumber } });
+        expect(result).toEqual({ statusCode: 404, body: { message: 'Account not found' } });
+    });
+
+    test("lets bank employees act on someone else's account", async () => {
+        jest.spyOn(dal, 'findAccount').mockResolvedValue(account);
+        jest.spyOn(dal, 'findUserRole').mockResolvedValue('bank employee');
+        const req = { user: { email: 'teller@example.com' }, body: { accountNumber: account.accountNumber } };
+        const result = await run(byBody, req);
+        expect(result.next).toBe(true);
+        expect(req.account).toBe(account);
+    });
+});
@@ -0,0 +1,121 @@
+const { ObjectId } = require('mongodb');
+const dal = require('../dal');
+const { useReplicaSet } = require('./helpers/database');
+const { openAccounts } = require('./helpers/fixtures');
+const billPayService = require('../services/billPayService');
+const { importTransactions } = require('../services/importService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const mongo = useReplicaSet();
+
+test('a frozen account can be paid into but not debited until the freeze is lifted', async () => {
+    const { checking, savings } = await openAccounts();
+    const { restriction } = await dal.placeRestriction(checking.accountNumber, { type: 'freeze', reason: 'Suspected fraud' }, 'staff@example.com');
+
+    await expect(dal.withdraw(checking.accountNumber, 100)).rejects.toMatchObject({ code: 'ACCOUNT_FROZEN', statusCode: 403 });
+    await expect(dal.transfer(checking.accountNumber, savings.accountNumber, 100)).rejects.toMatchObject({ code: 'ACCOUNT_FROZEN' });
+    await expect(dal.authorizeHold(checking.accountNumber, 100, 'john@example.com')).rejects.toMatchObject({ code: 'ACCOUNT_FROZEN' });
+    await dal.deposit(checking.accountNumber, 100);
+    expect((await dal.findAccount(checking.accountNumber)).balanceCents).toBe(5100);
+
+    // The owner is told, but not why
+    const notice = await mongo.db.collection('notifications').findOne({ email: 'john@example.com', type: 'account-restricted' });
+    expect(notice.message).not.toContain('fraud');
+
+    await dal.liftRestriction(restriction._id, 'staff@example.com');
+    await dal.withdraw(checking.accountNumber, 100);
+    await expect(dal.liftRestriction(restriction._id, 'staff@example.com')).rejects.toThrow('This restriction has already been lifted.');
+});
+
+test('a locked account cannot be paid into or debited', async () => {
+    const { checking, savings } = await openAccounts();
+    await dal.placeRestriction(savings.accountNumber, { type: 'lock', reason: 'Court order' }, 'staff@example.com');
+
+    await expect(dal.deposit(savings.accountNumber, 100)).rejects.toMatchObject({ code: 'ACCOUNT_LOCKED' });
+    await expect(dal.transfer(checking.accountNumber, savings.accountNumber, 100)).rejects.toMatchObject({ code: 'ACCOUNT_LOCKED' });
+    // Nothing left the checking account either
+    expect((await dal.findAccount(checking.accountNumber)).balanceCents).toBe(5000);
+});
+
+test('money under a legal hold cannot be used', async () => {
+    const { checking, savings } = await openAccounts();
+    const { account } = await dal.placeRestriction(checking.accountNumber, { type: 'legal-hold', amountCents: 3000, reason: 'Garnishment' }, 'staff@example.com');
+    expect(account.legalHoldCents).toBe(3000);
+
+    await dal.transfer(checking.accountNumber, savings.accountNumber, 2000);
+    await expect(dal.withdraw(checking.accountNumber, 100)).rejects.toMatchObject({ code: 'LEGAL_HOLD' });
+    await expect(dal.closeAccount(checking.accountNumber, { disburseToAccountNumber: savings.accountNumber }, 'john@example.com'))
+        .rejects.toMatchObject({ code: 'LEGAL_HOLD' });
+});
+
+test('restrictions end on their own once they expire', async () => {
+    const now = new Date('2024-05-15T12:00:00Z');
+    const { checking } = await openAccounts();
+    await expect(dal.placeRestriction(checking.accountNumber, { type: 'freeze', reason: 'Review', expiresAt: now }, 'staff@example.com', now))
+        .rejects.toThrow('The expiry must be a date in the future.');
+    await expect(dal.placeRestriction(checking.accountNumber, { type: 'freeze', reason: ' ' }, 'staff@example.com', now))
+        .rejects.toThrow('A reason of 1 to 200 characters is required.');
+    const { restriction } = await dal.placeRestriction(checking.accountNumber, { type: 'legal-hold', amountCents: 1000, reason: 'Levy', expiresAt: new Date(now.getTime() + DAY_MS) }, 'staff@example.com', now);
+
+    expect(await dal.expireRestrictions(now)).toBe(0);
+    expect(await dal.expireRestrictions(new Date(now.getTime() + 2 * DAY_MS))).toBe(1);
+    const account = await dal.findAccount(checking.accountNumber);
+    expect(account.legalHoldCents).toBe(0);
+    expect(account.restrictions).toEqual([]);
+    expect((await dal.findRestriction(restriction._id)).status).toBe('expired');
+    await expect(dal.liftRestriction(restriction._id, 'staff@example.com')).rejects.toThrow('This restriction has already expired.');
+});
+
+test('a bill payment blocked by a legal hold fails rather than being debited later', async () => {
+    const now = new Date('2024-05-15T12:00:00Z');
+    const { checking } = await openAccounts();
+    const payee = await billPayService.createPayee('john@example.com', {
+        name: 'City Power & Light',
+        address: { line1: '1 Main St', city: 'Springfield', state: 'IL', postalCode: '62701' },
+        accountNumber: '00123456789',
+        routingNumber: '021000021'
+    });
+    const { restriction } = await dal.placeRestriction(checking.accountNumber, { type: 'legal-hold', amountCents: 4000, reason: 'Levy' }, 'staff@example.com', now);
+
+    const account = await dal.findAccount(checking.accountNumber);
+    await expect(billPayService.createBillPayment(account, { payeeId: String(payee._id), amountCents: 2000 }, 'john@example.com', now))
+        .rejects.toMatchObject({ code: 'LEGAL_HOLD' });
+    const [payment] = await billPayService.listBillPayments('john@example.com');
+    expect(payment.status).toBe('failed');
+
+    await dal.liftRestriction(restriction._id, 'staff@example.com', now);
+    expect(await billPayService.settleBillPayments(now)).toEqual({ sent: 0, debited: 0, failed: 0 });
+    expect((await dal.findAccount(checking.accountNumber)).balanceCents).toBe(5000);
+});
+
+test('imports cannot move money where a restriction forbids it', async () => {
+    const now = new Date('2024-06-01T00:00:00Z');
+    const { checking, savings } = await openAccounts();
+    // Imports can only add to the end of an account's history
+    await mongo.db.collection('transactions').updateMany({}, { $set: { createdAt: new Date('2024-03-01T00:00:00Z') } });
+    await dal.placeRestriction(checking.accountNumber, { type: 'freeze', reason: 'Review' }, 'staff@example.com');
+    await dal.placeRestriction(savings.accountNumber, { type: 'lock', reason: 'Court order' }, 'staff@example.com');
+    const csv = [
+        'Account,Date,Amount',
+        `${checking.accountNumber},2024-04-01,-5.00`,
+        `${savings.accountNumber},2024-04-01,5.00`
+    ].join('\r\n');
+
+    const report = await importTransactions(csv, 'csv', 'admin@example.com', { commit: true }, now);
+    expect(report.committed).toBe(false);
+    expect(report.errors).toEqual([
+        { row: 2, message: `Account ${checking.accountNumber} is frozen; no money can be taken out of it.` },
+        { row: 3, message: `Account ${savings.accountNumber} is locked; no money can be paid into or taken out of it.` }
+    ]);
+
+    // Money can still be paid into the frozen account
+    const deposit = await importTransactions(`Account,Date,Amount\r\n${checking.accountNumber},2024-04-01,5.00`, 'csv', 'admin@example.com', { commit: true }, now);
+    expect(deposit.committed).toBe(true);
+    await expect(dal.importLedgerEntries({
+        format: 'csv',
+        importedBy: 'admin@example.com',
+        accounts: [{ accountNumber: savings.accountNumber, balanceCents: 0, entries: [{ _id: new ObjectId(), type: 'deposit', amountCents: 500, createdAt: now }] }]
+    }, now)).rejects.toMatchObject({ code: 'ACCOUNT_LOCKED' });
+    expect((await dal.findAccount(savings.accountNumber)).balanceCents).toBe(0);
+});
@@ -0,0 +1,168 @@
+const dal = require('../dal');
+const { useReplicaSet } = require('./helpers/database');
+const scheduleService = require('../services/scheduleService');
+
+useReplicaSet();
+
+/**
+ * Creates a user with a checking account holding the given balance and a savings account.
+ */
+async function createCustomer(email, balanceCents) {
+    await dal.create('John Doe', email, 'password123');
+    const checking = await dal.createBankAccount(email, 'checking');
+    const savings = await dal.createBankAccount(email, 'savings');
+    if (balanceCents > 0) {
+        await dal.deposit(checking.accountNumber, balanceCents);
+    }
+    return { checking: await dal.findAccount(checking.accountNumber), savings };
+}
+
+/**
+ * Returns a date the given number of days after today at midnight UTC.
+ */
+function daysFromToday(days) {
+    const date = new Date();
+    date.setUTCHours(0, 0, 0, 0);
+    return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+describe('nextOccurrence', () => {
+    test('monthly schedules keep their day of the month', () => {
+        const next = scheduleService.nextOccurrence({ frequency: 'monthly', dayOfMonth: 1 }, new Date('2024-01-01T00:00:00Z'));
+        expect(next.toISOString()).toBe('2024-02-01T00:00:00.000Z');
+    });
+
+    test('monthly schedules fall back to the end of shorter months', () => {
+        const schedule = { frequency: 'monthly', dayOfMonth: 31 };
+        const february = scheduleService.nextOccurrence(schedule, new Date('2024-01-31T00:00:00Z'));
+        expect(february.toISOString()).toBe('2024-02-29T00:00:00.000Z');
+        const march = scheduleService.nextOccurrence(schedule, february);
+        expect(march.toISOString()).toBe('2024-03-31T00:00:00.000Z');
+    });
+
+    test('one-off schedules have no next occurrence', () => {
+        expect(scheduleService.nextOccurrence({ frequency: 'once' }, new Date())).toBeNull();
+    });
+});
+
+describe('scheduled transfers', () => {
+    test('rejects a start date in the past', async () => {
+        const { checking, savings } = await createCustomer('john@example.com', 10000);
+        await expect(scheduleService.createSchedule({
+            fromAccount: checking, toAccountNumber: savings.accountNumber, amountCents: 100,
+            frequency: 'once', startDate: daysFromToday(-1).toISOString(), createdBy: 'john@example.com'
+        })).rejects.toThrow('Start date cannot be in the past.');
+    });
+
+    test('makes a due transfer, records the run and moves on to the next occurrence', async () => {
+        const { checking, savings } = await createCustomer('john@example.com', 50000);
+        const schedule = await scheduleService.createSchedule({
+            fromAccount: checking, toAccountNumber: savings.accountNumber, amountCents: 20000,
+            frequency: 'monthly', startDate: daysFromToday(0).toISOString(), createdBy: 'john@example.com'
+        });
+
+        const count = await scheduleService.runDueSchedules(daysFromToday(0));
+        expect(count).toBe(1);
+        expect((await dal.findAccount(checking.accountNumber)).balanceCents).toBe(30000);
+        expect((await dal.findAccount(savings.accountNumber)).balanceCents).toBe(20000);
+
+        const runs = await scheduleService.listRuns(schedule._id);
+        expect(runs).toHaveLength(1);
+        expect(runs[0].status).toBe('succeeded');
+
+        const updated = await scheduleService.findSchedule(String(schedule._id));
+        expect(updated.status).toBe('active');
+        expect(updated.nextRunAt.getTime()).toBe(scheduleService.nextOccurrence(schedule, schedule.startDate).getTime());
+
+        // Running again at the same time finds nothing due
+        expect(await scheduleService.runDueSchedules(daysFromToday(0))).toBe(0);
+    });
+
+    test('retries when funds are insufficient and skips the occurrence once retries run out', async () => {
+        const { checking, savings } = await createCustomer('john@example.com', 100);
+        const schedule = await scheduleService.createSchedule({
+            fromAccount: checking, toAccountNumber: savings.accountNumber, amountCents: 20000,
+            frequency: 'once', startDate: daysFromToday(0).toISOString(), createdBy: 'john@example.com'
+        });
+
+        // Each retry is due an hour after the previous attempt
+        let now = daysFromToday(0);
+        for (let attempt = 0; attempt < 4; attempt++) {
+            expect(await scheduleService.runDueSchedules(now)).toBe(1);
+            now = new Date(now.getTime() + 60 * 60 * 1000);
+        }
+
+        const runs = await scheduleService.listRuns(schedule._id);
+        expect(runs.map(run => run.status)).toEqual(['skipped', 'retrying', 'retrying', 'retrying']);
+        expect((await scheduleService.findSchedule(String(schedule._id))).status).toBe('failed');
+        expect((await dal.findAccount(checking.accountNumber)).balanceCents).toBe(100);
+    });
+
+    test('keeps a recurring schedule going while its account is frozen', async () => {
+        const { checking, savings } = await createCustomer('john@example.com', 50000);
+        const schedule = await scheduleService.createSchedule({
+            fromAccount: checking, toAccountNumber: savings.accountNumber, amountCents: 100,
+            frequency: 'daily', startDate: daysFromToday(0).toISOString(), createdBy: 'john@example.com'
+        });
+        const { restriction } = await dal.placeRestriction(checking.accountNumber, { type: 'freeze', reason: 'Review' }, 'staff@example.com');
+
+        // The frozen occurrence is retried like one the balance could not cover, then skipped
+        let now = daysFromToday(0);
+        for (let attempt = 0; attempt < 4; attempt++) {
+            expect(await scheduleService.runDueSchedules(now)).toBe(1);
+            now = new Date(now.getTime() + 60 * 60 * 1000);
+        }
+        const skipped = await scheduleService.findSchedule(String(schedule._id));
+        expect(skipped.status).toBe('active');
+        expect(skipped.nextRunAt.getTime()).toBe(daysFromToday(1).getTime());
+
+        await dal.liftRestriction(restriction._id, 'staff@example.com');
+        expect(await scheduleService.runDueSchedules(daysFromToday(1))).toBe(1);
+        const runs = await scheduleService.listRuns(schedule._id);
+        expect(runs[0].status).toBe('succeeded');
+        expect((await dal.findAccount(checking.accountNumber)).balanceCents).toBe(49900);
+    });
+
+    test('does not repeat a transfer that was made before the runner stopped', async () => {
+        const { checking, savings } = await createCustomer('john@example.com', 50000);
+        const schedule = await scheduleService.createSchedule({
+            fromAccount: checking, toAccountNumber: savings.accountNumber, amountCents: 20000,
+            frequency: 'once', startDate: daysFromToday(0).toISOString(), createdBy: 'john@example.com'
+        });
+        // The transfer went through but the schedule was never moved on
+        await dal.transfer(checking.accountNumber, savings.accountNumber, 20000, 'john@example.com', {
+            scheduleId: schedule._id,
+            scheduledFor: schedule.occurrenceAt
+        });
+
+        await scheduleService.runDueSchedules(daysFromToday(0));
+        expect((await dal.findAccount(checking.accountNumber)).balanceCents).toBe(30000);
+        expect((await scheduleService.findSchedule(String(schedule._id))).status).toBe('completed');
+    });
+
+    test('paused and cancelled schedules do not run', async () => {
+        const { checking, savings } = await createCustomer('john@example.com', 50000);
+        const params = {
+            fromAccount: checking, toAccountNumber: savings.accountNumber, amountCents: 100,
+            frequency: 'daily', startDate: daysFromToday(0).toISOString(), createdBy: 'john@example.com'
+        };
+        const paused = await scheduleService.pauseSchedule(await scheduleService.createSchedule(params));
+        await scheduleService.cancelSchedule(await scheduleService.createSchedule(params));
+
+        expect(await scheduleService.runDueSchedules(daysFromToday(0))).toBe(0);
+        await expect(scheduleService.pauseSchedule(paused)).rejects.toThrow('Only active schedules can be paused.');
+    });
+
+    test('resuming skips occurrences missed while paused', async () => {
+        const { checking, savings } = await createCustomer('john@example.com', 50000);
+        const schedule = await scheduleService.createSchedule({
+            fromAccount: checking, toAccountNumber: savings.accountNumber, amountCents: 100,
+            frequency: 'daily', startDate: daysFromToday(0).toISOString(), createdBy: 'john@example.com'
+        });
+        const paused = await scheduleService.pauseSchedule(schedule);
+
+        const resumed = await scheduleService.resumeSchedule(paused, new Date(daysFromToday(3).getTime() + 1));
+        expect(resumed.status).toBe('active');
+        expect(resumed.nextRunAt.getTime()).toBe(daysFromToday(4).getTime());
+    });
+});
@@ -0,0 +1,152 @@
+const http = require('http');
+const express = require('express');
+
+// Every request below is made by john@example.com; the token itself is covered by authMiddleware.test.js
+jest.mock('../middlewares/authMiddleware', () => ({
+    authenticateToken: (req, res, next) => next(),
+    verifyAuth0Token: (req, res, next) => {
+        req.user = { email: 'john@example.com' };
+        next();
+    }
+}));
+jest.mock('bcrypt', () => ({ hash: jest.fn(async () => '$2b$10$hashedpassword') }));
+
+const dal = require('../dal');
+const accountRouter = require('../controllers/accountController');
+const transactionRouter = require('../controllers/transactionController');
+const { maskAccountNumber, maskName, serializeAccount, serializeTransaction } = require('../serializers');
+
+const PASSWORD_HASH = '$2b$10$hashedpassword';
+// Fields that must never appear anywhere in a response body
+const SENSITIVE_FIELDS = ['password', '_id', 'accountId', 'balanceCents', 'amountCents', 'balanceAfterCents'];
+
+const john = { _id: 'u1', name: 'John', email: 'john@example.com', password: PASSWORD_HASH, role: 'user', phoneNumber: '555-0100' };
+const johnsChecking = { _id: 'a1', accountNumber: '1111111111', ownerEmail: 'john@example.com', accountType: 'checking', balanceCents: 1234, createdAt: new Date() };
+const janesChecking = { _id: 'a2', accountNumber: '2222222222', ownerEmail: 'jane@example.com', accountType: 'checking', balanceCents: 500, createdAt: new Date() };
+const transferOut = {
+    _id: 't1', accountId: 'a1', accountNumber: '1111111111', email: 'john@example.com', type: 'transfer-out',
+    amountCents: 100, balanceAfterCents: 1134, initiatedBy: 'john@example.com', transferId: 'x1',
+    counterpartyAccountNumber: '2222222222', createdAt: new Date()
+};
+
+let server, baseUrl;
+
+beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/account', accountRouter);
+    app.use('/transactions', transactionRouter);
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    jest.spyOn(dal, 'find').mockResolvedValue([john]);
+    jest.spyOn(dal, 'findOne').mockResolvedValue(john);
+    jest.spyOn(dal, 'update').mockResolvedValue(john);
+    jest.spyOn(dal, 'findUserByEmail').mockResolvedValue({ name: john.name, phoneNumber: john.phoneNumber, accounts: [johnsChecking] });
+    jest.spyOn(dal, 'findAccountsByEmail').mockResolvedValue([johnsChecking]);
+    jest.spyOn(dal, 'allAccounts').mockResolvedValue([johnsChecking, janesChecking]);
+    jest.spyOn(dal, 'createBankAccount').mockResolvedValue(johnsChecking);
+    jest.spyOn(dal, 'getTransactionsByEmail').mockResolvedValue([transferOut]);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+/**
+ * Sends a JSON request to the test server and resolves with the status and parsed body.
+ */
+async function request(method, path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Fails the test if a sensitive field name or the password hash appears anywhere in the body.
+ */
+function expectNoSensitiveFields(body) {
+    const text = JSON.stringify(body);
+    expect(text).not.toContain(PASSWORD_HASH);
+    for (const field of SENSITIVE_FIELDS) {
+        expect(text).not.toContain(`"${field}"`);
+    }
+}
+
+describe('responses never contain sensitive fields', () => {
+    test('POST /account/create', async () => {
+        jest.spyOn(dal, 'find').mockResolvedValue([]);
+        jest.spyOn(dal, 'createUser').mockResolvedValue({ ...john, accounts: [johnsChecking] });
+        const { status, body } = await request('POST', '/account/create', { name: 'John', email: john.email, password: 'secret' });
+        expect(status).toBe(201);
+        expect(body.user.email).toBe(john.email);
+        expectNoSensitiveFields(body);
+    });
+
+    test.each([
+        ['POST', '/account/find'],
+        ['POST', '/account/findOne'],
+        ['POST', '/account/update'],
+        ['GET', '/account/profile'],
+        ['GET', '/account/data'],
+        ['GET', '/account/accounts'],
+        ['POST', '/account/createbank'],
+        ['GET', '/transactions']
+    ])('%s %s', async (method, path) => {
+        const { status, body } = await request(method, path, method === 'GET' ? undefined : { name: 'John', accountType: 'checking' });
+        expect(status).toBeLessThan(300);
+        expectNoSensitiveFields(body);
+    });
+
+    test('GET /account/all', async () => {
+        jest.spyOn(dal, 'findUserRole').mockResolvedValue('bank employee');
+        const { status, body } = await request('GET', '/account/all');
+        expect(status).toBe(200);
+        expect(body).toHaveLength(2);
+        expectNoSensitiveFields(body);
+    });
+});
+
+describe('names', () => {
+    test('are masked down to the first letter of each part', () => {
+        expect(maskName('Jane  van Smith')).toBe('J*** v** S****');
+    });
+});
+
+describe('account numbers', () => {
+    test('are masked down to the last four digits', () => {
+        expect(maskAccountNumber('1234567890')).toBe('******7890');
+    });
+
+    test('are shown in full to the owner', () => {
+        expect(serializeAccount(johnsChecking, { email: 'john@example.com' }).accountNumber).toBe('1111111111');
+    });
+
+    test('are masked for other customers', () => {
+        expect(serializeAccount(johnsChecking, { email: 'jane@example.com', role: 'user' }).accountNumber).toBe('******1111');
+    });
+
+    test('are shown in full to bank employees', () => {
+        expect(serializeAccount(johnsChecking, { email: 'teller@example.com', role: 'bank employee' }).accountNumber).toBe('1111111111');
+    });
+
+    test("are masked for the other side of a transfer to someone else's account", async () => {
+        const { body } = await request('GET', '/transactions');
+        expect(body[0].counterpartyAccountNumber).toBe('******2222');
+    });
+
+    test('are shown in full for transfers between the viewer\'s own accounts', () => {
+        const entry = serializeTransaction(transferOut, { email: 'john@example.com' }, ['1111111111', '2222222222']);
+        expect(entry.counterpartyAccountNumber).toBe('2222222222');
+    });
+});
@@ -0,0 +1,72 @@
+const dal = require('../dal');
+const { useReplicaSet } = require('./helpers/database');
+const { generateStatement, generateMonthlyStatements, listStatements } = require('../services/statementService');
+
+const mongo = useReplicaSet();
+
+/**
+ * Opens an account and gives it $50.00 in April 2024 and a deposit, withdrawal and interest in May.
+ */
+async function openAccountWithHistory() {
+    await dal.create('John Doe', 'john@example.com', 'password123');
+    const account = await dal.createBankAccount('john@example.com', 'savings');
+    await dal.deposit(account.accountNumber, 5000);
+    await dal.deposit(account.accountNumber, 2000);
+    await dal.withdraw(account.accountNumber, 1500);
+    await dal.creditInterest(account.accountNumber, 12, '2024-05');
+    const dates = ['2024-04-20T10:00:00Z', '2024-05-03T10:00:00Z', '2024-05-10T10:00:00Z', '2024-05-31T23:00:00Z'];
+    const entries = (await dal.getTransactionsByAccount(account.accountNumber)).reverse();
+    for (let i = 0; i < entries.length; i++) {
+        await mongo.db.collection('transactions').updateOne({ _id: entries[i]._id }, { $set: { createdAt: new Date(dates[i]) } });
+    }
+    await mongo.db.collection('accounts').updateOne({ _id: account._id }, { $set: { createdAt: new Date('2024-04-01T00:00:00Z') } });
+    return dal.findAccount(account.accountNumber);
+}
+
+test('a statement has the opening balance, the month\'s entries, interest and closing balance', async () => {
+    const account = await openAccountWithHistory();
+    const statement = await generateStatement(account, '2024-05', 'john@example.com', new Date('2024-06-02T00:00:00Z'));
+
+    expect(statement).toMatchObject({
+        period: '2024-05',
+        complete: true,
+        openingBalanceCents: 5000,
+        closingBalanceCents: 5512,
+        entryCount: 3,
+        totals: { creditsCents: 2012, debitsCents: 1500, interestCents: 12 }
+    });
+    const lines = statement.csv.trim().split('\r\n');
+    expect(lines[0]).toBe('Date,Type,Description,Amount,Balance,Currency,Reference');
+    expect(lines[1]).toContain('Opening balance,,50.00,USD');
+    expect(lines[3]).toContain('withdrawal,Withdrawal,-15.00,55.00,USD');
+    expect(lines[4]).toContain('interest,Interest for 2024-05,0.12,55.12,USD');
+    expect(lines[5]).toContain('Closing balance,,55.12,USD');
+    expect(Buffer.from(statement.pdf.buffer).slice(0, 5).toString()).toBe('%PDF-');
+});
+
+test('a statement for the month under way is brought up to date when asked for again', async () => {
+    const account = await openAccountWithHistory();
+    const partial = await generateStatement(account, '2024-05', 'john@example.com', new Date('2024-05-15T00:00:00Z'));
+    expect(partial).toMatchObject({ complete: false, entryCount: 2, closingBalanceCents: 5500 });
+
+    const full = await generateStatement(account, '2024-05', 'john@example.com', new Date('2024-06-02T00:00:00Z'));
+    expect(full).toMatchObject({ complete: true, entryCount: 3, closingBalanceCents: 5512 });
+    expect((await listStatements('john@example.com')).length).toBe(1);
+});
+
+test('the monthly run makes last month\'s statement for each account once', async () => {
+    await openAccountWithHistory();
+    expect(await generateMonthlyStatements(new Date('2024-06-01T05:00:00Z'))).toBe(1);
+    expect(await generateMonthlyStatements(new Date('2024-06-01T06:00:00Z'))).toBe(0);
+
+    const [statement] = await listStatements('john@example.com');
+    expect(statement).toMatchObject({ period: '2024-05', generatedBy: 'system' });
+    expect(statement.pdf).toBeUndefined();
+});
+
+test('statements can only be made for months that have started', async () => {
+    const account = await openAccountWithHistory();
+    await expect(generateStatement(account, '2024-07', 'john@example.com', new Date('2024-06-02T00:00:00Z')))
+        .rejects.toThrow('Statements can only be made for months that have started.');
+    await expect(generateStatement(account, 'May 2024', 'john@example.com')).rejects.toThrow('Month must be given as YYYY-MM.');
+});
@@ -1,19 +1,48 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { Container, Card } from 'react-bootstrap';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Container, Card, Button, Alert } from 'react-bootstrap';
 import { useTable, useFilters, useGlobalFilter } from 'react-table';
+import useAuthFetch from './auth/useAuthFetch';
+import { useUserContext } from './contexts/UserContext';
 
 function AllData() {
     const [data, setData] = useState([]);
+    const [status, setStatus] = useState('');
+    const [variant, setVariant] = useState('success');
+    const authFetch = useAuthFetch();
+    const { permissions } = useUserContext();
+    const canReopen = permissions.includes('accounts:reopen');
 
-    useEffect(() => {
+    const load = useCallback(() => {
         // Fetch all accounts from API
-        fetch('/account/all')
+        authFetch('/account/all')
             .then(response => response.json())
             .then(data => {
                 console.log(data);
-                setData(data || []); // Ensure data is an array or set it to an empty array
+                setData(Array.isArray(data) ? data : []); // Ensure data is an array or set it to an empty array
             });
-    }, []);
+    }, [authFetch]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    // Reopens a closed account, which admins can do for a while after it was closed
+    const handleReopen = useCallback(async (accountNumber) => {
+        try {
+            const response = await authFetch(`/admin/accounts/${accountNumber}/reopen`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || response.statusText);
+            }
+            setVariant('success');
+            setStatus(`Account ${accountNumber} reopened.`);
+            load();
+        } catch (error) {
+            console.error('Error reopening account:', error);
+            setVariant('danger');
+            setStatus(`Could not reopen account ${accountNumber}: ${error.message}`);
+        }
+    }, [authFetch, load]);
 
     const columns = useMemo(
         () => [
@@ -30,11 +59,23 @@ function AllData() {
                 accessor: 'balance',
             },
             {
-                Header: 'Email',
-                accessor: 'email',
+                Header: 'Owner Email',
+                accessor: 'ownerEmail',
+            },
+            {
+                Header: 'Status',
+                accessor: 'status',
+                Cell: ({ row }) => row.original.status !== 'closed' ? 'Open' : (
+                    <>
+                        Closed {new Date(row.original.closedAt).toLocaleDateString()}
+                        {canReopen && (
+                            <Button variant="link" size="sm" onClick={() => handleReopen(row.original.accountNumber)}>Reopen</Button>
+                        )}
+                    </>
+                ),
             },
         ],
-        []
+        [canReopen, handleReopen]
     );
 
     const {
@@ -60,6 +101,7 @@ function AllData() {
                     <h5>All Data in Store:</h5>
                 </Card.Header>
                 <Card.Body>
+                    {status && <Alert variant={variant}>{status}</Alert>}
                     <div>
                         <input
                             onChange={(e) => setGlobalFilter(e.target.value)}
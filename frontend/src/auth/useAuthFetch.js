@@ -0,0 +1,24 @@
+//Authenticated Fetch Hook ./frontend/src/auth/useAuthFetch.js
+
+import { useCallback } from 'react';
+import { useAuth0 } from '@auth0/auth0-react';
+
+/**
+ * Returns a fetch function that sends the logged in user's Auth0 access token
+ * as a Bearer token, which the backend needs to identify the caller.
+ * Takes the same arguments as window.fetch.
+ */
+export default function useAuthFetch() {
+  const { getAccessTokenSilently } = useAuth0();
+
+  return useCallback(async (url, options = {}) => {
+    const token = await getAccessTokenSilently();
+    return fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        Authorization: `Bearer ${token}`
+      }
+    });
+  }, [getAccessTokenSilently]);
+}
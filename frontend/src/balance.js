@@ -2,18 +2,32 @@
 
 import React, { useState } from 'react';
 import { Card, Form, Button, Alert } from 'react-bootstrap';
+import AccountSelect from './components/AccountSelect';
+import useAuthFetch from './auth/useAuthFetch';
+import formatMoney from './formatMoney';
+
+// What each kind of restriction staff can place on an account means for its owner
+const RESTRICTION_NOTICES = {
+  freeze: 'This account is frozen: money can be paid in, but none can be taken out.',
+  lock: 'This account is locked: no money can be paid in or taken out.',
+  'legal-hold': 'Part of this account\'s balance is under a legal hold and cannot be used.',
+};
 
 function Balance() {
-  const [email, setEmail] = useState('');
+  const [accountNumber, setAccountNumber] = useState('');
   const [balance, setBalance] = useState(null); // Use null to easily check if balance has been set
+  const [availableBalance, setAvailableBalance] = useState(null); // The balance less any money on hold
+  const [currency, setCurrency] = useState('');
+  const [restrictions, setRestrictions] = useState([]); // Freezes, locks and legal holds placed by the bank
   const [status, setStatus] = useState('');
   const [error, setError] = useState('');
+  const authFetch = useAuthFetch();
 
   const handleCheckBalance = () => {
     setStatus(''); // Clear previous status
     setError(''); // Clear previous errors
-    console.log(`Fetching balance for email: ${email}`);
-    fetch(`/account/balance/${email}`)
+    console.log(`Fetching balance for account: ${accountNumber}`);
+    authFetch(`/account/balance/${accountNumber}`)
       .then(response => {
         if (!response.ok) {
           throw new Error(`Network response was not ok: ${response.statusText}`);
@@ -24,13 +38,18 @@ function Balance() {
         if (data.error) {
           throw new Error(data.error);
         }
-        setBalance(data.balance); // Assuming the API returns { balance: number }
-        setStatus(`Balance retrieved successfully for ${email}`);
+        setBalance(formatMoney(data.ledgerBalance, data.currency));
+        setAvailableBalance(formatMoney(data.availableBalance, data.currency));
+        setCurrency(data.currency);
+        setRestrictions(data.restrictions || []);
+        setStatus(`Balance retrieved successfully for account ${accountNumber}`);
       })
       .catch(error => {
         console.error('Error fetching balance:', error);
         setError(`Error fetching balance: ${error.message}`);
         setBalance(null); // Reset balance on error
+        setAvailableBalance(null);
+        setRestrictions([]);
       });
   };
 
@@ -42,12 +61,10 @@ function Balance() {
         {error && <Alert variant="danger">{error}</Alert>}
         <Form>
           <Form.Group className="mb-3">
-            <Form.Label>Email</Form.Label>
-            <Form.Control 
-              type="email" 
-              placeholder="Enter email" 
-              value={email} 
-              onChange={e => setEmail(e.currentTarget.value)} />
+            <Form.Label>Account</Form.Label>
+            <AccountSelect
+              value={accountNumber}
+              onChange={setAccountNumber} />
           </Form.Group>
           <Button variant="primary" onClick={handleCheckBalance}>
             Check Balance
@@ -56,8 +73,19 @@ function Balance() {
           {balance !== null && (
             <Alert variant="success" className="mt-3">
               Your balance is: {balance}
+              {availableBalance !== balance && (
+                <div>Available to spend: {availableBalance} (the rest is on hold)</div>
+              )}
             </Alert>
           )}
+          {balance !== null && restrictions.map((restriction, index) => (
+            <Alert variant="warning" className="mt-3" key={index}>
+              {RESTRICTION_NOTICES[restriction.type]}
+              {restriction.amount && ` Amount held: ${formatMoney(restriction.amount, currency)}.`}
+              {restriction.expiresAt && ` Until ${new Date(restriction.expiresAt).toLocaleDateString()}.`}
+              {' '}Please contact us for details.
+            </Alert>
+          ))}
         </Form>
       </Card.Body>
     </Card>
@@ -0,0 +1,267 @@
+//Bill Pay Component ./frontend/src/billpay.js
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Form, Button, Alert, Table, Row, Col } from 'react-bootstrap';
+import AccountSelect from './components/AccountSelect';
+import useAuthFetch from './auth/useAuthFetch';
+import useIdempotencyKey from './useIdempotencyKey';
+import formatMoney from './formatMoney';
+
+const EMPTY_PAYEE = { name: '', line1: '', line2: '', city: '', state: '', postalCode: '', accountNumber: '', routingNumber: '' };
+
+/**
+ * Lets the user pay bills: keep a list of payees, pay one of them now or on a later day,
+ * and follow their payments until they are sent, or cancel ones still scheduled.
+ */
+function BillPay() {
+  const authFetch = useAuthFetch();
+  const [payees, setPayees] = useState([]);
+  const [payments, setPayments] = useState([]);
+  const [payee, setPayee] = useState(EMPTY_PAYEE);
+  const [fromAccountNumber, setFromAccountNumber] = useState('');
+  const [payeeId, setPayeeId] = useState('');
+  const [amount, setAmount] = useState('');
+  const [sendOn, setSendOn] = useState('');
+  const [memo, setMemo] = useState('');
+  const [status, setStatus] = useState('');
+  const [variant, setVariant] = useState('success');
+  const [idempotencyKey, rotateIdempotencyKey] = useIdempotencyKey([fromAccountNumber, payeeId, amount, sendOn, memo]); // Lets the server ignore repeated submissions
+
+  // Fetches JSON from the backend, throwing the backend's message when the request fails
+  // onResponse, if given, is called once the backend has answered, e.g. to rotate an Idempotency-Key
+  const fetchJson = useCallback(async (url, options, onResponse) => {
+    const response = await authFetch(url, options);
+    if (onResponse) {
+      onResponse();
+    }
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || `Network response was not ok: ${response.statusText}`);
+    }
+    return data;
+  }, [authFetch]);
+
+  const load = useCallback(() => {
+    Promise.all([fetchJson('/billpay/payees'), fetchJson('/billpay/payments')])
+      .then(([payeeList, paymentList]) => {
+        setPayees(payeeList);
+        setPayments(paymentList);
+        if (payeeList.length > 0) {
+          setPayeeId(current => current || payeeList[0].id);
+        }
+      })
+      .catch(error => console.error('Error fetching bill pay:', error));
+  }, [fetchJson]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const showResult = (message, ok) => {
+    setStatus(message);
+    setVariant(ok ? 'success' : 'danger');
+  };
+
+  const updatePayee = (field) => (e) => setPayee({ ...payee, [field]: e.currentTarget.value });
+
+  const handleAddPayee = async () => {
+    const { name, line1, line2, city, state, postalCode, accountNumber, routingNumber } = payee;
+    try {
+      await fetchJson('/billpay/payees', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, address: { line1, line2, city, state, postalCode }, accountNumber, routingNumber })
+      });
+      showResult(`${name} added to your payees.`, true);
+      setPayee(EMPTY_PAYEE);
+      load();
+    } catch (error) {
+      showResult(error.message, false);
+    }
+  };
+
+  const handleRemovePayee = async (removed) => {
+    try {
+      await fetchJson(`/billpay/payees/${removed.id}`, { method: 'DELETE' });
+      showResult(`${removed.name} removed from your payees.`, true);
+      if (payeeId === removed.id) {
+        setPayeeId('');
+      }
+      load();
+    } catch (error) {
+      showResult(error.message, false);
+    }
+  };
+
+  const handlePay = async () => {
+    try {
+      const data = await fetchJson('/billpay/payments', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
+        body: JSON.stringify({ fromAccountNumber, payeeId, amount, sendOn: sendOn || undefined, memo })
+      }, rotateIdempotencyKey);
+      showResult(`${data.message}.`, true);
+      setAmount('');
+      setSendOn('');
+      setMemo('');
+      load();
+    } catch (error) {
+      showResult(error.message, false);
+    }
+  };
+
+  const handleCancel = async (payment) => {
+    try {
+      await fetchJson(`/billpay/payments/${payment.id}/cancel`, { method: 'POST' });
+      showResult('Payment cancelled.', true);
+      load();
+    } catch (error) {
+      showResult(error.message, false);
+    }
+  };
+
+  return (
+    <>
+      {status && <Alert className="mt-3" variant={variant}>{status}</Alert>}
+      <Card className="mt-3 mb-3">
+        <Card.Header>Pay a Bill</Card.Header>
+        <Card.Body>
+          {payees.length === 0 ? (
+            <Card.Text>Add a payee below to start paying bills.</Card.Text>
+          ) : (
+            <Form>
+              <Row className="mb-3">
+                <Col md={6}>
+                  <Form.Label>From Account</Form.Label>
+                  <AccountSelect value={fromAccountNumber} onChange={setFromAccountNumber} />
+                </Col>
+                <Col md={6}>
+                  <Form.Label>Payee</Form.Label>
+                  <Form.Select value={payeeId} onChange={e => setPayeeId(e.currentTarget.value)}>
+                    {payees.map(option => <option key={option.id} value={option.id}>{option.name}</option>)}
+                  </Form.Select>
+                </Col>
+              </Row>
+              <Row className="mb-3 align-items-end">
+                <Col md={3}>
+                  <Form.Label>Amount</Form.Label>
+                  <Form.Control type="text" placeholder="0.00" value={amount} onChange={e => setAmount(e.currentTarget.value)} />
+                </Col>
+                <Col md={3}>
+                  <Form.Label>Send On</Form.Label>
+                  <Form.Control type="date" value={sendOn} onChange={e => setSendOn(e.currentTarget.value)} />
+                  <Form.Text>Leave empty to pay today.</Form.Text>
+                </Col>
+                <Col md={4}>
+                  <Form.Label>Memo</Form.Label>
+                  <Form.Control type="text" placeholder="e.g. invoice number" value={memo} onChange={e => setMemo(e.currentTarget.value)} />
+                </Col>
+                <Col md={2}>
+                  <Button variant="primary" onClick={handlePay} disabled={!fromAccountNumber || !payeeId || !amount}>
+                    Pay
+                  </Button>
+                </Col>
+              </Row>
+            </Form>
+          )}
+          {payments.length > 0 && (
+            <Table size="sm">
+              <thead>
+                <tr>
+                  <th>Payee</th>
+                  <th>Amount</th>
+                  <th>Send On</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {payments.map(payment => (
+                  <tr key={payment.id}>
+                    <td>{payment.payeeName}{payment.memo && ` (${payment.memo})`}</td>
+                    <td>{formatMoney(payment.amount, payment.currency)}</td>
+                    <td>{new Date(payment.sendOn).toLocaleDateString()}</td>
+                    <td title={payment.failureReason || payment.returnReason}>{payment.status}</td>
+                    <td>
+                      {payment.status === 'scheduled' && (
+                        <Button variant="link" size="sm" onClick={() => handleCancel(payment)}>Cancel</Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+      <Card className="mb-3">
+        <Card.Header>Payees</Card.Header>
+        <Card.Body>
+          {payees.length > 0 && (
+            <Table size="sm">
+              <tbody>
+                {payees.map(saved => (
+                  <tr key={saved.id}>
+                    <td>{saved.name}</td>
+                    <td>{saved.address.city}, {saved.address.state}</td>
+                    <td>Account {saved.accountNumber}</td>
+                    <td>
+                      <Button variant="link" size="sm" onClick={() => handleRemovePayee(saved)}>Remove</Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+          <Form>
+            <Row className="mb-3">
+              <Col md={6}>
+                <Form.Label>Name</Form.Label>
+                <Form.Control type="text" placeholder="e.g. City Power & Light" value={payee.name} onChange={updatePayee('name')} />
+              </Col>
+              <Col md={3}>
+                <Form.Label>Account Number</Form.Label>
+                <Form.Control type="text" value={payee.accountNumber} onChange={updatePayee('accountNumber')} />
+              </Col>
+              <Col md={3}>
+                <Form.Label>Routing Number</Form.Label>
+                <Form.Control type="text" placeholder="9 digits" value={payee.routingNumber} onChange={updatePayee('routingNumber')} />
+              </Col>
+            </Row>
+            <Row className="mb-3">
+              <Col md={6}>
+                <Form.Label>Street Address</Form.Label>
+                <Form.Control type="text" value={payee.line1} onChange={updatePayee('line1')} />
+              </Col>
+              <Col md={6}>
+                <Form.Label>Address Line 2</Form.Label>
+                <Form.Control type="text" value={payee.line2} onChange={updatePayee('line2')} />
+              </Col>
+            </Row>
+            <Row className="mb-3 align-items-end">
+              <Col md={5}>
+                <Form.Label>City</Form.Label>
+                <Form.Control type="text" value={payee.city} onChange={updatePayee('city')} />
+              </Col>
+              <Col md={2}>
+                <Form.Label>State</Form.Label>
+                <Form.Control type="text" placeholder="NY" value={payee.state} onChange={updatePayee('state')} />
+              </Col>
+              <Col md={3}>
+                <Form.Label>ZIP Code</Form.Label>
+                <Form.Control type="text" value={payee.postalCode} onChange={updatePayee('postalCode')} />
+              </Col>
+              <Col md={2}>
+                <Button variant="primary" onClick={handleAddPayee} disabled={!payee.name.trim()}>
+                  Add Payee
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+        </Card.Body>
+      </Card>
+    </>
+  );
+}
+
+export default BillPay;
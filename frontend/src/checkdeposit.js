@@ -0,0 +1,169 @@
+//CheckDeposit Component ./frontend/src/checkdeposit.js
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Form, Button, Alert, Table, Row, Col } from 'react-bootstrap';
+import AccountSelect from './components/AccountSelect';
+import useAuthFetch from './auth/useAuthFetch';
+import useIdempotencyKey from './useIdempotencyKey';
+import formatMoney from './formatMoney';
+
+/**
+ * Reads a file chosen by the user as a data URL, which is how check photos are sent.
+ */
+function readAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Lets the user deposit a check by uploading photos of its front and back, and lists their
+ * deposits with where each stands: waiting for review, approved (with the date the money
+ * becomes available) or rejected (with the reason).
+ */
+function CheckDeposit() {
+  const authFetch = useAuthFetch();
+  const [accountNumber, setAccountNumber] = useState('');
+  const [amount, setAmount] = useState('');
+  const [checkNumber, setCheckNumber] = useState('');
+  const [frontFile, setFrontFile] = useState(null);
+  const [backFile, setBackFile] = useState(null);
+  const [fileInputKey, setFileInputKey] = useState(0); // Changing it clears the file inputs
+  const [deposits, setDeposits] = useState([]);
+  const [status, setStatus] = useState('');
+  const [variant, setVariant] = useState('success');
+  const [submitting, setSubmitting] = useState(false);
+  const [idempotencyKey, rotateIdempotencyKey] = useIdempotencyKey([accountNumber, amount, checkNumber, frontFile, backFile]); // Lets the server ignore repeated submissions
+
+  // Fetches JSON from the backend, throwing the backend's message when the request fails
+  // onResponse, if given, is called once the backend has answered, e.g. to rotate an Idempotency-Key
+  const fetchJson = useCallback(async (url, options, onResponse) => {
+    const response = await authFetch(url, options);
+    if (onResponse) {
+      onResponse();
+    }
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || `Network response was not ok: ${response.statusText}`);
+    }
+    return data;
+  }, [authFetch]);
+
+  const load = useCallback(() => {
+    fetchJson('/checks')
+      .then(data => setDeposits(Array.isArray(data) ? data : []))
+      .catch(error => {
+        console.error('Error fetching check deposits:', error);
+        setDeposits([]);
+      });
+  }, [fetchJson]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const showResult = (message, ok) => {
+    setStatus(message);
+    setVariant(ok ? 'success' : 'danger');
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      const [frontImage, backImage] = await Promise.all([readAsDataUrl(frontFile), readAsDataUrl(backFile)]);
+      const data = await fetchJson('/checks', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
+        body: JSON.stringify({ accountNumber, amount, checkNumber, frontImage, backImage })
+      }, rotateIdempotencyKey);
+      showResult(`Check #${data.deposit.checkNumber} for ${formatMoney(data.deposit.amount, data.deposit.currency)} was submitted. We will let you know once it has been reviewed.`, true);
+      setAmount('');
+      setCheckNumber('');
+      setFrontFile(null);
+      setBackFile(null);
+      setFileInputKey(key => key + 1);
+      load();
+    } catch (error) {
+      showResult(error.message, false);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Describes where a deposit stands
+  const describe = (deposit) => {
+    if (deposit.status === 'approved') {
+      return deposit.availableAt ? `Approved, available ${new Date(deposit.availableAt).toLocaleDateString()}` : 'Approved';
+    }
+    if (deposit.status === 'rejected') {
+      return `Rejected: ${deposit.rejectReason}`;
+    }
+    return 'Waiting for review';
+  };
+
+  return (
+    <>
+      {status && <Alert className="mt-3" variant={variant}>{status}</Alert>}
+      <Card className="mt-3 mb-3">
+        <Card.Header>Deposit a Check</Card.Header>
+        <Card.Body>
+          <Form>
+            <Row className="mb-3">
+              <Col md={6}>
+                <Form.Label>Deposit Into</Form.Label>
+                <AccountSelect value={accountNumber} onChange={setAccountNumber} />
+              </Col>
+              <Col md={3}>
+                <Form.Label>Amount</Form.Label>
+                <Form.Control type="text" placeholder="0.00" value={amount} onChange={e => setAmount(e.currentTarget.value)} />
+              </Col>
+              <Col md={3}>
+                <Form.Label>Check Number</Form.Label>
+                <Form.Control type="text" placeholder="e.g. 1042" value={checkNumber} onChange={e => setCheckNumber(e.currentTarget.value)} />
+              </Col>
+            </Row>
+            <Row className="mb-3">
+              <Col md={6}>
+                <Form.Label>Front of Check</Form.Label>
+                <Form.Control key={`front-${fileInputKey}`} type="file" accept="image/jpeg,image/png" onChange={e => setFrontFile(e.currentTarget.files[0] || null)} />
+              </Col>
+              <Col md={6}>
+                <Form.Label>Back of Check (signed)</Form.Label>
+                <Form.Control key={`back-${fileInputKey}`} type="file" accept="image/jpeg,image/png" onChange={e => setBackFile(e.currentTarget.files[0] || null)} />
+              </Col>
+            </Row>
+            <Button variant="primary" onClick={handleSubmit} disabled={submitting || !accountNumber || !amount || !checkNumber || !frontFile || !backFile}>
+              Submit Check
+            </Button>
+          </Form>
+        </Card.Body>
+      </Card>
+      <Card className="mb-3">
+        <Card.Header>Your Check Deposits</Card.Header>
+        <Card.Body>
+          {deposits.length === 0 ? (
+            <Card.Text>You have not deposited any checks.</Card.Text>
+          ) : (
+            <Table size="sm">
+              <tbody>
+                {deposits.map(deposit => (
+                  <tr key={deposit.id}>
+                    <td>{new Date(deposit.createdAt).toLocaleDateString()}</td>
+                    <td>#{deposit.checkNumber}</td>
+                    <td>{formatMoney(deposit.amount, deposit.currency)}</td>
+                    <td>{describe(deposit)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+    </>
+  );
+}
+
+export default CheckDeposit;
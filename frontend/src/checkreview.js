@@ -0,0 +1,140 @@
+//CheckReview Component ./frontend/src/checkreview.js
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Button, Alert, Row, Col, Badge } from 'react-bootstrap';
+import useAuthFetch from './auth/useAuthFetch';
+import formatMoney from './formatMoney';
+
+/**
+ * Shows the photo of one side of a deposited check. Images need the user's access token, so
+ * they are fetched and shown from an object URL rather than linked to directly.
+ */
+function CheckImage({ depositId, side }) {
+  const authFetch = useAuthFetch();
+  const [url, setUrl] = useState('');
+
+  useEffect(() => {
+    let objectUrl;
+    let cancelled = false;
+    authFetch(`/checks/${depositId}/images/${side}`)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Network response was not ok: ${response.statusText}`);
+        }
+        return response.blob();
+      })
+      .then(blob => {
+        if (!cancelled) {
+          objectUrl = URL.createObjectURL(blob);
+          setUrl(objectUrl);
+        }
+      })
+      .catch(error => console.error('Error fetching check image:', error));
+    return () => {
+      cancelled = true;
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [authFetch, depositId, side]);
+
+  return url
+    ? <img src={url} alt={`${side} of check`} style={{ maxWidth: '100%' }} />
+    : <Card.Text>Loading {side}...</Card.Text>;
+}
+
+/**
+ * The review queue for mobile check deposits, for bank employees. Each pending deposit is
+ * shown with the photos of its check, oldest first, to be approved, which posts the money,
+ * or rejected with a reason the customer is told.
+ */
+function CheckReview() {
+  const authFetch = useAuthFetch();
+  const [queue, setQueue] = useState([]);
+  const [status, setStatus] = useState('');
+  const [variant, setVariant] = useState('success');
+
+  // Fetches JSON from the backend, throwing the backend's message when the request fails
+  const fetchJson = useCallback(async (url, options) => {
+    const response = await authFetch(url, options);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || `Network response was not ok: ${response.statusText}`);
+    }
+    return data;
+  }, [authFetch]);
+
+  const load = useCallback(() => {
+    fetchJson('/checks/queue')
+      .then(data => setQueue(Array.isArray(data) ? data : []))
+      .catch(error => {
+        console.error('Error fetching check review queue:', error);
+        setQueue([]);
+      });
+  }, [fetchJson]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const showResult = (message, ok) => {
+    setStatus(message);
+    setVariant(ok ? 'success' : 'danger');
+  };
+
+  // Runs a review action on a deposit and shows its outcome
+  const review = async (deposit, action, body) => {
+    try {
+      const data = await fetchJson(`/checks/${deposit.id}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+      });
+      showResult(`${data.message}: check #${deposit.checkNumber} for ${formatMoney(deposit.amount, deposit.currency)}.`, true);
+      load();
+    } catch (error) {
+      showResult(error.message, false);
+    }
+  };
+
+  const handleReject = (deposit) => {
+    const reason = window.prompt('Why is this deposit being rejected? The customer will see this.');
+    if (reason) {
+      review(deposit, 'reject', { reason });
+    }
+  };
+
+  return (
+    <>
+      {status && <Alert className="mt-3" variant={variant}>{status}</Alert>}
+      {queue.length === 0 ? (
+        <Card className="mt-3 mb-3">
+          <Card.Header>Check Review</Card.Header>
+          <Card.Body>
+            <Card.Text>No deposits are waiting for review.</Card.Text>
+          </Card.Body>
+        </Card>
+      ) : queue.map(deposit => (
+        <Card className="mt-3 mb-3" key={deposit.id}>
+          <Card.Header>
+            Check #{deposit.checkNumber} for {formatMoney(deposit.amount, deposit.currency)} into {deposit.accountNumber} ({deposit.ownerEmail})
+            {deposit.possibleDuplicateOf && (
+              <Badge bg="warning" text="dark" className="ms-2">Possible duplicate</Badge>
+            )}
+          </Card.Header>
+          <Card.Body>
+            <Row className="mb-3">
+              <Col md={6}><CheckImage depositId={deposit.id} side="front" /></Col>
+              <Col md={6}><CheckImage depositId={deposit.id} side="back" /></Col>
+            </Row>
+            <Card.Text>Submitted {new Date(deposit.createdAt).toLocaleString()}</Card.Text>
+            <Button variant="success" className="me-2" onClick={() => review(deposit, 'approve')}>Approve</Button>
+            <Button variant="danger" onClick={() => handleReject(deposit)}>Reject</Button>
+          </Card.Body>
+        </Card>
+      ))}
+    </>
+  );
+}
+
+export default CheckReview;
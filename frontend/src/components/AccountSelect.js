@@ -0,0 +1,62 @@
+//Account Select Component ./frontend/src/components/AccountSelect.js
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Form } from 'react-bootstrap';
+import { useAuth0 } from '@auth0/auth0-react';
+import useAuthFetch from '../auth/useAuthFetch';
+
+/**
+ * Dropdown listing the bank accounts owned by the logged in user: the open ones, and with
+ * includeClosed the closed ones too, e.g. to look back at their history.
+ * Calls onChange with the selected account number, and selects the first
+ * account once the list has loaded if nothing is selected yet.
+ */
+function AccountSelect({ value, onChange, isInvalid, includeClosed = false }) {
+  const { user, isAuthenticated } = useAuth0();
+  const [accounts, setAccounts] = useState([]);
+  const authFetch = useAuthFetch();
+  const email = user && user.email;
+
+  // The latest value and onChange, read once the accounts have loaded, so that picking an
+  // account or a new onChange from the parent does not load the list again
+  const latest = useRef({ value, onChange });
+  useEffect(() => {
+    latest.current = { value, onChange };
+  });
+
+  useEffect(() => {
+    if (!isAuthenticated || !email) return;
+
+    authFetch('/account/accounts')
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Network response was not ok: ${response.statusText}`);
+        }
+        return response.json();
+      })
+      .then(data => {
+        const listed = (data || []).filter(account => includeClosed || account.status !== 'closed');
+        setAccounts(listed);
+        if (!latest.current.value && listed.length > 0) {
+          latest.current.onChange(listed[0].accountNumber);
+        }
+      })
+      .catch(error => {
+        console.error('Error fetching accounts:', error);
+        setAccounts([]);
+      });
+  }, [isAuthenticated, email, includeClosed, authFetch]);
+
+  return (
+    <Form.Select value={value} onChange={e => onChange(e.currentTarget.value)} isInvalid={isInvalid}>
+      {accounts.length === 0 && <option value="">No accounts found</option>}
+      {accounts.map(account => (
+        <option key={account.accountNumber} value={account.accountNumber}>
+          {account.accountType.charAt(0).toUpperCase() + account.accountType.slice(1)} - {account.accountNumber}{account.currency && account.currency !== 'USD' ? ` (${account.currency})` : ''}{account.status === 'closed' ? ' (closed)' : ''}
+        </option>
+      ))}
+    </Form.Select>
+  );
+}
+
+export default AccountSelect;
@@ -0,0 +1,106 @@
+//Close Account Component ./frontend/src/components/CloseAccount.js
+
+import React, { useState, useEffect } from 'react';
+import { Card, Form, Button, Alert } from 'react-bootstrap';
+import useAuthFetch from '../auth/useAuthFetch';
+
+/**
+ * Lets the user close one of their open accounts. An account with money left in it needs
+ * another account to send the money to, which can be any account number; by default one of
+ * the user's other open accounts is offered. Calls onUpdated with the closed account.
+ */
+function CloseAccount({ accounts, onUpdated }) {
+  const authFetch = useAuthFetch();
+  const [accountNumber, setAccountNumber] = useState('');
+  const [disburseToAccountNumber, setDisburseToAccountNumber] = useState('');
+  const [status, setStatus] = useState('');
+  const [variant, setVariant] = useState('success');
+  const [idempotencyKey, setIdempotencyKey] = useState(() => window.crypto.randomUUID()); // Lets the server ignore repeated submissions
+
+  const openAccounts = accounts.filter(account => account.status !== 'closed');
+  const otherAccounts = openAccounts.filter(account => account.accountNumber !== accountNumber);
+
+  // Select the first open account once the list has loaded, or again after one is closed
+  useEffect(() => {
+    if (!openAccounts.some(account => account.accountNumber === accountNumber)) {
+      setAccountNumber(openAccounts.length > 0 ? openAccounts[0].accountNumber : '');
+    }
+  }, [openAccounts, accountNumber]);
+
+  // A different closure gets a fresh key; resubmitting the same one (e.g. a double-click) reuses it
+  useEffect(() => {
+    setIdempotencyKey(window.crypto.randomUUID());
+  }, [accountNumber, disburseToAccountNumber]);
+
+  const handleClose = async () => {
+    if (!window.confirm(`Close account ${accountNumber}? No money can be paid into or out of it once it is closed.`)) {
+      return;
+    }
+    try {
+      const response = await authFetch(`/account/close/${accountNumber}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
+        body: JSON.stringify({ disburseToAccountNumber: disburseToAccountNumber || undefined })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || response.statusText);
+      }
+      setVariant('success');
+      setStatus(data.disbursement
+        ? `Account closed. The remaining ${data.disbursement.amount} ${data.disbursement.currency} was sent to ${data.disbursement.toAccountNumber}.`
+        : 'Account closed.');
+      setDisburseToAccountNumber('');
+      onUpdated(data.account);
+    } catch (error) {
+      console.error('Error closing account:', error);
+      setVariant('danger');
+      setStatus(`Could not close the account: ${error.message}`);
+    }
+  };
+
+  return (
+    <Card className="mt-3 mb-3">
+      <Card.Body>
+        <Card.Title>Close an Account</Card.Title>
+        {status && <Alert variant={variant}>{status}</Alert>}
+        {openAccounts.length === 0 ? (
+          <Card.Text>You have no open accounts.</Card.Text>
+        ) : (
+          <Form>
+            <Form.Group className="mb-3">
+              <Form.Label>Account</Form.Label>
+              <Form.Select value={accountNumber} onChange={e => setAccountNumber(e.currentTarget.value)}>
+                {openAccounts.map(account => (
+                  <option key={account.accountNumber} value={account.accountNumber}>
+                    {account.accountType} - {account.accountNumber} ({account.balance})
+                  </option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+            <Form.Group className="mb-3">
+              <Form.Label>Send any remaining balance to</Form.Label>
+              <Form.Control
+                type="text"
+                list="close-account-destinations"
+                placeholder="Account number"
+                value={disburseToAccountNumber}
+                onChange={e => setDisburseToAccountNumber(e.currentTarget.value)}
+              />
+              <datalist id="close-account-destinations">
+                {otherAccounts.map(account => (
+                  <option key={account.accountNumber} value={account.accountNumber}>{account.accountType}</option>
+                ))}
+              </datalist>
+            </Form.Group>
+            <Button variant="danger" onClick={handleClose} disabled={!accountNumber}>
+              Close Account
+            </Button>
+          </Form>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
+
+export default CloseAccount;
@@ -0,0 +1,126 @@
+//Overdraft Settings Component ./frontend/src/components/OverdraftSettings.js
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Form, Button, Alert } from 'react-bootstrap';
+import useAuthFetch from '../auth/useAuthFetch';
+
+/**
+ * Lets the user choose how each of their accounts handles a withdrawal its balance
+ * cannot cover: refuse it, pull the shortfall from one of their savings accounts, or
+ * allow an overdraft line. Calls onUpdated with the updated account after saving.
+ */
+function OverdraftSettings({ accounts, onUpdated }) {
+  const authFetch = useAuthFetch();
+  const [accountNumber, setAccountNumber] = useState('');
+  const [mode, setMode] = useState('none');
+  const [sourceAccountNumber, setSourceAccountNumber] = useState('');
+  const [limit, setLimit] = useState('');
+  const [status, setStatus] = useState('');
+  const [variant, setVariant] = useState('success');
+
+  const savingsAccounts = accounts.filter(account =>
+    account.accountType.toLowerCase() === 'savings' && account.accountNumber !== accountNumber);
+
+  // Selects an account and shows its current settings
+  const selectAccount = useCallback((number) => {
+    const account = accounts.find(candidate => candidate.accountNumber === number);
+    const overdraft = (account && account.overdraft) || { mode: 'none' };
+    setAccountNumber(number);
+    setMode(overdraft.mode);
+    setSourceAccountNumber(overdraft.sourceAccountNumber || '');
+    setLimit(overdraft.limit || '');
+    setStatus('');
+  }, [accounts]);
+
+  // Select the first account once the list has loaded
+  useEffect(() => {
+    if (!accountNumber && accounts.length > 0) {
+      selectAccount(accounts[0].accountNumber);
+    }
+  }, [accounts, accountNumber, selectAccount]);
+
+  const handleSave = async () => {
+    const body = { mode };
+    if (mode === 'linked-savings') body.sourceAccountNumber = sourceAccountNumber;
+    if (mode === 'line' && limit.trim()) body.limit = limit.trim();
+
+    try {
+      const response = await authFetch(`/account/overdraft/${accountNumber}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || response.statusText);
+      }
+      setVariant('success');
+      setStatus('Overdraft protection updated.');
+      onUpdated(data.account);
+    } catch (error) {
+      console.error('Error updating overdraft protection:', error);
+      setVariant('danger');
+      setStatus(`Could not update overdraft protection: ${error.message}`);
+    }
+  };
+
+  return (
+    <Card className="mt-3 mb-3">
+      <Card.Body>
+        <Card.Title>Overdraft Protection</Card.Title>
+        {status && <Alert variant={variant}>{status}</Alert>}
+        <Form>
+          <Form.Group className="mb-3">
+            <Form.Label>Account</Form.Label>
+            <Form.Select value={accountNumber} onChange={e => selectAccount(e.currentTarget.value)}>
+              {accounts.map(account => (
+                <option key={account.accountNumber} value={account.accountNumber}>
+                  {account.accountType} - {account.accountNumber}
+                </option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+          <Form.Group className="mb-3">
+            <Form.Label>When a withdrawal is more than the balance</Form.Label>
+            <Form.Select value={mode} onChange={e => setMode(e.currentTarget.value)}>
+              <option value="none">Decline it</option>
+              <option value="linked-savings">Cover it from a savings account</option>
+              <option value="line">Allow an overdraft</option>
+            </Form.Select>
+          </Form.Group>
+          {mode === 'linked-savings' && (
+            <Form.Group className="mb-3">
+              <Form.Label>Savings account</Form.Label>
+              <Form.Select value={sourceAccountNumber} onChange={e => setSourceAccountNumber(e.currentTarget.value)}>
+                <option value="">Choose a savings account</option>
+                {savingsAccounts.map(account => (
+                  <option key={account.accountNumber} value={account.accountNumber}>{account.accountNumber}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+          )}
+          {mode === 'line' && (
+            <Form.Group className="mb-3">
+              <Form.Label>Overdraft limit</Form.Label>
+              <Form.Control
+                type="text"
+                placeholder="Leave blank for the largest limit available"
+                value={limit}
+                onChange={e => setLimit(e.currentTarget.value)}
+              />
+            </Form.Group>
+          )}
+          <Button
+            variant="primary"
+            onClick={handleSave}
+            disabled={!accountNumber || (mode === 'linked-savings' && !sourceAccountNumber)}
+          >
+            Save
+          </Button>
+        </Form>
+      </Card.Body>
+    </Card>
+  );
+}
+
+export default OverdraftSettings;
@@ -3,15 +3,25 @@
 import React from 'react';
 import { Navigate } from 'react-router-dom';
 import { useAuth0 } from '@auth0/auth0-react';
+import { useUserContext } from '../contexts/UserContext';
 
-const ProtectedRoute = ({ component: Component }) => {
+/**
+ * Renders the component only for logged in users. When a permission is given,
+ * the user's role must also hold it; otherwise they are sent back to the home page.
+ */
+const ProtectedRoute = ({ component: Component, permission }) => {
   const { isAuthenticated, isLoading } = useAuth0();
+  const { permissions, loaded } = useUserContext();
 
-  if (isLoading) {
+  if (isLoading || (permission && isAuthenticated && !loaded)) {
     return <div>Loading...</div>;
   }
 
-  return isAuthenticated ? <Component /> : <Navigate to="/" />;
+  if (!isAuthenticated || (permission && !permissions.includes(permission))) {
+    return <Navigate to="/" />;
+  }
+
+  return <Component />;
 };
 
 export default ProtectedRoute;
\ No newline at end of file
@@ -1,5 +1,6 @@
 import React from 'react';
 import { Card, Form, Button, Alert } from 'react-bootstrap';
+import useAuthFetch from './auth/useAuthFetch';
 
 function CreateAccount() {
   const [show, setShow] = React.useState(true);
@@ -29,20 +30,26 @@ function CreateMsg(props) {
 }
 
 function CreateForm(props) {
-  const [email, setEmail] = React.useState('');
-  const [accountType, setAccountType] = React.useState('checking');
-  const [errors, setErrors] = React.useState({});
+  const [accountType, setAccountType] = React.useState('Checking');
+  const [currency, setCurrency] = React.useState('USD');
+  const [currencies, setCurrencies] = React.useState(['USD']); // Currencies the bank offers accounts in
+  const authFetch = useAuthFetch(); // The new account is opened for the logged in user
+
+  React.useEffect(() => {
+    authFetch('/account/exchange-rates')
+      .then(response => response.json())
+      .then(data => setCurrencies(data.currencies || ['USD']))
+      .catch(error => console.error('Error fetching currencies:', error));
+  }, [authFetch]);
 
   const handleCreateAccount = async () => {
-    console.log('Form submitted with email:', email, 'and account type:', accountType);
-  
-    if (!validateForm()) return;
+    console.log('Form submitted with account type:', accountType);
   
     try {
-      const response = await fetch('/account/createbank', {
+      const response = await authFetch('/account/createbank', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email, accountType }),
+        body: JSON.stringify({ accountType, currency }),
       });
   
       console.log('Response received:', response);
@@ -54,9 +61,9 @@ function CreateForm(props) {
       const data = await response.json();
       console.log('Data received:', data);
   
-      if (data.user && data.user.accountNumber) {
+      if (data.account && data.account.accountNumber) {
         props.setShow(false);
-        props.setStatus(`Account successfully created. Here is your new Account Number: ${data.user.accountNumber}.`);
+        props.setStatus(`Account successfully created. Here is your new Account Number: ${data.account.accountNumber}.`);
         props.setVariant('success');
       } else {
         throw new Error('Failed to retrieve account information or account number is missing');
@@ -68,34 +75,8 @@ function CreateForm(props) {
     }
   };
   
-  const validateForm = () => {
-    let tempErrors = {};
-    if (!email) {
-      tempErrors.email = "Email is required";
-    } else if (!/\S+@\S+\.\S+/.test(email)) {
-      tempErrors.email = "Email is invalid";
-    } else if (!/\S+@\S+\.(com|org|edu)$/.test(email)) {
-      tempErrors.email = "Email must end with .com, .org, or .edu";
-    }
-    setErrors(tempErrors);
-    return Object.keys(tempErrors).length === 0;
-  };
-
   return (
     <Form>
-      <Form.Group className="mb-3">
-        <Form.Label>Email address</Form.Label>
-        <Form.Control 
-          type="email" 
-          placeholder="Enter email" 
-          value={email} 
-          isInvalid={!!errors.email} 
-          onChange={e => setEmail(e.currentTarget.value)} />
-        <Form.Control.Feedback type="invalid">
-          {errors.email}
-        </Form.Control.Feedback>
-      </Form.Group>
-
       <h6>Account Type</h6>
 
       <Form.Group className="mb-3">
@@ -105,6 +86,14 @@ function CreateForm(props) {
         </Form.Select>
       </Form.Group>
 
+      <h6>Currency</h6>
+
+      <Form.Group className="mb-3">
+        <Form.Select value={currency} onChange={e => setCurrency(e.currentTarget.value)}>
+          {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+        </Form.Select>
+      </Form.Group>
+
       <Button variant="primary" onClick={handleCreateAccount}>Create Bank Account</Button>
     </Form>
   );
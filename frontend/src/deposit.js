@@ -1,5 +1,8 @@
 import React from 'react';
 import { Card, Form, Button, Alert } from 'react-bootstrap';
+import AccountSelect from './components/AccountSelect';
+import useAuthFetch from './auth/useAuthFetch';
+import useIdempotencyKey from './useIdempotencyKey';
 
 /**
  * The Deposit component allows users to deposit a specified amount into their account.
@@ -46,9 +49,11 @@ function DepositMsg({ setShow, setStatus }) {
  * The form component for making a deposit.
  */
 function DepositForm({ setShow, setStatus, setVariant, submitted, setSubmitted }) {
-  const [email, setEmail] = React.useState(''); // Email of the user
+  const [accountNumber, setAccountNumber] = React.useState(''); // Account to deposit into
   const [amount, setAmount] = React.useState(''); // Amount to deposit
   const [error, setError] = React.useState(''); // To manage validation errors
+  const authFetch = useAuthFetch(); // Sends the user's access token with each request
+  const [idempotencyKey, rotateIdempotencyKey] = useIdempotencyKey([accountNumber, amount]); // Lets the server ignore repeated submissions
   
   const MIN_DEPOSIT_AMOUNT = 1; // Minimum deposit amount allowed
 
@@ -59,9 +64,9 @@ function DepositForm({ setShow, setStatus, setVariant, submitted, setSubmitted }
     setError(''); // Reset any previous error state
     setSubmitted(true); // Form is being submitted
 
-    // Validate email input
-    if (!email) {
-      setError('An email is required to proceed.');
+    // Validate account selection
+    if (!accountNumber) {
+      setError('An account is required to proceed.');
       return;
     }
 
@@ -75,17 +80,22 @@ function DepositForm({ setShow, setStatus, setVariant, submitted, setSubmitted }
       setError(`Minimum deposit amount is $${MIN_DEPOSIT_AMOUNT}`);
       return;
     }
+    if (!/^\d+(\.\d{1,2})?$/.test(amount.trim())) {
+      setError('Amount cannot have more than two decimal places');
+      return;
+    }
 
     // API call to perform the deposit action
-    fetch('/account/deposit', { 
+    authFetch('/account/deposit', { 
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
       body: JSON.stringify({
-        email: email,
-        amount: parsedAmount
+        accountNumber: accountNumber,
+        amount: amount.trim() // Sent as a decimal string so no precision is lost
       })
     })
     .then(response => {
+      rotateIdempotencyKey(); // Depositing the same amount again is a new deposit
       if (!response.ok) {
         setVariant('danger'); // Alert styling for errors
         throw new Error(`Network response was not ok: ${response.statusText}`);
@@ -107,15 +117,13 @@ function DepositForm({ setShow, setStatus, setVariant, submitted, setSubmitted }
   return (
     <Form>
       <Form.Group className="mb-3">
-        <Form.Label>Email</Form.Label>
-        <Form.Control
-          type="email"
-          placeholder="Enter email"
-          value={email}
-          onChange={e => setEmail(e.currentTarget.value)}
-          isInvalid={!email && submitted} // Show invalid feedback if email is not provided and form is submitted
+        <Form.Label>Account</Form.Label>
+        <AccountSelect
+          value={accountNumber}
+          onChange={setAccountNumber}
+          isInvalid={!accountNumber && submitted} // Show invalid feedback if no account is selected and form is submitted
         />
-        {!email && submitted && <Form.Control.Feedback type="invalid">Email is required.</Form.Control.Feedback>}
+        {!accountNumber && submitted && <Form.Control.Feedback type="invalid">Account is required.</Form.Control.Feedback>}
       </Form.Group>
       <Form.Group className="mb-3">
         <Form.Label>Amount</Form.Label>
@@ -0,0 +1,20 @@
+//File download helper ./frontend/src/downloadFile.js
+
+/**
+ * Saves the body of a fetch response as a file, named by the response's
+ * Content-Disposition header when it has one, or else by fallbackName.
+ */
+async function downloadFile(response, fallbackName) {
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = /filename="([^"]+)"/.exec(disposition);
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : fallbackName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export default downloadFile;
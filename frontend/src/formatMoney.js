@@ -0,0 +1,11 @@
+//Money formatting ./frontend/src/formatMoney.js
+
+/**
+ * Formats a decimal amount from the API, e.g. "1234.5", in the given currency and the
+ * browser's locale, e.g. "$1,234.50" or "1.234,50 €".
+ */
+function formatMoney(amount, currency = 'USD') {
+  return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(Number(amount));
+}
+
+export default formatMoney;
@@ -1,9 +1,10 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import { HashRouter, Routes, Route } from 'react-router-dom';
 import { Auth0Provider, useAuth0 } from '@auth0/auth0-react';
 import UserContext from './contexts/UserContext';
+import useAuthFetch from './auth/useAuthFetch';
 import ProtectedRoute from './components/ProtectedRoute';
 import NavBar from './navbar';
 import Home from './home';
@@ -13,9 +14,22 @@ import Withdraw from './withdraw';
 import Balance from './balance';
 import AllData from './alldata';
 import Profile from './profile';
+import Statements from './statements';
+import Transactions from './transactions';
+import Spending from './spending';
+import BillPay from './billpay';
+import SendMoney from './sendmoney';
+import Requests from './requests';
+import Notifications from './notifications';
+import CheckDeposit from './checkdeposit';
+import CheckReview from './checkreview';
+import Restrictions from './restrictions';
 
 function App() {
   const { loginWithRedirect, isAuthenticated, isLoading } = useAuth0();
+  const authFetch = useAuthFetch();
+  // The logged in user's role and permissions; loaded is false until the backend has answered
+  const [access, setAccess] = useState({ role: 'user', permissions: [], loaded: false });
 
   useEffect(() => {
     if (!isLoading && !isAuthenticated) {
@@ -23,23 +37,48 @@ function App() {
     }
   }, [isLoading, isAuthenticated, loginWithRedirect]);
 
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    authFetch('/account/me')
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Network response was not ok: ${response.statusText}`);
+        }
+        return response.json();
+      })
+      .then(data => setAccess({ role: data.role, permissions: data.permissions || [], loaded: true }))
+      .catch(error => {
+        console.error('Error fetching permissions:', error);
+        setAccess({ role: 'user', permissions: [], loaded: true });
+      });
+  }, [isAuthenticated, authFetch]);
+
   return (
-    <>
+    <UserContext.Provider value={access}>
       <NavBar />
-      <UserContext.Provider value={{users:[{name:'abel',email:'abel@mit.edu',password:'secret',balance:100}]}}>
-        <div className="container" style={{padding: "20px"}}>
-          <Routes>
-            <Route path="/" element={<Home />} />
-            <Route path="/createaccount" element={<CreateAccount />} />
-            <Route path="/deposit" element={<ProtectedRoute component={Deposit} />} />
-            <Route path="/withdraw" element={<ProtectedRoute component={Withdraw} />} />
-            <Route path="/balance" element={<ProtectedRoute component={Balance} />} />
-            <Route path="/profile" element={<ProtectedRoute component={Profile} />} />
-            <Route path="/alldata" element={<ProtectedRoute component={AllData} />} />
-          </Routes>
-        </div>
-      </UserContext.Provider>
-    </>
+      <div className="container" style={{padding: "20px"}}>
+        <Routes>
+          <Route path="/" element={<Home />} />
+          <Route path="/createaccount" element={<CreateAccount />} />
+          <Route path="/deposit" element={<ProtectedRoute component={Deposit} />} />
+          <Route path="/checkdeposit" element={<ProtectedRoute component={CheckDeposit} />} />
+          <Route path="/withdraw" element={<ProtectedRoute component={Withdraw} />} />
+          <Route path="/balance" element={<ProtectedRoute component={Balance} />} />
+          <Route path="/profile" element={<ProtectedRoute component={Profile} />} />
+          <Route path="/transactions" element={<ProtectedRoute component={Transactions} />} />
+          <Route path="/spending" element={<ProtectedRoute component={Spending} />} />
+          <Route path="/billpay" element={<ProtectedRoute component={BillPay} />} />
+          <Route path="/sendmoney" element={<ProtectedRoute component={SendMoney} />} />
+          <Route path="/requests" element={<ProtectedRoute component={Requests} />} />
+          <Route path="/notifications" element={<ProtectedRoute component={Notifications} />} />
+          <Route path="/statements" element={<ProtectedRoute component={Statements} />} />
+          <Route path="/alldata" element={<ProtectedRoute component={AllData} permission="accounts:list-all" />} />
+          <Route path="/checkreview" element={<ProtectedRoute component={CheckReview} permission="checks:review" />} />
+          <Route path="/restrictions" element={<ProtectedRoute component={Restrictions} permission="accounts:restrict" />} />
+        </Routes>
+      </div>
+    </UserContext.Provider>
   );
 }
 
@@ -50,7 +89,8 @@ root.render(
       domain={process.env.REACT_APP_AUTH0_DOMAIN}
       clientId={process.env.REACT_APP_AUTH0_CLIENT_ID}
       authorizationParams={{
-        redirect_uri: process.env.REACT_APP_AUTH0_REDIRECT_URI
+        redirect_uri: process.env.REACT_APP_AUTH0_REDIRECT_URI,
+        audience: process.env.REACT_APP_AUTH0_AUDIENCE // Access tokens for this API are checked by the backend
       }}>
       <HashRouter>
         <App />
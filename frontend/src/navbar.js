@@ -4,9 +4,11 @@ import React from 'react';
 import { Container, Navbar, Nav, Dropdown } from 'react-bootstrap';
 import { LinkContainer } from 'react-router-bootstrap';
 import { useAuth0 } from '@auth0/auth0-react';
+import { useUserContext } from './contexts/UserContext';
 
 function NavBar() {
   const { isAuthenticated, logout, user } = useAuth0();
+  const { permissions } = useUserContext();
 
   return (
     <Navbar bg="light" expand="md"> {/* Adjust the breakpoint as needed */}
@@ -23,15 +25,49 @@ function NavBar() {
             <LinkContainer to="/deposit/">
               <Nav.Link>Deposit</Nav.Link>
             </LinkContainer>
+            <LinkContainer to="/checkdeposit/">
+              <Nav.Link>Deposit Check</Nav.Link>
+            </LinkContainer>
             <LinkContainer to="/withdraw/">
               <Nav.Link>Withdraw</Nav.Link>
             </LinkContainer>
             <LinkContainer to="/balance/">
               <Nav.Link>Balance</Nav.Link>
             </LinkContainer>
-            <LinkContainer to="/alldata/">
-              <Nav.Link>All Data</Nav.Link>
+            <LinkContainer to="/transactions/">
+              <Nav.Link>History</Nav.Link>
+            </LinkContainer>
+            <LinkContainer to="/spending/">
+              <Nav.Link>Spending</Nav.Link>
+            </LinkContainer>
+            <LinkContainer to="/sendmoney/">
+              <Nav.Link>Send Money</Nav.Link>
+            </LinkContainer>
+            <LinkContainer to="/requests/">
+              <Nav.Link>Requests</Nav.Link>
             </LinkContainer>
+            <LinkContainer to="/billpay/">
+              <Nav.Link>Bill Pay</Nav.Link>
+            </LinkContainer>
+            <LinkContainer to="/statements/">
+              <Nav.Link>Statements</Nav.Link>
+            </LinkContainer>
+            {/* All Data lists every customer's accounts, so only staff see it */}
+            {permissions.includes('accounts:list-all') && (
+              <LinkContainer to="/alldata/">
+                <Nav.Link>All Data</Nav.Link>
+              </LinkContainer>
+            )}
+            {permissions.includes('checks:review') && (
+              <LinkContainer to="/checkreview/">
+                <Nav.Link>Check Review</Nav.Link>
+              </LinkContainer>
+            )}
+            {permissions.includes('accounts:restrict') && (
+              <LinkContainer to="/restrictions/">
+                <Nav.Link>Restrictions</Nav.Link>
+              </LinkContainer>
+            )}
           </Nav>
           {isAuthenticated && (
             <Dropdown>
@@ -42,6 +78,9 @@ function NavBar() {
                 <LinkContainer to="/profile">
                   <Dropdown.Item as="button">Profile</Dropdown.Item>
                 </LinkContainer>
+                <LinkContainer to="/notifications">
+                  <Dropdown.Item as="button">Notifications</Dropdown.Item>
+                </LinkContainer>
                 {/* If you have other navigation items, they can be included similarly */}
                 <Dropdown.Item onClick={() => logout({ returnTo: window.location.origin })}>
                   Logout
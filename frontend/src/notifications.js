@@ -0,0 +1,68 @@
+//Notifications Component ./frontend/src/notifications.js
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Button, ListGroup } from 'react-bootstrap';
+import useAuthFetch from './auth/useAuthFetch';
+
+/**
+ * Lists the user's notifications, newest first, with unread ones in bold, and lets them
+ * mark them read.
+ */
+function Notifications() {
+  const authFetch = useAuthFetch();
+  const [notifications, setNotifications] = useState([]);
+
+  const load = useCallback(() => {
+    authFetch('/notifications')
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Network response was not ok: ${response.statusText}`);
+        }
+        return response.json();
+      })
+      .then(data => setNotifications(Array.isArray(data) ? data : []))
+      .catch(error => {
+        console.error('Error fetching notifications:', error);
+        setNotifications([]);
+      });
+  }, [authFetch]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const markRead = (url) => {
+    authFetch(url, { method: 'POST' })
+      .then(load)
+      .catch(error => console.error('Error marking notifications read:', error));
+  };
+
+  return (
+    <Card className="mt-3 mb-3">
+      <Card.Header>
+        Notifications
+        {notifications.some(notification => !notification.read) && (
+          <Button className="float-end" variant="link" size="sm" onClick={() => markRead('/notifications/read')}>
+            Mark all read
+          </Button>
+        )}
+      </Card.Header>
+      <ListGroup variant="flush">
+        {notifications.length === 0 && <ListGroup.Item>No notifications.</ListGroup.Item>}
+        {notifications.map(notification => (
+          <ListGroup.Item
+            key={notification.id}
+            action={!notification.read}
+            className={notification.read ? '' : 'fw-bold'}
+            onClick={notification.read ? undefined : () => markRead(`/notifications/${notification.id}/read`)}
+          >
+            <small className="text-muted me-2">{new Date(notification.createdAt).toLocaleString()}</small>
+            {notification.message}
+          </ListGroup.Item>
+        ))}
+      </ListGroup>
+    </Card>
+  );
+}
+
+export default Notifications;
@@ -1,25 +1,30 @@
 import React, { useState, useEffect } from 'react';
-import { Card, Form, Button } from 'react-bootstrap';
+import { Card, Form, Button, Table } from 'react-bootstrap';
 import { useAuth0 } from '@auth0/auth0-react';
+import useAuthFetch from './auth/useAuthFetch';
+import OverdraftSettings from './components/OverdraftSettings';
+import CloseAccount from './components/CloseAccount';
+import formatMoney from './formatMoney';
 
 const UserProfile = () => {
   const { user, isAuthenticated } = useAuth0();
+  const authFetch = useAuthFetch();
   const [userData, setUserData] = useState({
     email: '',
-    accountNumber: '',
-    accountType: '',
-    balance: '',
+    accounts: [],
     name: 'type your name',
     phoneNumber: ''
   });
   const [formattedPhoneNumber, setFormattedPhoneNumber] = useState('');
+  // Interest earned this year, per account number and in total for each currency
+  const [interest, setInterest] = useState({ year: null, totals: [], byAccount: {} });
   const [errors, setErrors] = useState({});
 
   useEffect(() => {
     const fetchUserData = async () => {
       console.log('Fetching user data...');
       try {
-        const response = await fetch(`/account/profile?email=${user.email}`);
+        const response = await authFetch('/account/profile');
         if (!response.ok) {
           throw new Error('Network response was not ok');
         }
@@ -27,9 +32,7 @@ const UserProfile = () => {
         console.log('User data fetched successfully:', data);
         setUserData({
           email: user.email,
-          accountNumber: data.accountNumber,
-          accountType: capitalizeFirstLetter(data.accountType),
-          balance: formatBalance(data.balance),
+          accounts: (data.accounts || []).map(toAccountRow),
           name: data.name || 'type your name',
           phoneNumber: data.phoneNumber || ''
         });
@@ -39,22 +42,55 @@ const UserProfile = () => {
       }
     };
   
+    const fetchInterest = async () => {
+      try {
+        const response = await authFetch('/account/interest');
+        if (!response.ok) {
+          throw new Error('Network response was not ok');
+        }
+        const data = await response.json();
+        setInterest({
+          year: data.year,
+          totals: data.totalsInterestEarned || [],
+          byAccount: Object.fromEntries((data.accounts || []).map(account => [account.accountNumber, account]))
+        });
+      } catch (error) {
+        console.error('Error fetching interest:', error);
+      }
+    };
+
     if (isAuthenticated && user.email) {
       console.log('User is authenticated. Fetching user data...');
       fetchUserData();
+      fetchInterest();
     }
-  }, [isAuthenticated, user]);
+  }, [isAuthenticated, user, authFetch]);
+
+  // Function to shape an account from the API for the accounts table
+  const toAccountRow = (account) => ({
+    accountNumber: account.accountNumber,
+    accountType: capitalizeFirstLetter(account.accountType),
+    balance: formatMoney(account.balance, account.currency),
+    currency: account.currency,
+    overdraft: account.overdraft,
+    overdrawn: account.overdrawn,
+    status: account.status
+  });
+
+  // Replace an account's row once its overdraft settings have been saved
+  const handleAccountUpdated = (updated) => {
+    setUserData(current => ({
+      ...current,
+      accounts: current.accounts.map(account =>
+        account.accountNumber === updated.accountNumber ? toAccountRow(updated) : account)
+    }));
+  };
 
    // Function to capitalize the first letter of a string
   const capitalizeFirstLetter = (str) => {
     return str.charAt(0).toUpperCase() + str.slice(1);
   };
 
-  // Function to format balance as "$00.00"
-  const formatBalance = (balance) => {
-    return `$${Number(balance).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
-  };
-
   // Function to format phone number
   const formatPhoneNumber = (phoneNumber) => {
     if (!phoneNumber) return '';
@@ -69,13 +105,12 @@ const UserProfile = () => {
   const handleUpdateProfile = async () => {
     try {
       // Send the updated user data from the state directly
-      const response = await fetch('/account/update-profile', {
+      const response = await authFetch('/account/update-profile', {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
-          email: user.email,
           name: userData.name, // Use userData directly
           phoneNumber: userData.phoneNumber // Use userData directly
         })
@@ -122,17 +157,47 @@ const UserProfile = () => {
           <Card.Text>
             <strong>Email:</strong> {userData.email}
           </Card.Text>
-          <Card.Text>
-            <strong>Account Number:</strong> {userData.accountNumber}
-          </Card.Text>
-          <Card.Text>
-            <strong>Account Type:</strong> {userData.accountType}
-          </Card.Text>
-          <Card.Text>
-            <strong>Balance:</strong> {userData.balance}
-          </Card.Text>
         </Card.Body>
       </Card>
+      <Card className="mt-3 mb-3">
+        <Card.Body>
+          <Card.Title>Accounts</Card.Title>
+          <Table size="sm">
+            <thead>
+              <tr>
+                <th>Account Number</th>
+                <th>Account Type</th>
+                <th>Balance</th>
+                <th>Interest Rate</th>
+                <th>Interest Earned {interest.year}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {userData.accounts.map(account => (
+                <tr key={account.accountNumber}>
+                  <td>{account.accountNumber}</td>
+                  <td>{account.accountType}</td>
+                  <td>
+                    {account.balance}
+                    {account.overdrawn && <strong className="text-danger"> (overdrawn)</strong>}
+                    {account.status === 'closed' && <strong className="text-muted"> (closed)</strong>}
+                  </td>
+                  <td>{interest.byAccount[account.accountNumber] ? `${interest.byAccount[account.accountNumber].annualInterestRate}%` : ''}</td>
+                  <td>{interest.byAccount[account.accountNumber] ? formatMoney(interest.byAccount[account.accountNumber].interestEarned, interest.byAccount[account.accountNumber].currency) : ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          {interest.totals.length > 0 && (
+            <Card.Text>
+              <strong>Interest earned in {interest.year}:</strong>{' '}
+              {interest.totals.map(total => formatMoney(total.interestEarned, total.currency)).join(', ')}
+            </Card.Text>
+          )}
+        </Card.Body>
+      </Card>
+      <OverdraftSettings accounts={userData.accounts.filter(account => account.status !== 'closed')} onUpdated={handleAccountUpdated} />
+      <CloseAccount accounts={userData.accounts} onUpdated={handleAccountUpdated} />
       <Card className="mt-3 mb-3">
         <Card.Body>
           <Card.Title>Update Profile</Card.Title>
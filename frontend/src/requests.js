@@ -0,0 +1,200 @@
+//Requests Component ./frontend/src/requests.js
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Form, Button, Alert, Table, Row, Col } from 'react-bootstrap';
+import AccountSelect from './components/AccountSelect';
+import useAuthFetch from './auth/useAuthFetch';
+import useIdempotencyKey from './useIdempotencyKey';
+import formatMoney from './formatMoney';
+
+/**
+ * Lets the user ask other customers for money, or split a bill with them, and shows the
+ * requests still outstanding both ways: those sent to the user, which they can pay or
+ * decline, and those they made, which they can follow up or cancel.
+ */
+function Requests() {
+  const authFetch = useAuthFetch();
+  const [toAccountNumber, setToAccountNumber] = useState('');
+  const [payAccountNumber, setPayAccountNumber] = useState('');
+  const [from, setFrom] = useState('');
+  const [amount, setAmount] = useState('');
+  const [split, setSplit] = useState(false);
+  const [memo, setMemo] = useState('');
+  const [requests, setRequests] = useState([]);
+  const [status, setStatus] = useState('');
+  const [variant, setVariant] = useState('success');
+  const [idempotencyKey, rotateIdempotencyKey] = useIdempotencyKey([toAccountNumber, from, amount, split, memo]); // Lets the server ignore repeated submissions
+
+  // Fetches JSON from the backend, throwing the backend's message when the request fails
+  // onResponse, if given, is called once the backend has answered, e.g. to rotate an Idempotency-Key
+  const fetchJson = useCallback(async (url, options, onResponse) => {
+    const response = await authFetch(url, options);
+    if (onResponse) {
+      onResponse();
+    }
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || `Network response was not ok: ${response.statusText}`);
+    }
+    return data;
+  }, [authFetch]);
+
+  const load = useCallback(() => {
+    fetchJson('/requests')
+      .then(data => setRequests(Array.isArray(data) ? data : []))
+      .catch(error => {
+        console.error('Error fetching payment requests:', error);
+        setRequests([]);
+      });
+  }, [fetchJson]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const showResult = (message, ok) => {
+    setStatus(message);
+    setVariant(ok ? 'success' : 'danger');
+  };
+
+  const post = (url, body, headers = {}, onResponse) => fetchJson(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body || {})
+  }, onResponse);
+
+  const handleRequest = async () => {
+    try {
+      const people = from.split(',').map(person => person.trim()).filter(Boolean);
+      const data = await post('/requests', { toAccountNumber, from: people, amount, split, memo }, { 'Idempotency-Key': idempotencyKey }, rotateIdempotencyKey);
+      const [first] = data.requests;
+      showResult(`Asked ${data.requests.length} people for ${formatMoney(first.amount, first.currency)} each.`, true);
+      setFrom('');
+      setAmount('');
+      setMemo('');
+      load();
+    } catch (error) {
+      showResult(error.message, false);
+    }
+  };
+
+  // Runs an action on a request and shows its outcome
+  const act = async (request, action, body) => {
+    try {
+      const data = await post(`/requests/${request.id}/${action}`, body, action === 'pay' ? { 'Idempotency-Key': window.crypto.randomUUID() } : {});
+      showResult(`${data.message}.`, true);
+      load();
+    } catch (error) {
+      showResult(error.message, false);
+    }
+  };
+
+  const handleDecline = (request) => {
+    const reason = window.prompt('Let them know why (optional):');
+    if (reason !== null) {
+      act(request, 'decline', { reason });
+    }
+  };
+
+  const toPay = requests.filter(request => request.role === 'payer');
+  const owed = requests.filter(request => request.role === 'requester');
+
+  return (
+    <>
+      {status && <Alert className="mt-3" variant={variant}>{status}</Alert>}
+      <Card className="mt-3 mb-3">
+        <Card.Header>Request Money</Card.Header>
+        <Card.Body>
+          <Form>
+            <Row className="mb-3">
+              <Col md={6}>
+                <Form.Label>Pay Into</Form.Label>
+                <AccountSelect value={toAccountNumber} onChange={setToAccountNumber} />
+              </Col>
+              <Col md={6}>
+                <Form.Label>From</Form.Label>
+                <Form.Control type="text" placeholder="Email addresses or phone numbers, separated by commas" value={from} onChange={e => setFrom(e.currentTarget.value)} />
+              </Col>
+            </Row>
+            <Row className="mb-3 align-items-end">
+              <Col md={3}>
+                <Form.Label>{split ? 'Total Bill' : 'Amount Each'}</Form.Label>
+                <Form.Control type="text" placeholder="0.00" value={amount} onChange={e => setAmount(e.currentTarget.value)} />
+              </Col>
+              <Col md={3}>
+                <Form.Check type="checkbox" label="Split evenly with me" checked={split} onChange={e => setSplit(e.currentTarget.checked)} />
+              </Col>
+              <Col md={4}>
+                <Form.Label>Memo</Form.Label>
+                <Form.Control type="text" placeholder="e.g. Dinner on Friday" value={memo} onChange={e => setMemo(e.currentTarget.value)} />
+              </Col>
+              <Col md={2}>
+                <Button variant="primary" onClick={handleRequest} disabled={!toAccountNumber || !from.trim() || !amount}>
+                  Request
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+        </Card.Body>
+      </Card>
+      <Card className="mb-3">
+        <Card.Header>Requests to You</Card.Header>
+        <Card.Body>
+          {toPay.length === 0 ? (
+            <Card.Text>Nobody is waiting on you.</Card.Text>
+          ) : (
+            <>
+              <Form.Group className="mb-3" style={{ maxWidth: '400px' }}>
+                <Form.Label>Pay From</Form.Label>
+                <AccountSelect value={payAccountNumber} onChange={setPayAccountNumber} />
+              </Form.Group>
+              <Table size="sm">
+                <tbody>
+                  {toPay.map(request => (
+                    <tr key={request.id}>
+                      <td>{request.counterparty}</td>
+                      <td>{request.memo}</td>
+                      <td>{formatMoney(request.amount, request.currency)}</td>
+                      <td>Expires {new Date(request.expiresAt).toLocaleDateString()}</td>
+                      <td>
+                        <Button variant="link" size="sm" onClick={() => act(request, 'pay', { fromAccountNumber: payAccountNumber })} disabled={!payAccountNumber}>Pay</Button>
+                        <Button variant="link" size="sm" onClick={() => handleDecline(request)}>Decline</Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </>
+          )}
+        </Card.Body>
+      </Card>
+      <Card className="mb-3">
+        <Card.Header>Your Requests</Card.Header>
+        <Card.Body>
+          {owed.length === 0 ? (
+            <Card.Text>You are not waiting on anyone.</Card.Text>
+          ) : (
+            <Table size="sm">
+              <tbody>
+                {owed.map(request => (
+                  <tr key={request.id}>
+                    <td>{request.counterparty}</td>
+                    <td>{request.memo}</td>
+                    <td>{formatMoney(request.amount, request.currency)}</td>
+                    <td>Expires {new Date(request.expiresAt).toLocaleDateString()}</td>
+                    <td>
+                      <Button variant="link" size="sm" onClick={() => act(request, 'remind')}>Remind</Button>
+                      <Button variant="link" size="sm" onClick={() => act(request, 'cancel')}>Cancel</Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+    </>
+  );
+}
+
+export default Requests;
@@ -0,0 +1,187 @@
+//Restrictions Component ./frontend/src/restrictions.js
+
+import React, { useState, useCallback } from 'react';
+import { Card, Form, Button, Alert, Table } from 'react-bootstrap';
+import useAuthFetch from './auth/useAuthFetch';
+import formatMoney from './formatMoney';
+
+const TYPES = [
+  { value: 'freeze', label: 'Freeze (no money out)' },
+  { value: 'lock', label: 'Lock (no money in or out)' },
+  { value: 'legal-hold', label: 'Legal hold (an amount cannot be used)' },
+];
+
+/**
+ * Lets bank employees look up an account's restrictions, place a freeze, lock or legal hold
+ * on it with a reason and an optional expiry, and lift restrictions that are still active.
+ * The reason is only shown to staff; the customer just sees that the account is restricted.
+ */
+function Restrictions() {
+  const authFetch = useAuthFetch();
+  const [accountNumber, setAccountNumber] = useState('');
+  const [account, setAccount] = useState(null); // The account whose restrictions are shown
+  const [restrictions, setRestrictions] = useState([]);
+  const [type, setType] = useState('freeze');
+  const [amount, setAmount] = useState('');
+  const [reason, setReason] = useState('');
+  const [expiresOn, setExpiresOn] = useState('');
+  const [status, setStatus] = useState('');
+  const [variant, setVariant] = useState('success');
+
+  // Fetches JSON from the backend, throwing the backend's message when the request fails
+  const fetchJson = useCallback(async (url, options) => {
+    const response = await authFetch(url, options);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || `Network response was not ok: ${response.statusText}`);
+    }
+    return data;
+  }, [authFetch]);
+
+  const showResult = (message, ok) => {
+    setStatus(message);
+    setVariant(ok ? 'success' : 'danger');
+  };
+
+  const load = useCallback(async (number) => {
+    const data = await fetchJson(`/admin/accounts/${encodeURIComponent(number)}/restrictions`);
+    setAccount(data.account);
+    setRestrictions(data.restrictions);
+  }, [fetchJson]);
+
+  const handleLookUp = async () => {
+    setStatus('');
+    try {
+      await load(accountNumber.trim());
+    } catch (error) {
+      setAccount(null);
+      setRestrictions([]);
+      showResult(error.message, false);
+    }
+  };
+
+  const handlePlace = async () => {
+    try {
+      const data = await fetchJson(`/admin/accounts/${encodeURIComponent(account.accountNumber)}/restrictions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          type,
+          amount: type === 'legal-hold' ? amount : undefined,
+          reason,
+          expiresAt: expiresOn || undefined
+        })
+      });
+      showResult(`${data.message}: ${data.restriction.type} on account ${data.restriction.accountNumber}.`, true);
+      setAmount('');
+      setReason('');
+      setExpiresOn('');
+      await load(account.accountNumber);
+    } catch (error) {
+      showResult(error.message, false);
+    }
+  };
+
+  const handleLift = async (restriction) => {
+    if (!window.confirm(`Lift the ${restriction.type} on account ${restriction.accountNumber}?`)) {
+      return;
+    }
+    try {
+      const data = await fetchJson(`/admin/restrictions/${restriction.id}/lift`, { method: 'POST' });
+      showResult(`${data.message}: ${restriction.type} on account ${restriction.accountNumber}.`, true);
+      await load(account.accountNumber);
+    } catch (error) {
+      showResult(error.message, false);
+    }
+  };
+
+  return (
+    <Card className="mt-3 mb-3">
+      <Card.Header>Account Restrictions</Card.Header>
+      <Card.Body>
+        {status && <Alert variant={variant}>{status}</Alert>}
+        <Form className="mb-3">
+          <Form.Group className="mb-3">
+            <Form.Label>Account number</Form.Label>
+            <Form.Control type="text" value={accountNumber} onChange={e => setAccountNumber(e.currentTarget.value)} />
+          </Form.Group>
+          <Button variant="primary" onClick={handleLookUp} disabled={!accountNumber.trim()}>
+            Look Up
+          </Button>
+        </Form>
+        {account && (
+          <>
+            <Card.Text>
+              {account.accountType} {account.accountNumber} of {account.ownerEmail}: {formatMoney(account.balance, account.currency)}
+              {' '}({formatMoney(account.availableBalance, account.currency)} available){account.status === 'closed' && ', closed'}
+            </Card.Text>
+            <Table size="sm">
+              <thead>
+                <tr>
+                  <th>Type</th>
+                  <th>Amount</th>
+                  <th>Reason</th>
+                  <th>Placed</th>
+                  <th>Expires</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {restrictions.length === 0 && (
+                  <tr><td colSpan={7}>This account has never been restricted.</td></tr>
+                )}
+                {restrictions.map(restriction => (
+                  <tr key={restriction.id}>
+                    <td>{restriction.type}</td>
+                    <td>{restriction.amount ? formatMoney(restriction.amount, restriction.currency) : ''}</td>
+                    <td>{restriction.reason}</td>
+                    <td>{new Date(restriction.placedAt).toLocaleString()} by {restriction.placedBy}</td>
+                    <td>{restriction.expiresAt ? new Date(restriction.expiresAt).toLocaleString() : 'When lifted'}</td>
+                    <td>{restriction.status}{restriction.liftedBy && ` by ${restriction.liftedBy}`}</td>
+                    <td>
+                      {restriction.status === 'active' && (
+                        <Button variant="link" size="sm" onClick={() => handleLift(restriction)}>Lift</Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+            {account.status !== 'closed' && (
+              <Form>
+                <Form.Group className="mb-3">
+                  <Form.Label>Restriction</Form.Label>
+                  <Form.Select value={type} onChange={e => setType(e.currentTarget.value)}>
+                    {TYPES.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+                {type === 'legal-hold' && (
+                  <Form.Group className="mb-3">
+                    <Form.Label>Amount to hold ({account.currency})</Form.Label>
+                    <Form.Control type="number" min="0.01" step="0.01" value={amount} onChange={e => setAmount(e.currentTarget.value)} />
+                  </Form.Group>
+                )}
+                <Form.Group className="mb-3">
+                  <Form.Label>Reason (staff only)</Form.Label>
+                  <Form.Control type="text" maxLength={200} value={reason} onChange={e => setReason(e.currentTarget.value)} />
+                </Form.Group>
+                <Form.Group className="mb-3">
+                  <Form.Label>Expires on (leave empty to keep it until lifted)</Form.Label>
+                  <Form.Control type="date" value={expiresOn} onChange={e => setExpiresOn(e.currentTarget.value)} />
+                </Form.Group>
+                <Button variant="danger" onClick={handlePlace} disabled={!reason.trim() || (type === 'legal-hold' && !amount)}>
+                  Place Restriction
+                </Button>
+              </Form>
+            )}
+          </>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
+
+export default Restrictions;
@@ -0,0 +1,161 @@
+//Send Money Component ./frontend/src/sendmoney.js
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Form, Button, Alert, Table, Row, Col } from 'react-bootstrap';
+import AccountSelect from './components/AccountSelect';
+import useAuthFetch from './auth/useAuthFetch';
+import useIdempotencyKey from './useIdempotencyKey';
+import formatMoney from './formatMoney';
+
+/**
+ * Lets the user send money to another Bank of Brown customer by their email address or
+ * phone number. The recipient's masked name is looked up first so the user can check they
+ * have the right person before sending.
+ */
+function SendMoney() {
+  const authFetch = useAuthFetch();
+  const [fromAccountNumber, setFromAccountNumber] = useState('');
+  const [to, setTo] = useState('');
+  const [recipientName, setRecipientName] = useState('');
+  const [amount, setAmount] = useState('');
+  const [memo, setMemo] = useState('');
+  const [payments, setPayments] = useState([]);
+  const [status, setStatus] = useState('');
+  const [variant, setVariant] = useState('success');
+  const [idempotencyKey, rotateIdempotencyKey] = useIdempotencyKey([fromAccountNumber, to, amount, memo]); // Lets the server ignore repeated submissions
+
+  // A changed recipient has to be looked up again before sending
+  useEffect(() => {
+    setRecipientName('');
+  }, [to]);
+
+  // Fetches JSON from the backend, throwing the backend's message when the request fails
+  // onResponse, if given, is called once the backend has answered, e.g. to rotate an Idempotency-Key
+  const fetchJson = useCallback(async (url, options, onResponse) => {
+    const response = await authFetch(url, options);
+    if (onResponse) {
+      onResponse();
+    }
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || `Network response was not ok: ${response.statusText}`);
+    }
+    return data;
+  }, [authFetch]);
+
+  const loadPayments = useCallback(() => {
+    fetchJson('/p2p')
+      .then(data => setPayments(Array.isArray(data) ? data : []))
+      .catch(error => {
+        console.error('Error fetching payments:', error);
+        setPayments([]);
+      });
+  }, [fetchJson]);
+
+  useEffect(() => {
+    loadPayments();
+  }, [loadPayments]);
+
+  const showResult = (message, ok) => {
+    setStatus(message);
+    setVariant(ok ? 'success' : 'danger');
+  };
+
+  const handleLookup = async () => {
+    try {
+      const data = await fetchJson(`/p2p/recipient?to=${encodeURIComponent(to.trim())}`);
+      setRecipientName(data.name);
+      setStatus('');
+    } catch (error) {
+      showResult(error.message, false);
+    }
+  };
+
+  const handleSend = async () => {
+    try {
+      const data = await fetchJson('/p2p', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
+        body: JSON.stringify({ fromAccountNumber, to: to.trim(), amount, memo })
+      }, rotateIdempotencyKey);
+      showResult(`Sent ${formatMoney(data.payment.amount, data.payment.currency)} to ${recipientName}.`, true);
+      setTo('');
+      setAmount('');
+      setMemo('');
+      loadPayments();
+    } catch (error) {
+      showResult(error.message, false);
+    }
+  };
+
+  return (
+    <>
+      <Card className="mt-3 mb-3">
+        <Card.Header>Send Money</Card.Header>
+        <Card.Body>
+          {status && <Alert variant={variant}>{status}</Alert>}
+          <Form>
+            <Form.Group className="mb-3">
+              <Form.Label>From Account</Form.Label>
+              <AccountSelect value={fromAccountNumber} onChange={setFromAccountNumber} />
+            </Form.Group>
+            <Row className="mb-3 align-items-end">
+              <Col md={8}>
+                <Form.Label>To</Form.Label>
+                <Form.Control type="text" placeholder="Email address or phone number" value={to} onChange={e => setTo(e.currentTarget.value)} />
+              </Col>
+              <Col md={4}>
+                <Button variant="secondary" onClick={handleLookup} disabled={!to.trim()}>
+                  Look Up
+                </Button>
+              </Col>
+            </Row>
+            {recipientName && (
+              <>
+                <Alert variant="info">You are paying <strong>{recipientName}</strong>.</Alert>
+                <Row className="mb-3 align-items-end">
+                  <Col md={3}>
+                    <Form.Label>Amount</Form.Label>
+                    <Form.Control type="text" placeholder="0.00" value={amount} onChange={e => setAmount(e.currentTarget.value)} />
+                  </Col>
+                  <Col md={6}>
+                    <Form.Label>Memo</Form.Label>
+                    <Form.Control type="text" placeholder="e.g. Dinner on Friday" value={memo} onChange={e => setMemo(e.currentTarget.value)} />
+                  </Col>
+                  <Col md={3}>
+                    <Button variant="primary" onClick={handleSend} disabled={!fromAccountNumber || !amount}>
+                      Send
+                    </Button>
+                  </Col>
+                </Row>
+              </>
+            )}
+          </Form>
+        </Card.Body>
+      </Card>
+      <Card className="mb-3">
+        <Card.Header>Sent and Received</Card.Header>
+        <Card.Body>
+          {payments.length === 0 ? (
+            <Card.Text>No payments yet.</Card.Text>
+          ) : (
+            <Table size="sm">
+              <tbody>
+                {payments.map(payment => (
+                  <tr key={payment.id}>
+                    <td>{new Date(payment.createdAt).toLocaleDateString()}</td>
+                    <td>{payment.direction === 'sent' ? `To ${payment.counterparty}` : `From ${payment.counterparty}`}</td>
+                    <td>{payment.memo}</td>
+                    <td>{payment.direction === 'sent' ? '-' : '+'}{formatMoney(payment.amount, payment.currency)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+    </>
+  );
+}
+
+export default SendMoney;
@@ -15,11 +15,24 @@ module.exports = function(app) {
     logLevel: 'debug'
   });
 
+  // Page loads ask for HTML and are left to the development server, so that app routes sharing
+  // a path with the API, such as /billpay, /requests and /notifications, still load the app.
+  const proxyApiCalls = (req, res, next) => (
+    (req.headers.accept || '').includes('text/html') ? next() : proxyMiddleware(req, res, next)
+  );
+
   // Apply the proxy middleware to specific routes.
   // This means any request to these routes from your frontend application will be proxied to the backend server.
-  app.use('/account', proxyMiddleware);       // Proxy requests made to /account to the backend server.
-  app.use('/user', proxyMiddleware);          // Proxy requests made to /user to the backend server.
-  app.use('/transactions', proxyMiddleware);  // Proxy requests made to /transactions to the backend server.
+  app.use('/account', proxyApiCalls);       // Proxy requests made to /account to the backend server.
+  app.use('/user', proxyApiCalls);          // Proxy requests made to /user to the backend server.
+  app.use('/transactions', proxyApiCalls);  // Proxy requests made to /transactions to the backend server.
+  app.use('/categories', proxyApiCalls);    // Proxy requests made to /categories to the backend server.
+  app.use('/billpay', proxyApiCalls);       // Proxy requests made to /billpay to the backend server.
+  app.use('/p2p', proxyApiCalls);           // Proxy requests made to /p2p to the backend server.
+  app.use('/notifications', proxyApiCalls); // Proxy requests made to /notifications to the backend server.
+  app.use('/requests', proxyApiCalls);      // Proxy requests made to /requests to the backend server.
+  app.use('/checks', proxyApiCalls);        // Proxy requests made to /checks to the backend server.
+  app.use('/admin', proxyApiCalls);         // Proxy requests made to /admin to the backend server.
   
   // Note: You can add as many routes as needed, or use a wildcard '*' to proxy all requests.
   // However, be cautious with the wildcard approach, as it might proxy requests you didn't intend to,
@@ -0,0 +1,175 @@
+//Spending Component ./frontend/src/spending.js
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Form, Button, Alert, Table, Row, Col } from 'react-bootstrap';
+import useAuthFetch from './auth/useAuthFetch';
+import formatMoney from './formatMoney';
+
+/**
+ * Shows where the user's money went in a month, by spending category, and lets them
+ * manage the rules that categorize their transactions by description.
+ */
+function Spending() {
+  const authFetch = useAuthFetch();
+  const [month, setMonth] = useState(new Date().toISOString().slice(0, 7));
+  const [totals, setTotals] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [rules, setRules] = useState([]);
+  const [contains, setContains] = useState('');
+  const [category, setCategory] = useState('');
+  const [status, setStatus] = useState('');
+  const [variant, setVariant] = useState('success');
+
+  // Fetches JSON from the backend, throwing the backend's message when the request fails
+  const fetchJson = useCallback(async (url, options) => {
+    const response = await authFetch(url, options);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || `Network response was not ok: ${response.statusText}`);
+    }
+    return data;
+  }, [authFetch]);
+
+  const loadTotals = useCallback(() => {
+    fetchJson(`/categories/totals?from=${month}&to=${month}`)
+      .then(data => setTotals(Array.isArray(data) ? data : []))
+      .catch(error => {
+        console.error('Error fetching category totals:', error);
+        setTotals([]);
+      });
+  }, [fetchJson, month]);
+
+  const loadRules = useCallback(() => {
+    Promise.all([fetchJson('/categories'), fetchJson('/categories/rules')])
+      .then(([categoryList, ruleList]) => {
+        setCategories(categoryList);
+        setRules(ruleList);
+      })
+      .catch(error => console.error('Error fetching category rules:', error));
+  }, [fetchJson]);
+
+  useEffect(() => {
+    loadTotals();
+  }, [loadTotals]);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  const showResult = (message, ok) => {
+    setStatus(message);
+    setVariant(ok ? 'success' : 'danger');
+  };
+
+  const handleAddRule = async () => {
+    try {
+      const data = await fetchJson('/categories/rules', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ contains, category })
+      });
+      showResult(`Rule added. ${data.recategorized} transaction(s) moved to a new category.`, true);
+      setContains('');
+      setCategory('');
+      loadRules();
+      loadTotals();
+    } catch (error) {
+      showResult(error.message, false);
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    try {
+      const data = await fetchJson(`/categories/rules/${rule.id}`, { method: 'DELETE' });
+      showResult(`Rule removed. ${data.recategorized} transaction(s) moved to a new category.`, true);
+      loadRules();
+      loadTotals();
+    } catch (error) {
+      showResult(error.message, false);
+    }
+  };
+
+  return (
+    <>
+      <Card className="mt-3 mb-3">
+        <Card.Header>Spending by Category</Card.Header>
+        <Card.Body>
+          <Form.Group className="mb-3" style={{ maxWidth: '200px' }}>
+            <Form.Label>Month</Form.Label>
+            <Form.Control type="month" value={month} onChange={e => setMonth(e.currentTarget.value)} />
+          </Form.Group>
+          {totals.length === 0 ? (
+            <Card.Text>No transactions in this month.</Card.Text>
+          ) : (
+            <Table size="sm">
+              <thead>
+                <tr>
+                  <th>Category</th>
+                  <th>Money Out</th>
+                  <th>Money In</th>
+                  <th>Transactions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {totals.map(total => (
+                  <tr key={`${total.category}-${total.currency}`}>
+                    <td>{total.category}</td>
+                    <td>{formatMoney(total.moneyOut, total.currency)}</td>
+                    <td>{formatMoney(total.moneyIn, total.currency)}</td>
+                    <td>{total.count}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+      <Card className="mb-3">
+        <Card.Header>Category Rules</Card.Header>
+        <Card.Body>
+          {status && <Alert variant={variant}>{status}</Alert>}
+          <Card.Text>
+            Transactions whose description contains a rule's text get its category. When several rules match, the newest wins.
+          </Card.Text>
+          <Form className="mb-3">
+            <Row className="align-items-end">
+              <Col md={5}>
+                <Form.Label>Description contains</Form.Label>
+                <Form.Control type="text" placeholder="e.g. COFFEE" value={contains} onChange={e => setContains(e.currentTarget.value)} />
+              </Col>
+              <Col md={4}>
+                <Form.Label>Category</Form.Label>
+                <Form.Control type="text" list="category-options" placeholder="e.g. Dining" value={category} onChange={e => setCategory(e.currentTarget.value)} />
+                <datalist id="category-options">
+                  {categories.map(name => <option key={name} value={name} />)}
+                </datalist>
+              </Col>
+              <Col md={3}>
+                <Button variant="primary" onClick={handleAddRule} disabled={!contains.trim() || !category.trim()}>
+                  Add Rule
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+          {rules.length > 0 && (
+            <Table size="sm">
+              <tbody>
+                {rules.map(rule => (
+                  <tr key={rule.id}>
+                    <td>Contains "{rule.contains}"</td>
+                    <td>{rule.category}</td>
+                    <td>
+                      <Button variant="link" size="sm" onClick={() => handleDeleteRule(rule)}>Remove</Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+    </>
+  );
+}
+
+export default Spending;
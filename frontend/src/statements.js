@@ -0,0 +1,143 @@
+//Statements Component ./frontend/src/statements.js
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Form, Button, Alert, Table, Row, Col } from 'react-bootstrap';
+import AccountSelect from './components/AccountSelect';
+import useAuthFetch from './auth/useAuthFetch';
+import formatMoney from './formatMoney';
+import downloadFile from './downloadFile';
+
+// The month before the current one, as YYYY-MM, which is the latest complete statement
+function lastMonth() {
+  const date = new Date();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() - 1);
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Lists the monthly statements of the user's accounts with links to download each as
+ * PDF or CSV, and lets the user make a statement for any month straight away.
+ */
+function Statements() {
+  const authFetch = useAuthFetch();
+  const [statements, setStatements] = useState([]);
+  const [accountNumber, setAccountNumber] = useState('');
+  const [month, setMonth] = useState(lastMonth());
+  const [status, setStatus] = useState('');
+  const [variant, setVariant] = useState('success');
+
+  const fetchStatements = useCallback(() => {
+    authFetch('/account/statements')
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Network response was not ok: ${response.statusText}`);
+        }
+        return response.json();
+      })
+      .then(data => setStatements(Array.isArray(data) ? data : []))
+      .catch(error => {
+        console.error('Error fetching statements:', error);
+        setStatements([]);
+      });
+  }, [authFetch]);
+
+  useEffect(() => {
+    fetchStatements();
+  }, [fetchStatements]);
+
+  const handleGenerate = async () => {
+    setStatus('');
+    try {
+      const response = await authFetch('/account/statements', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ accountNumber, month })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Could not generate the statement.');
+      }
+      setStatus(`Statement for ${data.statement.period} is ready.`);
+      setVariant('success');
+      fetchStatements();
+    } catch (error) {
+      console.error('Error generating statement:', error);
+      setStatus(error.message);
+      setVariant('danger');
+    }
+  };
+
+  const handleDownload = async (statement, format) => {
+    try {
+      const response = await authFetch(`/account/statements/${statement.id}/download?format=${format}`);
+      if (!response.ok) {
+        throw new Error(`Network response was not ok: ${response.statusText}`);
+      }
+      await downloadFile(response, `statement-${statement.accountNumber}-${statement.period}.${format}`);
+    } catch (error) {
+      console.error('Error downloading statement:', error);
+      setStatus('Could not download the statement. Please try again.');
+      setVariant('danger');
+    }
+  };
+
+  return (
+    <Card className="mt-3 mb-3">
+      <Card.Header>Statements</Card.Header>
+      <Card.Body>
+        {status && <Alert variant={variant}>{status}</Alert>}
+        <Form className="mb-4">
+          <Row className="align-items-end">
+            <Col md={5}>
+              <Form.Label>Account</Form.Label>
+              <AccountSelect value={accountNumber} onChange={setAccountNumber} includeClosed />
+            </Col>
+            <Col md={4}>
+              <Form.Label>Month</Form.Label>
+              <Form.Control type="month" value={month} onChange={e => setMonth(e.currentTarget.value)} />
+            </Col>
+            <Col md={3}>
+              <Button variant="primary" onClick={handleGenerate} disabled={!accountNumber || !month}>
+                Get Statement
+              </Button>
+            </Col>
+          </Row>
+        </Form>
+        {statements.length === 0 ? (
+          <Card.Text>No statements yet. Statements are made at the start of each month.</Card.Text>
+        ) : (
+          <Table size="sm">
+            <thead>
+              <tr>
+                <th>Month</th>
+                <th>Account</th>
+                <th>Opening Balance</th>
+                <th>Closing Balance</th>
+                <th>Interest</th>
+                <th>Download</th>
+              </tr>
+            </thead>
+            <tbody>
+              {statements.map(statement => (
+                <tr key={statement.id}>
+                  <td>{statement.period}{!statement.complete && ' (so far)'}</td>
+                  <td>{statement.accountNumber}</td>
+                  <td>{formatMoney(statement.openingBalance, statement.currency)}</td>
+                  <td>{formatMoney(statement.closingBalance, statement.currency)}</td>
+                  <td>{formatMoney(statement.interest, statement.currency)}</td>
+                  <td>
+                    <Button variant="link" size="sm" onClick={() => handleDownload(statement, 'pdf')}>PDF</Button>
+                    <Button variant="link" size="sm" onClick={() => handleDownload(statement, 'csv')}>CSV</Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
+
+export default Statements;
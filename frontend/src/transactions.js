@@ -1,78 +1,187 @@
-/* MIGHT BUILD LATER
+//Transactions Component ./frontend/src/transactions.js
 
-// transactions.js
-// .frontend/src/transactions.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Form, Button, Alert, Table, Row, Col } from 'react-bootstrap';
+import AccountSelect from './components/AccountSelect';
+import useAuthFetch from './auth/useAuthFetch';
+import formatMoney from './formatMoney';
+import downloadFile from './downloadFile';
 
+// Formats for accounting tools that the history can be exported in
+const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'ofx', label: 'OFX (Quicken, GnuCash, Xero)' },
+  { value: 'qif', label: 'QIF' }
+];
+
+// A day as YYYY-MM-DD, some number of days before today
+function daysAgo(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Shows the history of one of the user's accounts between two days, and exports it as
+ * CSV, OFX or QIF for accounting tools.
+ */
 function Transactions() {
-    const [transactions, setTransactions] = useState([]);
-    const [amount, setAmount] = useState('');
-    const [description, setDescription] = useState('');
-    const [type, setType] = useState('deposit'); // Assuming 'deposit' as default, adjust as needed
-  
+  const authFetch = useAuthFetch();
+  const [accountNumber, setAccountNumber] = useState('');
+  const [from, setFrom] = useState(daysAgo(30));
+  const [to, setTo] = useState(daysAgo(0));
+  const [format, setFormat] = useState('csv');
+  const [transactions, setTransactions] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [status, setStatus] = useState('');
 
-  useEffect(() => {
-    // Fetch transactions
-    fetch('/transactions', {
-      method: 'GET',
-      headers: {
-        // Assuming you store the token in localStorage after login
-        'Authorization': `Bearer ${localStorage.getItem('token')}`,
-      },
-    })
-    .then(response => response.json())
-    
-    .then(data => {
-        console.log(data);
-        setTransactions(data);
-    })
-    .catch(error => {
-        console.error('Error:', error);
-        setTransactions([]); // Ensure transactions is always an array
+  const range = `from=${from}&to=${to}`;
+
+  const fetchTransactions = useCallback(() => {
+    if (!accountNumber || !from || !to) return;
+
+    authFetch(`/transactions/account/${accountNumber}?${range}`)
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.message || `Network response was not ok: ${response.statusText}`);
+        }
+        return data;
+      })
+      .then(data => {
+        setTransactions(Array.isArray(data) ? data : []);
+        setStatus('');
+      })
+      .catch(error => {
+        console.error('Error fetching transactions:', error);
+        setTransactions([]);
+        setStatus(error.message);
       });
-  }, []);
+  }, [authFetch, accountNumber, from, to, range]);
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    // Post a new transaction
-    fetch('/transactions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${localStorage.getItem('token')}`,
-      },
-      body: JSON.stringify({ amount, description , type }), // Include type in the request
-    })
-    
-    .then(response => response.json())
-    .then(data => {
-      setTransactions([...transactions, data]);
-      setAmount('');
-      setDescription('');
-    })
-    .catch(error => {
-        console.error('Error:', error);
-        setTransactions([]); // Ensure transactions is always an array
+  useEffect(() => {
+    fetchTransactions();
+  }, [fetchTransactions]);
+
+  useEffect(() => {
+    authFetch('/categories')
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Network response was not ok: ${response.statusText}`);
+        }
+        return response.json();
+      })
+      .then(data => setCategories(Array.isArray(data) ? data : []))
+      .catch(error => console.error('Error fetching categories:', error));
+  }, [authFetch]);
+
+  // Sets a transaction's category by hand; rules leave it alone from then on
+  const handleCategoryChange = async (transaction, category) => {
+    try {
+      const response = await authFetch(`/categories/entries/${transaction.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ category })
       });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Could not change the category.');
+      }
+      setTransactions(current => current.map(item => (item.id === transaction.id ? data.transaction : item)));
+    } catch (error) {
+      console.error('Error changing category:', error);
+      setStatus(error.message);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const response = await authFetch(`/transactions/account/${accountNumber}/export?format=${format}&${range}`);
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || 'Could not export the transactions.');
+      }
+      await downloadFile(response, `transactions-${accountNumber}-${from}-to-${to}.${format}`);
+    } catch (error) {
+      console.error('Error exporting transactions:', error);
+      setStatus(error.message);
+    }
   };
 
   return (
-    <div>
-      <h2>Transactions</h2>
-      <form onSubmit={handleSubmit}>
-        <input type="number" value={amount} onChange={(e) => setAmount(e.target.value)} placeholder="Amount" />
-        <input type="text" value={description} onChange={(e) => setDescription(e.target.value)} placeholder="Description" />
-        {/* Add a selector or input for transaction type if necessary *//*}
-        <button type="submit">Add Transaction</button>
-      </form>
-      <ul>
-        {transactions.map((transaction, index) => (
-          <li key={index}>{transaction.description}: ${transaction.amount}</li>
-        ))}
-      </ul>
-    </div>
+    <Card className="mt-3 mb-3">
+      <Card.Header>Transaction History</Card.Header>
+      <Card.Body>
+        {status && <Alert variant="danger">{status}</Alert>}
+        <Form className="mb-4">
+          <Row className="align-items-end">
+            <Col md={4}>
+              <Form.Label>Account</Form.Label>
+              <AccountSelect value={accountNumber} onChange={setAccountNumber} includeClosed />
+            </Col>
+            <Col md={2}>
+              <Form.Label>From</Form.Label>
+              <Form.Control type="date" value={from} max={to} onChange={e => setFrom(e.currentTarget.value)} />
+            </Col>
+            <Col md={2}>
+              <Form.Label>To</Form.Label>
+              <Form.Control type="date" value={to} min={from} onChange={e => setTo(e.currentTarget.value)} />
+            </Col>
+            <Col md={2}>
+              <Form.Label>Format</Form.Label>
+              <Form.Select value={format} onChange={e => setFormat(e.currentTarget.value)}>
+                {EXPORT_FORMATS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={2}>
+              <Button variant="primary" onClick={handleExport} disabled={!accountNumber || !from || !to}>
+                Export
+              </Button>
+            </Col>
+          </Row>
+        </Form>
+        {transactions.length === 0 ? (
+          <Card.Text>No transactions in this period.</Card.Text>
+        ) : (
+          <Table size="sm">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Type</th>
+                <th>Description</th>
+                <th>Category</th>
+                <th>Amount</th>
+                <th>Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {transactions.map(transaction => (
+                <tr key={transaction.id}>
+                  <td>{new Date(transaction.createdAt).toLocaleString()}</td>
+                  <td>{transaction.type}</td>
+                  <td>
+                    {transaction.description
+                      || (transaction.counterpartyAccountNumber && `${transaction.type === 'transfer-in' ? 'From' : 'To'} ${transaction.counterpartyAccountNumber}`)}
+                  </td>
+                  <td>
+                    <Form.Select size="sm" value={transaction.category || ''} onChange={e => handleCategoryChange(transaction, e.currentTarget.value)}>
+                      {[...new Set([...categories, transaction.category || 'Other'])].map(name => (
+                        <option key={name} value={name}>{name}</option>
+                      ))}
+                    </Form.Select>
+                  </td>
+                  <td>{formatMoney(transaction.amount, transaction.currency)}</td>
+                  <td>{formatMoney(transaction.balanceAfter, transaction.currency)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+    </Card>
   );
 }
 
-export default Transactions; 
-*/
\ No newline at end of file
+export default Transactions;
@@ -0,0 +1,30 @@
+//Idempotency Key Hook ./frontend/src/useIdempotencyKey.js
+
+import { useState, useCallback } from 'react';
+
+const newKey = () => window.crypto.randomUUID();
+
+// Whether any of the values describing a request differ from the previous render's
+const changed = (previous, request) =>
+  previous.length !== request.length || request.some((value, i) => !Object.is(value, previous[i]));
+
+/**
+ * Returns an Idempotency-Key for a form's submission, which lets the server ignore repeated
+ * submissions of the same request (e.g. a double-click, or a retry after a dropped connection),
+ * and a function to call once the server has answered.
+ *
+ * The key changes whenever one of the values in `request` (the form's fields) changes, and when
+ * rotated: once the server has answered, submitting the same form again is a new request, which
+ * must not get the stored answer to the last one back.
+ */
+export default function useIdempotencyKey(request) {
+  const [state, setState] = useState(() => ({ key: newKey(), request }));
+  const rotate = useCallback(() => setState(current => ({ ...current, key: newKey() })), []);
+
+  if (changed(state.request, request)) {
+    const next = { key: newKey(), request };
+    setState(next);
+    return [next.key, rotate];
+  }
+  return [state.key, rotate];
+}
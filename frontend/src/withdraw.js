@@ -1,24 +1,35 @@
 import React, { useState } from 'react';
 import { Card, Form, Button, Alert } from 'react-bootstrap';
+import AccountSelect from './components/AccountSelect';
+import useAuthFetch from './auth/useAuthFetch';
+import useIdempotencyKey from './useIdempotencyKey';
+import formatMoney from './formatMoney';
 
 function Withdraw() {
   const [show, setShow] = useState(true);
   const [status, setStatus] = useState('');
   const [variant, setVariant] = useState('success');
-  const [email, setEmail] = useState('');
+  const [accountNumber, setAccountNumber] = useState('');
   const [amount, setAmount] = useState('');
   const [amountError, setAmountError] = useState('');
   const [balance, setBalance] = useState(0); // Added state for balance
+  const [currency, setCurrency] = useState('USD'); // Currency the selected account is held in
   const [loadingBalance, setLoadingBalance] = useState(false); // Added state for loading balance
-
-  // Function to fetch balance
-  const fetchBalance = () => {
-    if (email) {
+  const [overdraftMode, setOverdraftMode] = useState('none'); // With overdraft protection the server decides what can be covered
+  const [allowance, setAllowance] = useState(null); // Withdrawal limits and what is left of today's allowance
+  const authFetch = useAuthFetch(); // Sends the user's access token with each request
+  const [idempotencyKey, rotateIdempotencyKey] = useIdempotencyKey([accountNumber, amount]); // Lets the server ignore repeated submissions
+
+  // Function to fetch balance of the selected account
+  const fetchBalance = (selectedAccount) => {
+    if (selectedAccount) {
       setLoadingBalance(true);
-      fetch(`/account/balance/${email}`)
+      authFetch(`/account/balance/${selectedAccount}`)
         .then(response => response.json())
         .then(data => {
-          setBalance(data.balance);
+          setBalance(data.availableBalance); // Money on hold cannot be withdrawn
+          setCurrency(data.currency);
+          setOverdraftMode(data.overdraft ? data.overdraft.mode : 'none');
           setLoadingBalance(false);
         })
         .catch(error => {
@@ -28,6 +39,26 @@ function Withdraw() {
     }
   };
 
+  // Function to fetch the withdrawal limits and remaining daily allowance of the selected account
+  const fetchAllowance = (selectedAccount) => {
+    if (selectedAccount) {
+      authFetch(`/account/withdrawal-allowance/${selectedAccount}`)
+        .then(response => response.json())
+        .then(data => setAllowance(data))
+        .catch(error => {
+          console.error('Error fetching withdrawal allowance:', error);
+          setAllowance(null);
+        });
+    }
+  };
+
+  // Switch accounts and load the balance and allowance of the newly selected one
+  function handleAccountChange(selectedAccount) {
+    setAccountNumber(selectedAccount);
+    fetchBalance(selectedAccount);
+    fetchAllowance(selectedAccount);
+  }
+
   function handleWithdrawal() {
     // Reset status and variant
     setStatus('');
@@ -36,34 +67,40 @@ function Withdraw() {
     const withdrawalAmount = parseFloat(amount);
     // Validation checks
 
-    if (withdrawalAmount > balance) {
+    if (overdraftMode === 'none' && withdrawalAmount > balance) {
       setStatus('Withdrawal amount exceeds current balance.');
       setVariant('danger');
       return;
     }
 
     // Make API call to withdraw
-    fetch('account/withdraw', {
+    authFetch('/account/withdraw', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
       body: JSON.stringify({
-        email: email,
-        amount: withdrawalAmount,
+        accountNumber: accountNumber,
+        amount: amount.trim(), // Sent as a decimal string so no precision is lost
       })
     })
-      .then(response => {
+      .then(async response => {
+        rotateIdempotencyKey(); // Withdrawing the same amount again is a new withdrawal
         if (!response.ok) {
           setVariant('danger');
-          if (response.statusText.includes('User not found')) {
-            throw new Error('Withdraw failed because email is unknown. Please use login email.');
+          if (response.status === 404) {
+            throw new Error('Withdraw failed because the account is unknown.');
           } else {
-            throw new Error(`Network response was not ok: ${response.statusText}`);
+            // The server explains refusals such as exceeding the overdraft limit
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || `Network response was not ok: ${response.statusText}`);
           }
         }
         return response.json();
       })
       .then(data => {
-        setStatus(`Withdrawal successful. New Balance: ${data.balance}`);
+        setStatus(`Withdrawal successful. New Balance: ${formatMoney(data.balance, data.currency)}`);
+        // The response has the ledger balance; what can be withdrawn next also leaves out money on hold
+        fetchBalance(accountNumber);
+        fetchAllowance(accountNumber);
         setShow(false);
       })
       .catch(error => {
@@ -87,8 +124,8 @@ function Withdraw() {
         {status && <Alert variant={variant}>{status}</Alert>}
         {show ? (
           <WithdrawForm
-            email={email}
-            setEmail={setEmail}
+            accountNumber={accountNumber}
+            setAccountNumber={handleAccountChange}
             amount={amount}
             setAmount={setAmount}
             amountError={amountError}
@@ -96,18 +133,22 @@ function Withdraw() {
             handleWithdrawal={handleWithdrawal}
             loadingBalance={loadingBalance}
             balance={balance}
-            fetchBalance={fetchBalance}
+            currency={currency}
+            overdraftMode={overdraftMode}
+            allowance={allowance}
           />
         ) : (
-          <WithdrawMsg handleWithdrawAgain={handleWithdrawAgain} balance={balance} />
+          <WithdrawMsg handleWithdrawAgain={handleWithdrawAgain} balance={balance} currency={currency} loadingBalance={loadingBalance} />
         )}
       </Card.Body>
     </Card>
   );
 }
 
-function WithdrawForm({ email, setEmail, amount, setAmount, amountError, setAmountError, handleWithdrawal, loadingBalance, balance, fetchBalance }) {
+function WithdrawForm({ accountNumber, setAccountNumber, amount, setAmount, amountError, setAmountError, handleWithdrawal, loadingBalance, balance, currency, overdraftMode, allowance }) {
   const [error, setError] = useState('');
+  // Accounts with overdraft protection may withdraw more than their balance; the server checks what is covered
+  const exceedsBalance = (value) => overdraftMode === 'none' && value > balance;
 
     function handleAmountChange(value) {
     setAmount(value);
@@ -118,7 +159,9 @@ function WithdrawForm({ email, setEmail, amount, setAmount, amountError, setAmou
     const parsedAmount = parseFloat(value);
     if (isNaN(parsedAmount) || parsedAmount <= 0) {
       setAmountError('Amount must be a positive number.');
-    } else if (parsedAmount > balance) {
+    } else if (!/^\d+(\.\d{1,2})?$/.test(value.trim())) {
+      setAmountError('Amount cannot have more than two decimal places.');
+    } else if (exceedsBalance(parsedAmount)) {
       setAmountError('Withdrawal amount exceeds current balance.');
     } else {
       setAmountError('');
@@ -128,15 +171,15 @@ function WithdrawForm({ email, setEmail, amount, setAmount, amountError, setAmou
   function handle() {
     setError(''); // Reset any previous error state
 
-    // Validate email input
-    if (!email) {
-      setError('An email is required to proceed.');
+    // Validate account selection
+    if (!accountNumber) {
+      setError('An account is required to proceed.');
       return;
     }
 
     // Validate amount input
     const parsedAmount = parseFloat(amount);
-    if (isNaN(parsedAmount) || parsedAmount <= 0 || parsedAmount > balance) {
+    if (isNaN(parsedAmount) || parsedAmount <= 0 || exceedsBalance(parsedAmount) || amountError) {
       setError('Invalid withdrawal amount.');
       return;
     }
@@ -148,13 +191,10 @@ function WithdrawForm({ email, setEmail, amount, setAmount, amountError, setAmou
   return (
     <Form>
       <Form.Group className="mb-3">
-        <Form.Label>Email address</Form.Label>
-        <Form.Control
-          type="text"
-          placeholder="Enter email"
-          value={email}
-          onChange={e => setEmail(e.currentTarget.value)}
-          onBlur={fetchBalance} // Fetch balance when the email field loses focus
+        <Form.Label>Account</Form.Label>
+        <AccountSelect
+          value={accountNumber}
+          onChange={setAccountNumber} // Fetch balance whenever a different account is selected
         />
       </Form.Group>
       <Form.Group className="mb-3">
@@ -168,6 +208,12 @@ function WithdrawForm({ email, setEmail, amount, setAmount, amountError, setAmou
           disabled={loadingBalance} // Disable input while balance is loading
         />
         <Form.Control.Feedback type="invalid">{amountError || error}</Form.Control.Feedback>
+        {allowance && (
+          <Form.Text muted>
+            Remaining daily allowance: {formatMoney(allowance.remainingToday, currency)} ({allowance.remainingWithdrawalsToday} of {allowance.dailyCountLimit} withdrawals
+            left in any 24 hours), at most {formatMoney(allowance.perTransactionLimit, currency)} per withdrawal.
+          </Form.Text>
+        )}
       </Form.Group>
       <Button variant="primary" onClick={handle} disabled={loadingBalance}>
         Withdraw
@@ -176,11 +222,11 @@ function WithdrawForm({ email, setEmail, amount, setAmount, amountError, setAmou
   );
 }
 
-function WithdrawMsg({ handleWithdrawAgain, balance }) {
+function WithdrawMsg({ handleWithdrawAgain, balance, currency, loadingBalance }) {
   return (
     <>
       <h5>Success</h5>
-      <p>New Balance: {balance}</p>
+      <p>Available Balance: {loadingBalance ? 'Loading...' : formatMoney(balance, currency)}</p>
       <Button variant="primary" onClick={handleWithdrawAgain}>
         Withdraw again
       </Button>